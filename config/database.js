@@ -11,6 +11,9 @@ const dbConfig = {
   waitForConnections: true,
   connectionLimit: 10,
   queueLimit: 0,
+  // Las cantidades de stock son DECIMAL (admiten fracciones) y se operan en JS:
+  // se reciben como números en lugar de strings
+  decimalNumbers: true,
   acquireTimeout: 60000,
   timeout: 60000,
   reconnect: true
@@ -43,16 +46,23 @@ const executeQuery = async (query, params = []) => {
   }
 };
 
-// Función para ejecutar transacciones
-const executeTransaction = async (queries) => {
+// Intentos de una transacción abortada por InnoDB al detectar un deadlock
+const MAX_TRANSACTION_ATTEMPTS = 3;
+
+const runTransaction = async (queries) => {
   const connection = await pool.getConnection();
   try {
     await connection.beginTransaction();
     
-    const results = [];
-    for (const { query, params = [] } of queries) {
-      const [rows] = await connection.execute(query, params);
-      results.push(rows);
+    let results;
+    if (typeof queries === 'function') {
+      results = await queries(connection);
+    } else {
+      results = [];
+      for (const { query, params = [] } of queries) {
+        const [rows] = await connection.execute(query, params);
+        results.push(rows);
+      }
     }
     
     await connection.commit();
@@ -65,6 +75,25 @@ const executeTransaction = async (queries) => {
   }
 };
 
+// Función para ejecutar transacciones
+// Acepta un arreglo de { query, params } o una función async que recibe la
+// conexión, para operaciones que necesitan leer (o bloquear filas) antes de escribir.
+// Si dos transacciones concurrentes se bloquean mutuamente, MySQL aborta una
+// (ER_LOCK_DEADLOCK) y se reintenta completa: ya se hizo rollback, así que la
+// función vuelve a leer y bloquear los datos actuales.
+const executeTransaction = async (queries) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await runTransaction(queries);
+    } catch (error) {
+      if (error.code !== 'ER_LOCK_DEADLOCK' || attempt >= MAX_TRANSACTION_ATTEMPTS) {
+        throw error;
+      }
+      console.warn(`Deadlock en transacción, reintentando (${attempt}/${MAX_TRANSACTION_ATTEMPTS - 1})`);
+    }
+  }
+};
+
 module.exports = {
   pool,
   testConnection,
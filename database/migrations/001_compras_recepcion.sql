@@ -0,0 +1,13 @@
+-- Recepción de compras y referencia de movimientos a su documento de origen
+USE inventario_db;
+
+ALTER TABLE compras
+    ADD COLUMN recibida BOOLEAN DEFAULT FALSE AFTER estado,
+    ADD COLUMN fecha_recepcion TIMESTAMP NULL AFTER recibida;
+
+ALTER TABLE movimientos_inventario
+    ADD COLUMN referencia_tipo VARCHAR(30) NULL AFTER usuario_id,
+    ADD COLUMN referencia_id INT NULL AFTER referencia_tipo;
+
+CREATE INDEX idx_movimientos_referencia ON movimientos_inventario(referencia_tipo, referencia_id);
+CREATE INDEX idx_compras_proveedor ON compras(proveedor_id);
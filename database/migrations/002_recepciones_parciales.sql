@@ -0,0 +1,46 @@
+-- Recepciones parciales de compras
+USE inventario_db;
+
+ALTER TABLE detalles_compra
+    ADD COLUMN cantidad_recibida INT NOT NULL DEFAULT 0 AFTER cantidad;
+
+ALTER TABLE compras
+    ADD COLUMN estado_recepcion ENUM('abierta', 'parcial', 'completa') DEFAULT 'abierta' AFTER estado;
+
+-- Las compras recibidas con el flujo anterior se recibieron completas
+UPDATE detalles_compra d
+JOIN compras c ON d.compra_id = c.id
+SET d.cantidad_recibida = d.cantidad
+WHERE c.recibida = 1;
+
+UPDATE compras SET estado_recepcion = 'completa' WHERE recibida = 1;
+
+ALTER TABLE compras DROP COLUMN recibida;
+
+CREATE TABLE recepciones_compra (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    compra_id INT NOT NULL,
+    numero_guia VARCHAR(50),
+    usuario_id INT NOT NULL,
+    notas TEXT,
+    fecha_recepcion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (compra_id) REFERENCES compras(id) ON DELETE RESTRICT,
+    FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE RESTRICT
+);
+
+CREATE TABLE detalles_recepcion (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    recepcion_id INT NOT NULL,
+    detalle_compra_id INT NOT NULL,
+    producto_id INT NOT NULL,
+    cantidad INT NOT NULL,
+    movimiento_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (recepcion_id) REFERENCES recepciones_compra(id) ON DELETE CASCADE,
+    FOREIGN KEY (detalle_compra_id) REFERENCES detalles_compra(id) ON DELETE RESTRICT,
+    FOREIGN KEY (producto_id) REFERENCES productos(id) ON DELETE RESTRICT,
+    FOREIGN KEY (movimiento_id) REFERENCES movimientos_inventario(id) ON DELETE RESTRICT
+);
+
+CREATE INDEX idx_recepciones_compra ON recepciones_compra(compra_id);
@@ -0,0 +1,9 @@
+-- Ventas con salida de inventario por línea
+USE inventario_db;
+
+ALTER TABLE detalles_venta
+    ADD COLUMN movimiento_id INT NULL AFTER subtotal,
+    ADD FOREIGN KEY (movimiento_id) REFERENCES movimientos_inventario(id) ON DELETE RESTRICT;
+
+CREATE INDEX idx_ventas_fecha ON ventas(fecha_venta);
+CREATE INDEX idx_ventas_estado ON ventas(estado);
@@ -0,0 +1,38 @@
+-- Anulación de ventas y devoluciones de clientes
+USE inventario_db;
+
+ALTER TABLE ventas
+    ADD COLUMN monto_devuelto DECIMAL(10,2) NOT NULL DEFAULT 0.00 AFTER total;
+
+ALTER TABLE detalles_venta
+    ADD COLUMN cantidad_devuelta INT NOT NULL DEFAULT 0 AFTER cantidad;
+
+CREATE TABLE devoluciones_venta (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    venta_id INT NOT NULL,
+    total DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    motivo TEXT,
+    usuario_id INT NOT NULL,
+    fecha_devolucion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (venta_id) REFERENCES ventas(id) ON DELETE RESTRICT,
+    FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE RESTRICT
+);
+
+CREATE TABLE detalles_devolucion_venta (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    devolucion_id INT NOT NULL,
+    detalle_venta_id INT NOT NULL,
+    producto_id INT NOT NULL,
+    cantidad INT NOT NULL,
+    precio_unitario DECIMAL(10,2) NOT NULL,
+    subtotal DECIMAL(10,2) NOT NULL,
+    movimiento_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (devolucion_id) REFERENCES devoluciones_venta(id) ON DELETE CASCADE,
+    FOREIGN KEY (detalle_venta_id) REFERENCES detalles_venta(id) ON DELETE RESTRICT,
+    FOREIGN KEY (producto_id) REFERENCES productos(id) ON DELETE RESTRICT,
+    FOREIGN KEY (movimiento_id) REFERENCES movimientos_inventario(id) ON DELETE RESTRICT
+);
+
+CREATE INDEX idx_devoluciones_venta ON devoluciones_venta(venta_id);
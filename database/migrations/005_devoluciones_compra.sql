@@ -0,0 +1,42 @@
+-- Devoluciones a proveedor
+USE inventario_db;
+
+ALTER TABLE compras
+    ADD COLUMN monto_devuelto DECIMAL(10,2) NOT NULL DEFAULT 0.00 AFTER total;
+
+ALTER TABLE detalles_compra
+    ADD COLUMN cantidad_devuelta INT NOT NULL DEFAULT 0 AFTER cantidad_recibida;
+
+CREATE TABLE devoluciones_compra (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    compra_id INT NOT NULL,
+    proveedor_id INT NOT NULL,
+    numero_nota_credito VARCHAR(50),
+    total DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    motivo TEXT,
+    usuario_id INT NOT NULL,
+    fecha_devolucion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (compra_id) REFERENCES compras(id) ON DELETE RESTRICT,
+    FOREIGN KEY (proveedor_id) REFERENCES proveedores(id) ON DELETE RESTRICT,
+    FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE RESTRICT
+);
+
+CREATE TABLE detalles_devolucion_compra (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    devolucion_id INT NOT NULL,
+    detalle_compra_id INT NOT NULL,
+    producto_id INT NOT NULL,
+    cantidad INT NOT NULL,
+    precio_unitario DECIMAL(10,2) NOT NULL,
+    subtotal DECIMAL(10,2) NOT NULL,
+    movimiento_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (devolucion_id) REFERENCES devoluciones_compra(id) ON DELETE CASCADE,
+    FOREIGN KEY (detalle_compra_id) REFERENCES detalles_compra(id) ON DELETE RESTRICT,
+    FOREIGN KEY (producto_id) REFERENCES productos(id) ON DELETE RESTRICT,
+    FOREIGN KEY (movimiento_id) REFERENCES movimientos_inventario(id) ON DELETE RESTRICT
+);
+
+CREATE INDEX idx_devoluciones_compra ON devoluciones_compra(compra_id);
+CREATE INDEX idx_devoluciones_compra_proveedor ON devoluciones_compra(proveedor_id);
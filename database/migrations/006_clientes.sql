@@ -0,0 +1,35 @@
+-- Maestro de clientes y referencia desde ventas
+USE inventario_db;
+
+CREATE TABLE clientes (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    nombre VARCHAR(200) NOT NULL,
+    tipo_documento ENUM('DNI', 'RUC', 'CE', 'PASAPORTE') NULL,
+    numero_documento VARCHAR(20) NULL,
+    direccion TEXT,
+    telefono VARCHAR(20),
+    email VARCHAR(100),
+    limite_credito DECIMAL(10,2) NULL,
+    activo BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+ALTER TABLE ventas
+    ADD COLUMN cliente_id INT NULL AFTER numero_factura,
+    ADD FOREIGN KEY (cliente_id) REFERENCES clientes(id) ON DELETE RESTRICT;
+
+-- Migrar los clientes escritos a mano en ventas.cliente (sin documento: se completa después)
+INSERT INTO clientes (nombre)
+SELECT DISTINCT TRIM(cliente)
+FROM ventas
+WHERE cliente IS NOT NULL AND TRIM(cliente) <> '';
+
+UPDATE ventas v
+JOIN clientes c ON c.nombre = TRIM(v.cliente)
+SET v.cliente_id = c.id
+WHERE v.cliente_id IS NULL;
+
+CREATE INDEX idx_ventas_cliente ON ventas(cliente_id);
+CREATE INDEX idx_clientes_documento ON clientes(tipo_documento, numero_documento);
+CREATE INDEX idx_clientes_nombre ON clientes(nombre);
@@ -0,0 +1,20 @@
+-- Catálogo de proveedores por producto
+USE inventario_db;
+
+CREATE TABLE productos_proveedores (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    producto_id INT NOT NULL,
+    proveedor_id INT NOT NULL,
+    sku_proveedor VARCHAR(50),
+    costo_ultimo DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    cantidad_minima INT NOT NULL DEFAULT 1,
+    tiempo_entrega_dias INT NOT NULL DEFAULT 0,
+    preferido BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_producto_proveedor (producto_id, proveedor_id),
+    FOREIGN KEY (producto_id) REFERENCES productos(id) ON DELETE RESTRICT,
+    FOREIGN KEY (proveedor_id) REFERENCES proveedores(id) ON DELETE RESTRICT
+);
+
+CREATE INDEX idx_productos_proveedores_proveedor ON productos_proveedores(proveedor_id);
@@ -0,0 +1,10 @@
+-- Parámetros de reposición por producto y compras en borrador
+USE inventario_db;
+
+ALTER TABLE productos
+    ADD COLUMN punto_reorden INT NULL AFTER stock_actual,
+    ADD COLUMN cantidad_reorden INT NULL AFTER punto_reorden,
+    ADD COLUMN stock_maximo INT NULL AFTER cantidad_reorden;
+
+ALTER TABLE compras
+    MODIFY COLUMN estado ENUM('borrador', 'pendiente', 'pagada', 'cancelada') DEFAULT 'pendiente';
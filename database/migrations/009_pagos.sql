@@ -0,0 +1,47 @@
+-- Pagos de compras y ventas, con saldo y estado derivados
+USE inventario_db;
+
+ALTER TABLE compras
+    ADD COLUMN monto_pagado DECIMAL(10,2) NOT NULL DEFAULT 0.00 AFTER monto_devuelto;
+
+ALTER TABLE ventas
+    ADD COLUMN monto_pagado DECIMAL(10,2) NOT NULL DEFAULT 0.00 AFTER monto_devuelto;
+
+CREATE TABLE pagos (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    compra_id INT NULL,
+    venta_id INT NULL,
+    monto DECIMAL(10,2) NOT NULL,
+    metodo ENUM('efectivo', 'transferencia', 'tarjeta', 'cheque', 'deposito', 'otro') NOT NULL,
+    fecha_pago DATE NOT NULL,
+    referencia VARCHAR(100),
+    notas TEXT,
+    anulado BOOLEAN DEFAULT FALSE,
+    motivo_anulacion VARCHAR(500),
+    usuario_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    CHECK ((compra_id IS NULL) <> (venta_id IS NULL)),
+    FOREIGN KEY (compra_id) REFERENCES compras(id) ON DELETE RESTRICT,
+    FOREIGN KEY (venta_id) REFERENCES ventas(id) ON DELETE RESTRICT,
+    FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE RESTRICT
+);
+
+CREATE INDEX idx_pagos_compra ON pagos(compra_id);
+CREATE INDEX idx_pagos_venta ON pagos(venta_id);
+CREATE INDEX idx_pagos_fecha ON pagos(fecha_pago);
+
+-- Los documentos marcados como pagados antes de este cambio se registran como
+-- pagados por su saldo completo para conservar su estado
+INSERT INTO pagos (compra_id, monto, metodo, fecha_pago, notas, usuario_id)
+SELECT id, total - monto_devuelto, 'otro', DATE(updated_at), 'Pago migrado', usuario_id
+FROM compras
+WHERE estado = 'pagada' AND total - monto_devuelto > 0;
+
+INSERT INTO pagos (venta_id, monto, metodo, fecha_pago, notas, usuario_id)
+SELECT id, total - monto_devuelto, 'otro', DATE(updated_at), 'Pago migrado', usuario_id
+FROM ventas
+WHERE estado = 'pagada' AND total - monto_devuelto > 0;
+
+UPDATE compras SET monto_pagado = GREATEST(total - monto_devuelto, 0) WHERE estado = 'pagada';
+UPDATE ventas SET monto_pagado = GREATEST(total - monto_devuelto, 0) WHERE estado = 'pagada';
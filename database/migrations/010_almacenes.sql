@@ -0,0 +1,69 @@
+-- Almacenes y existencias por ubicación
+USE inventario_db;
+
+CREATE TABLE almacenes (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    codigo VARCHAR(20) NOT NULL UNIQUE,
+    nombre VARCHAR(100) NOT NULL,
+    tipo ENUM('almacen', 'tienda') DEFAULT 'almacen',
+    direccion TEXT,
+    telefono VARCHAR(20),
+    principal BOOLEAN DEFAULT FALSE,
+    activo BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+INSERT INTO almacenes (codigo, nombre, tipo, principal) VALUES
+('PRINCIPAL', 'Almacén principal', 'almacen', TRUE);
+
+SET @almacen_principal = LAST_INSERT_ID();
+
+CREATE TABLE stock_almacen (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    producto_id INT NOT NULL,
+    almacen_id INT NOT NULL,
+    cantidad INT NOT NULL DEFAULT 0,
+    stock_minimo INT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_stock_producto_almacen (producto_id, almacen_id),
+    FOREIGN KEY (producto_id) REFERENCES productos(id) ON DELETE RESTRICT,
+    FOREIGN KEY (almacen_id) REFERENCES almacenes(id) ON DELETE RESTRICT
+);
+
+-- Todo el stock existente queda en el almacén principal
+INSERT INTO stock_almacen (producto_id, almacen_id, cantidad)
+SELECT id, @almacen_principal, stock_actual FROM productos;
+
+-- Los movimientos existentes se registraron con un único stock por producto,
+-- que coincide con el del almacén principal
+ALTER TABLE movimientos_inventario
+    ADD COLUMN almacen_id INT NULL AFTER producto_id,
+    ADD COLUMN cantidad_anterior_almacen INT NULL AFTER cantidad_nueva,
+    ADD COLUMN cantidad_nueva_almacen INT NULL AFTER cantidad_anterior_almacen;
+
+UPDATE movimientos_inventario
+SET almacen_id = @almacen_principal,
+    cantidad_anterior_almacen = cantidad_anterior,
+    cantidad_nueva_almacen = cantidad_nueva;
+
+ALTER TABLE movimientos_inventario
+    MODIFY COLUMN almacen_id INT NOT NULL,
+    MODIFY COLUMN cantidad_anterior_almacen INT NOT NULL,
+    MODIFY COLUMN cantidad_nueva_almacen INT NOT NULL,
+    ADD FOREIGN KEY (almacen_id) REFERENCES almacenes(id) ON DELETE RESTRICT;
+
+ALTER TABLE compras ADD COLUMN almacen_id INT NULL AFTER proveedor_id;
+UPDATE compras SET almacen_id = @almacen_principal;
+ALTER TABLE compras
+    MODIFY COLUMN almacen_id INT NOT NULL,
+    ADD FOREIGN KEY (almacen_id) REFERENCES almacenes(id) ON DELETE RESTRICT;
+
+ALTER TABLE ventas ADD COLUMN almacen_id INT NULL AFTER cliente;
+UPDATE ventas SET almacen_id = @almacen_principal;
+ALTER TABLE ventas
+    MODIFY COLUMN almacen_id INT NOT NULL,
+    ADD FOREIGN KEY (almacen_id) REFERENCES almacenes(id) ON DELETE RESTRICT;
+
+CREATE INDEX idx_movimientos_almacen ON movimientos_inventario(almacen_id);
+CREATE INDEX idx_stock_almacen_almacen ON stock_almacen(almacen_id);
@@ -0,0 +1,43 @@
+-- Transferencias de mercadería entre almacenes
+USE inventario_db;
+
+CREATE TABLE transferencias (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    almacen_origen_id INT NOT NULL,
+    almacen_destino_id INT NOT NULL,
+    estado ENUM('pendiente', 'en_transito', 'recibida', 'cancelada') DEFAULT 'pendiente',
+    con_diferencias BOOLEAN DEFAULT FALSE,
+    notas TEXT,
+    usuario_id INT NOT NULL,
+    usuario_despacho_id INT NULL,
+    fecha_despacho TIMESTAMP NULL,
+    usuario_recepcion_id INT NULL,
+    fecha_recepcion TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (almacen_origen_id) REFERENCES almacenes(id) ON DELETE RESTRICT,
+    FOREIGN KEY (almacen_destino_id) REFERENCES almacenes(id) ON DELETE RESTRICT,
+    FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE RESTRICT,
+    FOREIGN KEY (usuario_despacho_id) REFERENCES usuarios(id) ON DELETE RESTRICT,
+    FOREIGN KEY (usuario_recepcion_id) REFERENCES usuarios(id) ON DELETE RESTRICT
+);
+
+CREATE TABLE detalles_transferencia (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    transferencia_id INT NOT NULL,
+    producto_id INT NOT NULL,
+    cantidad INT NOT NULL,
+    cantidad_enviada INT NOT NULL DEFAULT 0,
+    cantidad_recibida INT NOT NULL DEFAULT 0,
+    observacion VARCHAR(500),
+    movimiento_salida_id INT NULL,
+    movimiento_entrada_id INT NULL,
+    FOREIGN KEY (transferencia_id) REFERENCES transferencias(id) ON DELETE CASCADE,
+    FOREIGN KEY (producto_id) REFERENCES productos(id) ON DELETE RESTRICT,
+    FOREIGN KEY (movimiento_salida_id) REFERENCES movimientos_inventario(id) ON DELETE RESTRICT,
+    FOREIGN KEY (movimiento_entrada_id) REFERENCES movimientos_inventario(id) ON DELETE RESTRICT
+);
+
+CREATE INDEX idx_transferencias_estado ON transferencias(estado);
+CREATE INDEX idx_transferencias_origen ON transferencias(almacen_origen_id);
+CREATE INDEX idx_transferencias_destino ON transferencias(almacen_destino_id);
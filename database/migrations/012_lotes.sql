@@ -0,0 +1,35 @@
+-- Lotes y fechas de vencimiento con despacho FEFO
+USE inventario_db;
+
+ALTER TABLE productos
+    ADD COLUMN maneja_lotes BOOLEAN DEFAULT FALSE AFTER stock_maximo;
+
+CREATE TABLE lotes (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    producto_id INT NOT NULL,
+    almacen_id INT NOT NULL,
+    numero_lote VARCHAR(50) NOT NULL,
+    fecha_vencimiento DATE NULL,
+    cantidad INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_lote_producto_almacen (producto_id, almacen_id, numero_lote),
+    FOREIGN KEY (producto_id) REFERENCES productos(id) ON DELETE RESTRICT,
+    FOREIGN KEY (almacen_id) REFERENCES almacenes(id) ON DELETE RESTRICT
+);
+
+CREATE TABLE movimientos_lotes (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    movimiento_id INT NOT NULL,
+    lote_id INT NOT NULL,
+    cantidad INT NOT NULL,
+    cantidad_anterior INT NOT NULL,
+    cantidad_nueva INT NOT NULL,
+    FOREIGN KEY (movimiento_id) REFERENCES movimientos_inventario(id) ON DELETE RESTRICT,
+    FOREIGN KEY (lote_id) REFERENCES lotes(id) ON DELETE RESTRICT
+);
+
+CREATE INDEX idx_lotes_vencimiento ON lotes(fecha_vencimiento);
+CREATE INDEX idx_lotes_numero ON lotes(numero_lote);
+CREATE INDEX idx_movimientos_lotes_movimiento ON movimientos_lotes(movimiento_id);
+CREATE INDEX idx_movimientos_lotes_lote ON movimientos_lotes(lote_id);
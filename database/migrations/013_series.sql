@@ -0,0 +1,38 @@
+-- Números de serie para productos serializados
+USE inventario_db;
+
+ALTER TABLE productos
+    ADD COLUMN maneja_series BOOLEAN DEFAULT FALSE AFTER maneja_lotes;
+
+CREATE TABLE series (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    producto_id INT NOT NULL,
+    numero_serie VARCHAR(100) NOT NULL,
+    estado ENUM('disponible', 'fuera') NOT NULL DEFAULT 'disponible',
+    almacen_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_serie_producto (producto_id, numero_serie),
+    FOREIGN KEY (producto_id) REFERENCES productos(id) ON DELETE RESTRICT,
+    FOREIGN KEY (almacen_id) REFERENCES almacenes(id) ON DELETE RESTRICT
+);
+
+CREATE TABLE movimientos_series (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    movimiento_id INT NOT NULL,
+    serie_id INT NOT NULL,
+    UNIQUE KEY uk_movimiento_serie (movimiento_id, serie_id),
+    FOREIGN KEY (movimiento_id) REFERENCES movimientos_inventario(id) ON DELETE RESTRICT,
+    FOREIGN KEY (serie_id) REFERENCES series(id) ON DELETE RESTRICT
+);
+
+CREATE INDEX idx_series_numero ON series(numero_serie);
+CREATE INDEX idx_series_almacen ON series(almacen_id, estado);
+CREATE INDEX idx_movimientos_series_serie ON movimientos_series(serie_id);
+
+-- Los electrónicos se controlan por unidad. Los que ya tienen existencias se
+-- marcan con PUT /api/products/:id/series una vez reingresadas con sus series.
+UPDATE productos p
+JOIN categorias c ON p.categoria_id = c.id
+SET p.maneja_series = TRUE
+WHERE c.nombre = 'Electrónicos' AND p.stock_actual = 0;
@@ -0,0 +1,54 @@
+-- Sesiones de conteo físico de inventario
+USE inventario_db;
+
+CREATE TABLE conteos (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    almacen_id INT NOT NULL,
+    categoria_id INT NULL,
+    estado ENUM('abierto', 'en_revision', 'aprobado', 'cancelado') DEFAULT 'abierto',
+    notas TEXT,
+    unidades_faltantes INT NOT NULL DEFAULT 0,
+    unidades_sobrantes INT NOT NULL DEFAULT 0,
+    valor_diferencia DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    usuario_id INT NOT NULL,
+    usuario_aprobacion_id INT NULL,
+    fecha_aprobacion TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (almacen_id) REFERENCES almacenes(id) ON DELETE RESTRICT,
+    FOREIGN KEY (categoria_id) REFERENCES categorias(id) ON DELETE RESTRICT,
+    FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE RESTRICT,
+    FOREIGN KEY (usuario_aprobacion_id) REFERENCES usuarios(id) ON DELETE RESTRICT
+);
+
+CREATE TABLE detalles_conteo (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    conteo_id INT NOT NULL,
+    producto_id INT NOT NULL,
+    lote_id INT NULL,
+    numero_lote VARCHAR(50) NULL,
+    cantidad_esperada INT NOT NULL DEFAULT 0,
+    cantidad_contada INT NULL,
+    diferencia INT NULL,
+    costo_unitario DECIMAL(10,2) NULL,
+    movimiento_id INT NULL,
+    FOREIGN KEY (conteo_id) REFERENCES conteos(id) ON DELETE CASCADE,
+    FOREIGN KEY (producto_id) REFERENCES productos(id) ON DELETE RESTRICT,
+    FOREIGN KEY (lote_id) REFERENCES lotes(id) ON DELETE RESTRICT,
+    FOREIGN KEY (movimiento_id) REFERENCES movimientos_inventario(id) ON DELETE RESTRICT
+);
+
+CREATE TABLE registros_conteo (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    detalle_conteo_id INT NOT NULL,
+    dispositivo VARCHAR(100) NOT NULL,
+    cantidad INT NOT NULL,
+    usuario_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (detalle_conteo_id) REFERENCES detalles_conteo(id) ON DELETE CASCADE,
+    FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE RESTRICT
+);
+
+CREATE INDEX idx_conteos_almacen ON conteos(almacen_id, estado);
+CREATE INDEX idx_detalles_conteo_conteo ON detalles_conteo(conteo_id);
+CREATE INDEX idx_registros_conteo_detalle ON registros_conteo(detalle_conteo_id, dispositivo);
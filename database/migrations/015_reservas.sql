@@ -0,0 +1,24 @@
+-- Reservas de stock por documento con vencimiento
+USE inventario_db;
+
+CREATE TABLE reservas (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    producto_id INT NOT NULL,
+    almacen_id INT NOT NULL,
+    cantidad INT NOT NULL,
+    cantidad_consumida INT NOT NULL DEFAULT 0,
+    referencia_tipo VARCHAR(30) NOT NULL,
+    referencia_id INT NOT NULL,
+    estado ENUM('activa', 'liberada', 'consumida') DEFAULT 'activa',
+    fecha_vencimiento DATETIME NULL,
+    notas TEXT,
+    usuario_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (producto_id) REFERENCES productos(id) ON DELETE RESTRICT,
+    FOREIGN KEY (almacen_id) REFERENCES almacenes(id) ON DELETE RESTRICT,
+    FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE RESTRICT
+);
+
+CREATE INDEX idx_reservas_producto ON reservas(producto_id, almacen_id, estado);
+CREATE INDEX idx_reservas_referencia ON reservas(referencia_tipo, referencia_id);
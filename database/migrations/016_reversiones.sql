@@ -0,0 +1,6 @@
+-- Reversión de movimientos de inventario con un movimiento compensatorio
+USE inventario_db;
+
+ALTER TABLE movimientos_inventario
+    ADD COLUMN revertido_por_id INT NULL AFTER referencia_id,
+    ADD FOREIGN KEY (revertido_por_id) REFERENCES movimientos_inventario(id) ON DELETE RESTRICT;
@@ -0,0 +1,34 @@
+-- Costeo de inventario: costo por movimiento, costo promedio y capas FIFO
+USE inventario_db;
+
+ALTER TABLE productos
+    ADD COLUMN costo_promedio DECIMAL(12,4) NOT NULL DEFAULT 0.0000 AFTER precio_compra;
+
+ALTER TABLE movimientos_inventario
+    ADD COLUMN costo_unitario DECIMAL(12,4) NULL AFTER cantidad_nueva_almacen,
+    ADD COLUMN costo_total DECIMAL(12,2) NULL AFTER costo_unitario;
+
+CREATE TABLE capas_costo (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    producto_id INT NOT NULL,
+    almacen_id INT NOT NULL,
+    movimiento_id INT NULL,
+    costo_unitario DECIMAL(12,4) NOT NULL,
+    cantidad_inicial INT NOT NULL,
+    cantidad_restante INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (producto_id) REFERENCES productos(id) ON DELETE RESTRICT,
+    FOREIGN KEY (almacen_id) REFERENCES almacenes(id) ON DELETE RESTRICT,
+    FOREIGN KEY (movimiento_id) REFERENCES movimientos_inventario(id) ON DELETE RESTRICT
+);
+
+CREATE INDEX idx_capas_costo_producto ON capas_costo(producto_id, almacen_id, cantidad_restante);
+
+-- Las existencias actuales no tienen costo registrado: se toman al precio de compra
+UPDATE productos SET costo_promedio = precio_compra;
+
+INSERT INTO capas_costo (producto_id, almacen_id, costo_unitario, cantidad_inicial, cantidad_restante)
+SELECT sa.producto_id, sa.almacen_id, p.precio_compra, sa.cantidad, sa.cantidad
+FROM stock_almacen sa
+JOIN productos p ON sa.producto_id = p.id
+WHERE sa.cantidad > 0;
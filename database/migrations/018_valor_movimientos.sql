@@ -0,0 +1,7 @@
+-- Valor del stock después de cada movimiento, para reconstruir la valuación a una fecha
+USE inventario_db;
+
+ALTER TABLE movimientos_inventario
+    ADD COLUMN valor_nuevo DECIMAL(14,2) NULL AFTER costo_total;
+
+CREATE INDEX idx_movimientos_producto_fecha ON movimientos_inventario(producto_id, fecha_movimiento);
@@ -0,0 +1,56 @@
+-- Catálogo de motivos de ajuste y aprobación de ajustes que superan los umbrales
+USE inventario_db;
+
+CREATE TABLE motivos_ajuste (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    codigo VARCHAR(30) UNIQUE NOT NULL,
+    nombre VARCHAR(100) NOT NULL,
+    descripcion TEXT,
+    activo BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+INSERT INTO motivos_ajuste (codigo, nombre, descripcion) VALUES
+('DANO', 'Daño', 'Mercadería dañada o rota'),
+('ROBO', 'Robo o extravío', 'Faltante por robo o pérdida'),
+('CONTEO', 'Corrección por conteo', 'Diferencia detectada en un conteo físico'),
+('VENCIMIENTO', 'Vencimiento', 'Baja de mercadería vencida');
+
+ALTER TABLE movimientos_inventario
+    ADD COLUMN motivo_ajuste_id INT NULL AFTER motivo,
+    ADD FOREIGN KEY (motivo_ajuste_id) REFERENCES motivos_ajuste(id) ON DELETE RESTRICT;
+
+CREATE TABLE solicitudes_ajuste (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    producto_id INT NOT NULL,
+    almacen_id INT NOT NULL,
+    lote_id INT NULL,
+    numero_lote VARCHAR(50) NULL,
+    fecha_vencimiento DATE NULL,
+    cantidad INT NOT NULL,
+    cantidad_anterior INT NOT NULL,
+    diferencia INT NOT NULL,
+    costo_unitario DECIMAL(12,4) NULL,
+    valor_estimado DECIMAL(12,2) NOT NULL,
+    motivo_ajuste_id INT NOT NULL,
+    motivo TEXT,
+    estado ENUM('pendiente', 'aprobada', 'rechazada') DEFAULT 'pendiente',
+    usuario_id INT NOT NULL,
+    usuario_revision_id INT NULL,
+    fecha_revision TIMESTAMP NULL,
+    comentario_revision TEXT,
+    movimiento_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (producto_id) REFERENCES productos(id) ON DELETE RESTRICT,
+    FOREIGN KEY (almacen_id) REFERENCES almacenes(id) ON DELETE RESTRICT,
+    FOREIGN KEY (lote_id) REFERENCES lotes(id) ON DELETE RESTRICT,
+    FOREIGN KEY (motivo_ajuste_id) REFERENCES motivos_ajuste(id) ON DELETE RESTRICT,
+    FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE RESTRICT,
+    FOREIGN KEY (usuario_revision_id) REFERENCES usuarios(id) ON DELETE RESTRICT,
+    FOREIGN KEY (movimiento_id) REFERENCES movimientos_inventario(id) ON DELETE RESTRICT
+);
+
+CREATE INDEX idx_solicitudes_ajuste_estado ON solicitudes_ajuste(estado, created_at);
+CREATE INDEX idx_solicitudes_ajuste_producto ON solicitudes_ajuste(producto_id);
@@ -0,0 +1,171 @@
+-- Unidades de medida por producto con factores de conversión y cantidades fraccionarias
+USE inventario_db;
+
+CREATE TABLE unidades_medida (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    codigo VARCHAR(20) UNIQUE NOT NULL,
+    nombre VARCHAR(50) NOT NULL,
+    fraccionable BOOLEAN DEFAULT FALSE,
+    activo BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+INSERT INTO unidades_medida (codigo, nombre, fraccionable) VALUES
+('UND', 'Unidad', FALSE),
+('CAJA', 'Caja', FALSE),
+('PAQ', 'Paquete', FALSE),
+('KG', 'Kilogramo', TRUE),
+('G', 'Gramo', TRUE),
+('M', 'Metro', TRUE),
+('L', 'Litro', TRUE);
+
+-- Unidad de stock (en la que se llevan las existencias) y unidades por defecto de
+-- compra y venta; los productos existentes quedan en unidades
+ALTER TABLE productos
+    ADD COLUMN unidad_id INT NULL AFTER stock_maximo,
+    ADD COLUMN unidad_compra_id INT NULL AFTER unidad_id,
+    ADD COLUMN unidad_venta_id INT NULL AFTER unidad_compra_id;
+
+UPDATE productos SET unidad_id = (SELECT id FROM unidades_medida WHERE codigo = 'UND');
+
+ALTER TABLE productos
+    MODIFY COLUMN unidad_id INT NOT NULL,
+    ADD FOREIGN KEY (unidad_id) REFERENCES unidades_medida(id) ON DELETE RESTRICT,
+    ADD FOREIGN KEY (unidad_compra_id) REFERENCES unidades_medida(id) ON DELETE RESTRICT,
+    ADD FOREIGN KEY (unidad_venta_id) REFERENCES unidades_medida(id) ON DELETE RESTRICT;
+
+CREATE TABLE unidades_producto (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    producto_id INT NOT NULL,
+    unidad_id INT NOT NULL,
+    factor DECIMAL(14,6) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_unidades_producto (producto_id, unidad_id),
+    FOREIGN KEY (producto_id) REFERENCES productos(id) ON DELETE CASCADE,
+    FOREIGN KEY (unidad_id) REFERENCES unidades_medida(id) ON DELETE RESTRICT
+);
+
+-- Unidad, cantidad y precio en que se indicó el movimiento o la línea, si no es
+-- la de stock (cantidad y precio_unitario quedan en unidad de stock)
+ALTER TABLE movimientos_inventario
+    ADD COLUMN unidad_id INT NULL AFTER cantidad,
+    ADD COLUMN cantidad_unidad DECIMAL(14,3) NULL AFTER unidad_id,
+    ADD FOREIGN KEY (unidad_id) REFERENCES unidades_medida(id) ON DELETE RESTRICT;
+
+ALTER TABLE detalles_compra
+    ADD COLUMN unidad_id INT NULL AFTER cantidad,
+    ADD COLUMN cantidad_unidad DECIMAL(14,3) NULL AFTER unidad_id,
+    ADD COLUMN precio_unidad DECIMAL(10,2) NULL AFTER precio_unitario,
+    ADD FOREIGN KEY (unidad_id) REFERENCES unidades_medida(id) ON DELETE RESTRICT;
+
+ALTER TABLE detalles_venta
+    ADD COLUMN unidad_id INT NULL AFTER cantidad,
+    ADD COLUMN cantidad_unidad DECIMAL(14,3) NULL AFTER unidad_id,
+    ADD COLUMN precio_unidad DECIMAL(10,2) NULL AFTER precio_unitario,
+    ADD FOREIGN KEY (unidad_id) REFERENCES unidades_medida(id) ON DELETE RESTRICT;
+
+-- Recepciones y devoluciones guardan la unidad y cantidad indicadas (la cantidad
+-- queda en unidad de stock)
+ALTER TABLE detalles_recepcion
+    ADD COLUMN unidad_id INT NULL AFTER cantidad,
+    ADD COLUMN cantidad_unidad DECIMAL(14,3) NULL AFTER unidad_id,
+    ADD FOREIGN KEY (unidad_id) REFERENCES unidades_medida(id) ON DELETE RESTRICT;
+
+ALTER TABLE detalles_devolucion_compra
+    ADD COLUMN unidad_id INT NULL AFTER cantidad,
+    ADD COLUMN cantidad_unidad DECIMAL(14,3) NULL AFTER unidad_id,
+    ADD FOREIGN KEY (unidad_id) REFERENCES unidades_medida(id) ON DELETE RESTRICT;
+
+ALTER TABLE detalles_devolucion_venta
+    ADD COLUMN unidad_id INT NULL AFTER cantidad,
+    ADD COLUMN cantidad_unidad DECIMAL(14,3) NULL AFTER unidad_id,
+    ADD FOREIGN KEY (unidad_id) REFERENCES unidades_medida(id) ON DELETE RESTRICT;
+
+-- Las cantidades en unidad de stock admiten fracciones (productos por peso o longitud);
+-- el precio por unidad de stock de una línea en cajas necesita más decimales
+ALTER TABLE productos
+    MODIFY COLUMN stock_minimo DECIMAL(14,3) NOT NULL DEFAULT 0,
+    MODIFY COLUMN stock_actual DECIMAL(14,3) NOT NULL DEFAULT 0,
+    MODIFY COLUMN punto_reorden DECIMAL(14,3) NULL,
+    MODIFY COLUMN cantidad_reorden DECIMAL(14,3) NULL,
+    MODIFY COLUMN stock_maximo DECIMAL(14,3) NULL;
+
+ALTER TABLE stock_almacen
+    MODIFY COLUMN cantidad DECIMAL(14,3) NOT NULL DEFAULT 0,
+    MODIFY COLUMN stock_minimo DECIMAL(14,3) NULL;
+
+ALTER TABLE movimientos_inventario
+    MODIFY COLUMN cantidad DECIMAL(14,3) NOT NULL,
+    MODIFY COLUMN cantidad_anterior DECIMAL(14,3) NOT NULL,
+    MODIFY COLUMN cantidad_nueva DECIMAL(14,3) NOT NULL,
+    MODIFY COLUMN cantidad_anterior_almacen DECIMAL(14,3) NOT NULL,
+    MODIFY COLUMN cantidad_nueva_almacen DECIMAL(14,3) NOT NULL;
+
+ALTER TABLE capas_costo
+    MODIFY COLUMN cantidad_inicial DECIMAL(14,3) NOT NULL,
+    MODIFY COLUMN cantidad_restante DECIMAL(14,3) NOT NULL;
+
+ALTER TABLE lotes
+    MODIFY COLUMN cantidad DECIMAL(14,3) NOT NULL DEFAULT 0;
+
+ALTER TABLE movimientos_lotes
+    MODIFY COLUMN cantidad DECIMAL(14,3) NOT NULL,
+    MODIFY COLUMN cantidad_anterior DECIMAL(14,3) NOT NULL,
+    MODIFY COLUMN cantidad_nueva DECIMAL(14,3) NOT NULL;
+
+ALTER TABLE conteos
+    MODIFY COLUMN unidades_faltantes DECIMAL(14,3) NOT NULL DEFAULT 0,
+    MODIFY COLUMN unidades_sobrantes DECIMAL(14,3) NOT NULL DEFAULT 0;
+
+ALTER TABLE detalles_conteo
+    MODIFY COLUMN cantidad_esperada DECIMAL(14,3) NOT NULL DEFAULT 0,
+    MODIFY COLUMN cantidad_contada DECIMAL(14,3) NULL,
+    MODIFY COLUMN diferencia DECIMAL(14,3) NULL,
+    MODIFY COLUMN costo_unitario DECIMAL(12,4) NULL;
+
+ALTER TABLE registros_conteo
+    MODIFY COLUMN cantidad DECIMAL(14,3) NOT NULL;
+
+ALTER TABLE reservas
+    MODIFY COLUMN cantidad DECIMAL(14,3) NOT NULL,
+    MODIFY COLUMN cantidad_consumida DECIMAL(14,3) NOT NULL DEFAULT 0;
+
+ALTER TABLE solicitudes_ajuste
+    MODIFY COLUMN cantidad DECIMAL(14,3) NOT NULL,
+    MODIFY COLUMN cantidad_anterior DECIMAL(14,3) NOT NULL,
+    MODIFY COLUMN diferencia DECIMAL(14,3) NOT NULL;
+
+ALTER TABLE detalles_compra
+    MODIFY COLUMN precio_unitario DECIMAL(12,4) NOT NULL,
+    MODIFY COLUMN cantidad DECIMAL(14,3) NOT NULL,
+    MODIFY COLUMN cantidad_recibida DECIMAL(14,3) NOT NULL DEFAULT 0,
+    MODIFY COLUMN cantidad_devuelta DECIMAL(14,3) NOT NULL DEFAULT 0;
+
+ALTER TABLE detalles_recepcion
+    MODIFY COLUMN cantidad DECIMAL(14,3) NOT NULL;
+
+ALTER TABLE detalles_devolucion_compra
+    MODIFY COLUMN cantidad DECIMAL(14,3) NOT NULL,
+    MODIFY COLUMN precio_unitario DECIMAL(12,4) NOT NULL;
+
+ALTER TABLE detalles_venta
+    MODIFY COLUMN precio_unitario DECIMAL(12,4) NOT NULL,
+    MODIFY COLUMN cantidad DECIMAL(14,3) NOT NULL,
+    MODIFY COLUMN cantidad_devuelta DECIMAL(14,3) NOT NULL DEFAULT 0;
+
+ALTER TABLE detalles_devolucion_venta
+    MODIFY COLUMN cantidad DECIMAL(14,3) NOT NULL,
+    MODIFY COLUMN precio_unitario DECIMAL(12,4) NOT NULL;
+
+-- El último costo del proveedor se guarda por unidad de stock: con dos decimales
+-- el precio de una caja recalculado con el factor se desviaría
+ALTER TABLE productos_proveedores
+    MODIFY COLUMN costo_ultimo DECIMAL(12,4) NOT NULL DEFAULT 0.0000,
+    MODIFY COLUMN cantidad_minima DECIMAL(14,3) NOT NULL DEFAULT 1;
+
+ALTER TABLE detalles_transferencia
+    MODIFY COLUMN cantidad DECIMAL(14,3) NOT NULL,
+    MODIFY COLUMN cantidad_enviada DECIMAL(14,3) NOT NULL DEFAULT 0,
+    MODIFY COLUMN cantidad_recibida DECIMAL(14,3) NOT NULL DEFAULT 0;
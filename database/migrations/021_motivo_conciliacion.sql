@@ -0,0 +1,5 @@
+-- Motivo de ajuste para las conciliaciones del libro de movimientos
+USE inventario_db;
+
+INSERT INTO motivos_ajuste (codigo, nombre, descripcion) VALUES
+('CONCILIACION', 'Conciliación del libro', 'Ajuste que cuadra el libro de movimientos con las existencias');
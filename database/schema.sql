@@ -40,7 +40,21 @@ CREATE TABLE categorias (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 );
 
+-- Tabla de unidades de medida. Las fraccionables (peso, longitud, volumen)
+-- admiten cantidades con decimales.
+CREATE TABLE unidades_medida (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    codigo VARCHAR(20) UNIQUE NOT NULL,
+    nombre VARCHAR(50) NOT NULL,
+    fraccionable BOOLEAN DEFAULT FALSE,
+    activo BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
 -- Tabla de productos
+-- unidad_id es la unidad de stock; unidad_compra_id y unidad_venta_id, las que se
+-- usan por defecto en compras y ventas (sin ellas, la de stock)
 CREATE TABLE productos (
     id INT PRIMARY KEY AUTO_INCREMENT,
     codigo VARCHAR(50) NOT NULL UNIQUE,
@@ -48,32 +62,293 @@ CREATE TABLE productos (
     descripcion TEXT,
     precio DECIMAL(10,2) NOT NULL DEFAULT 0.00,
     precio_compra DECIMAL(10,2) NOT NULL DEFAULT 0.00,
-    stock_minimo INT NOT NULL DEFAULT 0,
-    stock_actual INT NOT NULL DEFAULT 0,
+    costo_promedio DECIMAL(12,4) NOT NULL DEFAULT 0.0000,
+    stock_minimo DECIMAL(14,3) NOT NULL DEFAULT 0,
+    stock_actual DECIMAL(14,3) NOT NULL DEFAULT 0,
+    punto_reorden DECIMAL(14,3) NULL,
+    cantidad_reorden DECIMAL(14,3) NULL,
+    stock_maximo DECIMAL(14,3) NULL,
+    unidad_id INT NOT NULL,
+    unidad_compra_id INT NULL,
+    unidad_venta_id INT NULL,
+    maneja_lotes BOOLEAN DEFAULT FALSE,
+    maneja_series BOOLEAN DEFAULT FALSE,
     categoria_id INT NOT NULL,
     imagen VARCHAR(255),
     activo BOOLEAN DEFAULT TRUE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-    FOREIGN KEY (categoria_id) REFERENCES categorias(id) ON DELETE RESTRICT
+    FOREIGN KEY (categoria_id) REFERENCES categorias(id) ON DELETE RESTRICT,
+    FOREIGN KEY (unidad_id) REFERENCES unidades_medida(id) ON DELETE RESTRICT,
+    FOREIGN KEY (unidad_compra_id) REFERENCES unidades_medida(id) ON DELETE RESTRICT,
+    FOREIGN KEY (unidad_venta_id) REFERENCES unidades_medida(id) ON DELETE RESTRICT
+);
+
+-- Tabla de conversiones de unidades por producto: factor es la cantidad en
+-- unidad de stock de una unidad (p. ej. una CAJA = 24 UND)
+CREATE TABLE unidades_producto (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    producto_id INT NOT NULL,
+    unidad_id INT NOT NULL,
+    factor DECIMAL(14,6) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_unidades_producto (producto_id, unidad_id),
+    FOREIGN KEY (producto_id) REFERENCES productos(id) ON DELETE CASCADE,
+    FOREIGN KEY (unidad_id) REFERENCES unidades_medida(id) ON DELETE RESTRICT
+);
+
+-- Tabla de almacenes y tiendas
+CREATE TABLE almacenes (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    codigo VARCHAR(20) NOT NULL UNIQUE,
+    nombre VARCHAR(100) NOT NULL,
+    tipo ENUM('almacen', 'tienda') DEFAULT 'almacen',
+    direccion TEXT,
+    telefono VARCHAR(20),
+    principal BOOLEAN DEFAULT FALSE,
+    activo BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Tabla de existencias por producto y almacén (productos.stock_actual es la suma)
+CREATE TABLE stock_almacen (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    producto_id INT NOT NULL,
+    almacen_id INT NOT NULL,
+    cantidad DECIMAL(14,3) NOT NULL DEFAULT 0,
+    stock_minimo DECIMAL(14,3) NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_stock_producto_almacen (producto_id, almacen_id),
+    FOREIGN KEY (producto_id) REFERENCES productos(id) ON DELETE RESTRICT,
+    FOREIGN KEY (almacen_id) REFERENCES almacenes(id) ON DELETE RESTRICT
+);
+
+-- Tabla de motivos de ajuste: todo ajuste manual indica uno
+CREATE TABLE motivos_ajuste (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    codigo VARCHAR(30) UNIQUE NOT NULL,
+    nombre VARCHAR(100) NOT NULL,
+    descripcion TEXT,
+    activo BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 );
 
 -- Tabla de movimientos de inventario
+-- Las cantidades están en la unidad de stock del producto; unidad_id y
+-- cantidad_unidad guardan lo indicado si el movimiento se registró en otra unidad.
+-- Un movimiento no se edita: se revierte con un movimiento compensatorio
+-- (referencia_tipo 'reversion') que queda en revertido_por_id.
+-- valor_nuevo es el valor a costo del stock total del producto después del movimiento
 CREATE TABLE movimientos_inventario (
     id INT PRIMARY KEY AUTO_INCREMENT,
     producto_id INT NOT NULL,
+    almacen_id INT NOT NULL,
     tipo ENUM('entrada', 'salida', 'ajuste') NOT NULL,
-    cantidad INT NOT NULL,
-    cantidad_anterior INT NOT NULL,
-    cantidad_nueva INT NOT NULL,
+    cantidad DECIMAL(14,3) NOT NULL,
+    unidad_id INT NULL,
+    cantidad_unidad DECIMAL(14,3) NULL,
+    cantidad_anterior DECIMAL(14,3) NOT NULL,
+    cantidad_nueva DECIMAL(14,3) NOT NULL,
+    cantidad_anterior_almacen DECIMAL(14,3) NOT NULL,
+    cantidad_nueva_almacen DECIMAL(14,3) NOT NULL,
+    costo_unitario DECIMAL(12,4) NULL,
+    costo_total DECIMAL(12,2) NULL,
+    valor_nuevo DECIMAL(14,2) NULL,
     motivo TEXT,
+    motivo_ajuste_id INT NULL,
     usuario_id INT NOT NULL,
+    referencia_tipo VARCHAR(30) NULL,
+    referencia_id INT NULL,
+    revertido_por_id INT NULL,
     fecha_movimiento TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (producto_id) REFERENCES productos(id) ON DELETE RESTRICT,
+    FOREIGN KEY (almacen_id) REFERENCES almacenes(id) ON DELETE RESTRICT,
+    FOREIGN KEY (unidad_id) REFERENCES unidades_medida(id) ON DELETE RESTRICT,
+    FOREIGN KEY (motivo_ajuste_id) REFERENCES motivos_ajuste(id) ON DELETE RESTRICT,
+    FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE RESTRICT,
+    FOREIGN KEY (revertido_por_id) REFERENCES movimientos_inventario(id) ON DELETE RESTRICT
+);
+
+-- Tabla de capas de costo: cada ingreso crea una capa con su costo unitario y
+-- las salidas las consumen en orden FIFO. costo_promedio del producto es el
+-- promedio ponderado móvil; METODO_COSTEO define cuál valúa existencias y salidas.
+CREATE TABLE capas_costo (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    producto_id INT NOT NULL,
+    almacen_id INT NOT NULL,
+    movimiento_id INT NULL,
+    costo_unitario DECIMAL(12,4) NOT NULL,
+    cantidad_inicial DECIMAL(14,3) NOT NULL,
+    cantidad_restante DECIMAL(14,3) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (producto_id) REFERENCES productos(id) ON DELETE RESTRICT,
+    FOREIGN KEY (almacen_id) REFERENCES almacenes(id) ON DELETE RESTRICT,
+    FOREIGN KEY (movimiento_id) REFERENCES movimientos_inventario(id) ON DELETE RESTRICT
+);
+
+-- Tabla de lotes: existencias por número de lote y almacén
+CREATE TABLE lotes (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    producto_id INT NOT NULL,
+    almacen_id INT NOT NULL,
+    numero_lote VARCHAR(50) NOT NULL,
+    fecha_vencimiento DATE NULL,
+    cantidad DECIMAL(14,3) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_lote_producto_almacen (producto_id, almacen_id, numero_lote),
+    FOREIGN KEY (producto_id) REFERENCES productos(id) ON DELETE RESTRICT,
+    FOREIGN KEY (almacen_id) REFERENCES almacenes(id) ON DELETE RESTRICT
+);
+
+-- Tabla de asignación de movimientos a lotes (un movimiento puede afectar varios lotes)
+CREATE TABLE movimientos_lotes (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    movimiento_id INT NOT NULL,
+    lote_id INT NOT NULL,
+    cantidad DECIMAL(14,3) NOT NULL,
+    cantidad_anterior DECIMAL(14,3) NOT NULL,
+    cantidad_nueva DECIMAL(14,3) NOT NULL,
+    FOREIGN KEY (movimiento_id) REFERENCES movimientos_inventario(id) ON DELETE RESTRICT,
+    FOREIGN KEY (lote_id) REFERENCES lotes(id) ON DELETE RESTRICT
+);
+
+-- Tabla de números de serie: una fila por unidad de los productos serializados
+CREATE TABLE series (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    producto_id INT NOT NULL,
+    numero_serie VARCHAR(100) NOT NULL,
+    estado ENUM('disponible', 'fuera') NOT NULL DEFAULT 'disponible',
+    almacen_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_serie_producto (producto_id, numero_serie),
+    FOREIGN KEY (producto_id) REFERENCES productos(id) ON DELETE RESTRICT,
+    FOREIGN KEY (almacen_id) REFERENCES almacenes(id) ON DELETE RESTRICT
+);
+
+-- Tabla de unidades (series) afectadas por cada movimiento
+CREATE TABLE movimientos_series (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    movimiento_id INT NOT NULL,
+    serie_id INT NOT NULL,
+    UNIQUE KEY uk_movimiento_serie (movimiento_id, serie_id),
+    FOREIGN KEY (movimiento_id) REFERENCES movimientos_inventario(id) ON DELETE RESTRICT,
+    FOREIGN KEY (serie_id) REFERENCES series(id) ON DELETE RESTRICT
+);
+
+-- Tabla de sesiones de conteo físico (por almacén y, opcionalmente, categoría)
+CREATE TABLE conteos (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    almacen_id INT NOT NULL,
+    categoria_id INT NULL,
+    estado ENUM('abierto', 'en_revision', 'aprobado', 'cancelado') DEFAULT 'abierto',
+    notas TEXT,
+    unidades_faltantes DECIMAL(14,3) NOT NULL DEFAULT 0,
+    unidades_sobrantes DECIMAL(14,3) NOT NULL DEFAULT 0,
+    valor_diferencia DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    usuario_id INT NOT NULL,
+    usuario_aprobacion_id INT NULL,
+    fecha_aprobacion TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (almacen_id) REFERENCES almacenes(id) ON DELETE RESTRICT,
+    FOREIGN KEY (categoria_id) REFERENCES categorias(id) ON DELETE RESTRICT,
+    FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE RESTRICT,
+    FOREIGN KEY (usuario_aprobacion_id) REFERENCES usuarios(id) ON DELETE RESTRICT
+);
+
+-- Tabla de líneas del conteo: cantidad esperada congelada al abrir la sesión
+-- (por lote en los productos que manejan lotes) y resultado al aprobar
+CREATE TABLE detalles_conteo (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    conteo_id INT NOT NULL,
+    producto_id INT NOT NULL,
+    lote_id INT NULL,
+    numero_lote VARCHAR(50) NULL,
+    cantidad_esperada DECIMAL(14,3) NOT NULL DEFAULT 0,
+    cantidad_contada DECIMAL(14,3) NULL,
+    diferencia DECIMAL(14,3) NULL,
+    costo_unitario DECIMAL(12,4) NULL,
+    movimiento_id INT NULL,
+    FOREIGN KEY (conteo_id) REFERENCES conteos(id) ON DELETE CASCADE,
+    FOREIGN KEY (producto_id) REFERENCES productos(id) ON DELETE RESTRICT,
+    FOREIGN KEY (lote_id) REFERENCES lotes(id) ON DELETE RESTRICT,
+    FOREIGN KEY (movimiento_id) REFERENCES movimientos_inventario(id) ON DELETE RESTRICT
+);
+
+-- Tabla de cantidades informadas por los contadores (una o más por dispositivo)
+CREATE TABLE registros_conteo (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    detalle_conteo_id INT NOT NULL,
+    dispositivo VARCHAR(100) NOT NULL,
+    cantidad DECIMAL(14,3) NOT NULL,
+    usuario_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (detalle_conteo_id) REFERENCES detalles_conteo(id) ON DELETE CASCADE,
     FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE RESTRICT
 );
 
+-- Tabla de reservas de stock: apartan existencias de un almacén para un documento
+-- (pedido, orden de picking, etc.) sin moverlas. Una reserva activa con
+-- fecha_vencimiento pasada ya no retiene stock.
+CREATE TABLE reservas (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    producto_id INT NOT NULL,
+    almacen_id INT NOT NULL,
+    cantidad DECIMAL(14,3) NOT NULL,
+    cantidad_consumida DECIMAL(14,3) NOT NULL DEFAULT 0,
+    referencia_tipo VARCHAR(30) NOT NULL,
+    referencia_id INT NOT NULL,
+    estado ENUM('activa', 'liberada', 'consumida') DEFAULT 'activa',
+    fecha_vencimiento DATETIME NULL,
+    notas TEXT,
+    usuario_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (producto_id) REFERENCES productos(id) ON DELETE RESTRICT,
+    FOREIGN KEY (almacen_id) REFERENCES almacenes(id) ON DELETE RESTRICT,
+    FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE RESTRICT
+);
+
+-- Tabla de solicitudes de ajuste: los ajustes que superan los umbrales de
+-- cantidad o valor (AJUSTE_UMBRAL_CANTIDAD / AJUSTE_UMBRAL_VALOR) quedan
+-- pendientes y solo mueven stock al aprobarse (movimiento_id)
+CREATE TABLE solicitudes_ajuste (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    producto_id INT NOT NULL,
+    almacen_id INT NOT NULL,
+    lote_id INT NULL,
+    numero_lote VARCHAR(50) NULL,
+    fecha_vencimiento DATE NULL,
+    cantidad DECIMAL(14,3) NOT NULL,
+    cantidad_anterior DECIMAL(14,3) NOT NULL,
+    diferencia DECIMAL(14,3) NOT NULL,
+    costo_unitario DECIMAL(12,4) NULL,
+    valor_estimado DECIMAL(12,2) NOT NULL,
+    motivo_ajuste_id INT NOT NULL,
+    motivo TEXT,
+    estado ENUM('pendiente', 'aprobada', 'rechazada') DEFAULT 'pendiente',
+    usuario_id INT NOT NULL,
+    usuario_revision_id INT NULL,
+    fecha_revision TIMESTAMP NULL,
+    comentario_revision TEXT,
+    movimiento_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (producto_id) REFERENCES productos(id) ON DELETE RESTRICT,
+    FOREIGN KEY (almacen_id) REFERENCES almacenes(id) ON DELETE RESTRICT,
+    FOREIGN KEY (lote_id) REFERENCES lotes(id) ON DELETE RESTRICT,
+    FOREIGN KEY (motivo_ajuste_id) REFERENCES motivos_ajuste(id) ON DELETE RESTRICT,
+    FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE RESTRICT,
+    FOREIGN KEY (usuario_revision_id) REFERENCES usuarios(id) ON DELETE RESTRICT,
+    FOREIGN KEY (movimiento_id) REFERENCES movimientos_inventario(id) ON DELETE RESTRICT
+);
+
 -- Tabla de proveedores
 CREATE TABLE proveedores (
     id INT PRIMARY KEY AUTO_INCREMENT,
@@ -88,19 +363,42 @@ CREATE TABLE proveedores (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 );
 
+-- Tabla de catálogo de proveedores por producto
+CREATE TABLE productos_proveedores (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    producto_id INT NOT NULL,
+    proveedor_id INT NOT NULL,
+    sku_proveedor VARCHAR(50),
+    costo_ultimo DECIMAL(12,4) NOT NULL DEFAULT 0.0000,
+    cantidad_minima DECIMAL(14,3) NOT NULL DEFAULT 1,
+    tiempo_entrega_dias INT NOT NULL DEFAULT 0,
+    preferido BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_producto_proveedor (producto_id, proveedor_id),
+    FOREIGN KEY (producto_id) REFERENCES productos(id) ON DELETE RESTRICT,
+    FOREIGN KEY (proveedor_id) REFERENCES proveedores(id) ON DELETE RESTRICT
+);
+
 -- Tabla de compras
 CREATE TABLE compras (
     id INT PRIMARY KEY AUTO_INCREMENT,
     numero_factura VARCHAR(50),
     proveedor_id INT NOT NULL,
+    almacen_id INT NOT NULL,
     fecha_compra DATE NOT NULL,
     total DECIMAL(10,2) NOT NULL DEFAULT 0.00,
-    estado ENUM('pendiente', 'pagada', 'cancelada') DEFAULT 'pendiente',
+    monto_devuelto DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    monto_pagado DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    estado ENUM('borrador', 'pendiente', 'pagada', 'cancelada') DEFAULT 'pendiente',
+    estado_recepcion ENUM('abierta', 'parcial', 'completa') DEFAULT 'abierta',
+    fecha_recepcion TIMESTAMP NULL,
     usuario_id INT NOT NULL,
     notas TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (proveedor_id) REFERENCES proveedores(id) ON DELETE RESTRICT,
+    FOREIGN KEY (almacen_id) REFERENCES almacenes(id) ON DELETE RESTRICT,
     FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE RESTRICT
 );
 
@@ -109,26 +407,121 @@ CREATE TABLE detalles_compra (
     id INT PRIMARY KEY AUTO_INCREMENT,
     compra_id INT NOT NULL,
     producto_id INT NOT NULL,
-    cantidad INT NOT NULL,
-    precio_unitario DECIMAL(10,2) NOT NULL,
+    cantidad DECIMAL(14,3) NOT NULL,
+    unidad_id INT NULL,
+    cantidad_unidad DECIMAL(14,3) NULL,
+    cantidad_recibida DECIMAL(14,3) NOT NULL DEFAULT 0,
+    cantidad_devuelta DECIMAL(14,3) NOT NULL DEFAULT 0,
+    precio_unitario DECIMAL(12,4) NOT NULL,
+    precio_unidad DECIMAL(10,2) NULL,
     subtotal DECIMAL(10,2) NOT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (compra_id) REFERENCES compras(id) ON DELETE CASCADE,
-    FOREIGN KEY (producto_id) REFERENCES productos(id) ON DELETE RESTRICT
+    FOREIGN KEY (producto_id) REFERENCES productos(id) ON DELETE RESTRICT,
+    FOREIGN KEY (unidad_id) REFERENCES unidades_medida(id) ON DELETE RESTRICT
+);
+
+-- Tabla de recepciones de compra (guías de ingreso, admite entregas parciales)
+CREATE TABLE recepciones_compra (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    compra_id INT NOT NULL,
+    numero_guia VARCHAR(50),
+    usuario_id INT NOT NULL,
+    notas TEXT,
+    fecha_recepcion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (compra_id) REFERENCES compras(id) ON DELETE RESTRICT,
+    FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE RESTRICT
+);
+
+-- Tabla de detalles de recepción
+CREATE TABLE detalles_recepcion (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    recepcion_id INT NOT NULL,
+    detalle_compra_id INT NOT NULL,
+    producto_id INT NOT NULL,
+    cantidad DECIMAL(14,3) NOT NULL,
+    unidad_id INT NULL,
+    cantidad_unidad DECIMAL(14,3) NULL,
+    movimiento_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (recepcion_id) REFERENCES recepciones_compra(id) ON DELETE CASCADE,
+    FOREIGN KEY (detalle_compra_id) REFERENCES detalles_compra(id) ON DELETE RESTRICT,
+    FOREIGN KEY (producto_id) REFERENCES productos(id) ON DELETE RESTRICT,
+    FOREIGN KEY (unidad_id) REFERENCES unidades_medida(id) ON DELETE RESTRICT,
+    FOREIGN KEY (movimiento_id) REFERENCES movimientos_inventario(id) ON DELETE RESTRICT
+);
+
+-- Tabla de devoluciones a proveedor
+CREATE TABLE devoluciones_compra (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    compra_id INT NOT NULL,
+    proveedor_id INT NOT NULL,
+    numero_nota_credito VARCHAR(50),
+    total DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    motivo TEXT,
+    usuario_id INT NOT NULL,
+    fecha_devolucion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (compra_id) REFERENCES compras(id) ON DELETE RESTRICT,
+    FOREIGN KEY (proveedor_id) REFERENCES proveedores(id) ON DELETE RESTRICT,
+    FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE RESTRICT
+);
+
+-- Tabla de detalles de devolución a proveedor
+CREATE TABLE detalles_devolucion_compra (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    devolucion_id INT NOT NULL,
+    detalle_compra_id INT NOT NULL,
+    producto_id INT NOT NULL,
+    cantidad DECIMAL(14,3) NOT NULL,
+    unidad_id INT NULL,
+    cantidad_unidad DECIMAL(14,3) NULL,
+    precio_unitario DECIMAL(12,4) NOT NULL,
+    subtotal DECIMAL(10,2) NOT NULL,
+    movimiento_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (devolucion_id) REFERENCES devoluciones_compra(id) ON DELETE CASCADE,
+    FOREIGN KEY (detalle_compra_id) REFERENCES detalles_compra(id) ON DELETE RESTRICT,
+    FOREIGN KEY (producto_id) REFERENCES productos(id) ON DELETE RESTRICT,
+    FOREIGN KEY (unidad_id) REFERENCES unidades_medida(id) ON DELETE RESTRICT,
+    FOREIGN KEY (movimiento_id) REFERENCES movimientos_inventario(id) ON DELETE RESTRICT
+);
+
+-- Tabla de clientes
+CREATE TABLE clientes (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    nombre VARCHAR(200) NOT NULL,
+    tipo_documento ENUM('DNI', 'RUC', 'CE', 'PASAPORTE') NULL,
+    numero_documento VARCHAR(20) NULL,
+    direccion TEXT,
+    telefono VARCHAR(20),
+    email VARCHAR(100),
+    limite_credito DECIMAL(10,2) NULL,
+    activo BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 );
 
 -- Tabla de ventas
+-- cliente guarda el nombre del cliente al momento de la venta
 CREATE TABLE ventas (
     id INT PRIMARY KEY AUTO_INCREMENT,
     numero_factura VARCHAR(50),
+    cliente_id INT NULL,
     cliente VARCHAR(200),
+    almacen_id INT NOT NULL,
     fecha_venta DATE NOT NULL,
     total DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    monto_devuelto DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    monto_pagado DECIMAL(10,2) NOT NULL DEFAULT 0.00,
     estado ENUM('pendiente', 'pagada', 'cancelada') DEFAULT 'pendiente',
     usuario_id INT NOT NULL,
     notas TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (cliente_id) REFERENCES clientes(id) ON DELETE RESTRICT,
+    FOREIGN KEY (almacen_id) REFERENCES almacenes(id) ON DELETE RESTRICT,
     FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE RESTRICT
 );
 
@@ -137,12 +530,112 @@ CREATE TABLE detalles_venta (
     id INT PRIMARY KEY AUTO_INCREMENT,
     venta_id INT NOT NULL,
     producto_id INT NOT NULL,
-    cantidad INT NOT NULL,
-    precio_unitario DECIMAL(10,2) NOT NULL,
+    cantidad DECIMAL(14,3) NOT NULL,
+    unidad_id INT NULL,
+    cantidad_unidad DECIMAL(14,3) NULL,
+    cantidad_devuelta DECIMAL(14,3) NOT NULL DEFAULT 0,
+    precio_unitario DECIMAL(12,4) NOT NULL,
+    precio_unidad DECIMAL(10,2) NULL,
     subtotal DECIMAL(10,2) NOT NULL,
+    movimiento_id INT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (venta_id) REFERENCES ventas(id) ON DELETE CASCADE,
-    FOREIGN KEY (producto_id) REFERENCES productos(id) ON DELETE RESTRICT
+    FOREIGN KEY (producto_id) REFERENCES productos(id) ON DELETE RESTRICT,
+    FOREIGN KEY (unidad_id) REFERENCES unidades_medida(id) ON DELETE RESTRICT,
+    FOREIGN KEY (movimiento_id) REFERENCES movimientos_inventario(id) ON DELETE RESTRICT
+);
+
+-- Tabla de devoluciones de clientes
+CREATE TABLE devoluciones_venta (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    venta_id INT NOT NULL,
+    total DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    motivo TEXT,
+    usuario_id INT NOT NULL,
+    fecha_devolucion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (venta_id) REFERENCES ventas(id) ON DELETE RESTRICT,
+    FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE RESTRICT
+);
+
+-- Tabla de detalles de devolución de clientes
+CREATE TABLE detalles_devolucion_venta (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    devolucion_id INT NOT NULL,
+    detalle_venta_id INT NOT NULL,
+    producto_id INT NOT NULL,
+    cantidad DECIMAL(14,3) NOT NULL,
+    unidad_id INT NULL,
+    cantidad_unidad DECIMAL(14,3) NULL,
+    precio_unitario DECIMAL(12,4) NOT NULL,
+    subtotal DECIMAL(10,2) NOT NULL,
+    movimiento_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (devolucion_id) REFERENCES devoluciones_venta(id) ON DELETE CASCADE,
+    FOREIGN KEY (detalle_venta_id) REFERENCES detalles_venta(id) ON DELETE RESTRICT,
+    FOREIGN KEY (producto_id) REFERENCES productos(id) ON DELETE RESTRICT,
+    FOREIGN KEY (unidad_id) REFERENCES unidades_medida(id) ON DELETE RESTRICT,
+    FOREIGN KEY (movimiento_id) REFERENCES movimientos_inventario(id) ON DELETE RESTRICT
+);
+
+-- Tabla de transferencias entre almacenes
+CREATE TABLE transferencias (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    almacen_origen_id INT NOT NULL,
+    almacen_destino_id INT NOT NULL,
+    estado ENUM('pendiente', 'en_transito', 'recibida', 'cancelada') DEFAULT 'pendiente',
+    con_diferencias BOOLEAN DEFAULT FALSE,
+    notas TEXT,
+    usuario_id INT NOT NULL,
+    usuario_despacho_id INT NULL,
+    fecha_despacho TIMESTAMP NULL,
+    usuario_recepcion_id INT NULL,
+    fecha_recepcion TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (almacen_origen_id) REFERENCES almacenes(id) ON DELETE RESTRICT,
+    FOREIGN KEY (almacen_destino_id) REFERENCES almacenes(id) ON DELETE RESTRICT,
+    FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE RESTRICT,
+    FOREIGN KEY (usuario_despacho_id) REFERENCES usuarios(id) ON DELETE RESTRICT,
+    FOREIGN KEY (usuario_recepcion_id) REFERENCES usuarios(id) ON DELETE RESTRICT
+);
+
+-- Tabla de detalles de transferencia
+CREATE TABLE detalles_transferencia (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    transferencia_id INT NOT NULL,
+    producto_id INT NOT NULL,
+    cantidad DECIMAL(14,3) NOT NULL,
+    cantidad_enviada DECIMAL(14,3) NOT NULL DEFAULT 0,
+    cantidad_recibida DECIMAL(14,3) NOT NULL DEFAULT 0,
+    observacion VARCHAR(500),
+    movimiento_salida_id INT NULL,
+    movimiento_entrada_id INT NULL,
+    FOREIGN KEY (transferencia_id) REFERENCES transferencias(id) ON DELETE CASCADE,
+    FOREIGN KEY (producto_id) REFERENCES productos(id) ON DELETE RESTRICT,
+    FOREIGN KEY (movimiento_salida_id) REFERENCES movimientos_inventario(id) ON DELETE RESTRICT,
+    FOREIGN KEY (movimiento_entrada_id) REFERENCES movimientos_inventario(id) ON DELETE RESTRICT
+);
+
+-- Tabla de pagos de compras (a proveedores) y ventas (de clientes)
+CREATE TABLE pagos (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    compra_id INT NULL,
+    venta_id INT NULL,
+    monto DECIMAL(10,2) NOT NULL,
+    metodo ENUM('efectivo', 'transferencia', 'tarjeta', 'cheque', 'deposito', 'otro') NOT NULL,
+    fecha_pago DATE NOT NULL,
+    referencia VARCHAR(100),
+    notas TEXT,
+    anulado BOOLEAN DEFAULT FALSE,
+    motivo_anulacion VARCHAR(500),
+    usuario_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    CHECK ((compra_id IS NULL) <> (venta_id IS NULL)),
+    FOREIGN KEY (compra_id) REFERENCES compras(id) ON DELETE RESTRICT,
+    FOREIGN KEY (venta_id) REFERENCES ventas(id) ON DELETE RESTRICT,
+    FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE RESTRICT
 );
 
 -- Insertar roles por defecto
@@ -156,6 +649,28 @@ INSERT INTO roles (nombre, descripcion, permisos) VALUES
 INSERT INTO usuarios (username, email, password, nombre, apellido, rol_id) VALUES
 ('admin', 'admin@inventario.com', '$2b$12$dfQVE58aielp.QXvl4OoQusffBZIHoGz10lcywj12dZ6w1lEv2qqe', 'Administrador', 'Sistema', 1);
 
+-- Insertar almacén principal
+INSERT INTO almacenes (codigo, nombre, tipo, principal) VALUES
+('PRINCIPAL', 'Almacén principal', 'almacen', TRUE);
+
+-- Insertar unidades de medida
+INSERT INTO unidades_medida (codigo, nombre, fraccionable) VALUES
+('UND', 'Unidad', FALSE),
+('CAJA', 'Caja', FALSE),
+('PAQ', 'Paquete', FALSE),
+('KG', 'Kilogramo', TRUE),
+('G', 'Gramo', TRUE),
+('M', 'Metro', TRUE),
+('L', 'Litro', TRUE);
+
+-- Insertar motivos de ajuste
+INSERT INTO motivos_ajuste (codigo, nombre, descripcion) VALUES
+('DANO', 'Daño', 'Mercadería dañada o rota'),
+('ROBO', 'Robo o extravío', 'Faltante por robo o pérdida'),
+('CONTEO', 'Corrección por conteo', 'Diferencia detectada en un conteo físico'),
+('VENCIMIENTO', 'Vencimiento', 'Baja de mercadería vencida'),
+('CONCILIACION', 'Conciliación del libro', 'Ajuste que cuadra el libro de movimientos con las existencias');
+
 -- Insertar categorías de ejemplo
 INSERT INTO categorias (nombre, descripcion) VALUES
 ('Electrónicos', 'Productos electrónicos y tecnológicos'),
@@ -169,5 +684,41 @@ CREATE INDEX idx_productos_categoria ON productos(categoria_id);
 CREATE INDEX idx_productos_activo ON productos(activo);
 CREATE INDEX idx_movimientos_producto ON movimientos_inventario(producto_id);
 CREATE INDEX idx_movimientos_fecha ON movimientos_inventario(fecha_movimiento);
+CREATE INDEX idx_movimientos_producto_fecha ON movimientos_inventario(producto_id, fecha_movimiento);
+CREATE INDEX idx_movimientos_referencia ON movimientos_inventario(referencia_tipo, referencia_id);
+CREATE INDEX idx_movimientos_almacen ON movimientos_inventario(almacen_id);
+CREATE INDEX idx_stock_almacen_almacen ON stock_almacen(almacen_id);
+CREATE INDEX idx_capas_costo_producto ON capas_costo(producto_id, almacen_id, cantidad_restante);
+CREATE INDEX idx_lotes_vencimiento ON lotes(fecha_vencimiento);
+CREATE INDEX idx_lotes_numero ON lotes(numero_lote);
+CREATE INDEX idx_movimientos_lotes_movimiento ON movimientos_lotes(movimiento_id);
+CREATE INDEX idx_movimientos_lotes_lote ON movimientos_lotes(lote_id);
+CREATE INDEX idx_series_numero ON series(numero_serie);
+CREATE INDEX idx_series_almacen ON series(almacen_id, estado);
+CREATE INDEX idx_movimientos_series_serie ON movimientos_series(serie_id);
+CREATE INDEX idx_conteos_almacen ON conteos(almacen_id, estado);
+CREATE INDEX idx_detalles_conteo_conteo ON detalles_conteo(conteo_id);
+CREATE INDEX idx_registros_conteo_detalle ON registros_conteo(detalle_conteo_id, dispositivo);
+CREATE INDEX idx_reservas_producto ON reservas(producto_id, almacen_id, estado);
+CREATE INDEX idx_reservas_referencia ON reservas(referencia_tipo, referencia_id);
+CREATE INDEX idx_solicitudes_ajuste_estado ON solicitudes_ajuste(estado, created_at);
+CREATE INDEX idx_solicitudes_ajuste_producto ON solicitudes_ajuste(producto_id);
+CREATE INDEX idx_compras_proveedor ON compras(proveedor_id);
+CREATE INDEX idx_productos_proveedores_proveedor ON productos_proveedores(proveedor_id);
+CREATE INDEX idx_recepciones_compra ON recepciones_compra(compra_id);
+CREATE INDEX idx_devoluciones_compra ON devoluciones_compra(compra_id);
+CREATE INDEX idx_devoluciones_compra_proveedor ON devoluciones_compra(proveedor_id);
+CREATE INDEX idx_ventas_fecha ON ventas(fecha_venta);
+CREATE INDEX idx_ventas_estado ON ventas(estado);
+CREATE INDEX idx_ventas_cliente ON ventas(cliente_id);
+CREATE INDEX idx_clientes_documento ON clientes(tipo_documento, numero_documento);
+CREATE INDEX idx_clientes_nombre ON clientes(nombre);
+CREATE INDEX idx_devoluciones_venta ON devoluciones_venta(venta_id);
+CREATE INDEX idx_pagos_compra ON pagos(compra_id);
+CREATE INDEX idx_pagos_venta ON pagos(venta_id);
+CREATE INDEX idx_pagos_fecha ON pagos(fecha_pago);
+CREATE INDEX idx_transferencias_estado ON transferencias(estado);
+CREATE INDEX idx_transferencias_origen ON transferencias(almacen_origen_id);
+CREATE INDEX idx_transferencias_destino ON transferencias(almacen_destino_id);
 CREATE INDEX idx_usuarios_rol ON usuarios(rol_id);
 CREATE INDEX idx_usuarios_activo ON usuarios(activo);
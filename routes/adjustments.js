@@ -0,0 +1,517 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const { executeQuery, executeTransaction } = require('../config/database');
+const { authenticateToken, checkRole } = require('../middleware/auth');
+const { registerMovement } = require('../utils/stock');
+const { getApprovalThresholds, previewAdjustment } = require('../utils/adjustments');
+const { HttpError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Aplicar autenticación a todas las rutas
+router.use(authenticateToken);
+
+// Validaciones para motivos de ajuste
+const reasonValidation = [
+  body('codigo')
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('El código debe tener entre 1 y 30 caracteres')
+    .matches(/^[A-Za-z0-9_-]+$/)
+    .withMessage('El código solo puede contener letras, números, guiones y guiones bajos'),
+  body('nombre')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('El nombre debe tener entre 2 y 100 caracteres'),
+  body('descripcion')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('La descripción no puede exceder 1000 caracteres'),
+  body('activo')
+    .optional()
+    .isBoolean()
+    .withMessage('El campo activo debe ser verdadero o falso')
+];
+
+// Validaciones para revisar una solicitud de ajuste
+const reviewValidation = (comentarioRequerido) => [
+  comentarioRequerido
+    ? body('comentario')
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('El comentario es requerido (máximo 500 caracteres)')
+    : body('comentario')
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage('El comentario no puede exceder 500 caracteres')
+];
+
+// Columnas de la solicitud con su producto, almacén, motivo y usuarios
+const REQUEST_COLUMNS = `s.*, p.codigo as producto_codigo, p.nombre as producto_nombre, a.nombre as almacen_nombre,
+  ma.codigo as motivo_codigo, ma.nombre as motivo_nombre,
+  u.nombre as usuario_nombre, u.apellido as usuario_apellido,
+  ur.nombre as revisor_nombre, ur.apellido as revisor_apellido`;
+
+const REQUEST_JOINS = `FROM solicitudes_ajuste s
+  JOIN productos p ON s.producto_id = p.id
+  JOIN almacenes a ON s.almacen_id = a.id
+  JOIN motivos_ajuste ma ON s.motivo_ajuste_id = ma.id
+  JOIN usuarios u ON s.usuario_id = u.id
+  LEFT JOIN usuarios ur ON s.usuario_revision_id = ur.id`;
+
+// Obtiene una solicitud de ajuste con sus datos relacionados
+const findRequest = async (id) => {
+  const requests = await executeQuery(
+    `SELECT ${REQUEST_COLUMNS} ${REQUEST_JOINS} WHERE s.id = ?`,
+    [id]
+  );
+
+  return requests[0];
+};
+
+// Bloquea una solicitud pendiente. Quien la pidió no puede revisarla.
+const lockPendingRequest = async (connection, id, usuarioId) => {
+  const [requests] = await connection.execute(
+    'SELECT * FROM solicitudes_ajuste WHERE id = ? FOR UPDATE',
+    [id]
+  );
+
+  if (requests.length === 0) {
+    throw new HttpError(404, 'Solicitud no encontrada', 'La solicitud de ajuste no existe');
+  }
+
+  const request = requests[0];
+
+  if (request.estado !== 'pendiente') {
+    throw new HttpError(400, 'Estado inválido', `La solicitud de ajuste ya fue ${request.estado}`);
+  }
+
+  if (request.usuario_id === usuarioId) {
+    throw new HttpError(403, 'Acceso denegado', 'No puede revisar un ajuste solicitado por usted');
+  }
+
+  return request;
+};
+
+// GET /api/adjustments/motivos - Obtener el catálogo de motivos de ajuste
+router.get('/motivos', [
+  query('incluir_inactivos').optional().isBoolean().withMessage('incluir_inactivos debe ser verdadero o falso')
+], async (req, res) => {
+  try {
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const incluirInactivos = ['true', '1'].includes(req.query.incluir_inactivos);
+
+    const reasons = await executeQuery(
+      `SELECT * FROM motivos_ajuste${incluirInactivos ? '' : ' WHERE activo = 1'} ORDER BY nombre`
+    );
+
+    res.json({
+      success: true,
+      data: {
+        motivos: reasons,
+        umbrales: getApprovalThresholds()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo motivos de ajuste:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo los motivos de ajuste'
+    });
+  }
+});
+
+// POST /api/adjustments/motivos - Crear motivo de ajuste
+router.post('/motivos', reasonValidation, checkRole(['admin']), async (req, res) => {
+  try {
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const codigo = req.body.codigo.toUpperCase();
+    const { nombre, descripcion } = req.body;
+
+    const existing = await executeQuery(
+      'SELECT id FROM motivos_ajuste WHERE codigo = ?',
+      [codigo]
+    );
+
+    if (existing.length > 0) {
+      return res.status(409).json({
+        error: 'Motivo duplicado',
+        message: `Ya existe un motivo de ajuste con el código ${codigo}`
+      });
+    }
+
+    const result = await executeQuery(
+      'INSERT INTO motivos_ajuste (codigo, nombre, descripcion) VALUES (?, ?, ?)',
+      [codigo, nombre, descripcion || null]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Motivo de ajuste creado exitosamente',
+      data: {
+        id: result.insertId,
+        codigo,
+        nombre,
+        descripcion: descripcion || null,
+        activo: true
+      }
+    });
+
+  } catch (error) {
+    console.error('Error creando motivo de ajuste:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error creando el motivo de ajuste'
+    });
+  }
+});
+
+// PUT /api/adjustments/motivos/:id - Actualizar motivo de ajuste. Un motivo en
+// uso no se elimina: se desactiva para que no se indique en nuevos ajustes.
+router.put('/motivos/:id', reasonValidation, checkRole(['admin']), async (req, res) => {
+  try {
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const codigo = req.body.codigo.toUpperCase();
+    const { nombre, descripcion } = req.body;
+    const activo = req.body.activo === undefined ? true : [true, 'true', 1, '1'].includes(req.body.activo);
+
+    const existing = await executeQuery(
+      'SELECT id FROM motivos_ajuste WHERE codigo = ? AND id <> ?',
+      [codigo, id]
+    );
+
+    if (existing.length > 0) {
+      return res.status(409).json({
+        error: 'Motivo duplicado',
+        message: `Ya existe un motivo de ajuste con el código ${codigo}`
+      });
+    }
+
+    const result = await executeQuery(
+      'UPDATE motivos_ajuste SET codigo = ?, nombre = ?, descripcion = ?, activo = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [codigo, nombre, descripcion || null, activo, id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        error: 'Motivo no encontrado',
+        message: 'El motivo de ajuste no existe'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Motivo de ajuste actualizado exitosamente',
+      data: { id: parseInt(id), codigo, nombre, descripcion: descripcion || null, activo }
+    });
+
+  } catch (error) {
+    console.error('Error actualizando motivo de ajuste:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error actualizando el motivo de ajuste'
+    });
+  }
+});
+
+// GET /api/adjustments - Obtener solicitudes de ajuste con paginación y filtros
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).withMessage('La página debe ser un número positivo'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('El límite debe estar entre 1 y 100'),
+  query('estado').optional().isIn(['pendiente', 'aprobada', 'rechazada']).withMessage('Estado inválido'),
+  query('producto_id').optional().isInt({ min: 1 }).withMessage('ID de producto inválido'),
+  query('almacen_id').optional().isInt({ min: 1 }).withMessage('ID de almacén inválido'),
+  query('motivo_ajuste_id').optional().isInt({ min: 1 }).withMessage('ID de motivo de ajuste inválido')
+], async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver solicitudes de ajuste'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 10, estado, producto_id, almacen_id, motivo_ajuste_id } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'WHERE 1=1';
+    let params = [];
+
+    if (estado) {
+      whereClause += ' AND s.estado = ?';
+      params.push(estado);
+    }
+
+    if (producto_id) {
+      whereClause += ' AND s.producto_id = ?';
+      params.push(producto_id);
+    }
+
+    if (almacen_id) {
+      whereClause += ' AND s.almacen_id = ?';
+      params.push(almacen_id);
+    }
+
+    if (motivo_ajuste_id) {
+      whereClause += ' AND s.motivo_ajuste_id = ?';
+      params.push(motivo_ajuste_id);
+    }
+
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as total FROM solicitudes_ajuste s ${whereClause}`,
+      params
+    );
+
+    const total = countResult[0].total;
+
+    const requests = await executeQuery(
+      `SELECT ${REQUEST_COLUMNS} ${REQUEST_JOINS}
+       ${whereClause}
+       ORDER BY s.created_at DESC
+       LIMIT ? OFFSET ?`,
+      [...params, parseInt(limit), offset]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        solicitudes: requests,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo solicitudes de ajuste:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo la lista de solicitudes de ajuste'
+    });
+  }
+});
+
+// GET /api/adjustments/:id - Obtener solicitud de ajuste por ID
+router.get('/:id', async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver solicitudes de ajuste'
+      });
+    }
+
+    const request = await findRequest(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        error: 'Solicitud no encontrada',
+        message: 'La solicitud de ajuste no existe'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        solicitud: request
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo solicitud de ajuste:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo la solicitud de ajuste'
+    });
+  }
+});
+
+// POST /api/adjustments/:id/aprobar - Aprobar una solicitud y registrar el
+// ajuste. La cantidad solicitada es la nueva existencia del almacén (o del
+// lote): si las existencias cambiaron desde la solicitud, el ajuste ya no es el
+// que se revisó (diferencia y valor) y la aprobación se rechaza.
+router.post('/:id/aprobar', reviewValidation(false), checkRole(['admin', 'supervisor']), async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para aprobar ajustes de inventario'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    const movimiento = await executeTransaction(async (connection) => {
+      const request = await lockPendingRequest(connection, id, req.user.id);
+      const lotes = request.lote_id || request.numero_lote
+        ? [{ lote_id: request.lote_id, numero_lote: request.numero_lote, fecha_vencimiento: request.fecha_vencimiento }]
+        : null;
+
+      const preview = await previewAdjustment(connection, {
+        producto_id: request.producto_id,
+        almacen_id: request.almacen_id,
+        cantidad: request.cantidad,
+        lotes,
+        costo_unitario: request.costo_unitario
+      });
+
+      if (preview.cantidad_anterior !== request.cantidad_anterior) {
+        throw new HttpError(409, 'Existencias modificadas',
+          `Las existencias cambiaron desde la solicitud (eran ${request.cantidad_anterior}, ahora ${preview.cantidad_anterior}); ` +
+          'rechace la solicitud y registre un nuevo ajuste');
+      }
+
+      // El movimiento queda a nombre de quien lo solicitó; el revisor, en la solicitud
+      const movement = await registerMovement(connection, {
+        producto_id: request.producto_id,
+        almacen_id: request.almacen_id,
+        tipo: 'ajuste',
+        cantidad: request.cantidad,
+        motivo: request.motivo,
+        motivo_ajuste_id: request.motivo_ajuste_id,
+        usuario_id: request.usuario_id,
+        lotes,
+        costo_unitario: request.costo_unitario
+      });
+
+      await connection.execute(
+        `UPDATE solicitudes_ajuste SET estado = 'aprobada', usuario_revision_id = ?, fecha_revision = CURRENT_TIMESTAMP,
+                comentario_revision = ?, movimiento_id = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [req.user.id, req.body.comentario || null, movement.id, id]
+      );
+
+      return movement;
+    });
+
+    const request = await findRequest(id);
+
+    res.json({
+      success: true,
+      message: 'Ajuste aprobado y registrado exitosamente',
+      data: {
+        solicitud: request,
+        movimiento
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Error aprobando solicitud de ajuste:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error aprobando la solicitud de ajuste'
+    });
+  }
+});
+
+// POST /api/adjustments/:id/rechazar - Rechazar una solicitud sin modificar el stock
+router.post('/:id/rechazar', reviewValidation(true), checkRole(['admin', 'supervisor']), async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para rechazar ajustes de inventario'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    await executeTransaction(async (connection) => {
+      await lockPendingRequest(connection, id, req.user.id);
+
+      await connection.execute(
+        `UPDATE solicitudes_ajuste SET estado = 'rechazada', usuario_revision_id = ?, fecha_revision = CURRENT_TIMESTAMP,
+                comentario_revision = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [req.user.id, req.body.comentario, id]
+      );
+    });
+
+    const request = await findRequest(id);
+
+    res.json({
+      success: true,
+      message: 'Solicitud de ajuste rechazada',
+      data: {
+        solicitud: request
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Error rechazando solicitud de ajuste:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error rechazando la solicitud de ajuste'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,853 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const { executeQuery, executeTransaction } = require('../config/database');
+const { authenticateToken, checkRole } = require('../middleware/auth');
+const { resolveWarehouse, registerMovement } = require('../utils/stock');
+const { HttpError } = require('../utils/errors');
+const { roundMoney } = require('../utils/money');
+const { roundQuantity } = require('../utils/units');
+
+const router = express.Router();
+
+// Aplicar autenticación a todas las rutas
+router.use(authenticateToken);
+
+// Validaciones para abrir una sesión de conteo
+const countValidation = [
+  body('almacen_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID de almacén inválido'),
+  body('categoria_id')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('ID de categoría inválido'),
+  body('notas')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Las notas no pueden exceder 1000 caracteres')
+];
+
+// Validaciones para las cantidades informadas por un contador
+const recordValidation = [
+  body('dispositivo')
+    .trim()
+    .notEmpty()
+    .withMessage('El dispositivo es requerido')
+    .isLength({ max: 100 })
+    .withMessage('El dispositivo no puede exceder 100 caracteres'),
+  body('detalles')
+    .isArray({ min: 1 })
+    .withMessage('El registro debe tener al menos un detalle'),
+  body('detalles.*.detalle_conteo_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID de detalle de conteo inválido'),
+  body('detalles.*.producto_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID de producto inválido'),
+  body('detalles.*.numero_lote')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('El número de lote debe tener entre 1 y 50 caracteres'),
+  body('detalles.*.cantidad')
+    .isFloat({ min: 0 })
+    .withMessage('La cantidad contada debe ser un número no negativo')
+];
+
+// Cantidad contada de cada línea: la suma del último registro de cada
+// dispositivo (cada dispositivo cuenta su zona y puede corregir su cantidad)
+const COUNTED_QUANTITIES = `
+  SELECT r.detalle_conteo_id, SUM(r.cantidad) as cantidad_contada
+  FROM registros_conteo r
+  JOIN (
+    SELECT detalle_conteo_id, dispositivo, MAX(id) as id
+    FROM registros_conteo
+    GROUP BY detalle_conteo_id, dispositivo
+  ) ultimo ON r.id = ultimo.id
+  GROUP BY r.detalle_conteo_id`;
+
+// Obtiene la cabecera de la sesión de conteo
+const findCount = async (id) => {
+  const counts = await executeQuery(
+    `SELECT co.*, a.nombre as almacen_nombre, c.nombre as categoria_nombre,
+            u.nombre as usuario_nombre, u.apellido as usuario_apellido
+     FROM conteos co
+     JOIN almacenes a ON co.almacen_id = a.id
+     LEFT JOIN categorias c ON co.categoria_id = c.id
+     JOIN usuarios u ON co.usuario_id = u.id
+     WHERE co.id = ?`,
+    [id]
+  );
+
+  return counts[0];
+};
+
+// Bloquea la sesión verificando que esté en alguno de los estados esperados
+const lockCount = async (connection, id, estados) => {
+  const [counts] = await connection.execute(
+    'SELECT * FROM conteos WHERE id = ? FOR UPDATE',
+    [id]
+  );
+
+  if (counts.length === 0) {
+    throw new HttpError(404, 'Conteo no encontrado', 'La sesión de conteo solicitada no existe');
+  }
+
+  if (!estados.includes(counts[0].estado)) {
+    throw new HttpError(400, 'Estado inválido', `La sesión de conteo está ${counts[0].estado}`);
+  }
+
+  return counts[0];
+};
+
+// Cambia el estado de una sesión desde los estados admitidos
+const changeCountStatus = (id, desde, estado) => executeTransaction(async (connection) => {
+  await lockCount(connection, id, desde);
+
+  await connection.execute(
+    'UPDATE conteos SET estado = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [estado, id]
+  );
+});
+
+// GET /api/counts - Obtener sesiones de conteo con paginación y filtros
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).withMessage('La página debe ser un número positivo'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('El límite debe estar entre 1 y 100'),
+  query('estado').optional().isIn(['abierto', 'en_revision', 'aprobado', 'cancelado']).withMessage('Estado inválido'),
+  query('almacen_id').optional().isInt({ min: 1 }).withMessage('ID de almacén inválido')
+], async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver conteos de inventario'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 10, estado, almacen_id } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'WHERE 1=1';
+    let params = [];
+
+    if (estado) {
+      whereClause += ' AND co.estado = ?';
+      params.push(estado);
+    }
+
+    if (almacen_id) {
+      whereClause += ' AND co.almacen_id = ?';
+      params.push(almacen_id);
+    }
+
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as total FROM conteos co ${whereClause}`,
+      params
+    );
+
+    const total = countResult[0].total;
+
+    const counts = await executeQuery(
+      `SELECT co.*, a.nombre as almacen_nombre, c.nombre as categoria_nombre,
+              u.nombre as usuario_nombre, u.apellido as usuario_apellido,
+              (SELECT COUNT(*) FROM detalles_conteo d WHERE d.conteo_id = co.id) as total_lineas,
+              (SELECT COUNT(*) FROM detalles_conteo d WHERE d.conteo_id = co.id AND d.cantidad_contada IS NOT NULL) as lineas_contadas
+       FROM conteos co
+       JOIN almacenes a ON co.almacen_id = a.id
+       LEFT JOIN categorias c ON co.categoria_id = c.id
+       JOIN usuarios u ON co.usuario_id = u.id
+       ${whereClause}
+       ORDER BY co.created_at DESC, co.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, parseInt(limit), offset]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        counts,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo conteos:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo la lista de conteos'
+    });
+  }
+});
+
+// GET /api/counts/:id - Obtener sesión de conteo con sus líneas
+router.get('/:id', async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver conteos de inventario'
+      });
+    }
+
+    const { id } = req.params;
+    const count = await findCount(id);
+
+    if (!count) {
+      return res.status(404).json({
+        error: 'Conteo no encontrado',
+        message: 'La sesión de conteo solicitada no existe'
+      });
+    }
+
+    const details = await executeQuery(
+      `SELECT d.*, p.codigo as producto_codigo, p.nombre as producto_nombre
+       FROM detalles_conteo d
+       JOIN productos p ON d.producto_id = p.id
+       WHERE d.conteo_id = ?
+       ORDER BY p.nombre, d.numero_lote`,
+      [id]
+    );
+
+    const devices = await executeQuery(
+      `SELECT r.dispositivo, COUNT(*) as registros, COUNT(DISTINCT r.detalle_conteo_id) as lineas,
+              MAX(r.created_at) as ultimo_registro
+       FROM registros_conteo r
+       JOIN detalles_conteo d ON r.detalle_conteo_id = d.id
+       WHERE d.conteo_id = ?
+       GROUP BY r.dispositivo
+       ORDER BY r.dispositivo`,
+      [id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        count: {
+          ...count,
+          detalles: details,
+          dispositivos: devices
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo conteo:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo la sesión de conteo'
+    });
+  }
+});
+
+// GET /api/counts/:id/diferencias - Revisión de diferencias; en una sesión
+// aprobada devuelve el reporte de diferencias ajustadas
+router.get('/:id/diferencias', [
+  query('solo_diferencias').optional().isBoolean().withMessage('El filtro solo_diferencias debe ser booleano')
+], async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver conteos de inventario'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { solo_diferencias = 'true' } = req.query;
+    const count = await findCount(id);
+
+    if (!count) {
+      return res.status(404).json({
+        error: 'Conteo no encontrado',
+        message: 'La sesión de conteo solicitada no existe'
+      });
+    }
+
+    // Antes de aprobar la diferencia se calcula al vuelo con el costo actual; al
+    // aprobar queda guardada con el costo del momento
+    const aprobado = count.estado === 'aprobado';
+    const diferencia = aprobado ? 'd.diferencia' : '(d.cantidad_contada - d.cantidad_esperada)';
+    const costo = aprobado ? 'd.costo_unitario' : 'p.costo_promedio';
+
+    let whereClause = 'WHERE d.conteo_id = ?';
+    if (solo_diferencias === 'true' || solo_diferencias === '1') {
+      whereClause += ` AND (d.cantidad_contada IS NULL OR ${diferencia} <> 0)`;
+    }
+
+    const lines = await executeQuery(
+      `SELECT d.id as detalle_conteo_id, d.producto_id, p.codigo as producto_codigo, p.nombre as producto_nombre,
+              d.lote_id, d.numero_lote, d.cantidad_esperada, d.cantidad_contada,
+              ${diferencia} as diferencia, ${costo} as costo_unitario,
+              ${diferencia} * ${costo} as valor_diferencia, d.movimiento_id
+       FROM detalles_conteo d
+       JOIN productos p ON d.producto_id = p.id
+       ${whereClause}
+       ORDER BY ABS(${diferencia} * ${costo}) DESC, p.nombre`,
+      [id]
+    );
+
+    const totals = await executeQuery(
+      `SELECT COUNT(*) as lineas,
+              SUM(d.cantidad_contada IS NOT NULL) as contadas,
+              SUM(d.cantidad_contada IS NULL) as no_contadas,
+              SUM(${diferencia} <> 0) as con_diferencia,
+              COALESCE(SUM(CASE WHEN ${diferencia} < 0 THEN -${diferencia} ELSE 0 END), 0) as unidades_faltantes,
+              COALESCE(SUM(CASE WHEN ${diferencia} > 0 THEN ${diferencia} ELSE 0 END), 0) as unidades_sobrantes,
+              COALESCE(SUM(${diferencia} * ${costo}), 0) as valor_diferencia
+       FROM detalles_conteo d
+       JOIN productos p ON d.producto_id = p.id
+       WHERE d.conteo_id = ?`,
+      [id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        count,
+        lineas: lines,
+        resumen: {
+          ...totals[0],
+          valor_diferencia: roundMoney(totals[0].valor_diferencia)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo diferencias del conteo:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo las diferencias del conteo'
+    });
+  }
+});
+
+// POST /api/counts - Abrir una sesión de conteo congelando las cantidades esperadas
+router.post('/', countValidation, async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para abrir conteos de inventario'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { almacen_id, categoria_id = null, notas } = req.body;
+    const usuario_id = req.user.id;
+
+    const countId = await executeTransaction(async (connection) => {
+      const almacen = await resolveWarehouse(connection, almacen_id);
+
+      if (categoria_id) {
+        const [categories] = await connection.execute(
+          'SELECT id FROM categorias WHERE id = ? AND activo = 1',
+          [categoria_id]
+        );
+
+        if (categories.length === 0) {
+          throw new HttpError(404, 'Categoría no encontrada', 'La categoría especificada no existe o está inactiva');
+        }
+      }
+
+      // Dos sesiones abiertas sobre los mismos productos se pisarían al aprobar
+      const [overlapping] = await connection.execute(
+        `SELECT id FROM conteos
+         WHERE almacen_id = ? AND estado IN ('abierto', 'en_revision')
+           AND (categoria_id IS NULL OR ? IS NULL OR categoria_id = ?)
+         FOR UPDATE`,
+        [almacen.id, categoria_id, categoria_id]
+      );
+
+      if (overlapping.length > 0) {
+        throw new HttpError(400, 'Conteo en curso',
+          `Ya hay una sesión de conteo en curso en ${almacen.nombre} que incluye estos productos (#${overlapping[0].id})`);
+      }
+
+      const [result] = await connection.execute(
+        'INSERT INTO conteos (almacen_id, categoria_id, notas, usuario_id) VALUES (?, ?, ?, ?)',
+        [almacen.id, categoria_id, notas || null, usuario_id]
+      );
+
+      const conteoId = result.insertId;
+      const categoryFilter = categoria_id ? ' AND p.categoria_id = ?' : '';
+      const categoryParams = categoria_id ? [categoria_id] : [];
+
+      // Los productos serializados no se cuentan aquí: sus unidades se concilian por serie
+      await connection.execute(
+        `INSERT INTO detalles_conteo (conteo_id, producto_id, cantidad_esperada)
+         SELECT ?, p.id, COALESCE(sa.cantidad, 0)
+         FROM productos p
+         LEFT JOIN stock_almacen sa ON sa.producto_id = p.id AND sa.almacen_id = ?
+         WHERE p.activo = 1 AND p.maneja_series = 0 AND p.maneja_lotes = 0${categoryFilter}`,
+        [conteoId, almacen.id, ...categoryParams]
+      );
+
+      // Los productos con lotes se cuentan por lote
+      await connection.execute(
+        `INSERT INTO detalles_conteo (conteo_id, producto_id, lote_id, numero_lote, cantidad_esperada)
+         SELECT ?, p.id, l.id, l.numero_lote, l.cantidad
+         FROM lotes l
+         JOIN productos p ON l.producto_id = p.id
+         WHERE l.almacen_id = ? AND l.cantidad > 0
+           AND p.activo = 1 AND p.maneja_series = 0 AND p.maneja_lotes = 1${categoryFilter}`,
+        [conteoId, almacen.id, ...categoryParams]
+      );
+
+      return conteoId;
+    });
+
+    const count = await findCount(countId);
+    const lines = await executeQuery(
+      'SELECT COUNT(*) as total FROM detalles_conteo WHERE conteo_id = ?',
+      [countId]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Sesión de conteo abierta exitosamente',
+      data: {
+        count: {
+          ...count,
+          total_lineas: lines[0].total
+        }
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Error abriendo conteo:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error abriendo la sesión de conteo'
+    });
+  }
+});
+
+// POST /api/counts/:id/registros - Registrar cantidades contadas desde un dispositivo.
+// Cada registro reemplaza el anterior del mismo dispositivo para esa línea.
+router.post('/:id/registros', recordValidation, async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para registrar conteos de inventario'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { dispositivo, detalles } = req.body;
+    const usuario_id = req.user.id;
+
+    const lineas = await executeTransaction(async (connection) => {
+      const count = await lockCount(connection, id, ['abierto']);
+
+      const [details] = await connection.execute(
+        'SELECT id, producto_id, numero_lote FROM detalles_conteo WHERE conteo_id = ?',
+        [id]
+      );
+
+      const touched = new Set();
+
+      for (const linea of detalles) {
+        let detail;
+
+        if (linea.detalle_conteo_id) {
+          detail = details.find(d => d.id === parseInt(linea.detalle_conteo_id));
+          if (!detail) {
+            throw new HttpError(400, 'Detalle inválido', `El detalle ${linea.detalle_conteo_id} no pertenece al conteo ${id}`);
+          }
+        } else if (linea.producto_id) {
+          const productoId = parseInt(linea.producto_id);
+          const numeroLote = linea.numero_lote || null;
+          detail = details.find(d => d.producto_id === productoId && d.numero_lote === numeroLote);
+
+          // Un lote que no tenía existencias al abrir la sesión se agrega con esperado 0
+          if (!detail && numeroLote) {
+            const [products] = await connection.execute(
+              'SELECT id, categoria_id, maneja_lotes, maneja_series FROM productos WHERE id = ? AND activo = 1',
+              [productoId]
+            );
+
+            const producto = products[0];
+            if (!producto || !producto.maneja_lotes || producto.maneja_series ||
+                (count.categoria_id && producto.categoria_id !== count.categoria_id)) {
+              throw new HttpError(400, 'Producto fuera del conteo', `El producto ${productoId} no forma parte del conteo por lotes`);
+            }
+
+            const [lots] = await connection.execute(
+              'SELECT id FROM lotes WHERE producto_id = ? AND almacen_id = ? AND numero_lote = ?',
+              [productoId, count.almacen_id, numeroLote]
+            );
+
+            const [inserted] = await connection.execute(
+              `INSERT INTO detalles_conteo (conteo_id, producto_id, lote_id, numero_lote, cantidad_esperada)
+               VALUES (?, ?, ?, ?, 0)`,
+              [id, productoId, lots.length > 0 ? lots[0].id : null, numeroLote]
+            );
+
+            detail = { id: inserted.insertId, producto_id: productoId, numero_lote: numeroLote };
+            details.push(detail);
+          }
+
+          if (!detail) {
+            throw new HttpError(400, 'Producto fuera del conteo',
+              `El producto ${productoId} no forma parte del conteo${numeroLote ? '' : ' (si maneja lotes, indique el número de lote)'}`);
+          }
+        } else {
+          throw new HttpError(400, 'Datos inválidos', 'Cada detalle debe indicar detalle_conteo_id o producto_id');
+        }
+
+        await connection.execute(
+          'INSERT INTO registros_conteo (detalle_conteo_id, dispositivo, cantidad, usuario_id) VALUES (?, ?, ?, ?)',
+          [detail.id, dispositivo, Number(linea.cantidad), usuario_id]
+        );
+
+        touched.add(detail.id);
+      }
+
+      const ids = [...touched];
+      const placeholders = ids.map(() => '?').join(', ');
+
+      await connection.execute(
+        `UPDATE detalles_conteo d
+         JOIN (${COUNTED_QUANTITIES}) contado ON contado.detalle_conteo_id = d.id
+         SET d.cantidad_contada = contado.cantidad_contada
+         WHERE d.id IN (${placeholders})`,
+        ids
+      );
+
+      const [updated] = await connection.execute(
+        `SELECT id as detalle_conteo_id, producto_id, numero_lote, cantidad_contada
+         FROM detalles_conteo WHERE id IN (${placeholders})`,
+        ids
+      );
+
+      return updated;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Conteo registrado exitosamente',
+      data: {
+        dispositivo,
+        lineas
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Error registrando conteo:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error registrando el conteo'
+    });
+  }
+});
+
+// POST /api/counts/:id/cerrar - Cerrar la captura y pasar a revisión de diferencias
+router.post('/:id/cerrar', async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para cerrar conteos de inventario'
+      });
+    }
+
+    await changeCountStatus(req.params.id, ['abierto'], 'en_revision');
+
+    res.json({
+      success: true,
+      message: 'Conteo cerrado; pendiente de revisión',
+      data: {
+        count: await findCount(req.params.id)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Error cerrando conteo:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error cerrando la sesión de conteo'
+    });
+  }
+});
+
+// POST /api/counts/:id/reabrir - Volver a capturar (p. ej. para recontar diferencias)
+router.post('/:id/reabrir', async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para reabrir conteos de inventario'
+      });
+    }
+
+    await changeCountStatus(req.params.id, ['en_revision'], 'abierto');
+
+    res.json({
+      success: true,
+      message: 'Conteo reabierto exitosamente',
+      data: {
+        count: await findCount(req.params.id)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Error reabriendo conteo:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error reabriendo la sesión de conteo'
+    });
+  }
+});
+
+// POST /api/counts/:id/aprobar - Aprobar el conteo y registrar todas las
+// diferencias como ajustes en una sola transacción. La aprobación del conteo
+// reemplaza la de cada ajuste, así que la reservan los mismos roles que
+// aprueban solicitudes de ajuste.
+router.post('/:id/aprobar', [
+  body('no_contados')
+    .optional()
+    .isIn(['omitir', 'cero'])
+    .withMessage('no_contados debe ser omitir o cero')
+], checkRole(['admin', 'supervisor']), async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para aprobar conteos de inventario'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { no_contados = 'omitir' } = req.body;
+    const usuario_id = req.user.id;
+
+    const movimientos = await executeTransaction(async (connection) => {
+      const count = await lockCount(connection, id, ['en_revision']);
+
+      const [details] = await connection.execute(
+        `SELECT d.*, p.costo_promedio
+         FROM detalles_conteo d
+         JOIN productos p ON d.producto_id = p.id
+         WHERE d.conteo_id = ?
+         ORDER BY d.id
+         FOR UPDATE`,
+        [id]
+      );
+
+      const results = [];
+      const totales = { unidades_faltantes: 0, unidades_sobrantes: 0, valor_diferencia: 0 };
+
+      // Los ajustes del conteo llevan el motivo de corrección por conteo; la
+      // aprobación del conteo es su aprobación
+      const [reasons] = await connection.execute(
+        "SELECT id FROM motivos_ajuste WHERE codigo = 'CONTEO'"
+      );
+      const motivo_ajuste_id = reasons.length > 0 ? reasons[0].id : null;
+
+      for (const detail of details) {
+        // Las líneas no contadas no se ajustan salvo que se indique contarlas como cero
+        const contada = detail.cantidad_contada !== null
+          ? detail.cantidad_contada
+          : (no_contados === 'cero' ? 0 : null);
+
+        if (contada === null) continue;
+
+        const diferencia = roundQuantity(contada - detail.cantidad_esperada);
+        let costo_unitario = Number(detail.costo_promedio);
+        let movimiento = null;
+
+        if (diferencia !== 0) {
+          // Las esperadas se congelaron al abrir: la diferencia se aplica sobre la
+          // existencia actual para no pisar los movimientos posteriores
+          const [current] = detail.numero_lote
+            ? await connection.execute(
+              'SELECT cantidad FROM lotes WHERE producto_id = ? AND almacen_id = ? AND numero_lote = ? FOR UPDATE',
+              [detail.producto_id, count.almacen_id, detail.numero_lote]
+            )
+            : await connection.execute(
+              'SELECT cantidad FROM stock_almacen WHERE producto_id = ? AND almacen_id = ? FOR UPDATE',
+              [detail.producto_id, count.almacen_id]
+            );
+
+          const actual = current.length > 0 ? current[0].cantidad : 0;
+          const nueva = roundQuantity(actual + diferencia);
+
+          if (nueva < 0) {
+            throw new HttpError(400, 'Ajuste inválido',
+              `El ajuste del detalle ${detail.id} dejaría existencias negativas (actual: ${actual}, diferencia: ${diferencia})`);
+          }
+
+          movimiento = await registerMovement(connection, {
+            producto_id: detail.producto_id,
+            almacen_id: count.almacen_id,
+            tipo: 'ajuste',
+            cantidad: nueva,
+            motivo: `Conteo físico #${count.id}: esperado ${detail.cantidad_esperada}, contado ${contada}`,
+            motivo_ajuste_id,
+            usuario_id,
+            referencia_tipo: 'conteo',
+            referencia_id: count.id,
+            lotes: detail.numero_lote ? [{ numero_lote: detail.numero_lote }] : null
+          });
+          results.push(movimiento);
+          costo_unitario = Number(movimiento.costo_unitario);
+
+          if (diferencia < 0) {
+            totales.unidades_faltantes = roundQuantity(totales.unidades_faltantes - diferencia);
+          } else {
+            totales.unidades_sobrantes = roundQuantity(totales.unidades_sobrantes + diferencia);
+          }
+          totales.valor_diferencia = roundMoney(totales.valor_diferencia + diferencia * costo_unitario);
+        }
+
+        await connection.execute(
+          'UPDATE detalles_conteo SET cantidad_contada = ?, diferencia = ?, costo_unitario = ?, movimiento_id = ? WHERE id = ?',
+          [contada, diferencia, costo_unitario, movimiento ? movimiento.id : null, detail.id]
+        );
+      }
+
+      await connection.execute(
+        `UPDATE conteos SET estado = 'aprobado', unidades_faltantes = ?, unidades_sobrantes = ?, valor_diferencia = ?,
+                usuario_aprobacion_id = ?, fecha_aprobacion = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [totales.unidades_faltantes, totales.unidades_sobrantes, totales.valor_diferencia, usuario_id, id]
+      );
+
+      return results;
+    });
+
+    res.json({
+      success: true,
+      message: 'Conteo aprobado y ajustes registrados exitosamente',
+      data: {
+        count: await findCount(id),
+        movimientos
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Error aprobando conteo:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error aprobando la sesión de conteo'
+    });
+  }
+});
+
+// POST /api/counts/:id/cancelar - Cancelar una sesión sin registrar ajustes
+router.post('/:id/cancelar', async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para cancelar conteos de inventario'
+      });
+    }
+
+    await changeCountStatus(req.params.id, ['abierto', 'en_revision'], 'cancelado');
+
+    res.json({
+      success: true,
+      message: 'Conteo cancelado exitosamente',
+      data: {
+        count: await findCount(req.params.id)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Error cancelando conteo:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error cancelando la sesión de conteo'
+    });
+  }
+});
+
+module.exports = router;
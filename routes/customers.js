@@ -0,0 +1,542 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const { pool, executeQuery } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { DOCUMENT_TYPES, isValidDocument } = require('../utils/validators');
+const { getCreditUsed } = require('../utils/customers');
+const { roundMoney } = require('../utils/money');
+
+const router = express.Router();
+
+// Aplicar autenticación a todas las rutas
+router.use(authenticateToken);
+
+// Validaciones para clientes
+const customerValidation = [
+  body('nombre')
+    .notEmpty()
+    .withMessage('El nombre del cliente es requerido')
+    .isLength({ max: 200 })
+    .withMessage('El nombre no puede exceder 200 caracteres'),
+  body('tipo_documento')
+    .optional({ values: 'falsy' })
+    .isIn(DOCUMENT_TYPES)
+    .withMessage(`El tipo de documento debe ser ${DOCUMENT_TYPES.join(', ')}`),
+  body('numero_documento')
+    .optional({ values: 'falsy' })
+    .custom((value, { req }) => isValidDocument(req.body.tipo_documento, value))
+    .withMessage('El número de documento no es válido para el tipo indicado'),
+  body('direccion')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('La dirección no puede exceder 500 caracteres'),
+  body('telefono')
+    .optional({ values: 'falsy' })
+    .matches(/^[0-9+()\s-]{6,20}$/)
+    .withMessage('El teléfono no es válido'),
+  body('email')
+    .optional({ values: 'falsy' })
+    .isEmail()
+    .withMessage('El email debe ser válido')
+    .normalizeEmail(),
+  body('limite_credito')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('El límite de crédito debe ser un número positivo')
+];
+
+// Verifica que el documento no esté registrado en otro cliente activo
+const findDuplicateCustomer = async ({ tipo_documento, numero_documento }, excludeId = 0) => {
+  if (!numero_documento) {
+    return null;
+  }
+
+  const duplicates = await executeQuery(
+    'SELECT id FROM clientes WHERE tipo_documento = ? AND numero_documento = ? AND id != ? AND activo = 1',
+    [tipo_documento, numero_documento, excludeId]
+  );
+
+  if (duplicates.length > 0) {
+    return {
+      error: 'Documento duplicado',
+      message: `Ya existe otro cliente con ${tipo_documento} ${numero_documento}`
+    };
+  }
+
+  return null;
+};
+
+// GET /api/customers - Obtener clientes con paginación y búsqueda
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).withMessage('La página debe ser un número positivo'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('El límite debe estar entre 1 y 100'),
+  query('search').optional().isLength({ max: 100 }).withMessage('La búsqueda no puede exceder 100 caracteres'),
+  query('activo').optional().isBoolean().withMessage('El estado activo debe ser true o false')
+], async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver clientes'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 10, search, activo = 'true' } = req.query;
+    const offset = (page - 1) * limit;
+
+    // Construir query base
+    let whereClause = 'WHERE activo = ?';
+    let params = [['true', '1'].includes(activo)];
+
+    if (search) {
+      whereClause += ' AND (nombre LIKE ? OR numero_documento LIKE ? OR email LIKE ?)';
+      params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+    }
+
+    // Query para contar total
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as total FROM clientes ${whereClause}`,
+      params
+    );
+
+    const total = countResult[0].total;
+
+    // Query para obtener clientes
+    const customers = await executeQuery(
+      `SELECT * FROM clientes
+       ${whereClause}
+       ORDER BY nombre
+       LIMIT ? OFFSET ?`,
+      [...params, parseInt(limit), offset]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        customers,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo clientes:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo la lista de clientes'
+    });
+  }
+});
+
+// GET /api/customers/:id - Obtener cliente por ID con su crédito disponible
+router.get('/:id', async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver clientes'
+      });
+    }
+
+    const { id } = req.params;
+
+    const customers = await executeQuery(
+      'SELECT * FROM clientes WHERE id = ?',
+      [id]
+    );
+
+    if (customers.length === 0) {
+      return res.status(404).json({
+        error: 'Cliente no encontrado',
+        message: 'El cliente solicitado no existe'
+      });
+    }
+
+    const customer = customers[0];
+    const credito_utilizado = await getCreditUsed(pool, id);
+
+    res.json({
+      success: true,
+      data: {
+        customer: {
+          ...customer,
+          credito_utilizado,
+          credito_disponible: customer.limite_credito === null
+            ? null
+            : roundMoney(Math.max(Number(customer.limite_credito) - credito_utilizado, 0))
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo cliente:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo el cliente'
+    });
+  }
+});
+
+// POST /api/customers - Crear nuevo cliente
+router.post('/', customerValidation, async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para crear clientes'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { nombre, tipo_documento, numero_documento, direccion, telefono, email, limite_credito } = req.body;
+
+    // Verificar documento único
+    const duplicate = await findDuplicateCustomer({ tipo_documento, numero_documento });
+    if (duplicate) {
+      return res.status(400).json(duplicate);
+    }
+
+    // Crear cliente
+    const result = await executeQuery(
+      `INSERT INTO clientes (nombre, tipo_documento, numero_documento, direccion, telefono, email, limite_credito)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        nombre,
+        numero_documento ? tipo_documento : null,
+        numero_documento || null,
+        direccion || null,
+        telefono || null,
+        email || null,
+        limite_credito === undefined || limite_credito === null ? null : roundMoney(limite_credito)
+      ]
+    );
+
+    // Obtener cliente creado
+    const newCustomers = await executeQuery(
+      'SELECT * FROM clientes WHERE id = ?',
+      [result.insertId]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Cliente creado exitosamente',
+      data: {
+        customer: newCustomers[0]
+      }
+    });
+
+  } catch (error) {
+    console.error('Error creando cliente:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error creando el cliente'
+    });
+  }
+});
+
+// PUT /api/customers/:id - Actualizar cliente
+router.put('/:id', customerValidation, async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para actualizar clientes'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { nombre, tipo_documento, numero_documento, direccion, telefono, email, limite_credito } = req.body;
+
+    // Verificar si el cliente existe
+    const existingCustomers = await executeQuery(
+      'SELECT id FROM clientes WHERE id = ? AND activo = 1',
+      [id]
+    );
+
+    if (existingCustomers.length === 0) {
+      return res.status(404).json({
+        error: 'Cliente no encontrado',
+        message: 'El cliente a actualizar no existe'
+      });
+    }
+
+    // Verificar documento único
+    const duplicate = await findDuplicateCustomer({ tipo_documento, numero_documento }, id);
+    if (duplicate) {
+      return res.status(400).json(duplicate);
+    }
+
+    // Actualizar cliente
+    await executeQuery(
+      `UPDATE clientes SET nombre = ?, tipo_documento = ?, numero_documento = ?, direccion = ?, telefono = ?,
+              email = ?, limite_credito = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [
+        nombre,
+        numero_documento ? tipo_documento : null,
+        numero_documento || null,
+        direccion || null,
+        telefono || null,
+        email || null,
+        limite_credito === undefined || limite_credito === null ? null : roundMoney(limite_credito),
+        id
+      ]
+    );
+
+    // Obtener cliente actualizado
+    const updatedCustomers = await executeQuery(
+      'SELECT * FROM clientes WHERE id = ?',
+      [id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Cliente actualizado exitosamente',
+      data: {
+        customer: updatedCustomers[0]
+      }
+    });
+
+  } catch (error) {
+    console.error('Error actualizando cliente:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error actualizando el cliente'
+    });
+  }
+});
+
+// DELETE /api/customers/:id - Eliminar cliente (soft delete)
+router.delete('/:id', async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para eliminar clientes'
+      });
+    }
+
+    const { id } = req.params;
+
+    // Verificar si el cliente existe
+    const existingCustomers = await executeQuery(
+      'SELECT id, nombre FROM clientes WHERE id = ? AND activo = 1',
+      [id]
+    );
+
+    if (existingCustomers.length === 0) {
+      return res.status(404).json({
+        error: 'Cliente no encontrado',
+        message: 'El cliente a eliminar no existe'
+      });
+    }
+
+    // Soft delete - marcar como inactivo
+    await executeQuery(
+      'UPDATE clientes SET activo = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Cliente eliminado exitosamente',
+      data: {
+        customer: {
+          id: parseInt(id),
+          nombre: existingCustomers[0].nombre
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error eliminando cliente:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error eliminando el cliente'
+    });
+  }
+});
+
+// PUT /api/customers/:id/restore - Restaurar cliente eliminado
+router.put('/:id/restore', async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para restaurar clientes'
+      });
+    }
+
+    const { id } = req.params;
+
+    const existingCustomers = await executeQuery(
+      'SELECT id, nombre, tipo_documento, numero_documento FROM clientes WHERE id = ? AND activo = 0',
+      [id]
+    );
+
+    if (existingCustomers.length === 0) {
+      return res.status(404).json({
+        error: 'Cliente no encontrado',
+        message: 'El cliente a restaurar no existe o ya está activo'
+      });
+    }
+
+    const duplicate = await findDuplicateCustomer(existingCustomers[0], id);
+    if (duplicate) {
+      return res.status(400).json(duplicate);
+    }
+
+    await executeQuery(
+      'UPDATE clientes SET activo = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Cliente restaurado exitosamente',
+      data: {
+        customer: {
+          id: parseInt(id),
+          nombre: existingCustomers[0].nombre
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error restaurando cliente:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error restaurando el cliente'
+    });
+  }
+});
+
+// GET /api/customers/:id/sales - Obtener ventas de un cliente
+router.get('/:id/sales', [
+  query('page').optional().isInt({ min: 1 }).withMessage('La página debe ser un número positivo'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('El límite debe estar entre 1 y 100'),
+  query('estado').optional().isIn(['pendiente', 'pagada', 'cancelada']).withMessage('Estado inválido')
+], async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver ventas'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { page = 1, limit = 10, estado } = req.query;
+    const offset = (page - 1) * limit;
+
+    const customers = await executeQuery(
+      'SELECT id, nombre, tipo_documento, numero_documento FROM clientes WHERE id = ?',
+      [id]
+    );
+
+    if (customers.length === 0) {
+      return res.status(404).json({
+        error: 'Cliente no encontrado',
+        message: 'El cliente solicitado no existe'
+      });
+    }
+
+    let whereClause = 'WHERE v.cliente_id = ?';
+    let params = [id];
+
+    if (estado) {
+      whereClause += ' AND v.estado = ?';
+      params.push(estado);
+    }
+
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as total, COALESCE(SUM(v.total - v.monto_devuelto), 0) as monto_total
+       FROM ventas v
+       ${whereClause}`,
+      params
+    );
+
+    const { total, monto_total } = countResult[0];
+
+    const sales = await executeQuery(
+      `SELECT v.*, (v.total - v.monto_devuelto - v.monto_pagado) as saldo,
+              u.nombre as usuario_nombre, u.apellido as usuario_apellido
+       FROM ventas v
+       JOIN usuarios u ON v.usuario_id = u.id
+       ${whereClause}
+       ORDER BY v.fecha_venta DESC, v.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, parseInt(limit), offset]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        customer: customers[0],
+        sales,
+        monto_total,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo ventas del cliente:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo las ventas del cliente'
+    });
+  }
+});
+
+module.exports = router;
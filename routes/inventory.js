@@ -1,36 +1,114 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const { executeQuery, executeTransaction } = require('../config/database');
-const { authenticateToken, checkPermission } = require('../middleware/auth');
+const { authenticateToken, checkPermission, checkRole } = require('../middleware/auth');
+const { getReorderSuggestions } = require('../utils/replenishment');
+const { registerMovement } = require('../utils/stock');
+const { lotsToReverse } = require('../utils/lots');
+const { serialsFromMovement } = require('../utils/serials');
+const { RESERVED_STOCK } = require('../utils/reservations');
+const { getCostingMethod, stockValueQuery, productValueQuery } = require('../utils/costing');
+const { roundMoney } = require('../utils/money');
+const { toCsv } = require('../utils/csv');
+const { checkLedger, correctLedger } = require('../utils/ledger');
+const { resolveAdjustmentReason, previewAdjustment, requiresApproval, submitAdjustment } = require('../utils/adjustments');
+const { HttpError } = require('../utils/errors');
 
 const router = express.Router();
 
 // Aplicar autenticación a todas las rutas
 router.use(authenticateToken);
 
-// Validaciones para movimientos de inventario
-const inventoryValidation = [
-  body('producto_id')
+// Máximo de líneas por lote de movimientos
+const MAX_BATCH_LINES = 500;
+
+// Validaciones de un movimiento de inventario. `campo` es el prefijo de los
+// campos cuando el movimiento viene dentro de una lista (p. ej. 'movimientos.*.')
+const movementValidation = (campo = '') => [
+  body(`${campo}producto_id`)
     .isInt({ min: 1 })
     .withMessage('El ID del producto es requerido'),
-  body('tipo')
+  body(`${campo}almacen_id`)
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID de almacén inválido'),
+  body(`${campo}tipo`)
     .isIn(['entrada', 'salida', 'ajuste'])
     .withMessage('El tipo debe ser entrada, salida o ajuste'),
-  body('cantidad')
+  body(`${campo}cantidad`)
+    .isFloat({ gt: 0 })
+    .withMessage('La cantidad debe ser un número positivo'),
+  body(`${campo}unidad_id`)
+    .optional()
     .isInt({ min: 1 })
-    .withMessage('La cantidad debe ser un número entero positivo'),
-  body('motivo')
+    .withMessage('ID de unidad inválido'),
+  body(`${campo}motivo`)
     .optional()
     .isLength({ max: 500 })
-    .withMessage('El motivo no puede exceder 500 caracteres')
+    .withMessage('El motivo no puede exceder 500 caracteres'),
+  body(`${campo}motivo_ajuste_id`)
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID de motivo de ajuste inválido'),
+  body(`${campo}costo_unitario`)
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('El costo unitario debe ser un número positivo'),
+  body(`${campo}lote_id`)
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID de lote inválido'),
+  body(`${campo}numero_lote`)
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('El número de lote debe tener entre 1 y 50 caracteres'),
+  body(`${campo}fecha_vencimiento`)
+    .optional()
+    .isISO8601()
+    .withMessage('Fecha de vencimiento inválida'),
+  body(`${campo}series`)
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Las series deben ser una lista'),
+  body(`${campo}series.*`)
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Cada número de serie debe tener entre 1 y 100 caracteres')
+];
+
+const inventoryValidation = movementValidation();
+
+// Todo ajuste indica un motivo del catálogo motivos_ajuste
+const adjustmentValidation = [
+  ...inventoryValidation,
+  body('motivo_ajuste_id')
+    .isInt({ min: 1 })
+    .withMessage('El motivo del ajuste es requerido')
+];
+
+const batchValidation = [
+  body('movimientos')
+    .isArray({ min: 1, max: MAX_BATCH_LINES })
+    .withMessage(`Debe indicar entre 1 y ${MAX_BATCH_LINES} movimientos`),
+  ...movementValidation('movimientos.*.')
 ];
 
+// Lote indicado en el movimiento (solo para productos que manejan lotes). Sin
+// lote, una salida se despacha FEFO.
+const lotFromBody = ({ lote_id, numero_lote, fecha_vencimiento }) => {
+  if (!lote_id && !numero_lote) return null;
+  return [{ lote_id, numero_lote, fecha_vencimiento }];
+};
+
 // GET /api/inventory - Obtener movimientos de inventario
 router.get('/', [
   query('page').optional().isInt({ min: 1 }).withMessage('La página debe ser un número positivo'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('El límite debe estar entre 1 y 100'),
   query('tipo').optional().isIn(['entrada', 'salida', 'ajuste']).withMessage('Tipo de movimiento inválido'),
   query('producto_id').optional().isInt({ min: 1 }).withMessage('ID de producto inválido'),
+  query('almacen_id').optional().isInt({ min: 1 }).withMessage('ID de almacén inválido'),
   query('fecha_inicio').optional().isISO8601().withMessage('Fecha de inicio inválida'),
   query('fecha_fin').optional().isISO8601().withMessage('Fecha de fin inválida')
 ], async (req, res) => {
@@ -43,7 +121,7 @@ router.get('/', [
       });
     }
 
-    const { page = 1, limit = 10, tipo, producto_id, fecha_inicio, fecha_fin } = req.query;
+    const { page = 1, limit = 10, tipo, producto_id, almacen_id, fecha_inicio, fecha_fin } = req.query;
     const offset = (page - 1) * limit;
 
     // Construir query base
@@ -60,6 +138,11 @@ router.get('/', [
       params.push(producto_id);
     }
 
+    if (almacen_id) {
+      whereClause += ' AND m.almacen_id = ?';
+      params.push(almacen_id);
+    }
+
     if (fecha_inicio) {
       whereClause += ' AND DATE(m.fecha_movimiento) >= ?';
       params.push(fecha_inicio);
@@ -71,7 +154,7 @@ router.get('/', [
     }
 
     // Query para contar total
-    const [countResult] = await executeQuery(
+    const countResult = await executeQuery(
       `SELECT COUNT(*) as total 
        FROM movimientos_inventario m
        JOIN productos p ON m.producto_id = p.id
@@ -83,11 +166,16 @@ router.get('/', [
     const total = countResult[0].total;
 
     // Query para obtener movimientos
-    const [movements] = await executeQuery(
+    const movements = await executeQuery(
       `SELECT m.*, p.nombre as producto_nombre, p.codigo as producto_codigo, p.stock_actual,
+              us.codigo as unidad_stock_codigo, um.codigo as unidad_codigo,
+              a.nombre as almacen_nombre,
               u.nombre as usuario_nombre, u.apellido as usuario_apellido
        FROM movimientos_inventario m
        JOIN productos p ON m.producto_id = p.id
+       JOIN unidades_medida us ON p.unidad_id = us.id
+       LEFT JOIN unidades_medida um ON m.unidad_id = um.id
+       JOIN almacenes a ON m.almacen_id = a.id
        JOIN usuarios u ON m.usuario_id = u.id
        ${whereClause}
        ORDER BY m.fecha_movimiento DESC 
@@ -137,59 +225,38 @@ router.post('/entrada', inventoryValidation, async (req, res) => {
       });
     }
 
-    const { producto_id, cantidad, motivo } = req.body;
+    const { producto_id, almacen_id, cantidad, motivo } = req.body;
     const usuario_id = req.user.id;
 
-    // Verificar si el producto existe y está activo
-    const [products] = await executeQuery(
-      'SELECT id, nombre, stock_actual FROM productos WHERE id = ? AND activo = 1',
-      [producto_id]
+    // El movimiento se registra en el almacén indicado o en el principal
+    const movimiento = await executeTransaction(connection =>
+      registerMovement(connection, {
+        producto_id,
+        almacen_id,
+        tipo: 'entrada',
+        cantidad: Number(cantidad),
+        unidad_id: req.body.unidad_id,
+        motivo: motivo || null,
+        usuario_id,
+        lotes: lotFromBody(req.body),
+        series: req.body.series,
+        costo_unitario: req.body.costo_unitario
+      })
     );
 
-    if (products.length === 0) {
-      return res.status(404).json({
-        error: 'Producto no encontrado',
-        message: 'El producto especificado no existe o está inactivo'
-      });
-    }
-
-    const producto = products[0];
-    const cantidad_anterior = producto.stock_actual;
-    const cantidad_nueva = cantidad_anterior + cantidad;
-
-    // Ejecutar transacción para registrar entrada y actualizar stock
-    const queries = [
-      {
-        query: `INSERT INTO movimientos_inventario (producto_id, tipo, cantidad, cantidad_anterior, cantidad_nueva, motivo, usuario_id) 
-                VALUES (?, 'entrada', ?, ?, ?, ?, ?)`,
-        params: [producto_id, cantidad, cantidad_anterior, cantidad_nueva, motivo, usuario_id]
-      },
-      {
-        query: 'UPDATE productos SET stock_actual = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        params: [cantidad_nueva, producto_id]
-      }
-    ];
-
-    await executeTransaction(queries);
-
     res.status(201).json({
       success: true,
       message: 'Entrada de inventario registrada exitosamente',
       data: {
-        movimiento: {
-          producto_id: parseInt(producto_id),
-          producto_nombre: producto.nombre,
-          tipo: 'entrada',
-          cantidad: parseInt(cantidad),
-          cantidad_anterior,
-          cantidad_nueva,
-          motivo,
-          usuario_id: parseInt(usuario_id)
-        }
+        movimiento
       }
     });
 
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
     console.error('Error registrando entrada de inventario:', error);
     res.status(500).json({
       error: 'Error interno del servidor',
@@ -218,84 +285,125 @@ router.post('/salida', inventoryValidation, async (req, res) => {
       });
     }
 
-    const { producto_id, cantidad, motivo } = req.body;
+    const { producto_id, almacen_id, cantidad, motivo } = req.body;
     const usuario_id = req.user.id;
 
-    // Verificar si el producto existe y está activo
-    const [products] = await executeQuery(
-      'SELECT id, nombre, stock_actual FROM productos WHERE id = ? AND activo = 1',
-      [producto_id]
+    // El movimiento se registra en el almacén indicado o en el principal
+    const movimiento = await executeTransaction(connection =>
+      registerMovement(connection, {
+        producto_id,
+        almacen_id,
+        tipo: 'salida',
+        cantidad: Number(cantidad),
+        unidad_id: req.body.unidad_id,
+        motivo: motivo || null,
+        usuario_id,
+        lotes: lotFromBody(req.body),
+        series: req.body.series
+      })
     );
 
-    if (products.length === 0) {
-      return res.status(404).json({
-        error: 'Producto no encontrado',
-        message: 'El producto especificado no existe o está inactivo'
-      });
+    res.status(201).json({
+      success: true,
+      message: 'Salida de inventario registrada exitosamente',
+      data: {
+        movimiento
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
     }
 
-    const producto = products[0];
-    const cantidad_anterior = producto.stock_actual;
+    console.error('Error registrando salida de inventario:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error registrando la salida de inventario'
+    });
+  }
+});
+
+// POST /api/inventory/ajuste - Registrar ajuste de inventario. Si supera los
+// umbrales de cantidad o valor queda pendiente de aprobación (ver /api/adjustments)
+router.post('/ajuste', adjustmentValidation, async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para registrar ajustes de inventario'
+      });
+    }
 
-    // Verificar si hay suficiente stock
-    if (cantidad_anterior < cantidad) {
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
-        error: 'Stock insuficiente',
-        message: `No hay suficiente stock. Disponible: ${cantidad_anterior}, Solicitado: ${cantidad}`
+        error: 'Datos inválidos',
+        details: errors.array()
       });
     }
 
-    const cantidad_nueva = cantidad_anterior - cantidad;
+    const { producto_id, almacen_id, cantidad, motivo, motivo_ajuste_id } = req.body;
+    const usuario_id = req.user.id;
 
-    // Ejecutar transacción para registrar salida y actualizar stock
-    const queries = [
-      {
-        query: `INSERT INTO movimientos_inventario (producto_id, tipo, cantidad, cantidad_anterior, cantidad_nueva, motivo, usuario_id) 
-                VALUES (?, 'salida', ?, ?, ?, ?, ?)`,
-        params: [producto_id, cantidad, cantidad_anterior, cantidad_nueva, motivo, usuario_id]
-      },
-      {
-        query: 'UPDATE productos SET stock_actual = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        params: [cantidad_nueva, producto_id]
-      }
-    ];
+    // El ajuste se registra en el almacén indicado o en el principal
+    const { movimiento, solicitud } = await executeTransaction(connection =>
+      submitAdjustment(connection, {
+        producto_id,
+        almacen_id,
+        cantidad: Number(cantidad),
+        unidad_id: req.body.unidad_id,
+        motivo_ajuste_id,
+        motivo: motivo || null,
+        usuario_id,
+        lotes: lotFromBody(req.body),
+        costo_unitario: req.body.costo_unitario
+      })
+    );
 
-    await executeTransaction(queries);
+    if (solicitud) {
+      return res.status(202).json({
+        success: true,
+        message: 'El ajuste supera los umbrales de aprobación y quedó pendiente de revisión',
+        data: {
+          solicitud
+        }
+      });
+    }
 
     res.status(201).json({
       success: true,
-      message: 'Salida de inventario registrada exitosamente',
+      message: 'Ajuste de inventario registrado exitosamente',
       data: {
-        movimiento: {
-          producto_id: parseInt(producto_id),
-          producto_nombre: producto.nombre,
-          tipo: 'salida',
-          cantidad: parseInt(cantidad),
-          cantidad_anterior,
-          cantidad_nueva,
-          motivo,
-          usuario_id: parseInt(usuario_id)
-        }
+        movimiento
       }
     });
 
   } catch (error) {
-    console.error('Error registrando salida de inventario:', error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Error registrando ajuste de inventario:', error);
     res.status(500).json({
       error: 'Error interno del servidor',
-      message: 'Error registrando la salida de inventario'
+      message: 'Error registrando el ajuste de inventario'
     });
   }
 });
 
-// POST /api/inventory/ajuste - Registrar ajuste de inventario
-router.post('/ajuste', inventoryValidation, async (req, res) => {
+// POST /api/inventory/batch - Registrar varios movimientos (entradas, salidas y
+// ajustes mezclados) en una sola transacción: se aplican todos o ninguno. Las
+// líneas se procesan en orden, así que cada una ve el stock que dejaron las anteriores.
+router.post('/batch', batchValidation, async (req, res) => {
   try {
     // Verificar permisos
     if (!req.user.permisos.all && !req.user.permisos.inventory) {
       return res.status(403).json({
         error: 'Acceso denegado',
-        message: 'No tiene permisos para registrar ajustes de inventario'
+        message: 'No tiene permisos para registrar movimientos de inventario'
       });
     }
 
@@ -308,69 +416,214 @@ router.post('/ajuste', inventoryValidation, async (req, res) => {
       });
     }
 
-    const { producto_id, cantidad, motivo } = req.body;
+    const { movimientos } = req.body;
     const usuario_id = req.user.id;
 
-    // Verificar si el producto existe y está activo
-    const [products] = await executeQuery(
-      'SELECT id, nombre, stock_actual FROM productos WHERE id = ? AND activo = 1',
-      [producto_id]
-    );
+    const resultados = await executeTransaction(async connection => {
+      const aplicados = [];
+      const fallidos = [];
+
+      // Se procesan todas las líneas para informar todos los errores de una vez;
+      // si alguna falla, la transacción se revierte completa
+      for (const [indice, linea] of movimientos.entries()) {
+        try {
+          // Los ajustes llevan motivo y, si superan los umbrales, se solicitan
+          // aparte: un lote no queda a medias esperando una aprobación
+          let reason = null;
+          if (linea.tipo === 'ajuste') {
+            reason = await resolveAdjustmentReason(connection, linea.motivo_ajuste_id);
+            const preview = await previewAdjustment(connection, {
+              producto_id: linea.producto_id,
+              almacen_id: linea.almacen_id,
+              cantidad: Number(linea.cantidad),
+              unidad_id: linea.unidad_id,
+              lotes: lotFromBody(linea),
+              costo_unitario: linea.costo_unitario
+            });
+
+            if (requiresApproval(preview)) {
+              throw new HttpError(400, 'Aprobación requerida',
+                'El ajuste supera los umbrales de aprobación; regístrelo con POST /api/inventory/ajuste');
+            }
+          }
+
+          const movimiento = await registerMovement(connection, {
+            producto_id: linea.producto_id,
+            almacen_id: linea.almacen_id,
+            tipo: linea.tipo,
+            cantidad: Number(linea.cantidad),
+            unidad_id: linea.unidad_id,
+            motivo: linea.motivo || null,
+            motivo_ajuste_id: reason ? reason.id : null,
+            usuario_id,
+            lotes: lotFromBody(linea),
+            series: linea.series,
+            costo_unitario: linea.costo_unitario
+          });
+
+          aplicados.push({ indice, movimiento });
+        } catch (error) {
+          if (!(error instanceof HttpError)) throw error;
+
+          fallidos.push({
+            indice,
+            producto_id: parseInt(linea.producto_id),
+            tipo: linea.tipo,
+            ...error.toJSON()
+          });
+        }
+      }
 
-    if (products.length === 0) {
-      return res.status(404).json({
-        error: 'Producto no encontrado',
-        message: 'El producto especificado no existe o está inactivo'
+      if (fallidos.length > 0) {
+        throw new HttpError(400, 'Movimientos rechazados',
+          `${fallidos.length} de ${movimientos.length} líneas tienen errores; no se registró ningún movimiento`,
+          fallidos);
+      }
+
+      return aplicados;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${resultados.length} movimientos de inventario registrados exitosamente`,
+      data: {
+        movimientos: resultados
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Error registrando lote de movimientos de inventario:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error registrando los movimientos de inventario'
+    });
+  }
+});
+
+// POST /api/inventory/:id/reverse - Revertir un movimiento registrando el
+// movimiento opuesto. El original no se modifica (salvo revertido_por_id), así
+// la cadena cantidad_anterior/cantidad_nueva se mantiene. Solo se revierten
+// movimientos manuales: los de un documento se corrigen desde el documento.
+router.post('/:id/reverse', [
+  body('motivo')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('El motivo de la reversión es requerido (máximo 500 caracteres)')
+], checkRole(['admin', 'supervisor']), async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para revertir movimientos de inventario'
       });
     }
 
-    const producto = products[0];
-    const cantidad_anterior = producto.stock_actual;
-    const cantidad_nueva = cantidad;
-
-    // Ejecutar transacción para registrar ajuste y actualizar stock
-    const queries = [
-      {
-        query: `INSERT INTO movimientos_inventario (producto_id, tipo, cantidad, cantidad_anterior, cantidad_nueva, motivo, usuario_id) 
-                VALUES (?, 'ajuste', ?, ?, ?, ?, ?)`,
-        params: [producto_id, Math.abs(cantidad_nueva - cantidad_anterior), cantidad_anterior, cantidad_nueva, motivo, usuario_id]
-      },
-      {
-        query: 'UPDATE productos SET stock_actual = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        params: [cantidad_nueva, producto_id]
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { motivo } = req.body;
+
+    const movimiento = await executeTransaction(async (connection) => {
+      const [movements] = await connection.execute(
+        'SELECT * FROM movimientos_inventario WHERE id = ? FOR UPDATE',
+        [id]
+      );
+
+      if (movements.length === 0) {
+        throw new HttpError(404, 'Movimiento no encontrado', 'El movimiento solicitado no existe');
       }
-    ];
 
-    await executeTransaction(queries);
+      const original = movements[0];
+
+      if (original.revertido_por_id) {
+        throw new HttpError(400, 'Movimiento ya revertido',
+          `El movimiento ya fue revertido por el movimiento #${original.revertido_por_id}`);
+      }
+
+      if (original.referencia_tipo === 'reversion') {
+        throw new HttpError(400, 'Operación no permitida', 'Un movimiento de reversión no se puede revertir');
+      }
+
+      if (original.referencia_tipo) {
+        throw new HttpError(400, 'Operación no permitida',
+          `El movimiento pertenece a ${original.referencia_tipo} #${original.referencia_id}; corríjalo desde el documento`);
+      }
+
+      // Un ajuste se revierte por la diferencia que produjo en el almacén
+      const diferencia = original.cantidad_nueva_almacen - original.cantidad_anterior_almacen;
+
+      if (diferencia === 0) {
+        throw new HttpError(400, 'Operación no permitida', 'El movimiento no modificó las existencias');
+      }
+
+      const tipo = diferencia > 0 ? 'salida' : 'entrada';
+      const cantidad = Math.abs(diferencia);
+
+      // La salida compensatoria valida el stock: no puede dejar existencias negativas
+      const reversal = await registerMovement(connection, {
+        producto_id: original.producto_id,
+        almacen_id: original.almacen_id,
+        tipo,
+        cantidad,
+        motivo: `Reversión del movimiento #${original.id}: ${motivo}`,
+        usuario_id: req.user.id,
+        referencia_tipo: 'reversion',
+        referencia_id: original.id,
+        // Lo que reingresa lo hace al costo con que salió
+        costo_unitario: tipo === 'entrada' ? original.costo_unitario : null,
+        lotes: await lotsToReverse(connection, { producto_id: original.producto_id, movimiento_id: original.id, tipo }),
+        series: await serialsFromMovement(connection, { producto_id: original.producto_id, movimiento_id: original.id, cantidad })
+      });
+
+      await connection.execute(
+        'UPDATE movimientos_inventario SET revertido_por_id = ? WHERE id = ?',
+        [reversal.id, original.id]
+      );
+
+      return reversal;
+    });
 
     res.status(201).json({
       success: true,
-      message: 'Ajuste de inventario registrado exitosamente',
+      message: 'Movimiento revertido exitosamente',
       data: {
-        movimiento: {
-          producto_id: parseInt(producto_id),
-          producto_nombre: producto.nombre,
-          tipo: 'ajuste',
-          cantidad: Math.abs(cantidad_nueva - cantidad_anterior),
-          cantidad_anterior,
-          cantidad_nueva,
-          motivo,
-          usuario_id: parseInt(usuario_id)
+        movimiento,
+        original: {
+          id: parseInt(id),
+          revertido_por_id: movimiento.id
         }
       }
     });
 
   } catch (error) {
-    console.error('Error registrando ajuste de inventario:', error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Error revirtiendo movimiento de inventario:', error);
     res.status(500).json({
       error: 'Error interno del servidor',
-      message: 'Error registrando el ajuste de inventario'
+      message: 'Error revirtiendo el movimiento de inventario'
     });
   }
 });
 
-// GET /api/inventory/stock-bajo - Obtener productos con stock bajo
-router.get('/stock-bajo', async (req, res) => {
+// GET /api/inventory/stock-bajo - Obtener productos con stock bajo (total o por almacén)
+router.get('/stock-bajo', [
+  query('almacen_id').optional().isInt({ min: 1 }).withMessage('ID de almacén inválido')
+], async (req, res) => {
   try {
     // Verificar permisos
     if (!req.user.permisos.all && !req.user.permisos.inventory) {
@@ -380,13 +633,49 @@ router.get('/stock-bajo', async (req, res) => {
       });
     }
 
-    const [products] = await executeQuery(
-      `SELECT p.*, c.nombre as categoria_nombre
-       FROM productos p
-       JOIN categorias c ON p.categoria_id = c.id
-       WHERE p.activo = 1 AND p.stock_actual <= p.stock_minimo
-       ORDER BY (p.stock_minimo - p.stock_actual) DESC, p.nombre`
-    );
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { almacen_id } = req.query;
+    let products;
+
+    if (almacen_id) {
+      // En un almacén se compara su existencia con su mínimo propio o, si no
+      // tiene, con el mínimo general del producto
+      products = await executeQuery(
+        `SELECT p.*, c.nombre as categoria_nombre, ? as almacen_id,
+                COALESCE(sa.cantidad, 0) as stock_almacen,
+                COALESCE(rs.reservado, 0) as stock_reservado,
+                GREATEST(COALESCE(sa.cantidad, 0) - COALESCE(rs.reservado, 0), 0) as stock_disponible,
+                COALESCE(sa.stock_minimo, p.stock_minimo) as stock_minimo_almacen
+         FROM productos p
+         JOIN categorias c ON p.categoria_id = c.id
+         LEFT JOIN stock_almacen sa ON sa.producto_id = p.id AND sa.almacen_id = ?
+         LEFT JOIN (${RESERVED_STOCK}) rs ON rs.producto_id = p.id AND rs.almacen_id = ?
+         WHERE p.activo = 1 AND COALESCE(sa.cantidad, 0) <= COALESCE(sa.stock_minimo, p.stock_minimo)
+         ORDER BY (COALESCE(sa.stock_minimo, p.stock_minimo) - COALESCE(sa.cantidad, 0)) DESC, p.nombre`,
+        [parseInt(almacen_id), almacen_id, almacen_id]
+      );
+    } else {
+      products = await executeQuery(
+        `SELECT p.*, c.nombre as categoria_nombre,
+                COALESCE(rs.reservado, 0) as stock_reservado,
+                GREATEST(p.stock_actual - COALESCE(rs.reservado, 0), 0) as stock_disponible
+         FROM productos p
+         JOIN categorias c ON p.categoria_id = c.id
+         LEFT JOIN (
+           SELECT producto_id, SUM(reservado) as reservado FROM (${RESERVED_STOCK}) r GROUP BY producto_id
+         ) rs ON rs.producto_id = p.id
+         WHERE p.activo = 1 AND p.stock_actual <= p.stock_minimo
+         ORDER BY (p.stock_minimo - p.stock_actual) DESC, p.nombre`
+      );
+    }
 
     res.json({
       success: true,
@@ -405,8 +694,53 @@ router.get('/stock-bajo', async (req, res) => {
   }
 });
 
-// GET /api/inventory/resumen - Obtener resumen del inventario
-router.get('/resumen', async (req, res) => {
+// GET /api/inventory/reorden - Sugerencias de reposición agrupadas por proveedor
+router.get('/reorden', [
+  query('categoria_id').optional().isInt({ min: 1 }).withMessage('ID de categoría inválido'),
+  query('proveedor_id').optional().isInt({ min: 1 }).withMessage('ID de proveedor inválido')
+], async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver las sugerencias de reposición'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { categoria_id, proveedor_id } = req.query;
+    const suggestions = await getReorderSuggestions({ categoria_id, proveedor_id });
+
+    res.json({
+      success: true,
+      data: {
+        suggestions,
+        total_productos: suggestions.reduce((sum, group) => sum + group.productos.length, 0)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo sugerencias de reposición:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo las sugerencias de reposición'
+    });
+  }
+});
+
+// GET /api/inventory/resumen - Obtener resumen del inventario (total o por almacén)
+router.get('/resumen', [
+  query('almacen_id').optional().isInt({ min: 1 }).withMessage('ID de almacén inválido')
+], async (req, res) => {
   try {
     // Verificar permisos
     if (!req.user.permisos.all && !req.user.permisos.inventory) {
@@ -416,34 +750,87 @@ router.get('/resumen', async (req, res) => {
       });
     }
 
-    // Obtener estadísticas generales
-    const [stats] = await executeQuery(
-      `SELECT 
-        COUNT(*) as total_productos,
-        SUM(stock_actual) as stock_total,
-        SUM(precio * stock_actual) as valor_total,
-        COUNT(CASE WHEN stock_actual <= stock_minimo THEN 1 END) as productos_stock_bajo,
-        COUNT(CASE WHEN stock_actual = 0 THEN 1 END) as productos_sin_stock
-       FROM productos 
-       WHERE activo = 1`
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { almacen_id } = req.query;
+
+    // Obtener estadísticas generales (de un almacén o de todos)
+    const stats = almacen_id
+      ? await executeQuery(
+        `SELECT
+          COUNT(*) as total_productos,
+          COALESCE(SUM(sa.cantidad), 0) as stock_total,
+          COALESCE(SUM(v.valor), 0) as valor_total,
+          COUNT(CASE WHEN sa.cantidad <= COALESCE(sa.stock_minimo, p.stock_minimo) THEN 1 END) as productos_stock_bajo,
+          COUNT(CASE WHEN sa.cantidad = 0 THEN 1 END) as productos_sin_stock
+         FROM productos p
+         JOIN stock_almacen sa ON sa.producto_id = p.id AND sa.almacen_id = ?
+         LEFT JOIN (${stockValueQuery()}) v ON v.producto_id = sa.producto_id AND v.almacen_id = sa.almacen_id
+         WHERE p.activo = 1`,
+        [almacen_id]
+      )
+      : await executeQuery(
+        `SELECT
+          COUNT(*) as total_productos,
+          SUM(p.stock_actual) as stock_total,
+          COALESCE(SUM(v.valor), 0) as valor_total,
+          COUNT(CASE WHEN p.stock_actual <= p.stock_minimo THEN 1 END) as productos_stock_bajo,
+          COUNT(CASE WHEN p.stock_actual = 0 THEN 1 END) as productos_sin_stock
+         FROM productos p
+         LEFT JOIN (${productValueQuery()}) v ON v.producto_id = p.id
+         WHERE p.activo = 1`
+      );
+
+    // Stock reservado (activo) del almacén o de todos
+    const reserved = await executeQuery(
+      `SELECT COALESCE(SUM(rs.reservado), 0) as stock_reservado
+       FROM (${RESERVED_STOCK}) rs
+       JOIN productos p ON rs.producto_id = p.id AND p.activo = 1${almacen_id ? ' WHERE rs.almacen_id = ?' : ''}`,
+      almacen_id ? [almacen_id] : []
     );
 
     // Obtener movimientos del día
-    const [todayMovements] = await executeQuery(
+    const todayMovements = await executeQuery(
       `SELECT COUNT(*) as total_movimientos
-       FROM movimientos_inventario 
-       WHERE DATE(fecha_movimiento) = CURDATE()`
+       FROM movimientos_inventario
+       WHERE DATE(fecha_movimiento) = CURDATE()${almacen_id ? ' AND almacen_id = ?' : ''}`,
+      almacen_id ? [almacen_id] : []
     );
 
     // Obtener productos más movidos (últimos 30 días)
-    const [topProducts] = await executeQuery(
+    const topProducts = await executeQuery(
       `SELECT p.nombre, p.codigo, COUNT(m.id) as movimientos
        FROM productos p
        JOIN movimientos_inventario m ON p.id = m.producto_id
-       WHERE m.fecha_movimiento >= DATE_SUB(CURDATE(), INTERVAL 30 DAY)
+       WHERE m.fecha_movimiento >= DATE_SUB(CURDATE(), INTERVAL 30 DAY)${almacen_id ? ' AND m.almacen_id = ?' : ''}
        GROUP BY p.id
        ORDER BY movimientos DESC
-       LIMIT 10`
+       LIMIT 10`,
+      almacen_id ? [almacen_id] : []
+    );
+
+    // Existencias por almacén
+    const byWarehouse = await executeQuery(
+      `SELECT a.id, a.codigo, a.nombre, a.tipo,
+              COALESCE(SUM(sa.cantidad), 0) as stock_total,
+              COALESCE(SUM(rs.reservado), 0) as stock_reservado,
+              COALESCE(SUM(IF(p.id IS NULL, 0, v.valor)), 0) as valor_total
+       FROM almacenes a
+       LEFT JOIN stock_almacen sa ON sa.almacen_id = a.id
+       LEFT JOIN productos p ON sa.producto_id = p.id AND p.activo = 1
+       LEFT JOIN (${RESERVED_STOCK}) rs ON rs.producto_id = sa.producto_id AND rs.almacen_id = sa.almacen_id
+       LEFT JOIN (${stockValueQuery()}) v ON v.producto_id = sa.producto_id AND v.almacen_id = sa.almacen_id
+       WHERE a.activo = 1${almacen_id ? ' AND a.id = ?' : ''}
+       GROUP BY a.id
+       ORDER BY a.principal DESC, a.nombre`,
+      almacen_id ? [almacen_id] : []
     );
 
     res.json({
@@ -451,9 +838,12 @@ router.get('/resumen', async (req, res) => {
       data: {
         resumen: {
           ...stats[0],
+          metodo_costeo: getCostingMethod(),
+          stock_reservado: reserved[0].stock_reservado,
           movimientos_hoy: todayMovements[0].total_movimientos
         },
-        top_productos: topProducts
+        top_productos: topProducts,
+        por_almacen: byWarehouse
       }
     });
 
@@ -466,6 +856,386 @@ router.get('/resumen', async (req, res) => {
   }
 });
 
+// GET /api/inventory/snapshot - Existencias a una fecha (al cierre del día),
+// reconstruidas desde los movimientos: la cantidad es cantidad_nueva del último
+// movimiento hasta esa fecha o, si no hubo, cantidad_anterior del primero posterior.
+// El valor sale de valor_nuevo del mismo movimiento (no existe en movimientos
+// anteriores al costeo ni por almacén). formato=csv lo descarga como archivo.
+router.get('/snapshot', [
+  query('fecha').isISO8601({ strict: true }).withMessage('La fecha es requerida (YYYY-MM-DD)'),
+  query('categoria_id').optional().isInt({ min: 1 }).withMessage('ID de categoría inválido'),
+  query('almacen_id').optional().isInt({ min: 1 }).withMessage('ID de almacén inválido'),
+  query('incluir_sin_stock').optional().isBoolean().withMessage('incluir_sin_stock debe ser true o false'),
+  query('formato').optional().isIn(['json', 'csv']).withMessage('Formato inválido')
+], async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory && !req.user.permisos.reports) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver existencias históricas'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { categoria_id, almacen_id, formato = 'json' } = req.query;
+    const fecha = req.query.fecha.slice(0, 10);
+    const incluirSinStock = ['true', '1'].includes(req.query.incluir_sin_stock);
+
+    // Con almacen_id se reconstruye la existencia de ese almacén; si no, el total
+    const porAlmacen = almacen_id ? ' AND m.almacen_id = ?' : '';
+    const almacenParams = almacen_id ? [almacen_id] : [];
+    const anterior = almacen_id ? 'cantidad_anterior_almacen' : 'cantidad_anterior';
+    const nueva = almacen_id ? 'cantidad_nueva_almacen' : 'cantidad_nueva';
+    // Sin movimientos, la existencia no cambió desde entonces
+    const actual = almacen_id
+      ? '(SELECT COALESCE(SUM(sa.cantidad), 0) FROM stock_almacen sa WHERE sa.producto_id = p.id AND sa.almacen_id = ?)'
+      : 'p.stock_actual';
+
+    let whereClause = 'WHERE p.created_at < DATE_ADD(?, INTERVAL 1 DAY)';
+    let params = [fecha];
+
+    if (categoria_id) {
+      whereClause += ' AND p.categoria_id = ?';
+      params.push(categoria_id);
+    }
+
+    const rows = await executeQuery(
+      `SELECT p.id as producto_id, p.codigo, p.nombre, p.activo, c.nombre as categoria_nombre,
+              CASE
+                WHEN ult.id IS NOT NULL THEN ult.${nueva}
+                WHEN sig.id IS NOT NULL THEN sig.${anterior}
+                ELSE ${actual}
+              END as cantidad,
+              ${almacen_id ? 'NULL' : 'ult.valor_nuevo'} as valor,
+              ult.fecha_movimiento as ultimo_movimiento
+       FROM productos p
+       JOIN categorias c ON p.categoria_id = c.id
+       LEFT JOIN movimientos_inventario ult ON ult.id = (
+         SELECT MAX(m.id) FROM movimientos_inventario m
+         WHERE m.producto_id = p.id AND m.fecha_movimiento < DATE_ADD(?, INTERVAL 1 DAY)${porAlmacen}
+       )
+       LEFT JOIN movimientos_inventario sig ON sig.id = (
+         SELECT MIN(m.id) FROM movimientos_inventario m
+         WHERE m.producto_id = p.id AND m.fecha_movimiento >= DATE_ADD(?, INTERVAL 1 DAY)${porAlmacen}
+       )
+       ${whereClause}
+       ORDER BY c.nombre, p.nombre`,
+      [...almacenParams, fecha, ...almacenParams, fecha, ...almacenParams, ...params]
+    );
+
+    const productos = rows
+      .map(row => {
+        const cantidad = Number(row.cantidad);
+        // Sin existencias el valor es cero aunque no haya valuación registrada
+        const valor = cantidad === 0 ? 0 : (row.valor !== null ? Number(row.valor) : null);
+        return {
+          ...row,
+          cantidad,
+          valor,
+          costo_unitario: valor !== null && cantidad > 0 ? roundMoney(valor / cantidad) : null
+        };
+      })
+      .filter(row => incluirSinStock || row.cantidad !== 0);
+
+    const resumen = {
+      total_productos: productos.length,
+      total_unidades: productos.reduce((sum, p) => sum + p.cantidad, 0),
+      valor_total: roundMoney(productos.reduce((sum, p) => sum + (p.valor || 0), 0)),
+      productos_sin_valuar: productos.filter(p => p.valor === null).length
+    };
+
+    if (formato === 'csv') {
+      const csv = toCsv([
+        { key: 'codigo', header: 'Código' },
+        { key: 'nombre', header: 'Producto' },
+        { key: 'categoria_nombre', header: 'Categoría' },
+        { key: 'cantidad', header: 'Cantidad' },
+        { key: 'costo_unitario', header: 'Costo unitario' },
+        { key: 'valor', header: 'Valor' }
+      ], productos);
+
+      res.attachment(`existencias_${fecha}${almacen_id ? `_almacen_${almacen_id}` : ''}.csv`);
+      return res.type('text/csv').send(csv);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        fecha,
+        almacen_id: almacen_id ? parseInt(almacen_id) : null,
+        metodo_costeo: getCostingMethod(),
+        productos,
+        resumen
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo existencias a la fecha:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo las existencias a la fecha'
+    });
+  }
+});
+
+// GET /api/inventory/integridad - Verificar el libro de movimientos contra las
+// existencias (cadena cantidad_anterior/cantidad_nueva y último saldo)
+router.get('/integridad', [
+  query('producto_id').optional().isInt({ min: 1 }).withMessage('ID de producto inválido')
+], checkRole(['admin']), async (req, res) => {
+  try {
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const resultado = await checkLedger({ producto_id: req.query.producto_id });
+
+    res.json({
+      success: true,
+      data: resultado
+    });
+
+  } catch (error) {
+    console.error('Error verificando el libro de movimientos:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error verificando el libro de movimientos'
+    });
+  }
+});
+
+// POST /api/inventory/integridad/corregir - Registrar ajustes de conciliación
+// para los productos cuyo libro no cuadra con sus existencias
+router.post('/integridad/corregir', [
+  body('producto_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID de producto inválido'),
+  body('motivo')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('El motivo debe tener entre 1 y 500 caracteres')
+], checkRole(['admin']), async (req, res) => {
+  try {
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { producto_id, motivo } = req.body;
+    const resultado = await correctLedger({ producto_id, usuario_id: req.user.id, motivo });
+
+    res.json({
+      success: true,
+      message: `${resultado.correcciones.length} productos conciliados`,
+      data: resultado
+    });
+
+  } catch (error) {
+    console.error('Error conciliando el libro de movimientos:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error conciliando el libro de movimientos'
+    });
+  }
+});
+
+// GET /api/inventory/lotes - Obtener lotes con sus existencias
+router.get('/lotes', [
+  query('page').optional().isInt({ min: 1 }).withMessage('La página debe ser un número positivo'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('El límite debe estar entre 1 y 100'),
+  query('producto_id').optional().isInt({ min: 1 }).withMessage('ID de producto inválido'),
+  query('almacen_id').optional().isInt({ min: 1 }).withMessage('ID de almacén inválido'),
+  query('numero_lote').optional().isLength({ max: 50 }).withMessage('Número de lote inválido'),
+  query('con_stock').optional().isBoolean().withMessage('El filtro con_stock debe ser booleano')
+], async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver lotes'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 10, producto_id, almacen_id, numero_lote, con_stock } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'WHERE 1=1';
+    let params = [];
+
+    if (producto_id) {
+      whereClause += ' AND l.producto_id = ?';
+      params.push(producto_id);
+    }
+
+    if (almacen_id) {
+      whereClause += ' AND l.almacen_id = ?';
+      params.push(almacen_id);
+    }
+
+    if (numero_lote) {
+      whereClause += ' AND l.numero_lote LIKE ?';
+      params.push(`%${numero_lote}%`);
+    }
+
+    if (con_stock === 'true' || con_stock === '1') {
+      whereClause += ' AND l.cantidad > 0';
+    }
+
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as total FROM lotes l ${whereClause}`,
+      params
+    );
+
+    const total = countResult[0].total;
+
+    const lots = await executeQuery(
+      `SELECT l.*, p.codigo as producto_codigo, p.nombre as producto_nombre, a.nombre as almacen_nombre,
+              DATEDIFF(l.fecha_vencimiento, CURDATE()) as dias_para_vencer
+       FROM lotes l
+       JOIN productos p ON l.producto_id = p.id
+       JOIN almacenes a ON l.almacen_id = a.id
+       ${whereClause}
+       ORDER BY l.fecha_vencimiento IS NULL, l.fecha_vencimiento, l.id
+       LIMIT ? OFFSET ?`,
+      [...params, parseInt(limit), offset]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        lots,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo lotes:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo la lista de lotes'
+    });
+  }
+});
+
+// GET /api/inventory/lotes/:id/trazabilidad - Todos los movimientos de un lote en
+// cualquier almacén (el número de lote se conserva en las transferencias)
+router.get('/lotes/:id/trazabilidad', async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver lotes'
+      });
+    }
+
+    const { id } = req.params;
+
+    const lots = await executeQuery(
+      `SELECT l.*, p.codigo as producto_codigo, p.nombre as producto_nombre
+       FROM lotes l
+       JOIN productos p ON l.producto_id = p.id
+       WHERE l.id = ?`,
+      [id]
+    );
+
+    if (lots.length === 0) {
+      return res.status(404).json({
+        error: 'Lote no encontrado',
+        message: 'El lote solicitado no existe'
+      });
+    }
+
+    const lot = lots[0];
+
+    const ubicaciones = await executeQuery(
+      `SELECT l.id as lote_id, l.almacen_id, a.nombre as almacen_nombre, l.fecha_vencimiento, l.cantidad
+       FROM lotes l
+       JOIN almacenes a ON l.almacen_id = a.id
+       WHERE l.producto_id = ? AND l.numero_lote = ?
+       ORDER BY a.nombre`,
+      [lot.producto_id, lot.numero_lote]
+    );
+
+    // Los movimientos de venta incluyen el cliente para saber a quién se despachó
+    const movimientos = await executeQuery(
+      `SELECT m.id as movimiento_id, m.tipo, m.fecha_movimiento, m.motivo,
+              m.referencia_tipo, m.referencia_id, m.almacen_id, a.nombre as almacen_nombre,
+              ml.lote_id, ml.cantidad, ml.cantidad_anterior, ml.cantidad_nueva,
+              IF(m.referencia_tipo = 'venta', v.cliente, NULL) as cliente,
+              IF(m.referencia_tipo = 'venta', v.cliente_id, NULL) as cliente_id,
+              u.nombre as usuario_nombre, u.apellido as usuario_apellido
+       FROM movimientos_lotes ml
+       JOIN lotes l ON ml.lote_id = l.id
+       JOIN movimientos_inventario m ON ml.movimiento_id = m.id
+       JOIN almacenes a ON m.almacen_id = a.id
+       JOIN usuarios u ON m.usuario_id = u.id
+       LEFT JOIN ventas v ON m.referencia_tipo = 'venta' AND m.referencia_id = v.id
+       WHERE l.producto_id = ? AND l.numero_lote = ?
+       ORDER BY m.fecha_movimiento, m.id`,
+      [lot.producto_id, lot.numero_lote]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        lote: {
+          producto_id: lot.producto_id,
+          producto_codigo: lot.producto_codigo,
+          producto_nombre: lot.producto_nombre,
+          numero_lote: lot.numero_lote,
+          fecha_vencimiento: lot.fecha_vencimiento,
+          existencia_total: ubicaciones.reduce((sum, u) => sum + u.cantidad, 0)
+        },
+        ubicaciones,
+        movimientos
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo trazabilidad del lote:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo la trazabilidad del lote'
+    });
+  }
+});
+
 // GET /api/inventory/:id - Obtener movimiento específico
 router.get('/:id', async (req, res) => {
   try {
@@ -479,11 +1249,13 @@ router.get('/:id', async (req, res) => {
 
     const { id } = req.params;
 
-    const [movements] = await executeQuery(
+    const movements = await executeQuery(
       `SELECT m.*, p.nombre as producto_nombre, p.codigo as producto_codigo,
+              a.nombre as almacen_nombre,
               u.nombre as usuario_nombre, u.apellido as usuario_apellido
        FROM movimientos_inventario m
        JOIN productos p ON m.producto_id = p.id
+       JOIN almacenes a ON m.almacen_id = a.id
        JOIN usuarios u ON m.usuario_id = u.id
        WHERE m.id = ?`,
       [id]
@@ -0,0 +1,363 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const { executeQuery, executeTransaction } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { HttpError } = require('../utils/errors');
+const { PAYMENT_METHODS, syncPaymentStatus, registerPayment } = require('../utils/payments');
+
+const router = express.Router();
+
+// Aplicar autenticación a todas las rutas
+router.use(authenticateToken);
+
+// Validaciones para pagos
+const paymentValidation = [
+  body('tipo')
+    .isIn(['compra', 'venta'])
+    .withMessage('El tipo debe ser compra o venta'),
+  body('documento_id')
+    .isInt({ min: 1 })
+    .withMessage('El ID del documento es requerido'),
+  body('monto')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('El monto debe ser un número mayor a cero'),
+  body('metodo')
+    .isIn(PAYMENT_METHODS)
+    .withMessage(`El método de pago debe ser uno de: ${PAYMENT_METHODS.join(', ')}`),
+  body('fecha_pago')
+    .optional()
+    .isISO8601()
+    .withMessage('Fecha de pago inválida'),
+  body('referencia')
+    .optional({ values: 'falsy' })
+    .isLength({ max: 100 })
+    .withMessage('La referencia no puede exceder 100 caracteres'),
+  body('notas')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Las notas no pueden exceder 1000 caracteres')
+];
+
+// Obtener un pago con el documento al que pertenece
+const findPayment = async (id) => {
+  const payments = await executeQuery(
+    `SELECT pg.*, IF(pg.compra_id IS NOT NULL, 'compra', 'venta') as tipo,
+            pr.nombre as proveedor_nombre, v.cliente as cliente_nombre,
+            u.nombre as usuario_nombre, u.apellido as usuario_apellido
+     FROM pagos pg
+     LEFT JOIN compras c ON pg.compra_id = c.id
+     LEFT JOIN proveedores pr ON c.proveedor_id = pr.id
+     LEFT JOIN ventas v ON pg.venta_id = v.id
+     JOIN usuarios u ON pg.usuario_id = u.id
+     WHERE pg.id = ?`,
+    [id]
+  );
+
+  return payments[0];
+};
+
+// GET /api/payments - Obtener pagos con paginación y filtros
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).withMessage('La página debe ser un número positivo'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('El límite debe estar entre 1 y 100'),
+  query('tipo').optional().isIn(['compra', 'venta']).withMessage('Tipo inválido'),
+  query('compra_id').optional().isInt({ min: 1 }).withMessage('ID de compra inválido'),
+  query('venta_id').optional().isInt({ min: 1 }).withMessage('ID de venta inválido'),
+  query('proveedor_id').optional().isInt({ min: 1 }).withMessage('ID de proveedor inválido'),
+  query('cliente_id').optional().isInt({ min: 1 }).withMessage('ID de cliente inválido'),
+  query('metodo').optional().isIn(PAYMENT_METHODS).withMessage('Método de pago inválido'),
+  query('anulado').optional().isBoolean().withMessage('El filtro anulado debe ser booleano'),
+  query('fecha_inicio').optional().isISO8601().withMessage('Fecha de inicio inválida'),
+  query('fecha_fin').optional().isISO8601().withMessage('Fecha de fin inválida')
+], async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver pagos'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const {
+      page = 1, limit = 10, tipo, compra_id, venta_id, proveedor_id, cliente_id,
+      metodo, anulado, fecha_inicio, fecha_fin
+    } = req.query;
+    const offset = (page - 1) * limit;
+
+    // Construir query base
+    let whereClause = 'WHERE 1=1';
+    let params = [];
+
+    if (tipo === 'compra') {
+      whereClause += ' AND pg.compra_id IS NOT NULL';
+    } else if (tipo === 'venta') {
+      whereClause += ' AND pg.venta_id IS NOT NULL';
+    }
+
+    if (compra_id) {
+      whereClause += ' AND pg.compra_id = ?';
+      params.push(compra_id);
+    }
+
+    if (venta_id) {
+      whereClause += ' AND pg.venta_id = ?';
+      params.push(venta_id);
+    }
+
+    if (proveedor_id) {
+      whereClause += ' AND c.proveedor_id = ?';
+      params.push(proveedor_id);
+    }
+
+    if (cliente_id) {
+      whereClause += ' AND v.cliente_id = ?';
+      params.push(cliente_id);
+    }
+
+    if (metodo) {
+      whereClause += ' AND pg.metodo = ?';
+      params.push(metodo);
+    }
+
+    if (anulado !== undefined) {
+      whereClause += ' AND pg.anulado = ?';
+      params.push(anulado === 'true' || anulado === '1' ? 1 : 0);
+    }
+
+    if (fecha_inicio) {
+      whereClause += ' AND pg.fecha_pago >= ?';
+      params.push(fecha_inicio);
+    }
+
+    if (fecha_fin) {
+      whereClause += ' AND pg.fecha_pago <= ?';
+      params.push(fecha_fin);
+    }
+
+    const joins = `LEFT JOIN compras c ON pg.compra_id = c.id
+       LEFT JOIN proveedores pr ON c.proveedor_id = pr.id
+       LEFT JOIN ventas v ON pg.venta_id = v.id`;
+
+    // Query para contar total (los pagos anulados no suman al monto)
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as total, COALESCE(SUM(CASE WHEN pg.anulado = 0 THEN pg.monto END), 0) as monto_total
+       FROM pagos pg
+       ${joins}
+       ${whereClause}`,
+      params
+    );
+
+    const { total, monto_total } = countResult[0];
+
+    // Query para obtener pagos
+    const payments = await executeQuery(
+      `SELECT pg.*, IF(pg.compra_id IS NOT NULL, 'compra', 'venta') as tipo,
+              pr.nombre as proveedor_nombre, v.cliente as cliente_nombre,
+              u.nombre as usuario_nombre, u.apellido as usuario_apellido
+       FROM pagos pg
+       ${joins}
+       JOIN usuarios u ON pg.usuario_id = u.id
+       ${whereClause}
+       ORDER BY pg.fecha_pago DESC, pg.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, parseInt(limit), offset]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        payments,
+        monto_total,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo pagos:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo la lista de pagos'
+    });
+  }
+});
+
+// GET /api/payments/:id - Obtener pago por ID
+router.get('/:id', async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver pagos'
+      });
+    }
+
+    const payment = await findPayment(req.params.id);
+
+    if (!payment) {
+      return res.status(404).json({
+        error: 'Pago no encontrado',
+        message: 'El pago solicitado no existe'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        payment
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo pago:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo el pago'
+    });
+  }
+});
+
+// POST /api/payments - Registrar pago (total o parcial) de una compra o venta
+router.post('/', paymentValidation, async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para registrar pagos'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { tipo, documento_id, monto, metodo, fecha_pago, referencia, notas } = req.body;
+    const usuario_id = req.user.id;
+
+    const payment = await executeTransaction(connection =>
+      registerPayment(connection, { tipo, documento_id, monto, metodo, fecha_pago, referencia, notas, usuario_id })
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Pago registrado exitosamente',
+      data: {
+        payment
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Error registrando pago:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error registrando el pago'
+    });
+  }
+});
+
+// POST /api/payments/:id/anular - Anular un pago y recalcular el saldo del documento
+router.post('/:id/anular', [
+  body('motivo')
+    .notEmpty()
+    .withMessage('El motivo de la anulación es requerido')
+    .isLength({ max: 500 })
+    .withMessage('El motivo no puede exceder 500 caracteres')
+], async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para anular pagos'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { motivo } = req.body;
+
+    const status = await executeTransaction(async (connection) => {
+      const [payments] = await connection.execute(
+        'SELECT id, compra_id, venta_id, anulado FROM pagos WHERE id = ? FOR UPDATE',
+        [id]
+      );
+
+      if (payments.length === 0) {
+        throw new HttpError(404, 'Pago no encontrado', 'El pago solicitado no existe');
+      }
+
+      const payment = payments[0];
+
+      if (payment.anulado) {
+        throw new HttpError(400, 'Pago ya anulado', 'El pago ya fue anulado');
+      }
+
+      await connection.execute(
+        'UPDATE pagos SET anulado = 1, motivo_anulacion = ? WHERE id = ?',
+        [motivo, id]
+      );
+
+      return payment.compra_id
+        ? syncPaymentStatus(connection, 'compra', payment.compra_id)
+        : syncPaymentStatus(connection, 'venta', payment.venta_id);
+    });
+
+    const payment = await findPayment(id);
+
+    res.json({
+      success: true,
+      message: 'Pago anulado exitosamente',
+      data: {
+        payment,
+        documento: status
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Error anulando pago:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error anulando el pago'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,83 @@
 const express = require('express');
-const { executeQuery } = require('../config/database');
+const { body, validationResult } = require('express-validator');
+const { executeQuery, executeTransaction } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { resolveWarehouse, registerMovement } = require('../utils/stock');
+const { DEFAULT_LOT } = require('../utils/lots');
+const { RESERVED_STOCK } = require('../utils/reservations');
+const { submitAdjustment } = require('../utils/adjustments');
+const { roundQuantity } = require('../utils/units');
+const { roundCost } = require('../utils/costing');
+const { HttpError } = require('../utils/errors');
 
 const router = express.Router();
 
 // Aplicar autenticación
 router.use(authenticateToken);
 
+// Validaciones para el catálogo de proveedores del producto
+const productSupplierValidation = [
+  body('sku_proveedor')
+    .optional({ values: 'falsy' })
+    .isLength({ max: 50 })
+    .withMessage('El SKU del proveedor no puede exceder 50 caracteres'),
+  body('costo_ultimo')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('El último costo debe ser un número positivo'),
+  body('cantidad_minima')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('La cantidad mínima de pedido debe ser un número positivo'),
+  body('tiempo_entrega_dias')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('El tiempo de entrega debe ser un número de días válido'),
+  body('preferido')
+    .optional()
+    .isBoolean()
+    .withMessage('El indicador de preferido debe ser true o false')
+];
+
+// Guarda la relación producto-proveedor; solo un proveedor puede ser el preferido
+const saveProductSupplier = (productoId, proveedorId, data) => executeTransaction(async (connection) => {
+  const preferido = [true, 'true', 1, '1'].includes(data.preferido);
+
+  if (preferido) {
+    await connection.execute(
+      'UPDATE productos_proveedores SET preferido = 0 WHERE producto_id = ? AND proveedor_id != ?',
+      [productoId, proveedorId]
+    );
+  }
+
+  await connection.execute(
+    `INSERT INTO productos_proveedores (producto_id, proveedor_id, sku_proveedor, costo_ultimo, cantidad_minima, tiempo_entrega_dias, preferido)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE sku_proveedor = VALUES(sku_proveedor), costo_ultimo = VALUES(costo_ultimo),
+       cantidad_minima = VALUES(cantidad_minima), tiempo_entrega_dias = VALUES(tiempo_entrega_dias),
+       preferido = VALUES(preferido), updated_at = CURRENT_TIMESTAMP`,
+    [
+      productoId,
+      proveedorId,
+      data.sku_proveedor || null,
+      roundCost(data.costo_ultimo || 0),
+      Number(data.cantidad_minima) || 1,
+      parseInt(data.tiempo_entrega_dias) || 0,
+      preferido
+    ]
+  );
+
+  const [rows] = await connection.execute(
+    `SELECT pp.*, pr.nombre as proveedor_nombre, pr.ruc as proveedor_ruc
+     FROM productos_proveedores pp
+     JOIN proveedores pr ON pp.proveedor_id = pr.id
+     WHERE pp.producto_id = ? AND pp.proveedor_id = ?`,
+    [productoId, proveedorId]
+  );
+
+  return rows[0];
+});
+
 // GET /api/products - Obtener productos
 router.get('/', async (req, res) => {
   try {
@@ -29,6 +100,13 @@ router.get('/', async (req, res) => {
         p.precio_compra,
         p.stock_minimo,
         p.stock_actual,
+        p.unidad_id,
+        um.codigo as unidad_codigo,
+        COALESCE(rs.reservado, 0) as stock_reservado,
+        GREATEST(p.stock_actual - COALESCE(rs.reservado, 0), 0) as stock_disponible,
+        p.punto_reorden,
+        p.cantidad_reorden,
+        p.stock_maximo,
         p.categoria_id,
         p.imagen,
         p.activo,
@@ -37,6 +115,10 @@ router.get('/', async (req, res) => {
         c.nombre as categoria_nombre
       FROM productos p 
       LEFT JOIN categorias c ON p.categoria_id = c.id 
+      JOIN unidades_medida um ON p.unidad_id = um.id
+      LEFT JOIN (
+        SELECT producto_id, SUM(reservado) as reservado FROM (${RESERVED_STOCK}) r GROUP BY producto_id
+      ) rs ON rs.producto_id = p.id
       WHERE p.activo = 1 
       ORDER BY p.created_at DESC
     `);
@@ -72,16 +154,52 @@ router.post('/', async (req, res) => {
       });
     }
 
-    const { nombre, descripcion, precio, stock, stock_minimo, categoria_id } = req.body;
+    const { nombre, descripcion, precio, stock, stock_minimo, categoria_id, unidad_id } = req.body;
 
     // Generar código único para el producto
     const codigo = `PROD-${Date.now()}`;
 
-    // Insertar producto
-    const result = await executeQuery(
-      'INSERT INTO productos (codigo, nombre, descripcion, precio, stock_actual, stock_minimo, categoria_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
-      [codigo, nombre, descripcion || '', precio, stock, stock_minimo, categoria_id]
-    );
+    const stockInicial = Number(stock) || 0;
+
+    if (stockInicial < 0) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        message: 'El stock inicial no puede ser negativo'
+      });
+    }
+
+    // Insertar producto; el stock inicial ingresa al almacén principal con una
+    // entrada de apertura para que quede en el libro de movimientos
+    // Sin unidad_id el producto se maneja por unidad (UND)
+    const result = await executeTransaction(async (connection) => {
+      const [units] = await connection.execute(
+        unidad_id
+          ? 'SELECT id FROM unidades_medida WHERE id = ? AND activo = 1'
+          : "SELECT id FROM unidades_medida WHERE codigo = 'UND'",
+        unidad_id ? [unidad_id] : []
+      );
+
+      if (units.length === 0) {
+        throw new HttpError(400, 'Unidad inválida', `La unidad de medida ${unidad_id} no existe o está inactiva`);
+      }
+
+      const [inserted] = await connection.execute(
+        'INSERT INTO productos (codigo, nombre, descripcion, precio, stock_actual, stock_minimo, categoria_id, unidad_id) VALUES (?, ?, ?, ?, 0, ?, ?, ?)',
+        [codigo, nombre, descripcion || '', precio, stock_minimo, categoria_id, units[0].id]
+      );
+
+      if (stockInicial > 0) {
+        await registerMovement(connection, {
+          producto_id: inserted.insertId,
+          tipo: 'entrada',
+          cantidad: stockInicial,
+          motivo: 'Stock inicial',
+          usuario_id: req.user.id
+        });
+      }
+
+      return { insertId: inserted.insertId, unidad_id: units[0].id };
+    });
 
     res.json({
       success: true,
@@ -94,11 +212,16 @@ router.post('/', async (req, res) => {
         precio,
         stock,
         stock_minimo,
-        categoria_id
+        categoria_id,
+        unidad_id: result.unidad_id
       }
     });
 
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
     console.error('❌ Error creando producto:', error);
     res.status(500).json({
       error: 'Error interno del servidor',
@@ -118,12 +241,64 @@ router.put('/:id', async (req, res) => {
     }
 
     const { id } = req.params;
-    const { nombre, descripcion, precio, stock, stock_minimo, categoria_id } = req.body;
+    const { nombre, descripcion, precio, stock, stock_minimo, categoria_id, motivo_ajuste_id } = req.body;
 
-    const result = await executeQuery(
-      'UPDATE productos SET nombre = ?, descripcion = ?, precio = ?, stock_actual = ?, stock_minimo = ?, categoria_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND activo = 1',
-      [nombre, descripcion || '', precio, stock, stock_minimo, categoria_id, id]
-    );
+    // Un cambio de stock desde la ficha se registra como ajuste del almacén
+    // principal a nombre del usuario, para que quede en el libro de movimientos.
+    // Como todo ajuste, indica su motivo y puede quedar pendiente de aprobación.
+    const result = await executeTransaction(async (connection) => {
+      const [products] = await connection.execute(
+        'SELECT stock_actual, maneja_lotes, maneja_series FROM productos WHERE id = ? AND activo = 1 FOR UPDATE',
+        [id]
+      );
+
+      if (products.length === 0) {
+        return { affectedRows: 0 };
+      }
+
+      const diferencia = stock !== undefined ? roundQuantity(Number(stock) - products[0].stock_actual) : 0;
+      if (diferencia !== 0 && products[0].maneja_lotes) {
+        throw new HttpError(400, 'Operación no permitida',
+          'El producto se controla por lotes; registre el cambio de stock con un movimiento de inventario por lote');
+      }
+
+      if (diferencia !== 0 && products[0].maneja_series) {
+        throw new HttpError(400, 'Operación no permitida',
+          'El producto es serializado; registre el cambio de stock con movimientos de inventario indicando las series');
+      }
+
+      let ajuste = {};
+
+      if (diferencia !== 0) {
+        const almacen = await resolveWarehouse(connection);
+        const [stocks] = await connection.execute(
+          'SELECT cantidad FROM stock_almacen WHERE producto_id = ? AND almacen_id = ? FOR UPDATE',
+          [id, almacen.id]
+        );
+        const nueva = roundQuantity((stocks.length > 0 ? stocks[0].cantidad : 0) + diferencia);
+
+        if (nueva < 0) {
+          throw new HttpError(400, 'Ajuste inválido',
+            `El almacén ${almacen.nombre} no tiene stock suficiente para reducir el total a ${stock}; registre salidas en los otros almacenes`);
+        }
+
+        ajuste = await submitAdjustment(connection, {
+          producto_id: id,
+          almacen_id: almacen.id,
+          cantidad: nueva,
+          motivo_ajuste_id,
+          motivo: `Ajuste desde la ficha del producto: stock ${products[0].stock_actual} → ${stock}`,
+          usuario_id: req.user.id
+        });
+      }
+
+      const [updated] = await connection.execute(
+        'UPDATE productos SET nombre = ?, descripcion = ?, precio = ?, stock_minimo = ?, categoria_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND activo = 1',
+        [nombre, descripcion || '', precio, stock_minimo, categoria_id, id]
+      );
+
+      return { affectedRows: updated.affectedRows, ...ajuste };
+    });
 
     if (result.affectedRows === 0) {
       return res.status(404).json({
@@ -134,11 +309,21 @@ router.put('/:id', async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Producto actualizado exitosamente',
-      data: { id, nombre, descripcion, precio, stock, stock_minimo, categoria_id }
+      message: result.solicitud
+        ? 'Producto actualizado; el cambio de stock quedó pendiente de aprobación'
+        : 'Producto actualizado exitosamente',
+      data: {
+        id, nombre, descripcion, precio, stock, stock_minimo, categoria_id,
+        movimiento: result.movimiento || null,
+        solicitud_ajuste: result.solicitud || null
+      }
     });
 
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
     console.error('❌ Error actualizando producto:', error);
     res.status(500).json({
       error: 'Error interno del servidor',
@@ -185,4 +370,732 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// GET /api/products/:id/stock - Existencias del producto por almacén
+router.get('/:id/stock', async (req, res) => {
+  try {
+    if (!req.user.permisos.all && !req.user.permisos.products) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver productos'
+      });
+    }
+
+    const { id } = req.params;
+
+    const products = await executeQuery(
+      'SELECT id, codigo, nombre, stock_actual, stock_minimo FROM productos WHERE id = ? AND activo = 1',
+      [id]
+    );
+
+    if (products.length === 0) {
+      return res.status(404).json({
+        error: 'Producto no encontrado',
+        message: 'El producto no existe o ya fue eliminado'
+      });
+    }
+
+    const stock = await executeQuery(
+      `SELECT a.id as almacen_id, a.codigo as almacen_codigo, a.nombre as almacen_nombre, a.tipo as almacen_tipo,
+              COALESCE(sa.cantidad, 0) as cantidad,
+              COALESCE(rs.reservado, 0) as reservado,
+              GREATEST(COALESCE(sa.cantidad, 0) - COALESCE(rs.reservado, 0), 0) as disponible,
+              COALESCE(sa.stock_minimo, ?) as stock_minimo,
+              (SELECT COALESCE(SUM(d.cantidad_enviada), 0)
+               FROM detalles_transferencia d
+               JOIN transferencias t ON d.transferencia_id = t.id
+               WHERE t.estado = 'en_transito' AND t.almacen_destino_id = a.id AND d.producto_id = ?) as en_transito
+       FROM almacenes a
+       LEFT JOIN stock_almacen sa ON sa.almacen_id = a.id AND sa.producto_id = ?
+       LEFT JOIN (${RESERVED_STOCK}) rs ON rs.almacen_id = a.id AND rs.producto_id = ?
+       WHERE a.activo = 1
+       ORDER BY a.principal DESC, a.nombre`,
+      [products[0].stock_minimo, id, id, id]
+    );
+
+    // La mercadería en tránsito ya salió del origen y todavía no ingresó al destino
+    const en_transito = stock.reduce((sum, row) => sum + Number(row.en_transito), 0);
+    // Lo reservado sigue en el almacén, pero no está disponible para otros documentos
+    const stock_reservado = stock.reduce((sum, row) => sum + Number(row.reservado), 0);
+    const stock_disponible = stock.reduce((sum, row) => sum + Number(row.disponible), 0);
+
+    res.json({
+      success: true,
+      data: {
+        product: { ...products[0], stock_reservado, stock_disponible, en_transito },
+        stock
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error obteniendo existencias del producto:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo las existencias del producto'
+    });
+  }
+});
+
+// PUT /api/products/:id/reposicion - Configurar parámetros de reposición del producto
+router.put('/:id/reposicion', [
+  body('punto_reorden')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('El punto de reorden debe ser un número no negativo'),
+  body('cantidad_reorden')
+    .optional({ values: 'null' })
+    .isFloat({ gt: 0 })
+    .withMessage('La cantidad de reorden debe ser un número positivo'),
+  body('stock_maximo')
+    .optional({ values: 'null' })
+    .isFloat({ gt: 0 })
+    .withMessage('El stock máximo debe ser un número positivo')
+], async (req, res) => {
+  try {
+    if (!req.user.permisos.all && !req.user.permisos.products) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para actualizar productos'
+      });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const punto_reorden = req.body.punto_reorden ?? null;
+    const cantidad_reorden = req.body.cantidad_reorden ?? null;
+    const stock_maximo = req.body.stock_maximo ?? null;
+
+    if (stock_maximo !== null && punto_reorden !== null && Number(stock_maximo) <= Number(punto_reorden)) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        message: 'El stock máximo debe ser mayor que el punto de reorden'
+      });
+    }
+
+    const result = await executeQuery(
+      'UPDATE productos SET punto_reorden = ?, cantidad_reorden = ?, stock_maximo = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND activo = 1',
+      [punto_reorden, cantidad_reorden, stock_maximo, id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        error: 'Producto no encontrado',
+        message: 'El producto no existe o ya fue eliminado'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Parámetros de reposición actualizados exitosamente',
+      data: { id, punto_reorden, cantidad_reorden, stock_maximo }
+    });
+
+  } catch (error) {
+    console.error('❌ Error actualizando parámetros de reposición:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error actualizando los parámetros de reposición'
+    });
+  }
+});
+
+// PUT /api/products/:id/lotes - Activar o desactivar el control por lotes
+router.put('/:id/lotes', [
+  body('maneja_lotes')
+    .isBoolean()
+    .withMessage('El indicador maneja_lotes debe ser true o false')
+], async (req, res) => {
+  try {
+    if (!req.user.permisos.all && !req.user.permisos.products) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para actualizar productos'
+      });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const maneja_lotes = req.body.maneja_lotes === true || req.body.maneja_lotes === 'true';
+
+    await executeTransaction(async (connection) => {
+      const [products] = await connection.execute(
+        'SELECT id, maneja_lotes FROM productos WHERE id = ? AND activo = 1 FOR UPDATE',
+        [id]
+      );
+
+      if (products.length === 0) {
+        throw new HttpError(404, 'Producto no encontrado', 'El producto no existe o ya fue eliminado');
+      }
+
+      if (Boolean(products[0].maneja_lotes) === maneja_lotes) return;
+
+      if (maneja_lotes) {
+        // Las existencias que no están en ningún lote pasan al lote genérico para
+        // que cada almacén siga sumando lo mismo que sus lotes
+        await connection.execute(
+          `INSERT INTO lotes (producto_id, almacen_id, numero_lote, cantidad)
+           SELECT sa.producto_id, sa.almacen_id, ?, sa.cantidad - COALESCE(
+             (SELECT SUM(l.cantidad) FROM lotes l WHERE l.producto_id = sa.producto_id AND l.almacen_id = sa.almacen_id), 0)
+           FROM stock_almacen sa
+           WHERE sa.producto_id = ?
+             AND sa.cantidad > COALESCE(
+               (SELECT SUM(l.cantidad) FROM lotes l WHERE l.producto_id = sa.producto_id AND l.almacen_id = sa.almacen_id), 0)
+           ON DUPLICATE KEY UPDATE cantidad = lotes.cantidad + VALUES(cantidad)`,
+          [DEFAULT_LOT, id]
+        );
+      } else {
+        const [lots] = await connection.execute(
+          'SELECT COUNT(*) as total FROM lotes WHERE producto_id = ? AND cantidad > 0',
+          [id]
+        );
+
+        if (lots[0].total > 0) {
+          throw new HttpError(400, 'Operación no permitida',
+            'No se puede desactivar el control por lotes mientras haya lotes con existencias');
+        }
+      }
+
+      await connection.execute(
+        'UPDATE productos SET maneja_lotes = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [maneja_lotes, id]
+      );
+    });
+
+    res.json({
+      success: true,
+      message: 'Control por lotes actualizado exitosamente',
+      data: { id, maneja_lotes }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('❌ Error actualizando control por lotes:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error actualizando el control por lotes'
+    });
+  }
+});
+
+// PUT /api/products/:id/series - Marcar o desmarcar el producto como serializado
+router.put('/:id/series', [
+  body('maneja_series')
+    .isBoolean()
+    .withMessage('El indicador maneja_series debe ser true o false')
+], async (req, res) => {
+  try {
+    if (!req.user.permisos.all && !req.user.permisos.products) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para actualizar productos'
+      });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const maneja_series = req.body.maneja_series === true || req.body.maneja_series === 'true';
+
+    await executeTransaction(async (connection) => {
+      const [products] = await connection.execute(
+        'SELECT id, stock_actual, maneja_series FROM productos WHERE id = ? AND activo = 1 FOR UPDATE',
+        [id]
+      );
+
+      if (products.length === 0) {
+        throw new HttpError(404, 'Producto no encontrado', 'El producto no existe o ya fue eliminado');
+      }
+
+      if (Boolean(products[0].maneja_series) === maneja_series) return;
+
+      // Cada unidad en stock debe tener su serie: el cambio solo se admite sin
+      // existencias (al activarlo, las unidades vuelven a ingresar con sus series)
+      if (products[0].stock_actual > 0) {
+        throw new HttpError(400, 'Operación no permitida',
+          'Solo se puede cambiar la serialización de un producto sin existencias');
+      }
+
+      await connection.execute(
+        'UPDATE productos SET maneja_series = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [maneja_series, id]
+      );
+    });
+
+    res.json({
+      success: true,
+      message: 'Serialización del producto actualizada exitosamente',
+      data: { id, maneja_series }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('❌ Error actualizando serialización del producto:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error actualizando la serialización del producto'
+    });
+  }
+});
+
+// Unidad de stock, unidades por defecto de compra y venta y conversiones del producto
+const findProductUnits = async (id) => {
+  const products = await executeQuery(
+    `SELECT p.id, p.codigo, p.nombre, p.unidad_id, um.codigo as unidad_codigo, um.fraccionable,
+            p.unidad_compra_id, uc.codigo as unidad_compra_codigo,
+            p.unidad_venta_id, uv.codigo as unidad_venta_codigo
+     FROM productos p
+     JOIN unidades_medida um ON p.unidad_id = um.id
+     LEFT JOIN unidades_medida uc ON p.unidad_compra_id = uc.id
+     LEFT JOIN unidades_medida uv ON p.unidad_venta_id = uv.id
+     WHERE p.id = ? AND p.activo = 1`,
+    [id]
+  );
+
+  if (products.length === 0) return null;
+
+  const conversiones = await executeQuery(
+    `SELECT up.unidad_id, um.codigo as unidad_codigo, um.nombre as unidad_nombre, up.factor
+     FROM unidades_producto up
+     JOIN unidades_medida um ON up.unidad_id = um.id
+     WHERE up.producto_id = ?
+     ORDER BY up.factor`,
+    [id]
+  );
+
+  return { ...products[0], conversiones };
+};
+
+// GET /api/products/:id/unidades - Unidades de medida y conversiones del producto
+router.get('/:id/unidades', async (req, res) => {
+  try {
+    if (!req.user.permisos.all && !req.user.permisos.products) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver productos'
+      });
+    }
+
+    const unidades = await findProductUnits(req.params.id);
+
+    if (!unidades) {
+      return res.status(404).json({
+        error: 'Producto no encontrado',
+        message: 'El producto no existe o ya fue eliminado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: unidades
+    });
+
+  } catch (error) {
+    console.error('❌ Error obteniendo unidades del producto:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo las unidades del producto'
+    });
+  }
+});
+
+// PUT /api/products/:id/unidades - Configurar unidades de medida del producto
+// conversiones reemplaza el conjunto: cuántas unidades de stock tiene cada unidad
+// (una CAJA de 24 tiene factor 24). Lo que no se indica se mantiene.
+router.put('/:id/unidades', [
+  body('unidad_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID de unidad de stock inválido'),
+  body('unidad_compra_id')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('ID de unidad de compra inválido'),
+  body('unidad_venta_id')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('ID de unidad de venta inválido'),
+  body('conversiones')
+    .optional()
+    .isArray()
+    .withMessage('Las conversiones deben ser una lista'),
+  body('conversiones.*.unidad_id')
+    .isInt({ min: 1 })
+    .withMessage('ID de unidad inválido'),
+  body('conversiones.*.factor')
+    .isFloat({ gt: 0 })
+    .withMessage('El factor de conversión debe ser un número positivo')
+], async (req, res) => {
+  try {
+    if (!req.user.permisos.all && !req.user.permisos.products) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para actualizar productos'
+      });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    await executeTransaction(async (connection) => {
+      const [products] = await connection.execute(
+        'SELECT id, unidad_id, unidad_compra_id, unidad_venta_id FROM productos WHERE id = ? AND activo = 1 FOR UPDATE',
+        [id]
+      );
+
+      if (products.length === 0) {
+        throw new HttpError(404, 'Producto no encontrado', 'El producto no existe o ya fue eliminado');
+      }
+
+      const producto = products[0];
+      const unidadStock = req.body.unidad_id !== undefined ? parseInt(req.body.unidad_id) : producto.unidad_id;
+
+      // Las cantidades del libro están en la unidad de stock: solo puede cambiar
+      // mientras el producto no tenga movimientos
+      if (unidadStock !== producto.unidad_id) {
+        const [movements] = await connection.execute(
+          'SELECT COUNT(*) as total FROM movimientos_inventario WHERE producto_id = ?',
+          [id]
+        );
+
+        if (movements[0].total > 0) {
+          throw new HttpError(400, 'Operación no permitida',
+            'No se puede cambiar la unidad de stock de un producto con movimientos de inventario');
+        }
+      }
+
+      let conversiones;
+
+      if (req.body.conversiones !== undefined) {
+        conversiones = req.body.conversiones.map(c => ({ unidad_id: parseInt(c.unidad_id), factor: Number(c.factor) }));
+      } else {
+        const [current] = await connection.execute(
+          'SELECT unidad_id, factor FROM unidades_producto WHERE producto_id = ?',
+          [id]
+        );
+        conversiones = current;
+      }
+
+      const unidadIds = conversiones.map(c => c.unidad_id);
+
+      if (new Set(unidadIds).size !== unidadIds.length) {
+        throw new HttpError(400, 'Datos inválidos', 'Cada unidad puede tener una sola conversión');
+      }
+
+      if (unidadIds.includes(unidadStock)) {
+        throw new HttpError(400, 'Datos inválidos', 'La unidad de stock no lleva conversión (su factor es 1)');
+      }
+
+      const requeridas = [...new Set([unidadStock, ...unidadIds])];
+      const [units] = await connection.execute(
+        `SELECT id FROM unidades_medida WHERE activo = 1 AND id IN (${requeridas.map(() => '?').join(', ')})`,
+        requeridas
+      );
+
+      if (units.length !== requeridas.length) {
+        const activas = units.map(u => u.id);
+        throw new HttpError(400, 'Unidad inválida',
+          `Unidades inexistentes o inactivas: ${requeridas.filter(u => !activas.includes(u)).join(', ')}`);
+      }
+
+      // Las unidades por defecto deben ser la de stock o una de las conversiones
+      const porDefecto = (campo) => {
+        const valor = req.body[campo] !== undefined ? req.body[campo] : producto[campo];
+        if (valor === null || valor === undefined) return null;
+
+        const unidadId = parseInt(valor);
+        if (unidadId !== unidadStock && !unidadIds.includes(unidadId)) {
+          throw new HttpError(400, 'Unidad inválida',
+            `La unidad ${unidadId} (${campo}) no es la de stock ni tiene conversión configurada`);
+        }
+
+        return unidadId;
+      };
+
+      const unidadCompra = porDefecto('unidad_compra_id');
+      const unidadVenta = porDefecto('unidad_venta_id');
+
+      if (req.body.conversiones !== undefined) {
+        await connection.execute('DELETE FROM unidades_producto WHERE producto_id = ?', [id]);
+
+        for (const conversion of conversiones) {
+          await connection.execute(
+            'INSERT INTO unidades_producto (producto_id, unidad_id, factor) VALUES (?, ?, ?)',
+            [id, conversion.unidad_id, conversion.factor]
+          );
+        }
+      }
+
+      await connection.execute(
+        `UPDATE productos SET unidad_id = ?, unidad_compra_id = ?, unidad_venta_id = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [unidadStock, unidadCompra, unidadVenta, id]
+      );
+    });
+
+    res.json({
+      success: true,
+      message: 'Unidades del producto actualizadas exitosamente',
+      data: await findProductUnits(id)
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('❌ Error actualizando unidades del producto:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error actualizando las unidades del producto'
+    });
+  }
+});
+
+// GET /api/products/:id/suppliers - Obtener proveedores que venden el producto
+router.get('/:id/suppliers', async (req, res) => {
+  try {
+    if (!req.user.permisos.all && !req.user.permisos.products) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver productos'
+      });
+    }
+
+    const { id } = req.params;
+
+    const products = await executeQuery(
+      'SELECT id, codigo, nombre, precio_compra FROM productos WHERE id = ? AND activo = 1',
+      [id]
+    );
+
+    if (products.length === 0) {
+      return res.status(404).json({
+        error: 'Producto no encontrado',
+        message: 'El producto no existe o ya fue eliminado'
+      });
+    }
+
+    const suppliers = await executeQuery(
+      `SELECT pp.*, pr.nombre as proveedor_nombre, pr.ruc as proveedor_ruc, pr.activo as proveedor_activo
+       FROM productos_proveedores pp
+       JOIN proveedores pr ON pp.proveedor_id = pr.id
+       WHERE pp.producto_id = ?
+       ORDER BY pp.preferido DESC, pp.costo_ultimo ASC`,
+      [id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        product: products[0],
+        suppliers
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error obteniendo proveedores del producto:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo los proveedores del producto'
+    });
+  }
+});
+
+// POST /api/products/:id/suppliers - Asociar proveedor al producto
+router.post('/:id/suppliers', [
+  body('proveedor_id').isInt({ min: 1 }).withMessage('El proveedor es requerido'),
+  ...productSupplierValidation
+], async (req, res) => {
+  try {
+    if (!req.user.permisos.all && !req.user.permisos.products) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para actualizar productos'
+      });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { proveedor_id } = req.body;
+
+    const products = await executeQuery(
+      'SELECT id FROM productos WHERE id = ? AND activo = 1',
+      [id]
+    );
+
+    if (products.length === 0) {
+      return res.status(404).json({
+        error: 'Producto no encontrado',
+        message: 'El producto no existe o ya fue eliminado'
+      });
+    }
+
+    const suppliers = await executeQuery(
+      'SELECT id FROM proveedores WHERE id = ? AND activo = 1',
+      [proveedor_id]
+    );
+
+    if (suppliers.length === 0) {
+      return res.status(404).json({
+        error: 'Proveedor no encontrado',
+        message: 'El proveedor especificado no existe o está inactivo'
+      });
+    }
+
+    const existing = await executeQuery(
+      'SELECT id FROM productos_proveedores WHERE producto_id = ? AND proveedor_id = ?',
+      [id, proveedor_id]
+    );
+
+    if (existing.length > 0) {
+      return res.status(400).json({
+        error: 'Proveedor ya asociado',
+        message: 'El proveedor ya está asociado a este producto'
+      });
+    }
+
+    const productSupplier = await saveProductSupplier(id, proveedor_id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Proveedor asociado exitosamente',
+      data: productSupplier
+    });
+
+  } catch (error) {
+    console.error('❌ Error asociando proveedor al producto:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error asociando el proveedor al producto'
+    });
+  }
+});
+
+// PUT /api/products/:id/suppliers/:proveedorId - Actualizar condiciones del proveedor
+router.put('/:id/suppliers/:proveedorId', productSupplierValidation, async (req, res) => {
+  try {
+    if (!req.user.permisos.all && !req.user.permisos.products) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para actualizar productos'
+      });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id, proveedorId } = req.params;
+
+    const existing = await executeQuery(
+      'SELECT * FROM productos_proveedores WHERE producto_id = ? AND proveedor_id = ?',
+      [id, proveedorId]
+    );
+
+    if (existing.length === 0) {
+      return res.status(404).json({
+        error: 'Relación no encontrada',
+        message: 'El proveedor no está asociado a este producto'
+      });
+    }
+
+    // Los campos no enviados conservan su valor actual
+    const productSupplier = await saveProductSupplier(id, proveedorId, { ...existing[0], ...req.body });
+
+    res.json({
+      success: true,
+      message: 'Proveedor del producto actualizado exitosamente',
+      data: productSupplier
+    });
+
+  } catch (error) {
+    console.error('❌ Error actualizando proveedor del producto:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error actualizando el proveedor del producto'
+    });
+  }
+});
+
+// DELETE /api/products/:id/suppliers/:proveedorId - Quitar proveedor del producto
+router.delete('/:id/suppliers/:proveedorId', async (req, res) => {
+  try {
+    if (!req.user.permisos.all && !req.user.permisos.products) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para actualizar productos'
+      });
+    }
+
+    const { id, proveedorId } = req.params;
+
+    const result = await executeQuery(
+      'DELETE FROM productos_proveedores WHERE producto_id = ? AND proveedor_id = ?',
+      [id, proveedorId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        error: 'Relación no encontrada',
+        message: 'El proveedor no está asociado a este producto'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Proveedor desasociado exitosamente'
+    });
+
+  } catch (error) {
+    console.error('❌ Error desasociando proveedor del producto:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error desasociando el proveedor del producto'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,1332 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const { pool, executeQuery, executeTransaction } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { resolveWarehouse, registerMovement } = require('../utils/stock');
+const { lotsToReturn } = require('../utils/lots');
+const { HttpError } = require('../utils/errors');
+const { roundMoney } = require('../utils/money');
+const { roundCost } = require('../utils/costing');
+const { roundQuantity, toStockQuantity } = require('../utils/units');
+const { getReorderSuggestions } = require('../utils/replenishment');
+const { PAYMENT_METHODS, syncPaymentStatus, registerPayment } = require('../utils/payments');
+
+const router = express.Router();
+
+// Aplicar autenticación a todas las rutas
+router.use(authenticateToken);
+
+// Validaciones para compras
+const purchaseValidation = [
+  body('proveedor_id')
+    .isInt({ min: 1 })
+    .withMessage('El proveedor es requerido'),
+  body('almacen_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID de almacén inválido'),
+  body('numero_factura')
+    .optional()
+    .isLength({ max: 50 })
+    .withMessage('El número de factura no puede exceder 50 caracteres'),
+  body('fecha_compra')
+    .optional()
+    .isISO8601()
+    .withMessage('Fecha de compra inválida'),
+  body('notas')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Las notas no pueden exceder 1000 caracteres'),
+  body('detalles')
+    .isArray({ min: 1 })
+    .withMessage('La compra debe tener al menos un detalle'),
+  body('detalles.*.producto_id')
+    .isInt({ min: 1 })
+    .withMessage('El ID del producto es requerido'),
+  body('detalles.*.cantidad')
+    .isFloat({ gt: 0 })
+    .withMessage('La cantidad debe ser un número positivo'),
+  body('detalles.*.unidad_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID de unidad inválido'),
+  body('detalles.*.precio_unitario')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('El precio unitario debe ser un número positivo')
+];
+
+// Obtiene la cabecera de la compra con su proveedor
+const findPurchase = async (id) => {
+  const purchases = await executeQuery(
+    `SELECT c.*, (c.total - c.monto_devuelto - c.monto_pagado) as saldo,
+            p.nombre as proveedor_nombre, p.ruc as proveedor_ruc, a.nombre as almacen_nombre,
+            u.nombre as usuario_nombre, u.apellido as usuario_apellido
+     FROM compras c
+     JOIN proveedores p ON c.proveedor_id = p.id
+     JOIN almacenes a ON c.almacen_id = a.id
+     JOIN usuarios u ON c.usuario_id = u.id
+     WHERE c.id = ?`,
+    [id]
+  );
+
+  return purchases[0];
+};
+
+// Arma las líneas de la compra con subtotales calculados en el servidor. Si una
+// línea no trae precio se usa el costo pactado con el proveedor (catálogo) o el
+// precio de compra del producto.
+// Cada línea puede venir en cualquier unidad configurada del producto (por
+// defecto, su unidad de compra) con el precio de esa unidad; cantidad y
+// precio_unitario se guardan en unidad de stock, y lo indicado en unidad_id,
+// cantidad_unidad y precio_unidad.
+const buildPurchaseLines = async (proveedorId, detalles) => {
+  const productIds = [...new Set(detalles.map(d => parseInt(d.producto_id)))];
+  const products = await executeQuery(
+    `SELECT p.id, COALESCE(pp.costo_ultimo, p.precio_compra) as costo
+     FROM productos p
+     LEFT JOIN productos_proveedores pp ON pp.producto_id = p.id AND pp.proveedor_id = ?
+     WHERE p.activo = 1 AND p.id IN (${productIds.map(() => '?').join(', ')})`,
+    [proveedorId, ...productIds]
+  );
+
+  if (products.length !== productIds.length) {
+    const found = products.map(p => p.id);
+    const missing = productIds.filter(id => !found.includes(id));
+    throw new HttpError(404, 'Producto no encontrado', `Los productos ${missing.join(', ')} no existen o están inactivos`);
+  }
+
+  const lines = [];
+
+  for (const d of detalles) {
+    const producto = products.find(p => p.id === parseInt(d.producto_id));
+    const unidad = await toStockQuantity(pool, producto.id, { cantidad: d.cantidad, unidad_id: d.unidad_id, uso: 'compra' });
+    const precio = roundMoney(d.precio_unitario !== undefined && d.precio_unitario !== null
+      ? d.precio_unitario
+      : producto.costo * unidad.factor);
+
+    lines.push({
+      producto_id: producto.id,
+      cantidad: unidad.cantidad,
+      unidad_id: unidad.unidad_id,
+      unidad_codigo: unidad.unidad_codigo,
+      cantidad_unidad: unidad.cantidad_unidad,
+      precio_unitario: roundCost(precio / unidad.factor),
+      precio_unidad: unidad.unidad_id ? precio : null,
+      subtotal: roundMoney(Number(d.cantidad) * precio)
+    });
+  }
+
+  return lines;
+};
+
+// Inserta una línea de compra armada por buildPurchaseLines
+const insertPurchaseLine = (connection, compraId, line) => connection.execute(
+  `INSERT INTO detalles_compra (compra_id, producto_id, cantidad, unidad_id, cantidad_unidad, precio_unitario, precio_unidad, subtotal)
+   VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+  [
+    compraId, line.producto_id, line.cantidad, line.unidad_id || null, line.cantidad_unidad || null,
+    line.precio_unitario, line.precio_unidad || null, line.subtotal
+  ]
+);
+
+// Inserta la cabecera y los detalles de una compra. La mercadería se recibirá en
+// el almacén indicado o en el principal. Debe ejecutarse dentro de executeTransaction.
+const insertPurchase = async (connection, { proveedor_id, almacen_id, numero_factura, fecha_compra, notas, usuario_id, estado = 'pendiente' }, lines) => {
+  const total = roundMoney(lines.reduce((sum, line) => sum + line.subtotal, 0));
+  const almacen = await resolveWarehouse(connection, almacen_id);
+
+  const [result] = await connection.execute(
+    `INSERT INTO compras (numero_factura, proveedor_id, almacen_id, fecha_compra, total, estado, usuario_id, notas)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [numero_factura || null, proveedor_id, almacen.id, fecha_compra || new Date().toISOString().slice(0, 10), total, estado, usuario_id, notas || null]
+  );
+
+  for (const line of lines) {
+    await insertPurchaseLine(connection, result.insertId, line);
+  }
+
+  return result.insertId;
+};
+
+// Validaciones para recepciones parciales
+const receptionValidation = [
+  body('numero_guia')
+    .optional()
+    .isLength({ max: 50 })
+    .withMessage('El número de guía no puede exceder 50 caracteres'),
+  body('notas')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Las notas no pueden exceder 1000 caracteres'),
+  body('detalles')
+    .isArray({ min: 1 })
+    .withMessage('La recepción debe tener al menos un detalle'),
+  body('detalles.*.detalle_compra_id')
+    .isInt({ min: 1 })
+    .withMessage('El ID del detalle de compra es requerido'),
+  body('detalles.*.cantidad')
+    .isFloat({ gt: 0 })
+    .withMessage('La cantidad debe ser un número positivo'),
+  body('detalles.*.unidad_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID de unidad inválido'),
+  body('detalles.*.numero_lote')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('El número de lote debe tener entre 1 y 50 caracteres'),
+  body('detalles.*.fecha_vencimiento')
+    .optional()
+    .isISO8601()
+    .withMessage('Fecha de vencimiento inválida'),
+  body('detalles.*.series')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Las series deben ser una lista'),
+  body('detalles.*.series.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Cada número de serie debe tener entre 1 y 100 caracteres')
+];
+
+// Validaciones para devoluciones a proveedor
+const supplierReturnValidation = [
+  body('motivo')
+    .notEmpty()
+    .withMessage('El motivo de la devolución es requerido')
+    .isLength({ max: 500 })
+    .withMessage('El motivo no puede exceder 500 caracteres'),
+  body('numero_nota_credito')
+    .optional()
+    .isLength({ max: 50 })
+    .withMessage('El número de nota de crédito no puede exceder 50 caracteres'),
+  body('detalles')
+    .isArray({ min: 1 })
+    .withMessage('La devolución debe tener al menos un detalle'),
+  body('detalles.*.detalle_compra_id')
+    .isInt({ min: 1 })
+    .withMessage('El ID del detalle de compra es requerido'),
+  body('detalles.*.cantidad')
+    .isFloat({ gt: 0 })
+    .withMessage('La cantidad debe ser un número positivo'),
+  body('detalles.*.unidad_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID de unidad inválido'),
+  body('detalles.*.series')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Las series deben ser una lista'),
+  body('detalles.*.series.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Cada número de serie debe tener entre 1 y 100 caracteres')
+];
+
+// Porcentaje que se admite recibir por encima de lo pedido (TOLERANCIA_SOBRERECEPCION)
+const getOverReceiptTolerance = () => Math.max(parseFloat(process.env.TOLERANCIA_SOBRERECEPCION) || 0, 0);
+
+// Registra una recepción contra la compra: una entrada por línea recibida,
+// acumula cantidad_recibida y recalcula estado_recepcion. Si lineas es null
+// se recibe todo lo pendiente. Cada línea indica su cantidad en la unidad de la
+// línea de compra o en otra unidad del producto (unidad_id); lo pendiente que se
+// recibe sin líneas va en unidad de stock (unidad_id null).
+// Debe ejecutarse dentro de executeTransaction.
+const receivePurchase = async (connection, compraId, lineas, { usuario_id, numero_guia, notas }) => {
+  // Bloquear la compra para serializar recepciones concurrentes
+  const [purchases] = await connection.execute(
+    'SELECT id, proveedor_id, almacen_id, numero_factura, estado, estado_recepcion FROM compras WHERE id = ? FOR UPDATE',
+    [compraId]
+  );
+
+  if (purchases.length === 0) {
+    throw new HttpError(404, 'Compra no encontrada', 'La compra solicitada no existe');
+  }
+
+  const purchase = purchases[0];
+
+  if (purchase.estado === 'cancelada' || purchase.estado === 'borrador') {
+    throw new HttpError(400, 'Operación no permitida', `No se puede recibir una compra ${purchase.estado}`);
+  }
+
+  if (purchase.estado_recepcion === 'completa') {
+    throw new HttpError(400, 'Compra ya recibida', 'La mercadería de esta compra ya fue ingresada al inventario');
+  }
+
+  const [details] = await connection.execute(
+    'SELECT id, producto_id, cantidad, unidad_id, cantidad_recibida, precio_unitario FROM detalles_compra WHERE compra_id = ? ORDER BY id FOR UPDATE',
+    [compraId]
+  );
+
+  if (!lineas) {
+    lineas = details
+      .filter(d => d.cantidad_recibida < d.cantidad)
+      .map(d => ({ detalle_compra_id: d.id, cantidad: roundQuantity(d.cantidad - d.cantidad_recibida), unidad_id: null }));
+  }
+
+  const tolerance = getOverReceiptTolerance();
+  const seen = new Set();
+  const items = [];
+
+  for (const linea of lineas) {
+    const detalleId = parseInt(linea.detalle_compra_id);
+    const detail = details.find(d => d.id === detalleId);
+
+    if (!detail) {
+      throw new HttpError(400, 'Detalle inválido', `El detalle ${detalleId} no pertenece a la compra ${compraId}`);
+    }
+
+    if (seen.has(detalleId)) {
+      throw new HttpError(400, 'Detalle duplicado', `El detalle ${detalleId} aparece más de una vez en la recepción`);
+    }
+    seen.add(detalleId);
+
+    const unidad = await toStockQuantity(connection, detail.producto_id, {
+      cantidad: linea.cantidad,
+      unidad_id: linea.unidad_id !== undefined ? linea.unidad_id : detail.unidad_id
+    });
+    const { cantidad } = unidad;
+
+    const maximo = roundQuantity(detail.cantidad * (1 + tolerance / 100) - detail.cantidad_recibida);
+    if (cantidad > maximo) {
+      throw new HttpError(400, 'Cantidad excedida',
+        `El detalle ${detalleId} tiene pendiente ${Math.max(roundQuantity(detail.cantidad - detail.cantidad_recibida), 0)} unidades` +
+        ` (máximo admitido con tolerancia: ${Math.max(maximo, 0)}), se intentó recibir ${cantidad}`);
+    }
+
+    // Los productos que manejan lotes requieren el lote de lo recibido
+    const lotes = linea.numero_lote
+      ? [{ numero_lote: linea.numero_lote, fecha_vencimiento: linea.fecha_vencimiento }]
+      : null;
+
+    items.push({ detail, cantidad, unidad, lotes, series: linea.series });
+  }
+
+  if (items.length === 0) {
+    throw new HttpError(400, 'Sin pendientes', 'La compra no tiene cantidades pendientes de recibir');
+  }
+
+  const [result] = await connection.execute(
+    'INSERT INTO recepciones_compra (compra_id, numero_guia, usuario_id, notas) VALUES (?, ?, ?, ?)',
+    [compraId, numero_guia || null, usuario_id, notas || null]
+  );
+
+  const recepcionId = result.insertId;
+  const motivo = `Compra #${purchase.id}${purchase.numero_factura ? ` - Factura ${purchase.numero_factura}` : ''}` +
+    ` - Recepción #${recepcionId}`;
+  const movimientos = [];
+
+  for (const { detail, cantidad, unidad, lotes, series } of items) {
+    const movimiento = await registerMovement(connection, {
+      producto_id: detail.producto_id,
+      almacen_id: purchase.almacen_id,
+      tipo: 'entrada',
+      cantidad,
+      motivo,
+      usuario_id,
+      referencia_tipo: 'compra',
+      referencia_id: purchase.id,
+      lotes,
+      series,
+      // La mercadería ingresa al costo pactado en la compra
+      costo_unitario: Number(detail.precio_unitario)
+    });
+
+    await connection.execute(
+      `INSERT INTO detalles_recepcion (recepcion_id, detalle_compra_id, producto_id, cantidad, unidad_id, cantidad_unidad, movimiento_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [recepcionId, detail.id, detail.producto_id, cantidad, unidad.unidad_id, unidad.cantidad_unidad, movimiento.id]
+    );
+
+    await connection.execute(
+      'UPDATE detalles_compra SET cantidad_recibida = cantidad_recibida + ? WHERE id = ?',
+      [cantidad, detail.id]
+    );
+
+    // Mantener el último costo del catálogo del proveedor
+    await connection.execute(
+      `UPDATE productos_proveedores SET costo_ultimo = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE producto_id = ? AND proveedor_id = ?`,
+      [detail.precio_unitario, detail.producto_id, purchase.proveedor_id]
+    );
+
+    detail.cantidad_recibida = roundQuantity(detail.cantidad_recibida + cantidad);
+    movimientos.push(movimiento);
+  }
+
+  const completa = details.every(d => d.cantidad_recibida >= d.cantidad);
+  const estado_recepcion = completa ? 'completa' : 'parcial';
+
+  await connection.execute(
+    `UPDATE compras SET estado_recepcion = ?, fecha_recepcion = ${completa ? 'CURRENT_TIMESTAMP' : 'NULL'},
+            updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [estado_recepcion, compraId]
+  );
+
+  return {
+    id: recepcionId,
+    compra_id: purchase.id,
+    estado_recepcion,
+    pendientes: details.map(d => ({
+      detalle_compra_id: d.id,
+      producto_id: d.producto_id,
+      cantidad: d.cantidad,
+      cantidad_recibida: d.cantidad_recibida,
+      cantidad_pendiente: Math.max(roundQuantity(d.cantidad - d.cantidad_recibida), 0)
+    })),
+    movimientos
+  };
+};
+
+// GET /api/purchases - Obtener compras con paginación y filtros
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).withMessage('La página debe ser un número positivo'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('El límite debe estar entre 1 y 100'),
+  query('proveedor_id').optional().isInt({ min: 1 }).withMessage('ID de proveedor inválido'),
+  query('estado').optional().isIn(['borrador', 'pendiente', 'pagada', 'cancelada']).withMessage('Estado inválido'),
+  query('estado_recepcion').optional().isIn(['abierta', 'parcial', 'completa']).withMessage('Estado de recepción inválido'),
+  query('fecha_inicio').optional().isISO8601().withMessage('Fecha de inicio inválida'),
+  query('fecha_fin').optional().isISO8601().withMessage('Fecha de fin inválida')
+], async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver compras'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 10, proveedor_id, estado, estado_recepcion, fecha_inicio, fecha_fin } = req.query;
+    const offset = (page - 1) * limit;
+
+    // Construir query base
+    let whereClause = 'WHERE 1=1';
+    let params = [];
+
+    if (proveedor_id) {
+      whereClause += ' AND c.proveedor_id = ?';
+      params.push(proveedor_id);
+    }
+
+    if (estado) {
+      whereClause += ' AND c.estado = ?';
+      params.push(estado);
+    }
+
+    if (estado_recepcion) {
+      whereClause += ' AND c.estado_recepcion = ?';
+      params.push(estado_recepcion);
+    }
+
+    if (fecha_inicio) {
+      whereClause += ' AND c.fecha_compra >= ?';
+      params.push(fecha_inicio);
+    }
+
+    if (fecha_fin) {
+      whereClause += ' AND c.fecha_compra <= ?';
+      params.push(fecha_fin);
+    }
+
+    // Query para contar total
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as total FROM compras c ${whereClause}`,
+      params
+    );
+
+    const total = countResult[0].total;
+
+    // Query para obtener compras
+    const purchases = await executeQuery(
+      `SELECT c.*, (c.total - c.monto_devuelto - c.monto_pagado) as saldo,
+              p.nombre as proveedor_nombre,
+              u.nombre as usuario_nombre, u.apellido as usuario_apellido
+       FROM compras c
+       JOIN proveedores p ON c.proveedor_id = p.id
+       JOIN usuarios u ON c.usuario_id = u.id
+       ${whereClause}
+       ORDER BY c.fecha_compra DESC, c.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, parseInt(limit), offset]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        purchases,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo compras:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo la lista de compras'
+    });
+  }
+});
+
+// GET /api/purchases/:id - Obtener compra con sus detalles
+router.get('/:id', async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver compras'
+      });
+    }
+
+    const { id } = req.params;
+
+    const purchase = await findPurchase(id);
+
+    if (!purchase) {
+      return res.status(404).json({
+        error: 'Compra no encontrada',
+        message: 'La compra solicitada no existe'
+      });
+    }
+
+    const details = await executeQuery(
+      `SELECT d.*, GREATEST(d.cantidad - d.cantidad_recibida, 0) as cantidad_pendiente,
+              p.nombre as producto_nombre, p.codigo as producto_codigo,
+              us.codigo as unidad_stock_codigo, ul.codigo as unidad_codigo
+       FROM detalles_compra d
+       JOIN productos p ON d.producto_id = p.id
+       JOIN unidades_medida us ON p.unidad_id = us.id
+       LEFT JOIN unidades_medida ul ON d.unidad_id = ul.id
+       WHERE d.compra_id = ?
+       ORDER BY d.id`,
+      [id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        purchase: {
+          ...purchase,
+          detalles: details
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo compra:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo la compra'
+    });
+  }
+});
+
+// POST /api/purchases - Crear compra con sus detalles
+router.post('/', purchaseValidation, async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para registrar compras'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { proveedor_id, almacen_id, numero_factura, fecha_compra, notas, detalles } = req.body;
+    const usuario_id = req.user.id;
+
+    // Verificar si el proveedor existe y está activo
+    const suppliers = await executeQuery(
+      'SELECT id FROM proveedores WHERE id = ? AND activo = 1',
+      [proveedor_id]
+    );
+
+    if (suppliers.length === 0) {
+      return res.status(404).json({
+        error: 'Proveedor no encontrado',
+        message: 'El proveedor especificado no existe o está inactivo'
+      });
+    }
+
+    const lines = await buildPurchaseLines(proveedor_id, detalles);
+
+    const compraId = await executeTransaction(connection =>
+      insertPurchase(connection, { proveedor_id, almacen_id, numero_factura, fecha_compra, notas, usuario_id }, lines)
+    );
+
+    const purchase = await findPurchase(compraId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Compra registrada exitosamente',
+      data: {
+        purchase: {
+          ...purchase,
+          detalles: lines
+        }
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Error registrando compra:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error registrando la compra'
+    });
+  }
+});
+
+// POST /api/purchases/borradores - Generar compras en borrador desde las sugerencias de reposición
+router.post('/borradores', [
+  body('proveedor_id').optional().isInt({ min: 1 }).withMessage('ID de proveedor inválido'),
+  body('categoria_id').optional().isInt({ min: 1 }).withMessage('ID de categoría inválido'),
+  body('almacen_id').optional().isInt({ min: 1 }).withMessage('ID de almacén inválido')
+], async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para registrar compras'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { proveedor_id, categoria_id, almacen_id } = req.body;
+    const usuario_id = req.user.id;
+
+    const suggestions = await getReorderSuggestions({ proveedor_id, categoria_id });
+
+    // Los productos sin proveedor en el catálogo no pueden generar una compra
+    const withSupplier = suggestions.filter(group => group.proveedor_id);
+    const withoutSupplier = suggestions.find(group => !group.proveedor_id);
+
+    if (withSupplier.length === 0) {
+      return res.status(400).json({
+        error: 'Sin sugerencias',
+        message: 'No hay productos por reponer con un proveedor asignado',
+        data: {
+          sin_proveedor: withoutSupplier ? withoutSupplier.productos : []
+        }
+      });
+    }
+
+    const compraIds = await executeTransaction(async (connection) => {
+      const ids = [];
+
+      for (const group of withSupplier) {
+        const lines = group.productos.map(p => ({
+          producto_id: p.producto_id,
+          cantidad: p.cantidad_sugerida,
+          precio_unitario: roundMoney(p.costo_unitario),
+          subtotal: roundMoney(p.cantidad_sugerida * p.costo_unitario)
+        }));
+
+        ids.push(await insertPurchase(connection, {
+          proveedor_id: group.proveedor_id,
+          almacen_id,
+          notas: 'Generada automáticamente por reposición de stock',
+          usuario_id,
+          estado: 'borrador'
+        }, lines));
+      }
+
+      return ids;
+    });
+
+    const purchases = await executeQuery(
+      `SELECT c.*, p.nombre as proveedor_nombre
+       FROM compras c
+       JOIN proveedores p ON c.proveedor_id = p.id
+       WHERE c.id IN (${compraIds.map(() => '?').join(', ')})
+       ORDER BY c.id`,
+      compraIds
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `${purchases.length} compras en borrador generadas exitosamente`,
+      data: {
+        purchases,
+        sin_proveedor: withoutSupplier ? withoutSupplier.productos : []
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Error generando compras en borrador:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error generando las compras en borrador'
+    });
+  }
+});
+
+// PUT /api/purchases/:id - Editar una compra en borrador antes de confirmarla
+router.put('/:id', [
+  body('numero_factura').optional().isLength({ max: 50 }).withMessage('El número de factura no puede exceder 50 caracteres'),
+  body('fecha_compra').optional().isISO8601().withMessage('Fecha de compra inválida'),
+  body('notas').optional().isLength({ max: 1000 }).withMessage('Las notas no pueden exceder 1000 caracteres'),
+  body('detalles').isArray({ min: 1 }).withMessage('La compra debe tener al menos un detalle'),
+  body('detalles.*.producto_id').isInt({ min: 1 }).withMessage('El ID del producto es requerido'),
+  body('detalles.*.cantidad').isFloat({ gt: 0 }).withMessage('La cantidad debe ser un número positivo'),
+  body('detalles.*.unidad_id').optional().isInt({ min: 1 }).withMessage('ID de unidad inválido'),
+  body('detalles.*.precio_unitario').optional().isFloat({ min: 0 }).withMessage('El precio unitario debe ser un número positivo')
+], async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para actualizar compras'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { numero_factura, fecha_compra, notas, detalles } = req.body;
+
+    const existing = await findPurchase(id);
+
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Compra no encontrada',
+        message: 'La compra solicitada no existe'
+      });
+    }
+
+    if (existing.estado !== 'borrador') {
+      return res.status(400).json({
+        error: 'Operación no permitida',
+        message: 'Solo se pueden editar compras en borrador'
+      });
+    }
+
+    const lines = await buildPurchaseLines(existing.proveedor_id, detalles);
+    const total = roundMoney(lines.reduce((sum, line) => sum + line.subtotal, 0));
+
+    await executeTransaction(async (connection) => {
+      const [locked] = await connection.execute(
+        'SELECT estado FROM compras WHERE id = ? FOR UPDATE',
+        [id]
+      );
+
+      if (locked[0].estado !== 'borrador') {
+        throw new HttpError(400, 'Operación no permitida', 'Solo se pueden editar compras en borrador');
+      }
+
+      await connection.execute(
+        `UPDATE compras SET numero_factura = ?, fecha_compra = ?, notas = ?, total = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [
+          numero_factura !== undefined ? numero_factura || null : existing.numero_factura,
+          fecha_compra || existing.fecha_compra,
+          notas !== undefined ? notas || null : existing.notas,
+          total,
+          id
+        ]
+      );
+
+      await connection.execute('DELETE FROM detalles_compra WHERE compra_id = ?', [id]);
+
+      for (const line of lines) {
+        await insertPurchaseLine(connection, id, line);
+      }
+    });
+
+    const purchase = await findPurchase(id);
+
+    res.json({
+      success: true,
+      message: 'Compra actualizada exitosamente',
+      data: {
+        purchase: {
+          ...purchase,
+          detalles: lines
+        }
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Error actualizando compra:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error actualizando la compra'
+    });
+  }
+});
+
+// PUT /api/purchases/:id/estado - Cambiar estado de la compra
+router.put('/:id/estado', [
+  body('estado').isIn(['pendiente', 'pagada', 'cancelada']).withMessage('El estado debe ser pendiente, pagada o cancelada'),
+  body('metodo').optional().isIn(PAYMENT_METHODS).withMessage('Método de pago inválido')
+], async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para actualizar compras'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { estado, metodo = 'efectivo' } = req.body;
+
+    // Se bloquea la compra para que el cambio no se cruce con una recepción o un
+    // pago concurrentes (p. ej. cancelarla mientras se recibe)
+    const result = await executeTransaction(async (connection) => {
+      const [purchases] = await connection.execute(
+        'SELECT id, estado, estado_recepcion, monto_pagado FROM compras WHERE id = ? FOR UPDATE',
+        [id]
+      );
+
+      if (purchases.length === 0) {
+        throw new HttpError(404, 'Compra no encontrada', 'La compra solicitada no existe');
+      }
+
+      const purchase = purchases[0];
+
+      // Transiciones permitidas: borrador -> pendiente/cancelada, pendiente -> pagada/cancelada
+      const transitions = {
+        borrador: ['pendiente', 'cancelada'],
+        pendiente: ['pagada', 'cancelada']
+      };
+
+      if (!(transitions[purchase.estado] || []).includes(estado)) {
+        throw new HttpError(400, 'Estado inválido', `No se puede pasar una compra ${purchase.estado} a ${estado}`);
+      }
+
+      // La mercadería recibida ya está en stock; cancelar la compra no la devolvería
+      if (estado === 'cancelada' && purchase.estado_recepcion !== 'abierta') {
+        throw new HttpError(400, 'Operación no permitida', 'No se puede cancelar una compra que ya tiene mercadería recibida');
+      }
+
+      if (estado === 'cancelada' && Number(purchase.monto_pagado) > 0) {
+        throw new HttpError(400, 'Operación no permitida',
+          'No se puede cancelar una compra con pagos registrados; anule los pagos primero');
+      }
+
+      // El estado pagada se deriva de los pagos: marcarla pagada registra un pago por el saldo
+      if (estado === 'pagada') {
+        const payment = await registerPayment(connection, { tipo: 'compra', documento_id: id, metodo, usuario_id: req.user.id });
+        return { estado: payment.estado, payment };
+      }
+
+      await connection.execute(
+        'UPDATE compras SET estado = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [estado, id]
+      );
+
+      return { estado };
+    });
+
+    if (result.payment) {
+      return res.json({
+        success: true,
+        message: 'Compra pagada exitosamente',
+        data: {
+          purchase: {
+            id: parseInt(id),
+            estado: result.estado
+          },
+          payment: result.payment
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Compra ${estado} exitosamente`,
+      data: {
+        purchase: {
+          id: parseInt(id),
+          estado
+        }
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Error actualizando estado de compra:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error actualizando el estado de la compra'
+    });
+  }
+});
+
+// POST /api/purchases/:id/recibir - Recibir todo lo pendiente de la compra
+router.post('/:id/recibir', [
+  body('numero_guia').optional().isLength({ max: 50 }).withMessage('El número de guía no puede exceder 50 caracteres'),
+  body('notas').optional().isLength({ max: 1000 }).withMessage('Las notas no pueden exceder 1000 caracteres')
+], async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para recibir compras'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { numero_guia, notas } = req.body;
+
+    const reception = await executeTransaction(connection =>
+      receivePurchase(connection, id, null, { usuario_id: req.user.id, numero_guia, notas })
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Compra recibida exitosamente',
+      data: {
+        reception
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Error recibiendo compra:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error recibiendo la compra'
+    });
+  }
+});
+
+// POST /api/purchases/:id/recepciones - Registrar una recepción parcial
+router.post('/:id/recepciones', receptionValidation, async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para recibir compras'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { numero_guia, notas, detalles } = req.body;
+
+    const reception = await executeTransaction(connection =>
+      receivePurchase(connection, id, detalles, { usuario_id: req.user.id, numero_guia, notas })
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Recepción registrada exitosamente',
+      data: {
+        reception
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Error registrando recepción:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error registrando la recepción'
+    });
+  }
+});
+
+// GET /api/purchases/:id/recepciones - Obtener recepciones de una compra
+router.get('/:id/recepciones', async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver compras'
+      });
+    }
+
+    const { id } = req.params;
+
+    const purchases = await executeQuery(
+      'SELECT id, estado_recepcion FROM compras WHERE id = ?',
+      [id]
+    );
+
+    if (purchases.length === 0) {
+      return res.status(404).json({
+        error: 'Compra no encontrada',
+        message: 'La compra solicitada no existe'
+      });
+    }
+
+    const receptions = await executeQuery(
+      `SELECT r.*, u.nombre as usuario_nombre, u.apellido as usuario_apellido
+       FROM recepciones_compra r
+       JOIN usuarios u ON r.usuario_id = u.id
+       WHERE r.compra_id = ?
+       ORDER BY r.fecha_recepcion, r.id`,
+      [id]
+    );
+
+    const receptionDetails = await executeQuery(
+      `SELECT dr.*, p.nombre as producto_nombre, p.codigo as producto_codigo, um.codigo as unidad_codigo
+       FROM detalles_recepcion dr
+       JOIN recepciones_compra r ON dr.recepcion_id = r.id
+       JOIN productos p ON dr.producto_id = p.id
+       LEFT JOIN unidades_medida um ON dr.unidad_id = um.id
+       WHERE r.compra_id = ?
+       ORDER BY dr.id`,
+      [id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        purchase: purchases[0],
+        receptions: receptions.map(reception => ({
+          ...reception,
+          detalles: receptionDetails.filter(d => d.recepcion_id === reception.id)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo recepciones:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo las recepciones de la compra'
+    });
+  }
+});
+
+// POST /api/purchases/:id/devoluciones - Devolver mercadería recibida al proveedor
+router.post('/:id/devoluciones', supplierReturnValidation, async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para registrar devoluciones a proveedor'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { motivo, numero_nota_credito, detalles } = req.body;
+    const usuario_id = req.user.id;
+
+    const devolucion = await executeTransaction(async (connection) => {
+      const [purchases] = await connection.execute(
+        'SELECT id, proveedor_id, almacen_id, numero_factura, estado FROM compras WHERE id = ? FOR UPDATE',
+        [id]
+      );
+
+      if (purchases.length === 0) {
+        throw new HttpError(404, 'Compra no encontrada', 'La compra solicitada no existe');
+      }
+
+      const purchase = purchases[0];
+
+      if (purchase.estado === 'cancelada') {
+        throw new HttpError(400, 'Operación no permitida', 'No se puede devolver mercadería de una compra cancelada');
+      }
+
+      const [details] = await connection.execute(
+        'SELECT id, producto_id, unidad_id, cantidad_recibida, cantidad_devuelta, precio_unitario FROM detalles_compra WHERE compra_id = ? FOR UPDATE',
+        [id]
+      );
+
+      const seen = new Set();
+      const items = [];
+
+      for (const linea of detalles) {
+        const detalleId = parseInt(linea.detalle_compra_id);
+        const detail = details.find(d => d.id === detalleId);
+
+        if (!detail) {
+          throw new HttpError(400, 'Detalle inválido', `El detalle ${detalleId} no pertenece a la compra ${id}`);
+        }
+
+        if (seen.has(detalleId)) {
+          throw new HttpError(400, 'Detalle duplicado', `El detalle ${detalleId} aparece más de una vez en la devolución`);
+        }
+        seen.add(detalleId);
+
+        // La cantidad se indica en la unidad de la línea de compra o en otra unidad
+        // del producto; se devuelve en unidad de stock
+        const unidad = await toStockQuantity(connection, detail.producto_id, {
+          cantidad: linea.cantidad,
+          unidad_id: linea.unidad_id !== undefined ? linea.unidad_id : detail.unidad_id
+        });
+        const { cantidad } = unidad;
+
+        // Solo se puede devolver lo que efectivamente ingresó al inventario
+        const devolvible = roundQuantity(detail.cantidad_recibida - detail.cantidad_devuelta);
+        if (cantidad > devolvible) {
+          throw new HttpError(400, 'Cantidad excedida',
+            `Del detalle ${detalleId} solo se pueden devolver ${devolvible} unidades recibidas, se intentó devolver ${cantidad}`);
+        }
+
+        const precio_unitario = Number(detail.precio_unitario);
+        items.push({ detail, cantidad, unidad, precio_unitario, subtotal: roundMoney(cantidad * precio_unitario), series: linea.series });
+      }
+
+      const total = roundMoney(items.reduce((sum, item) => sum + item.subtotal, 0));
+
+      const [result] = await connection.execute(
+        `INSERT INTO devoluciones_compra (compra_id, proveedor_id, numero_nota_credito, total, motivo, usuario_id)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [id, purchase.proveedor_id, numero_nota_credito || null, total, motivo, usuario_id]
+      );
+
+      const devolucionId = result.insertId;
+      const movimientos = [];
+
+      for (const item of items) {
+        const movimiento = await registerMovement(connection, {
+          producto_id: item.detail.producto_id,
+          almacen_id: purchase.almacen_id,
+          tipo: 'salida',
+          cantidad: item.cantidad,
+          motivo: `Devolución a proveedor #${devolucionId} de compra #${purchase.id}` +
+            `${purchase.numero_factura ? ` - Factura ${purchase.numero_factura}` : ''}: ${motivo}`,
+          usuario_id,
+          referencia_tipo: 'compra',
+          referencia_id: purchase.id,
+          // Sale de los lotes que ingresaron con esta compra, no de cualquier lote
+          lotes: await lotsToReturn(connection, {
+            producto_id: item.detail.producto_id,
+            almacen_id: purchase.almacen_id,
+            referencia_tipo: 'compra',
+            referencia_id: purchase.id,
+            cantidad: item.cantidad
+          }),
+          series: item.series
+        });
+
+        await connection.execute(
+          `INSERT INTO detalles_devolucion_compra (devolucion_id, detalle_compra_id, producto_id, cantidad, unidad_id, cantidad_unidad,
+             precio_unitario, subtotal, movimiento_id)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            devolucionId, item.detail.id, item.detail.producto_id, item.cantidad, item.unidad.unidad_id, item.unidad.cantidad_unidad,
+            item.precio_unitario, item.subtotal, movimiento.id
+          ]
+        );
+
+        await connection.execute(
+          'UPDATE detalles_compra SET cantidad_devuelta = cantidad_devuelta + ? WHERE id = ?',
+          [item.cantidad, item.detail.id]
+        );
+
+        movimientos.push(movimiento);
+      }
+
+      // La devolución reduce lo que se le debe al proveedor
+      await connection.execute(
+        'UPDATE compras SET monto_devuelto = monto_devuelto + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [total, id]
+      );
+      await syncPaymentStatus(connection, 'compra', purchase.id);
+
+      return {
+        id: devolucionId,
+        compra_id: purchase.id,
+        proveedor_id: purchase.proveedor_id,
+        numero_nota_credito: numero_nota_credito || null,
+        total,
+        motivo,
+        detalles: items.map(item => ({
+          detalle_compra_id: item.detail.id,
+          producto_id: item.detail.producto_id,
+          cantidad: item.cantidad,
+          unidad_id: item.unidad.unidad_id,
+          cantidad_unidad: item.unidad.cantidad_unidad,
+          precio_unitario: item.precio_unitario,
+          subtotal: item.subtotal
+        })),
+        movimientos
+      };
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Devolución a proveedor registrada exitosamente',
+      data: {
+        devolucion
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Error registrando devolución a proveedor:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error registrando la devolución a proveedor'
+    });
+  }
+});
+
+// GET /api/purchases/:id/devoluciones - Obtener devoluciones de una compra
+router.get('/:id/devoluciones', async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver compras'
+      });
+    }
+
+    const { id } = req.params;
+
+    const purchase = await findPurchase(id);
+
+    if (!purchase) {
+      return res.status(404).json({
+        error: 'Compra no encontrada',
+        message: 'La compra solicitada no existe'
+      });
+    }
+
+    const returns = await executeQuery(
+      `SELECT dc.*, u.nombre as usuario_nombre, u.apellido as usuario_apellido
+       FROM devoluciones_compra dc
+       JOIN usuarios u ON dc.usuario_id = u.id
+       WHERE dc.compra_id = ?
+       ORDER BY dc.fecha_devolucion, dc.id`,
+      [id]
+    );
+
+    const returnDetails = await executeQuery(
+      `SELECT dd.*, p.nombre as producto_nombre, p.codigo as producto_codigo, um.codigo as unidad_codigo
+       FROM detalles_devolucion_compra dd
+       JOIN devoluciones_compra dc ON dd.devolucion_id = dc.id
+       JOIN productos p ON dd.producto_id = p.id
+       LEFT JOIN unidades_medida um ON dd.unidad_id = um.id
+       WHERE dc.compra_id = ?
+       ORDER BY dd.id`,
+      [id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        purchase,
+        devoluciones: returns.map(devolucion => ({
+          ...devolucion,
+          detalles: returnDetails.filter(d => d.devolucion_id === devolucion.id)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo devoluciones de compra:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo las devoluciones de la compra'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const { query, validationResult } = require('express-validator');
 const { executeQuery } = require('../config/database');
 const { authenticateToken, checkPermission } = require('../middleware/auth');
+const { roundMoney } = require('../utils/money');
+const { getCostingMethod, stockValueQuery, productValueQuery } = require('../utils/costing');
 
 const router = express.Router();
 
@@ -19,21 +21,31 @@ router.get('/dashboard', async (req, res) => {
       });
     }
 
-    // Obtener estadísticas generales
-    const [generalStats] = await executeQuery(
+    // Obtener estadísticas generales (el valor del stock es a costo, según METODO_COSTEO)
+    const generalStats = await executeQuery(
       `SELECT 
         COUNT(*) as total_productos,
-        SUM(stock_actual) as stock_total,
-        SUM(precio * stock_actual) as valor_total,
-        COUNT(CASE WHEN stock_actual <= stock_minimo THEN 1 END) as productos_stock_bajo,
-        COUNT(CASE WHEN stock_actual = 0 THEN 1 END) as productos_sin_stock,
-        COUNT(DISTINCT categoria_id) as total_categorias
-       FROM productos 
-       WHERE activo = 1`
+        SUM(p.stock_actual) as stock_total,
+        COALESCE(SUM(v.valor), 0) as valor_total,
+        COUNT(CASE WHEN p.stock_actual <= p.stock_minimo THEN 1 END) as productos_stock_bajo,
+        COUNT(CASE WHEN p.stock_actual = 0 THEN 1 END) as productos_sin_stock,
+        COUNT(DISTINCT p.categoria_id) as total_categorias
+       FROM productos p
+       LEFT JOIN (${productValueQuery()}) v ON v.producto_id = p.id
+       WHERE p.activo = 1`
+    );
+
+    // Costo de ventas del mes: lo que salió por ventas menos lo que reingresó
+    // por anulaciones y devoluciones, al costo registrado en cada movimiento
+    const [costOfSales] = await executeQuery(
+      `SELECT COALESCE(SUM(CASE WHEN tipo = 'salida' THEN costo_total ELSE -costo_total END), 0) as costo_ventas
+       FROM movimientos_inventario
+       WHERE referencia_tipo = 'venta' AND costo_total IS NOT NULL
+         AND fecha_movimiento >= DATE_FORMAT(CURDATE(), '%Y-%m-01')`
     );
 
     // Obtener estadísticas de usuarios
-    const [userStats] = await executeQuery(
+    const userStats = await executeQuery(
       `SELECT 
         COUNT(*) as total_usuarios,
         COUNT(CASE WHEN activo = 1 THEN 1 END) as usuarios_activos,
@@ -42,7 +54,7 @@ router.get('/dashboard', async (req, res) => {
     );
 
     // Obtener movimientos del día
-    const [todayStats] = await executeQuery(
+    const todayStats = await executeQuery(
       `SELECT 
         COUNT(*) as total_movimientos,
         COUNT(CASE WHEN tipo = 'entrada' THEN 1 END) as entradas,
@@ -53,7 +65,7 @@ router.get('/dashboard', async (req, res) => {
     );
 
     // Obtener productos más movidos (últimos 7 días)
-    const [topProducts] = await executeQuery(
+    const topProducts = await executeQuery(
       `SELECT p.nombre, p.codigo, COUNT(m.id) as movimientos
        FROM productos p
        JOIN movimientos_inventario m ON p.id = m.producto_id
@@ -64,7 +76,7 @@ router.get('/dashboard', async (req, res) => {
     );
 
     // Obtener categorías con más productos
-    const [topCategories] = await executeQuery(
+    const topCategories = await executeQuery(
       `SELECT c.nombre, COUNT(p.id) as total_productos, SUM(p.stock_actual) as stock_total
        FROM categorias c
        JOIN productos p ON c.id = p.categoria_id
@@ -75,7 +87,7 @@ router.get('/dashboard', async (req, res) => {
     );
 
     // Obtener usuarios más activos (últimos 30 días)
-    const [topUsers] = await executeQuery(
+    const topUsers = await executeQuery(
       `SELECT u.nombre, u.apellido, COUNT(m.id) as movimientos
        FROM usuarios u
        JOIN movimientos_inventario m ON u.id = m.usuario_id
@@ -93,7 +105,11 @@ router.get('/dashboard', async (req, res) => {
         hoy: todayStats[0],
         top_productos: topProducts,
         top_categorias: topCategories,
-        top_usuarios: topUsers
+        top_usuarios: topUsers,
+        costeo: {
+          metodo: getCostingMethod(),
+          costo_ventas_mes: costOfSales.costo_ventas
+        }
       }
     });
 
@@ -109,7 +125,8 @@ router.get('/dashboard', async (req, res) => {
 // GET /api/reports/inventory - Reporte detallado de inventario
 router.get('/inventory', [
   query('categoria_id').optional().isInt({ min: 1 }).withMessage('ID de categoría inválido'),
-  query('stock_minimo').optional().isInt({ min: 0 }).withMessage('Stock mínimo inválido'),
+  query('stock_minimo').optional().isFloat({ min: 0 }).withMessage('Stock mínimo inválido'),
+  query('almacen_id').optional().isInt({ min: 1 }).withMessage('ID de almacén inválido'),
   query('orden').optional().isIn(['nombre', 'stock', 'precio', 'categoria']).withMessage('Orden inválido')
 ], async (req, res) => {
   try {
@@ -121,11 +138,21 @@ router.get('/inventory', [
       });
     }
 
-    const { categoria_id, stock_minimo, orden = 'nombre' } = req.query;
+    const { categoria_id, stock_minimo, almacen_id, orden = 'nombre' } = req.query;
+
+    // Con almacen_id el stock es el de ese almacén; si no, el total del producto.
+    // El valor es a costo, según METODO_COSTEO.
+    const stockJoin = almacen_id
+      ? `LEFT JOIN stock_almacen sa ON sa.producto_id = p.id AND sa.almacen_id = ?
+         LEFT JOIN (${stockValueQuery()}) v ON v.producto_id = p.id AND v.almacen_id = sa.almacen_id`
+      : `LEFT JOIN (${productValueQuery()}) v ON v.producto_id = p.id`;
+    const stock = almacen_id ? 'COALESCE(sa.cantidad, 0)' : 'p.stock_actual';
+    const minimo = almacen_id ? 'COALESCE(sa.stock_minimo, p.stock_minimo)' : 'p.stock_minimo';
+    const joinParams = almacen_id ? [almacen_id] : [];
 
     // Construir query base
     let whereClause = 'WHERE p.activo = 1';
-    let params = [];
+    let params = [...joinParams];
 
     if (categoria_id) {
       whereClause += ' AND p.categoria_id = ?';
@@ -133,15 +160,15 @@ router.get('/inventory', [
     }
 
     if (stock_minimo !== undefined) {
-      whereClause += ' AND p.stock_actual <= ?';
-      params.push(parseInt(stock_minimo));
+      whereClause += ` AND ${stock} <= ?`;
+      params.push(Number(stock_minimo));
     }
 
     // Construir orden
     let orderClause = 'ORDER BY ';
     switch (orden) {
       case 'stock':
-        orderClause += 'p.stock_actual ASC';
+        orderClause += `${stock} ASC`;
         break;
       case 'precio':
         orderClause += 'p.precio DESC';
@@ -153,33 +180,37 @@ router.get('/inventory', [
         orderClause += 'p.nombre';
     }
 
-    const [products] = await executeQuery(
+    const products = await executeQuery(
       `SELECT p.*, c.nombre as categoria_nombre,
-              (p.precio * p.stock_actual) as valor_stock,
+              ${stock} as stock,
+              COALESCE(v.valor, 0) as valor_stock,
               CASE 
-                WHEN p.stock_actual = 0 THEN 'Sin stock'
-                WHEN p.stock_actual <= p.stock_minimo THEN 'Stock bajo'
+                WHEN ${stock} = 0 THEN 'Sin stock'
+                WHEN ${stock} <= ${minimo} THEN 'Stock bajo'
                 ELSE 'Stock normal'
               END as estado_stock
        FROM productos p
        JOIN categorias c ON p.categoria_id = c.id
+       ${stockJoin}
        ${whereClause}
        ${orderClause}`,
       params
     );
 
     // Obtener resumen por categoría
-    const [categorySummary] = await executeQuery(
+    const categorySummary = await executeQuery(
       `SELECT c.nombre as categoria,
               COUNT(p.id) as total_productos,
-              SUM(p.stock_actual) as stock_total,
-              SUM(p.precio * p.stock_actual) as valor_total,
-              COUNT(CASE WHEN p.stock_actual <= p.stock_minimo THEN 1 END) as productos_stock_bajo
+              SUM(${stock}) as stock_total,
+              COALESCE(SUM(v.valor), 0) as valor_total,
+              COUNT(CASE WHEN ${stock} <= ${minimo} THEN 1 END) as productos_stock_bajo
        FROM categorias c
        JOIN productos p ON c.id = p.categoria_id
+       ${stockJoin}
        WHERE c.activo = 1 AND p.activo = 1
        GROUP BY c.id
-       ORDER BY total_productos DESC`
+       ORDER BY total_productos DESC`,
+      joinParams
     );
 
     res.json({
@@ -206,6 +237,7 @@ router.get('/movements', [
   query('fecha_fin').optional().isISO8601().withMessage('Fecha de fin inválida'),
   query('tipo').optional().isIn(['entrada', 'salida', 'ajuste']).withMessage('Tipo inválido'),
   query('usuario_id').optional().isInt({ min: 1 }).withMessage('ID de usuario inválido'),
+  query('almacen_id').optional().isInt({ min: 1 }).withMessage('ID de almacén inválido'),
   query('page').optional().isInt({ min: 1 }).withMessage('Página inválida'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Límite inválido')
 ], async (req, res) => {
@@ -218,7 +250,7 @@ router.get('/movements', [
       });
     }
 
-    const { fecha_inicio, fecha_fin, tipo, usuario_id, page = 1, limit = 50 } = req.query;
+    const { fecha_inicio, fecha_fin, tipo, usuario_id, almacen_id, page = 1, limit = 50 } = req.query;
     const offset = (page - 1) * limit;
 
     // Construir query base
@@ -245,8 +277,13 @@ router.get('/movements', [
       params.push(usuario_id);
     }
 
+    if (almacen_id) {
+      whereClause += ' AND m.almacen_id = ?';
+      params.push(almacen_id);
+    }
+
     // Query para contar total
-    const [countResult] = await executeQuery(
+    const countResult = await executeQuery(
       `SELECT COUNT(*) as total 
        FROM movimientos_inventario m
        JOIN productos p ON m.producto_id = p.id
@@ -258,12 +295,13 @@ router.get('/movements', [
     const total = countResult[0].total;
 
     // Query para obtener movimientos
-    const [movements] = await executeQuery(
+    const movements = await executeQuery(
       `SELECT m.*, p.nombre as producto_nombre, p.codigo as producto_codigo,
               u.nombre as usuario_nombre, u.apellido as usuario_apellido,
-              c.nombre as categoria_nombre
+              c.nombre as categoria_nombre, a.nombre as almacen_nombre
        FROM movimientos_inventario m
        JOIN productos p ON m.producto_id = p.id
+       JOIN almacenes a ON m.almacen_id = a.id
        JOIN usuarios u ON m.usuario_id = u.id
        JOIN categorias c ON p.categoria_id = c.id
        ${whereClause}
@@ -273,7 +311,7 @@ router.get('/movements', [
     );
 
     // Obtener resumen por tipo
-    const [typeSummary] = await executeQuery(
+    const typeSummary = await executeQuery(
       `SELECT tipo, COUNT(*) as total, SUM(cantidad) as cantidad_total
        FROM movimientos_inventario m
        ${whereClause}
@@ -282,7 +320,7 @@ router.get('/movements', [
     );
 
     // Obtener resumen por usuario
-    const [userSummary] = await executeQuery(
+    const userSummary = await executeQuery(
       `SELECT u.nombre, u.apellido, COUNT(m.id) as total_movimientos
        FROM usuarios u
        JOIN movimientos_inventario m ON u.id = m.usuario_id
@@ -349,7 +387,7 @@ router.get('/trends', [
     }
 
     // Obtener tendencia de movimientos por día
-    const [dailyTrends] = await executeQuery(
+    const dailyTrends = await executeQuery(
       `SELECT 
         DATE(m.fecha_movimiento) as fecha,
         COUNT(*) as total_movimientos,
@@ -363,7 +401,7 @@ router.get('/trends', [
     );
 
     // Obtener productos más movidos en el período
-    const [topProducts] = await executeQuery(
+    const topProducts = await executeQuery(
       `SELECT p.nombre, p.codigo, 
               COUNT(m.id) as total_movimientos,
               SUM(CASE WHEN m.tipo = 'entrada' THEN m.cantidad ELSE 0 END) as entradas,
@@ -377,7 +415,7 @@ router.get('/trends', [
     );
 
     // Obtener evolución del stock total
-    const [stockEvolution] = await executeQuery(
+    const stockEvolution = await executeQuery(
       `SELECT 
         DATE(m.fecha_movimiento) as fecha,
         SUM(CASE WHEN m.tipo = 'entrada' THEN m.cantidad ELSE 0 END) as entradas_totales,
@@ -390,7 +428,7 @@ router.get('/trends', [
     );
 
     // Obtener categorías más activas
-    const [topCategories] = await executeQuery(
+    const topCategories = await executeQuery(
       `SELECT c.nombre,
               COUNT(m.id) as total_movimientos,
               SUM(CASE WHEN m.tipo = 'entrada' THEN m.cantidad ELSE 0 END) as entradas,
@@ -424,6 +462,256 @@ router.get('/trends', [
   }
 });
 
+// Tramos de antigüedad de saldos (días desde la fecha del documento)
+const AGING_BUCKETS = [
+  { key: 'dias_0_30', condition: 'BETWEEN 0 AND 30' },
+  { key: 'dias_31_60', condition: 'BETWEEN 31 AND 60' },
+  { key: 'dias_61_90', condition: 'BETWEEN 61 AND 90' },
+  { key: 'dias_mas_90', condition: '> 90' }
+];
+
+// Columnas SQL que reparten el saldo de cada documento en los tramos de antigüedad
+const agingColumns = (fechaColumn, saldoExpr) => AGING_BUCKETS
+  .map(bucket => `COALESCE(SUM(CASE WHEN DATEDIFF(CURDATE(), ${fechaColumn}) ${bucket.condition} THEN ${saldoExpr} END), 0) as ${bucket.key}`)
+  .join(',\n              ');
+
+// Suma los tramos de todas las filas del reporte
+const agingTotals = (rows) => {
+  const totals = { documentos: 0, saldo_total: 0 };
+  AGING_BUCKETS.forEach(bucket => { totals[bucket.key] = 0; });
+
+  for (const row of rows) {
+    totals.documentos += Number(row.documentos);
+    totals.saldo_total = roundMoney(totals.saldo_total + Number(row.saldo_total));
+    AGING_BUCKETS.forEach(bucket => {
+      totals[bucket.key] = roundMoney(totals[bucket.key] + Number(row[bucket.key]));
+    });
+  }
+
+  return totals;
+};
+
+// GET /api/reports/receivables - Antigüedad de cuentas por cobrar (ventas)
+router.get('/receivables', [
+  query('cliente_id').optional().isInt({ min: 1 }).withMessage('ID de cliente inválido')
+], async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.reports) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver reportes'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { cliente_id } = req.query;
+    const saldo = '(v.total - v.monto_devuelto - v.monto_pagado)';
+
+    let whereClause = `WHERE v.estado = 'pendiente' AND ${saldo} > 0`;
+    let params = [];
+
+    if (cliente_id) {
+      whereClause += ' AND v.cliente_id = ?';
+      params.push(cliente_id);
+    }
+
+    // Las ventas sin cliente registrado se agrupan en una sola fila
+    const customers = await executeQuery(
+      `SELECT v.cliente_id, COALESCE(cl.nombre, 'Clientes sin registrar') as cliente_nombre,
+              cl.numero_documento as cliente_numero_documento,
+              COUNT(*) as documentos,
+              COALESCE(SUM(${saldo}), 0) as saldo_total,
+              ${agingColumns('v.fecha_venta', saldo)}
+       FROM ventas v
+       LEFT JOIN clientes cl ON v.cliente_id = cl.id
+       ${whereClause}
+       GROUP BY v.cliente_id, cl.nombre, cl.numero_documento
+       ORDER BY saldo_total DESC`,
+      params
+    );
+
+    res.json({
+      success: true,
+      data: {
+        fecha_corte: new Date().toISOString().slice(0, 10),
+        clientes: customers,
+        totales: agingTotals(customers)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo cuentas por cobrar:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo el reporte de cuentas por cobrar'
+    });
+  }
+});
+
+// GET /api/reports/payables - Antigüedad de cuentas por pagar (compras)
+router.get('/payables', [
+  query('proveedor_id').optional().isInt({ min: 1 }).withMessage('ID de proveedor inválido')
+], async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.reports) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver reportes'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { proveedor_id } = req.query;
+    const saldo = '(c.total - c.monto_devuelto - c.monto_pagado)';
+
+    let whereClause = `WHERE c.estado = 'pendiente' AND ${saldo} > 0`;
+    let params = [];
+
+    if (proveedor_id) {
+      whereClause += ' AND c.proveedor_id = ?';
+      params.push(proveedor_id);
+    }
+
+    const suppliers = await executeQuery(
+      `SELECT c.proveedor_id, p.nombre as proveedor_nombre, p.ruc as proveedor_ruc,
+              COUNT(*) as documentos,
+              COALESCE(SUM(${saldo}), 0) as saldo_total,
+              ${agingColumns('c.fecha_compra', saldo)}
+       FROM compras c
+       JOIN proveedores p ON c.proveedor_id = p.id
+       ${whereClause}
+       GROUP BY c.proveedor_id, p.nombre, p.ruc
+       ORDER BY saldo_total DESC`,
+      params
+    );
+
+    res.json({
+      success: true,
+      data: {
+        fecha_corte: new Date().toISOString().slice(0, 10),
+        proveedores: suppliers,
+        totales: agingTotals(suppliers)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo cuentas por pagar:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo el reporte de cuentas por pagar'
+    });
+  }
+});
+
+// GET /api/reports/expiring-lots - Lotes con existencias que vencen dentro de N días
+router.get('/expiring-lots', [
+  query('dias').optional().isInt({ min: 0, max: 3650 }).withMessage('Los días deben ser un entero entre 0 y 3650'),
+  query('almacen_id').optional().isInt({ min: 1 }).withMessage('ID de almacén inválido'),
+  query('categoria_id').optional().isInt({ min: 1 }).withMessage('ID de categoría inválido'),
+  query('incluir_vencidos').optional().isBoolean().withMessage('El filtro incluir_vencidos debe ser booleano')
+], async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.reports) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver reportes'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { dias = 30, almacen_id, categoria_id, incluir_vencidos = 'true' } = req.query;
+
+    let whereClause = `WHERE l.cantidad > 0 AND l.fecha_vencimiento IS NOT NULL
+      AND l.fecha_vencimiento <= DATE_ADD(CURDATE(), INTERVAL ? DAY)`;
+    let params = [parseInt(dias)];
+
+    if (incluir_vencidos === 'false' || incluir_vencidos === '0') {
+      whereClause += ' AND l.fecha_vencimiento >= CURDATE()';
+    }
+
+    if (almacen_id) {
+      whereClause += ' AND l.almacen_id = ?';
+      params.push(almacen_id);
+    }
+
+    if (categoria_id) {
+      whereClause += ' AND p.categoria_id = ?';
+      params.push(categoria_id);
+    }
+
+    const lots = await executeQuery(
+      `SELECT l.id as lote_id, l.numero_lote, l.fecha_vencimiento, l.cantidad,
+              DATEDIFF(l.fecha_vencimiento, CURDATE()) as dias_para_vencer,
+              l.fecha_vencimiento < CURDATE() as vencido,
+              p.id as producto_id, p.codigo as producto_codigo, p.nombre as producto_nombre,
+              c.nombre as categoria_nombre, a.id as almacen_id, a.nombre as almacen_nombre,
+              (l.cantidad * p.costo_promedio) as valor_costo
+       FROM lotes l
+       JOIN productos p ON l.producto_id = p.id
+       JOIN categorias c ON p.categoria_id = c.id
+       JOIN almacenes a ON l.almacen_id = a.id
+       ${whereClause}
+       ORDER BY l.fecha_vencimiento, p.nombre`,
+      params
+    );
+
+    const resumen = lots.reduce((acc, lot) => {
+      const grupo = lot.vencido ? 'vencidos' : 'por_vencer';
+      acc[grupo].lotes += 1;
+      acc[grupo].unidades += lot.cantidad;
+      acc[grupo].valor_costo = roundMoney(acc[grupo].valor_costo + Number(lot.valor_costo));
+      return acc;
+    }, {
+      vencidos: { lotes: 0, unidades: 0, valor_costo: 0 },
+      por_vencer: { lotes: 0, unidades: 0, valor_costo: 0 }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        fecha_corte: new Date().toISOString().slice(0, 10),
+        dias: parseInt(dias),
+        lotes: lots,
+        resumen
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo lotes por vencer:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo el reporte de lotes por vencer'
+    });
+  }
+});
+
 // GET /api/reports/export - Exportar reporte (simulado)
 router.get('/export', [
   query('tipo').isIn(['inventario', 'movimientos', 'tendencias']).withMessage('Tipo de reporte inválido'),
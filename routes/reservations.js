@@ -0,0 +1,495 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const { executeQuery, executeTransaction } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { resolveWarehouse, registerMovement } = require('../utils/stock');
+const { getReservedQuantity } = require('../utils/reservations');
+const { roundQuantity, toStockQuantity } = require('../utils/units');
+const { HttpError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Aplicar autenticación a todas las rutas
+router.use(authenticateToken);
+
+// Validaciones para reservas
+const reservationValidation = [
+  body('producto_id')
+    .isInt({ min: 1 })
+    .withMessage('El ID del producto es requerido'),
+  body('almacen_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID de almacén inválido'),
+  body('cantidad')
+    .isFloat({ gt: 0 })
+    .withMessage('La cantidad debe ser un número positivo'),
+  body('referencia_tipo')
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('El tipo de documento es requerido (máximo 30 caracteres)'),
+  body('referencia_id')
+    .isInt({ min: 1 })
+    .withMessage('El ID del documento es requerido'),
+  body('fecha_vencimiento')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Fecha de vencimiento inválida')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('La fecha de vencimiento debe ser futura'),
+  body('notas')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Las notas no pueden exceder 1000 caracteres')
+];
+
+// Validaciones para consumir una reserva
+const consumeValidation = [
+  body('cantidad')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('La cantidad debe ser un número positivo'),
+  body('motivo')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('El motivo no puede exceder 500 caracteres'),
+  body('lote_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID de lote inválido'),
+  body('series')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Las series deben ser una lista'),
+  body('series.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Cada número de serie debe tener entre 1 y 100 caracteres')
+];
+
+// Columnas de la reserva con su producto, almacén y cantidad pendiente. Una
+// reserva activa con vencimiento pasado se informa como vencida.
+const RESERVATION_COLUMNS = `r.*, r.cantidad - r.cantidad_consumida as cantidad_pendiente,
+  (r.estado = 'activa' AND r.fecha_vencimiento IS NOT NULL AND r.fecha_vencimiento <= NOW()) as vencida,
+  p.codigo as producto_codigo, p.nombre as producto_nombre, a.nombre as almacen_nombre,
+  u.nombre as usuario_nombre, u.apellido as usuario_apellido`;
+
+// Obtiene una reserva con sus datos relacionados
+const findReservation = async (id) => {
+  const reservations = await executeQuery(
+    `SELECT ${RESERVATION_COLUMNS}
+     FROM reservas r
+     JOIN productos p ON r.producto_id = p.id
+     JOIN almacenes a ON r.almacen_id = a.id
+     JOIN usuarios u ON r.usuario_id = u.id
+     WHERE r.id = ?`,
+    [id]
+  );
+
+  return reservations[0];
+};
+
+// Bloquea una reserva verificando que siga activa
+const lockReservation = async (connection, id) => {
+  const [reservations] = await connection.execute(
+    `SELECT r.*, (r.fecha_vencimiento IS NOT NULL AND r.fecha_vencimiento <= NOW()) as vencida
+     FROM reservas r WHERE r.id = ? FOR UPDATE`,
+    [id]
+  );
+
+  if (reservations.length === 0) {
+    throw new HttpError(404, 'Reserva no encontrada', 'La reserva solicitada no existe');
+  }
+
+  const reservation = reservations[0];
+
+  if (reservation.estado !== 'activa') {
+    throw new HttpError(400, 'Estado inválido', `La reserva está ${reservation.estado}`);
+  }
+
+  return reservation;
+};
+
+// GET /api/reservations - Obtener reservas con paginación y filtros
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).withMessage('La página debe ser un número positivo'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('El límite debe estar entre 1 y 100'),
+  query('producto_id').optional().isInt({ min: 1 }).withMessage('ID de producto inválido'),
+  query('almacen_id').optional().isInt({ min: 1 }).withMessage('ID de almacén inválido'),
+  query('estado').optional().isIn(['activa', 'vencida', 'liberada', 'consumida']).withMessage('Estado inválido'),
+  query('referencia_tipo').optional().isLength({ min: 1, max: 30 }).withMessage('Tipo de documento inválido'),
+  query('referencia_id').optional().isInt({ min: 1 }).withMessage('ID de documento inválido')
+], async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver reservas'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 10, producto_id, almacen_id, estado, referencia_tipo, referencia_id } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'WHERE 1=1';
+    let params = [];
+
+    if (producto_id) {
+      whereClause += ' AND r.producto_id = ?';
+      params.push(producto_id);
+    }
+
+    if (almacen_id) {
+      whereClause += ' AND r.almacen_id = ?';
+      params.push(almacen_id);
+    }
+
+    // 'activa' son las que retienen stock; 'vencida', las activas con vencimiento pasado
+    if (estado === 'activa') {
+      whereClause += " AND r.estado = 'activa' AND (r.fecha_vencimiento IS NULL OR r.fecha_vencimiento > NOW())";
+    } else if (estado === 'vencida') {
+      whereClause += " AND r.estado = 'activa' AND r.fecha_vencimiento <= NOW()";
+    } else if (estado) {
+      whereClause += ' AND r.estado = ?';
+      params.push(estado);
+    }
+
+    if (referencia_tipo) {
+      whereClause += ' AND r.referencia_tipo = ?';
+      params.push(referencia_tipo);
+    }
+
+    if (referencia_id) {
+      whereClause += ' AND r.referencia_id = ?';
+      params.push(referencia_id);
+    }
+
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as total FROM reservas r ${whereClause}`,
+      params
+    );
+
+    const total = countResult[0].total;
+
+    const reservations = await executeQuery(
+      `SELECT ${RESERVATION_COLUMNS}
+       FROM reservas r
+       JOIN productos p ON r.producto_id = p.id
+       JOIN almacenes a ON r.almacen_id = a.id
+       JOIN usuarios u ON r.usuario_id = u.id
+       ${whereClause}
+       ORDER BY r.created_at DESC
+       LIMIT ? OFFSET ?`,
+      [...params, parseInt(limit), offset]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        reservations,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo reservas:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo la lista de reservas'
+    });
+  }
+});
+
+// GET /api/reservations/:id - Obtener reserva por ID con los movimientos que la consumieron
+router.get('/:id', async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver reservas'
+      });
+    }
+
+    const reservation = await findReservation(req.params.id);
+
+    if (!reservation) {
+      return res.status(404).json({
+        error: 'Reserva no encontrada',
+        message: 'La reserva solicitada no existe'
+      });
+    }
+
+    const movements = await executeQuery(
+      `SELECT id, tipo, cantidad, motivo, fecha_movimiento
+       FROM movimientos_inventario
+       WHERE referencia_tipo = ? AND referencia_id = ? AND producto_id = ? AND almacen_id = ?
+       ORDER BY fecha_movimiento, id`,
+      [reservation.referencia_tipo, reservation.referencia_id, reservation.producto_id, reservation.almacen_id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        reservation: {
+          ...reservation,
+          movimientos: movements
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo reserva:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo la reserva'
+    });
+  }
+});
+
+// POST /api/reservations - Reservar stock de un almacén para un documento. Solo
+// se puede reservar lo disponible: existencias menos lo ya reservado.
+router.post('/', reservationValidation, async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para reservar stock'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { producto_id, almacen_id, referencia_tipo, referencia_id, fecha_vencimiento, notas } = req.body;
+    const reservaId = await executeTransaction(async (connection) => {
+      const almacen = await resolveWarehouse(connection, almacen_id);
+
+      // Se bloquea el producto como en registerMovement, para que una salida
+      // concurrente no tome el stock que se está reservando
+      const [products] = await connection.execute(
+        'SELECT id, nombre FROM productos WHERE id = ? AND activo = 1 FOR UPDATE',
+        [producto_id]
+      );
+
+      if (products.length === 0) {
+        throw new HttpError(404, 'Producto no encontrado', `El producto ${producto_id} no existe o está inactivo`);
+      }
+
+      // Las reservas se expresan en unidad de stock; esto rechaza fracciones si no es fraccionable
+      const { cantidad } = await toStockQuantity(connection, producto_id, { cantidad: req.body.cantidad });
+
+      const [stocks] = await connection.execute(
+        'SELECT cantidad FROM stock_almacen WHERE producto_id = ? AND almacen_id = ? FOR UPDATE',
+        [producto_id, almacen.id]
+      );
+
+      const existencia = stocks.length > 0 ? stocks[0].cantidad : 0;
+      const reservado = await getReservedQuantity(connection, { producto_id, almacen_id: almacen.id });
+      const disponible = Math.max(roundQuantity(existencia - reservado), 0);
+
+      if (disponible < cantidad) {
+        throw new HttpError(400, 'Stock insuficiente',
+          `No hay suficiente stock disponible de ${products[0].nombre} en ${almacen.nombre}. ` +
+          `Existencia: ${existencia}, Reservado: ${reservado}, Disponible: ${disponible}, Solicitado: ${cantidad}`);
+      }
+
+      const [result] = await connection.execute(
+        `INSERT INTO reservas (producto_id, almacen_id, cantidad, referencia_tipo, referencia_id, fecha_vencimiento, notas, usuario_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          producto_id,
+          almacen.id,
+          cantidad,
+          referencia_tipo,
+          referencia_id,
+          fecha_vencimiento ? new Date(fecha_vencimiento) : null,
+          notas || null,
+          req.user.id
+        ]
+      );
+
+      return result.insertId;
+    });
+
+    const reservation = await findReservation(reservaId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Reserva registrada exitosamente',
+      data: {
+        reservation
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Error registrando reserva:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error registrando la reserva'
+    });
+  }
+});
+
+// POST /api/reservations/:id/liberar - Liberar el stock pendiente de una reserva
+// (también las vencidas, para cerrarlas)
+router.post('/:id/liberar', async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para liberar reservas'
+      });
+    }
+
+    const { id } = req.params;
+
+    await executeTransaction(async (connection) => {
+      await lockReservation(connection, id);
+
+      await connection.execute(
+        "UPDATE reservas SET estado = 'liberada', updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [id]
+      );
+    });
+
+    const reservation = await findReservation(id);
+
+    res.json({
+      success: true,
+      message: 'Reserva liberada exitosamente',
+      data: {
+        reservation
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Error liberando reserva:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error liberando la reserva'
+    });
+  }
+});
+
+// POST /api/reservations/:id/consumir - Despachar stock reservado: registra la
+// salida a nombre del documento de la reserva (por defecto, todo lo pendiente)
+router.post('/:id/consumir', consumeValidation, async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para consumir reservas'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { motivo, lote_id, series } = req.body;
+
+    const movimiento = await executeTransaction(async (connection) => {
+      const reservation = await lockReservation(connection, id);
+
+      if (reservation.vencida) {
+        throw new HttpError(400, 'Reserva vencida', 'La reserva venció y ya no retiene stock; libérela o cree una nueva');
+      }
+
+      const pendiente = roundQuantity(reservation.cantidad - reservation.cantidad_consumida);
+      const cantidad = req.body.cantidad !== undefined ? Number(req.body.cantidad) : pendiente;
+
+      if (cantidad > pendiente) {
+        throw new HttpError(400, 'Cantidad inválida', `La reserva tiene ${pendiente} unidades pendientes`);
+      }
+
+      // La salida lleva la referencia del documento, así que puede tomar su stock reservado
+      const result = await registerMovement(connection, {
+        producto_id: reservation.producto_id,
+        almacen_id: reservation.almacen_id,
+        tipo: 'salida',
+        cantidad,
+        motivo: motivo || `Reserva #${reservation.id} - ${reservation.referencia_tipo} #${reservation.referencia_id}`,
+        usuario_id: req.user.id,
+        referencia_tipo: reservation.referencia_tipo,
+        referencia_id: reservation.referencia_id,
+        lotes: lote_id ? [{ lote_id: parseInt(lote_id) }] : null,
+        series
+      });
+
+      await connection.execute(
+        `UPDATE reservas
+         SET cantidad_consumida = cantidad_consumida + ?,
+             estado = IF(cantidad_consumida >= cantidad, 'consumida', estado),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [cantidad, id]
+      );
+
+      return result;
+    });
+
+    const reservation = await findReservation(id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Reserva consumida exitosamente',
+      data: {
+        reservation,
+        movimiento
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Error consumiendo reserva:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error consumiendo la reserva'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,938 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const { pool, executeQuery, executeTransaction } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { resolveWarehouse, registerMovement } = require('../utils/stock');
+const { lotsToRestore } = require('../utils/lots');
+const { serialsToRestore } = require('../utils/serials');
+const { RESERVED_STOCK } = require('../utils/reservations');
+const { documentUnitCost, roundCost } = require('../utils/costing');
+const { HttpError } = require('../utils/errors');
+const { roundMoney } = require('../utils/money');
+const { roundQuantity, toStockQuantity } = require('../utils/units');
+const { getCreditUsed } = require('../utils/customers');
+const { PAYMENT_METHODS, syncPaymentStatus, registerPayment } = require('../utils/payments');
+
+const router = express.Router();
+
+// Aplicar autenticación a todas las rutas
+router.use(authenticateToken);
+
+// Validaciones para ventas
+const saleValidation = [
+  body('cliente_id')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('ID de cliente inválido'),
+  body('almacen_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID de almacén inválido'),
+  body('numero_factura')
+    .optional()
+    .isLength({ max: 50 })
+    .withMessage('El número de factura no puede exceder 50 caracteres'),
+  body('fecha_venta')
+    .optional()
+    .isISO8601()
+    .withMessage('Fecha de venta inválida'),
+  body('notas')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Las notas no pueden exceder 1000 caracteres'),
+  body('detalles')
+    .isArray({ min: 1 })
+    .withMessage('La venta debe tener al menos un detalle'),
+  body('detalles.*.producto_id')
+    .isInt({ min: 1 })
+    .withMessage('El ID del producto es requerido'),
+  body('detalles.*.cantidad')
+    .isFloat({ gt: 0 })
+    .withMessage('La cantidad debe ser un número positivo'),
+  body('detalles.*.unidad_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID de unidad inválido'),
+  body('detalles.*.precio_unitario')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('El precio unitario debe ser un número positivo'),
+  body('detalles.*.lote_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID de lote inválido'),
+  body('detalles.*.series')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Las series deben ser una lista'),
+  body('detalles.*.series.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Cada número de serie debe tener entre 1 y 100 caracteres')
+];
+
+// Validaciones para devoluciones de clientes
+const returnValidation = [
+  body('motivo')
+    .notEmpty()
+    .withMessage('El motivo de la devolución es requerido')
+    .isLength({ max: 500 })
+    .withMessage('El motivo no puede exceder 500 caracteres'),
+  body('detalles')
+    .isArray({ min: 1 })
+    .withMessage('La devolución debe tener al menos un detalle'),
+  body('detalles.*.detalle_venta_id')
+    .isInt({ min: 1 })
+    .withMessage('El ID del detalle de venta es requerido'),
+  body('detalles.*.cantidad')
+    .isFloat({ gt: 0 })
+    .withMessage('La cantidad debe ser un número positivo'),
+  body('detalles.*.unidad_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID de unidad inválido'),
+  body('detalles.*.series')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Las series deben ser una lista'),
+  body('detalles.*.series.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Cada número de serie debe tener entre 1 y 100 caracteres')
+];
+
+// Obtiene la cabecera de la venta
+const findSale = async (id) => {
+  const sales = await executeQuery(
+    `SELECT v.*, (v.total - v.monto_devuelto - v.monto_pagado) as saldo,
+            cl.tipo_documento as cliente_tipo_documento, cl.numero_documento as cliente_numero_documento,
+            a.nombre as almacen_nombre, u.nombre as usuario_nombre, u.apellido as usuario_apellido
+     FROM ventas v
+     LEFT JOIN clientes cl ON v.cliente_id = cl.id
+     JOIN almacenes a ON v.almacen_id = a.id
+     JOIN usuarios u ON v.usuario_id = u.id
+     WHERE v.id = ?`,
+    [id]
+  );
+
+  return sales[0];
+};
+
+// GET /api/sales - Obtener ventas con paginación y filtros
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).withMessage('La página debe ser un número positivo'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('El límite debe estar entre 1 y 100'),
+  query('cliente_id').optional().isInt({ min: 1 }).withMessage('ID de cliente inválido'),
+  query('cliente').optional().isLength({ max: 200 }).withMessage('El cliente no puede exceder 200 caracteres'),
+  query('estado').optional().isIn(['pendiente', 'pagada', 'cancelada']).withMessage('Estado inválido'),
+  query('fecha_inicio').optional().isISO8601().withMessage('Fecha de inicio inválida'),
+  query('fecha_fin').optional().isISO8601().withMessage('Fecha de fin inválida')
+], async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver ventas'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 10, cliente_id, cliente, estado, fecha_inicio, fecha_fin } = req.query;
+    const offset = (page - 1) * limit;
+
+    // Construir query base
+    let whereClause = 'WHERE 1=1';
+    let params = [];
+
+    if (cliente_id) {
+      whereClause += ' AND v.cliente_id = ?';
+      params.push(cliente_id);
+    }
+
+    if (cliente) {
+      whereClause += ' AND (v.cliente LIKE ? OR cl.numero_documento LIKE ?)';
+      params.push(`%${cliente}%`, `%${cliente}%`);
+    }
+
+    if (estado) {
+      whereClause += ' AND v.estado = ?';
+      params.push(estado);
+    }
+
+    if (fecha_inicio) {
+      whereClause += ' AND v.fecha_venta >= ?';
+      params.push(fecha_inicio);
+    }
+
+    if (fecha_fin) {
+      whereClause += ' AND v.fecha_venta <= ?';
+      params.push(fecha_fin);
+    }
+
+    // Query para contar total
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as total, COALESCE(SUM(v.total), 0) as monto_total
+       FROM ventas v
+       LEFT JOIN clientes cl ON v.cliente_id = cl.id
+       ${whereClause}`,
+      params
+    );
+
+    const { total, monto_total } = countResult[0];
+
+    // Query para obtener ventas
+    const sales = await executeQuery(
+      `SELECT v.*, (v.total - v.monto_devuelto - v.monto_pagado) as saldo,
+            cl.tipo_documento as cliente_tipo_documento, cl.numero_documento as cliente_numero_documento,
+              u.nombre as usuario_nombre, u.apellido as usuario_apellido
+       FROM ventas v
+       LEFT JOIN clientes cl ON v.cliente_id = cl.id
+       JOIN usuarios u ON v.usuario_id = u.id
+       ${whereClause}
+       ORDER BY v.fecha_venta DESC, v.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, parseInt(limit), offset]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        sales,
+        monto_total,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo ventas:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo la lista de ventas'
+    });
+  }
+});
+
+// GET /api/sales/:id - Obtener venta con sus detalles
+router.get('/:id', async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver ventas'
+      });
+    }
+
+    const { id } = req.params;
+
+    const sale = await findSale(id);
+
+    if (!sale) {
+      return res.status(404).json({
+        error: 'Venta no encontrada',
+        message: 'La venta solicitada no existe'
+      });
+    }
+
+    const details = await executeQuery(
+      `SELECT d.*, p.nombre as producto_nombre, p.codigo as producto_codigo,
+              us.codigo as unidad_stock_codigo, ul.codigo as unidad_codigo
+       FROM detalles_venta d
+       JOIN productos p ON d.producto_id = p.id
+       JOIN unidades_medida us ON p.unidad_id = us.id
+       LEFT JOIN unidades_medida ul ON d.unidad_id = ul.id
+       WHERE d.venta_id = ?
+       ORDER BY d.id`,
+      [id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        sale: {
+          ...sale,
+          detalles: details
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo venta:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo la venta'
+    });
+  }
+});
+
+// POST /api/sales - Registrar venta con sus detalles y salidas de inventario
+router.post('/', saleValidation, async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para registrar ventas'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { cliente_id, almacen_id, numero_factura, fecha_venta, notas, detalles } = req.body;
+    const usuario_id = req.user.id;
+
+    // La mercadería sale del almacén indicado o del principal
+    const almacen = await resolveWarehouse(pool, almacen_id);
+
+    // Verificar si el cliente existe y está activo
+    let customer = null;
+    if (cliente_id) {
+      const customers = await executeQuery(
+        'SELECT id, nombre FROM clientes WHERE id = ? AND activo = 1',
+        [cliente_id]
+      );
+
+      if (customers.length === 0) {
+        return res.status(404).json({
+          error: 'Cliente no encontrado',
+          message: 'El cliente especificado no existe o está inactivo'
+        });
+      }
+
+      customer = customers[0];
+    }
+
+    // Obtener los productos de la venta
+    const productIds = [...new Set(detalles.map(d => parseInt(d.producto_id)))];
+    const products = await executeQuery(
+      `SELECT p.id, p.nombre, p.precio,
+              GREATEST(COALESCE(sa.cantidad, 0) - COALESCE(rs.reservado, 0), 0) as stock_almacen
+       FROM productos p
+       LEFT JOIN stock_almacen sa ON sa.producto_id = p.id AND sa.almacen_id = ?
+       LEFT JOIN (${RESERVED_STOCK}) rs ON rs.producto_id = p.id AND rs.almacen_id = ?
+       WHERE p.activo = 1 AND p.id IN (${productIds.map(() => '?').join(', ')})`,
+      [almacen.id, almacen.id, ...productIds]
+    );
+
+    if (products.length !== productIds.length) {
+      const found = products.map(p => p.id);
+      const missing = productIds.filter(id => !found.includes(id));
+      return res.status(404).json({
+        error: 'Producto no encontrado',
+        message: `Los productos ${missing.join(', ')} no existen o están inactivos`
+      });
+    }
+
+    // Calcular subtotales y total en el servidor (precio de lista si no se envía).
+    // Cada línea puede venir en cualquier unidad configurada del producto (por
+    // defecto, su unidad de venta) con el precio de esa unidad; cantidad y
+    // precio_unitario quedan en unidad de stock.
+    const lines = [];
+    for (const d of detalles) {
+      const producto = products.find(p => p.id === parseInt(d.producto_id));
+      const unidad = await toStockQuantity(pool, producto.id, { cantidad: d.cantidad, unidad_id: d.unidad_id, uso: 'venta' });
+      const precio = roundMoney(d.precio_unitario !== undefined ? d.precio_unitario : producto.precio * unidad.factor);
+
+      lines.push({
+        producto_id: producto.id,
+        cantidad: unidad.cantidad,
+        unidad_id: unidad.unidad_id,
+        unidad_codigo: unidad.unidad_codigo,
+        cantidad_unidad: unidad.cantidad_unidad,
+        precio_unitario: roundCost(precio / unidad.factor),
+        precio_unidad: unidad.unidad_id ? precio : null,
+        subtotal: roundMoney(Number(d.cantidad) * precio),
+        lote_id: d.lote_id ? parseInt(d.lote_id) : undefined,
+        series: d.series
+      });
+    }
+    const total = roundMoney(lines.reduce((sum, line) => sum + line.subtotal, 0));
+
+    // Verificar el stock disponible (no reservado) del almacén para todas las líneas
+    // (un producto puede repetirse en varias líneas)
+    const requested = {};
+    for (const line of lines) {
+      requested[line.producto_id] = roundQuantity((requested[line.producto_id] || 0) + line.cantidad);
+    }
+
+    const insufficient = products
+      .filter(p => p.stock_almacen < requested[p.id])
+      .map(p => ({
+        producto_id: p.id,
+        producto_nombre: p.nombre,
+        almacen_id: almacen.id,
+        disponible: p.stock_almacen,
+        solicitado: requested[p.id]
+      }));
+
+    if (insufficient.length > 0) {
+      return res.status(400).json({
+        error: 'Stock insuficiente',
+        message: `No hay suficiente stock en ${almacen.nombre} para uno o más productos`,
+        details: insufficient
+      });
+    }
+
+    const ventaId = await executeTransaction(async (connection) => {
+      // La venta queda pendiente de pago: verificar el límite de crédito del cliente
+      if (customer) {
+        const [locked] = await connection.execute(
+          'SELECT limite_credito FROM clientes WHERE id = ? FOR UPDATE',
+          [customer.id]
+        );
+
+        if (locked[0].limite_credito !== null) {
+          const limite = Number(locked[0].limite_credito);
+          const utilizado = await getCreditUsed(connection, customer.id);
+
+          if (utilizado + total > limite) {
+            throw new HttpError(400, 'Límite de crédito excedido',
+              `El cliente tiene ${roundMoney(Math.max(limite - utilizado, 0))} de crédito disponible y la venta suma ${total}`);
+          }
+        }
+      }
+
+      const [result] = await connection.execute(
+        `INSERT INTO ventas (numero_factura, cliente_id, cliente, almacen_id, fecha_venta, total, usuario_id, notas)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          numero_factura || null,
+          customer ? customer.id : null,
+          customer ? customer.nombre : null,
+          almacen.id,
+          fecha_venta || new Date().toISOString().slice(0, 10),
+          total,
+          usuario_id,
+          notas || null
+        ]
+      );
+
+      const motivo = `Venta #${result.insertId}${numero_factura ? ` - Factura ${numero_factura}` : ''}`;
+
+      for (const line of lines) {
+        const movimiento = await registerMovement(connection, {
+          producto_id: line.producto_id,
+          almacen_id: almacen.id,
+          tipo: 'salida',
+          cantidad: line.cantidad,
+          motivo,
+          usuario_id,
+          referencia_tipo: 'venta',
+          referencia_id: result.insertId,
+          // Sin lote indicado, los productos con lotes se despachan FEFO
+          lotes: line.lote_id ? [{ lote_id: line.lote_id }] : null,
+          series: line.series
+        });
+
+        await connection.execute(
+          `INSERT INTO detalles_venta (venta_id, producto_id, cantidad, unidad_id, cantidad_unidad, precio_unitario,
+             precio_unidad, subtotal, movimiento_id)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            result.insertId, line.producto_id, line.cantidad, line.unidad_id, line.cantidad_unidad, line.precio_unitario,
+            line.precio_unidad, line.subtotal, movimiento.id
+          ]
+        );
+      }
+
+      return result.insertId;
+    });
+
+    const sale = await findSale(ventaId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Venta registrada exitosamente',
+      data: {
+        sale: {
+          ...sale,
+          detalles: lines
+        }
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Error registrando venta:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error registrando la venta'
+    });
+  }
+});
+
+// PUT /api/sales/:id/estado - Marcar venta como pagada (registra un pago por el saldo)
+router.put('/:id/estado', [
+  body('estado').isIn(['pagada']).withMessage('El estado debe ser pagada'),
+  body('metodo').optional().isIn(PAYMENT_METHODS).withMessage('Método de pago inválido')
+], async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para actualizar ventas'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { metodo = 'efectivo' } = req.body;
+
+    const sales = await executeQuery(
+      'SELECT id, estado FROM ventas WHERE id = ?',
+      [id]
+    );
+
+    if (sales.length === 0) {
+      return res.status(404).json({
+        error: 'Venta no encontrada',
+        message: 'La venta solicitada no existe'
+      });
+    }
+
+    if (sales[0].estado !== 'pendiente') {
+      return res.status(400).json({
+        error: 'Estado inválido',
+        message: `La venta ya está ${sales[0].estado}`
+      });
+    }
+
+    // El estado se deriva de los pagos: se paga el saldo completo
+    const payment = await executeTransaction(connection =>
+      registerPayment(connection, { tipo: 'venta', documento_id: id, metodo, usuario_id: req.user.id })
+    );
+
+    res.json({
+      success: true,
+      message: 'Venta pagada exitosamente',
+      data: {
+        sale: {
+          id: parseInt(id),
+          estado: payment.estado
+        },
+        payment
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Error actualizando estado de venta:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error actualizando el estado de la venta'
+    });
+  }
+});
+
+// POST /api/sales/:id/cancelar - Anular venta y reingresar su mercadería
+router.post('/:id/cancelar', [
+  body('motivo')
+    .notEmpty()
+    .withMessage('El motivo de la anulación es requerido')
+    .isLength({ max: 500 })
+    .withMessage('El motivo no puede exceder 500 caracteres')
+], async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para anular ventas'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { motivo } = req.body;
+    const usuario_id = req.user.id;
+
+    const movimientos = await executeTransaction(async (connection) => {
+      // Bloquear la venta para que no se anule dos veces
+      const [sales] = await connection.execute(
+        'SELECT id, numero_factura, almacen_id, estado, monto_pagado FROM ventas WHERE id = ? FOR UPDATE',
+        [id]
+      );
+
+      if (sales.length === 0) {
+        throw new HttpError(404, 'Venta no encontrada', 'La venta solicitada no existe');
+      }
+
+      const sale = sales[0];
+
+      if (sale.estado === 'cancelada') {
+        throw new HttpError(400, 'Venta ya anulada', 'La venta ya fue cancelada');
+      }
+
+      if (Number(sale.monto_pagado) > 0) {
+        throw new HttpError(400, 'Operación no permitida', 'No se puede anular una venta con pagos registrados; anule los pagos primero');
+      }
+
+      const [details] = await connection.execute(
+        'SELECT id, producto_id, cantidad, cantidad_devuelta FROM detalles_venta WHERE venta_id = ? ORDER BY id FOR UPDATE',
+        [id]
+      );
+
+      const results = [];
+
+      // Solo se reingresa lo que el cliente no haya devuelto antes, a los lotes
+      // y series de los que salió. Un producto puede repetirse en varias líneas:
+      // se reingresa una vez por producto, con todo lo pendiente de sus líneas
+      const pendientes = new Map();
+      for (const detail of details) {
+        const pendiente = roundQuantity(detail.cantidad - detail.cantidad_devuelta);
+        if (pendiente <= 0) continue;
+        pendientes.set(detail.producto_id, roundQuantity((pendientes.get(detail.producto_id) || 0) + pendiente));
+      }
+
+      for (const [productoId, pendiente] of pendientes) {
+        results.push(await registerMovement(connection, {
+          producto_id: productoId,
+          almacen_id: sale.almacen_id,
+          tipo: 'entrada',
+          cantidad: pendiente,
+          motivo: `Anulación de venta #${sale.id}${sale.numero_factura ? ` - Factura ${sale.numero_factura}` : ''}: ${motivo}`,
+          usuario_id,
+          referencia_tipo: 'venta',
+          referencia_id: sale.id,
+          lotes: await lotsToRestore(connection, {
+            producto_id: productoId,
+            referencia_tipo: 'venta',
+            referencia_id: sale.id,
+            cantidad: pendiente
+          }),
+          series: await serialsToRestore(connection, {
+            producto_id: productoId,
+            referencia_tipo: 'venta',
+            referencia_id: sale.id,
+            cantidad: pendiente
+          }),
+          // Reingresa al costo con que salió
+          costo_unitario: await documentUnitCost(connection, {
+            producto_id: productoId,
+            referencia_tipo: 'venta',
+            referencia_id: sale.id
+          })
+        }));
+      }
+
+      await connection.execute(
+        "UPDATE ventas SET estado = 'cancelada', updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [id]
+      );
+
+      return results;
+    });
+
+    res.json({
+      success: true,
+      message: 'Venta anulada exitosamente',
+      data: {
+        sale: {
+          id: parseInt(id),
+          estado: 'cancelada'
+        },
+        movimientos
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Error anulando venta:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error anulando la venta'
+    });
+  }
+});
+
+// POST /api/sales/:id/devoluciones - Registrar devolución parcial del cliente
+router.post('/:id/devoluciones', returnValidation, async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para registrar devoluciones'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { motivo, detalles } = req.body;
+    const usuario_id = req.user.id;
+
+    const devolucion = await executeTransaction(async (connection) => {
+      const [sales] = await connection.execute(
+        'SELECT id, numero_factura, almacen_id, estado FROM ventas WHERE id = ? FOR UPDATE',
+        [id]
+      );
+
+      if (sales.length === 0) {
+        throw new HttpError(404, 'Venta no encontrada', 'La venta solicitada no existe');
+      }
+
+      const sale = sales[0];
+
+      if (sale.estado === 'cancelada') {
+        throw new HttpError(400, 'Operación no permitida', 'No se puede registrar devoluciones de una venta cancelada');
+      }
+
+      const [details] = await connection.execute(
+        'SELECT id, producto_id, cantidad, cantidad_devuelta, precio_unitario FROM detalles_venta WHERE venta_id = ? FOR UPDATE',
+        [id]
+      );
+
+      const seen = new Set();
+      const items = [];
+
+      for (const linea of detalles) {
+        const detalleId = parseInt(linea.detalle_venta_id);
+        const detail = details.find(d => d.id === detalleId);
+
+        if (!detail) {
+          throw new HttpError(400, 'Detalle inválido', `El detalle ${detalleId} no pertenece a la venta ${id}`);
+        }
+
+        if (seen.has(detalleId)) {
+          throw new HttpError(400, 'Detalle duplicado', `El detalle ${detalleId} aparece más de una vez en la devolución`);
+        }
+        seen.add(detalleId);
+
+        // La cantidad puede indicarse en otra unidad del producto; se devuelve en unidad de stock
+        const unidad = await toStockQuantity(connection, detail.producto_id, { cantidad: linea.cantidad, unidad_id: linea.unidad_id });
+        const { cantidad } = unidad;
+
+        const devolvible = roundQuantity(detail.cantidad - detail.cantidad_devuelta);
+        if (cantidad > devolvible) {
+          throw new HttpError(400, 'Cantidad excedida',
+            `Del detalle ${detalleId} solo se pueden devolver ${devolvible} unidades, se intentó devolver ${cantidad}`);
+        }
+
+        const precio_unitario = Number(detail.precio_unitario);
+        items.push({ detail, cantidad, unidad, precio_unitario, subtotal: roundMoney(cantidad * precio_unitario), series: linea.series });
+      }
+
+      const total = roundMoney(items.reduce((sum, item) => sum + item.subtotal, 0));
+
+      const [result] = await connection.execute(
+        'INSERT INTO devoluciones_venta (venta_id, total, motivo, usuario_id) VALUES (?, ?, ?, ?)',
+        [id, total, motivo, usuario_id]
+      );
+
+      const devolucionId = result.insertId;
+      const movimientos = [];
+
+      for (const item of items) {
+        const movimiento = await registerMovement(connection, {
+          producto_id: item.detail.producto_id,
+          almacen_id: sale.almacen_id,
+          tipo: 'entrada',
+          cantidad: item.cantidad,
+          motivo: `Devolución #${devolucionId} de venta #${sale.id}${sale.numero_factura ? ` - Factura ${sale.numero_factura}` : ''}: ${motivo}`,
+          usuario_id,
+          referencia_tipo: 'venta',
+          referencia_id: sale.id,
+          lotes: await lotsToRestore(connection, {
+            producto_id: item.detail.producto_id,
+            referencia_tipo: 'venta',
+            referencia_id: sale.id,
+            cantidad: item.cantidad
+          }),
+          // Si el cliente devuelve parte de las unidades debe indicar sus series
+          series: await serialsToRestore(connection, {
+            producto_id: item.detail.producto_id,
+            referencia_tipo: 'venta',
+            referencia_id: sale.id,
+            cantidad: item.cantidad,
+            series: item.series
+          }),
+          costo_unitario: await documentUnitCost(connection, {
+            producto_id: item.detail.producto_id,
+            referencia_tipo: 'venta',
+            referencia_id: sale.id
+          })
+        });
+
+        await connection.execute(
+          `INSERT INTO detalles_devolucion_venta (devolucion_id, detalle_venta_id, producto_id, cantidad, unidad_id, cantidad_unidad,
+             precio_unitario, subtotal, movimiento_id)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            devolucionId, item.detail.id, item.detail.producto_id, item.cantidad, item.unidad.unidad_id, item.unidad.cantidad_unidad,
+            item.precio_unitario, item.subtotal, movimiento.id
+          ]
+        );
+
+        await connection.execute(
+          'UPDATE detalles_venta SET cantidad_devuelta = cantidad_devuelta + ? WHERE id = ?',
+          [item.cantidad, item.detail.id]
+        );
+
+        movimientos.push(movimiento);
+      }
+
+      await connection.execute(
+        'UPDATE ventas SET monto_devuelto = monto_devuelto + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [total, id]
+      );
+      await syncPaymentStatus(connection, 'venta', sale.id);
+
+      return {
+        id: devolucionId,
+        venta_id: sale.id,
+        total,
+        motivo,
+        detalles: items.map(item => ({
+          detalle_venta_id: item.detail.id,
+          producto_id: item.detail.producto_id,
+          cantidad: item.cantidad,
+          unidad_id: item.unidad.unidad_id,
+          cantidad_unidad: item.unidad.cantidad_unidad,
+          precio_unitario: item.precio_unitario,
+          subtotal: item.subtotal
+        })),
+        movimientos
+      };
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Devolución registrada exitosamente',
+      data: {
+        devolucion
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Error registrando devolución:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error registrando la devolución'
+    });
+  }
+});
+
+// GET /api/sales/:id/devoluciones - Obtener devoluciones de una venta
+router.get('/:id/devoluciones', async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver ventas'
+      });
+    }
+
+    const { id } = req.params;
+
+    const sale = await findSale(id);
+
+    if (!sale) {
+      return res.status(404).json({
+        error: 'Venta no encontrada',
+        message: 'La venta solicitada no existe'
+      });
+    }
+
+    const returns = await executeQuery(
+      `SELECT dv.*, u.nombre as usuario_nombre, u.apellido as usuario_apellido
+       FROM devoluciones_venta dv
+       JOIN usuarios u ON dv.usuario_id = u.id
+       WHERE dv.venta_id = ?
+       ORDER BY dv.fecha_devolucion, dv.id`,
+      [id]
+    );
+
+    const returnDetails = await executeQuery(
+      `SELECT dd.*, p.nombre as producto_nombre, p.codigo as producto_codigo, um.codigo as unidad_codigo
+       FROM detalles_devolucion_venta dd
+       JOIN devoluciones_venta dv ON dd.devolucion_id = dv.id
+       JOIN productos p ON dd.producto_id = p.id
+       LEFT JOIN unidades_medida um ON dd.unidad_id = um.id
+       WHERE dv.venta_id = ?
+       ORDER BY dd.id`,
+      [id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        sale,
+        devoluciones: returns.map(devolucion => ({
+          ...devolucion,
+          detalles: returnDetails.filter(d => d.devolucion_id === devolucion.id)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo devoluciones:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo las devoluciones de la venta'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,194 @@
+const express = require('express');
+const { validationResult, query } = require('express-validator');
+const { executeQuery } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Aplicar autenticación a todas las rutas
+router.use(authenticateToken);
+
+// GET /api/serials - Obtener unidades serializadas con paginación y filtros
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).withMessage('La página debe ser un número positivo'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('El límite debe estar entre 1 y 100'),
+  query('producto_id').optional().isInt({ min: 1 }).withMessage('ID de producto inválido'),
+  query('almacen_id').optional().isInt({ min: 1 }).withMessage('ID de almacén inválido'),
+  query('estado').optional().isIn(['disponible', 'fuera']).withMessage('Estado inválido'),
+  query('search').optional().isLength({ max: 100 }).withMessage('Búsqueda inválida')
+], async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver números de serie'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 10, producto_id, almacen_id, estado, search } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'WHERE 1=1';
+    let params = [];
+
+    if (producto_id) {
+      whereClause += ' AND s.producto_id = ?';
+      params.push(producto_id);
+    }
+
+    if (almacen_id) {
+      whereClause += ' AND s.almacen_id = ?';
+      params.push(almacen_id);
+    }
+
+    if (estado) {
+      whereClause += ' AND s.estado = ?';
+      params.push(estado);
+    }
+
+    if (search) {
+      whereClause += ' AND s.numero_serie LIKE ?';
+      params.push(`%${search}%`);
+    }
+
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as total FROM series s ${whereClause}`,
+      params
+    );
+
+    const total = countResult[0].total;
+
+    const serials = await executeQuery(
+      `SELECT s.*, p.codigo as producto_codigo, p.nombre as producto_nombre, a.nombre as almacen_nombre
+       FROM series s
+       JOIN productos p ON s.producto_id = p.id
+       LEFT JOIN almacenes a ON s.almacen_id = a.id
+       ${whereClause}
+       ORDER BY p.nombre, s.numero_serie
+       LIMIT ? OFFSET ?`,
+      [...params, parseInt(limit), offset]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        serials,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo números de serie:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo la lista de números de serie'
+    });
+  }
+});
+
+// GET /api/serials/:serial - Historial de una unidad por su número de serie. Una
+// misma serie puede existir en productos distintos; se devuelven todas.
+router.get('/:serial', [
+  query('producto_id').optional().isInt({ min: 1 }).withMessage('ID de producto inválido')
+], async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver números de serie'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const numeroSerie = req.params.serial.trim();
+    const { producto_id } = req.query;
+
+    let whereClause = 'WHERE s.numero_serie = ?';
+    let params = [numeroSerie];
+
+    if (producto_id) {
+      whereClause += ' AND s.producto_id = ?';
+      params.push(producto_id);
+    }
+
+    const units = await executeQuery(
+      `SELECT s.*, p.codigo as producto_codigo, p.nombre as producto_nombre, a.nombre as almacen_nombre
+       FROM series s
+       JOIN productos p ON s.producto_id = p.id
+       LEFT JOIN almacenes a ON s.almacen_id = a.id
+       ${whereClause}
+       ORDER BY p.nombre`,
+      params
+    );
+
+    if (units.length === 0) {
+      return res.status(404).json({
+        error: 'Serie no encontrada',
+        message: `No existe ninguna unidad con la serie ${numeroSerie}`
+      });
+    }
+
+    // Los movimientos de compra y venta incluyen al proveedor o cliente
+    const history = await executeQuery(
+      `SELECT ms.serie_id, m.id as movimiento_id, m.tipo, m.fecha_movimiento, m.motivo,
+              m.referencia_tipo, m.referencia_id, m.almacen_id, a.nombre as almacen_nombre,
+              IF(m.referencia_tipo = 'venta', v.cliente, NULL) as cliente,
+              IF(m.referencia_tipo = 'venta', v.cliente_id, NULL) as cliente_id,
+              IF(m.referencia_tipo = 'compra', pr.nombre, NULL) as proveedor,
+              u.nombre as usuario_nombre, u.apellido as usuario_apellido
+       FROM movimientos_series ms
+       JOIN movimientos_inventario m ON ms.movimiento_id = m.id
+       JOIN almacenes a ON m.almacen_id = a.id
+       JOIN usuarios u ON m.usuario_id = u.id
+       LEFT JOIN ventas v ON m.referencia_tipo = 'venta' AND m.referencia_id = v.id
+       LEFT JOIN compras c ON m.referencia_tipo = 'compra' AND m.referencia_id = c.id
+       LEFT JOIN proveedores pr ON c.proveedor_id = pr.id
+       WHERE ms.serie_id IN (${units.map(() => '?').join(', ')})
+       ORDER BY m.fecha_movimiento, m.id`,
+      units.map(unit => unit.id)
+    );
+
+    res.json({
+      success: true,
+      data: {
+        units: units.map(unit => ({
+          ...unit,
+          historial: history.filter(h => h.serie_id === unit.id)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo historial de la serie:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo el historial del número de serie'
+    });
+  }
+});
+
+module.exports = router;
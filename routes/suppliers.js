@@ -0,0 +1,681 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const { executeQuery } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { isValidRuc } = require('../utils/validators');
+
+const router = express.Router();
+
+// Aplicar autenticación a todas las rutas
+router.use(authenticateToken);
+
+// Validaciones para proveedores
+const supplierValidation = [
+  body('nombre')
+    .notEmpty()
+    .withMessage('El nombre del proveedor es requerido')
+    .isLength({ max: 200 })
+    .withMessage('El nombre no puede exceder 200 caracteres'),
+  body('ruc')
+    .optional({ values: 'falsy' })
+    .custom(isValidRuc)
+    .withMessage('El RUC debe tener 11 dígitos y un dígito verificador válido'),
+  body('direccion')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('La dirección no puede exceder 500 caracteres'),
+  body('telefono')
+    .optional({ values: 'falsy' })
+    .matches(/^[0-9+()\s-]{6,20}$/)
+    .withMessage('El teléfono no es válido'),
+  body('email')
+    .optional({ values: 'falsy' })
+    .isEmail()
+    .withMessage('El email debe ser válido')
+    .normalizeEmail(),
+  body('contacto')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('El contacto no puede exceder 100 caracteres')
+];
+
+// Verifica que el RUC y el email no estén registrados en otro proveedor activo
+const findDuplicateSupplier = async ({ ruc, email }, excludeId = 0) => {
+  if (ruc) {
+    const duplicateRucs = await executeQuery(
+      'SELECT id FROM proveedores WHERE ruc = ? AND id != ? AND activo = 1',
+      [ruc, excludeId]
+    );
+
+    if (duplicateRucs.length > 0) {
+      return {
+        error: 'RUC duplicado',
+        message: 'Ya existe otro proveedor con este RUC'
+      };
+    }
+  }
+
+  if (email) {
+    const duplicateEmails = await executeQuery(
+      'SELECT id FROM proveedores WHERE email = ? AND id != ? AND activo = 1',
+      [email, excludeId]
+    );
+
+    if (duplicateEmails.length > 0) {
+      return {
+        error: 'Email duplicado',
+        message: 'Ya existe otro proveedor con este email'
+      };
+    }
+  }
+
+  return null;
+};
+
+// GET /api/suppliers - Obtener proveedores con paginación y búsqueda
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).withMessage('La página debe ser un número positivo'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('El límite debe estar entre 1 y 100'),
+  query('search').optional().isLength({ max: 100 }).withMessage('La búsqueda no puede exceder 100 caracteres'),
+  query('activo').optional().isBoolean().withMessage('El estado activo debe ser true o false')
+], async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.products) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver proveedores'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 10, search, activo = 'true' } = req.query;
+    const offset = (page - 1) * limit;
+
+    // Construir query base
+    let whereClause = 'WHERE activo = ?';
+    let params = [['true', '1'].includes(activo)];
+
+    if (search) {
+      whereClause += ' AND (nombre LIKE ? OR ruc LIKE ? OR email LIKE ? OR contacto LIKE ?)';
+      params.push(`%${search}%`, `%${search}%`, `%${search}%`, `%${search}%`);
+    }
+
+    // Query para contar total
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as total FROM proveedores ${whereClause}`,
+      params
+    );
+
+    const total = countResult[0].total;
+
+    // Query para obtener proveedores
+    const suppliers = await executeQuery(
+      `SELECT * FROM proveedores
+       ${whereClause}
+       ORDER BY nombre
+       LIMIT ? OFFSET ?`,
+      [...params, parseInt(limit), offset]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        suppliers,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo proveedores:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo la lista de proveedores'
+    });
+  }
+});
+
+// GET /api/suppliers/:id - Obtener proveedor por ID
+router.get('/:id', async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.products) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver proveedores'
+      });
+    }
+
+    const { id } = req.params;
+
+    const suppliers = await executeQuery(
+      'SELECT * FROM proveedores WHERE id = ?',
+      [id]
+    );
+
+    if (suppliers.length === 0) {
+      return res.status(404).json({
+        error: 'Proveedor no encontrado',
+        message: 'El proveedor solicitado no existe'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        supplier: suppliers[0]
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo proveedor:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo el proveedor'
+    });
+  }
+});
+
+// POST /api/suppliers - Crear nuevo proveedor
+router.post('/', supplierValidation, async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.products) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para crear proveedores'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { nombre, ruc, direccion, telefono, email, contacto } = req.body;
+
+    // Verificar RUC y email únicos
+    const duplicate = await findDuplicateSupplier({ ruc, email });
+    if (duplicate) {
+      return res.status(400).json(duplicate);
+    }
+
+    // Crear proveedor
+    const result = await executeQuery(
+      'INSERT INTO proveedores (nombre, ruc, direccion, telefono, email, contacto) VALUES (?, ?, ?, ?, ?, ?)',
+      [nombre, ruc || null, direccion || null, telefono || null, email || null, contacto || null]
+    );
+
+    // Obtener proveedor creado
+    const newSuppliers = await executeQuery(
+      'SELECT * FROM proveedores WHERE id = ?',
+      [result.insertId]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Proveedor creado exitosamente',
+      data: {
+        supplier: newSuppliers[0]
+      }
+    });
+
+  } catch (error) {
+    console.error('Error creando proveedor:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error creando el proveedor'
+    });
+  }
+});
+
+// PUT /api/suppliers/:id - Actualizar proveedor
+router.put('/:id', supplierValidation, async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.products) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para actualizar proveedores'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { nombre, ruc, direccion, telefono, email, contacto } = req.body;
+
+    // Verificar si el proveedor existe
+    const existingSuppliers = await executeQuery(
+      'SELECT id FROM proveedores WHERE id = ? AND activo = 1',
+      [id]
+    );
+
+    if (existingSuppliers.length === 0) {
+      return res.status(404).json({
+        error: 'Proveedor no encontrado',
+        message: 'El proveedor a actualizar no existe'
+      });
+    }
+
+    // Verificar RUC y email únicos
+    const duplicate = await findDuplicateSupplier({ ruc, email }, id);
+    if (duplicate) {
+      return res.status(400).json(duplicate);
+    }
+
+    // Actualizar proveedor
+    await executeQuery(
+      `UPDATE proveedores SET nombre = ?, ruc = ?, direccion = ?, telefono = ?, email = ?, contacto = ?,
+              updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [nombre, ruc || null, direccion || null, telefono || null, email || null, contacto || null, id]
+    );
+
+    // Obtener proveedor actualizado
+    const updatedSuppliers = await executeQuery(
+      'SELECT * FROM proveedores WHERE id = ?',
+      [id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Proveedor actualizado exitosamente',
+      data: {
+        supplier: updatedSuppliers[0]
+      }
+    });
+
+  } catch (error) {
+    console.error('Error actualizando proveedor:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error actualizando el proveedor'
+    });
+  }
+});
+
+// DELETE /api/suppliers/:id - Eliminar proveedor (soft delete)
+router.delete('/:id', async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.products) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para eliminar proveedores'
+      });
+    }
+
+    const { id } = req.params;
+
+    // Verificar si el proveedor existe
+    const existingSuppliers = await executeQuery(
+      'SELECT id, nombre FROM proveedores WHERE id = ? AND activo = 1',
+      [id]
+    );
+
+    if (existingSuppliers.length === 0) {
+      return res.status(404).json({
+        error: 'Proveedor no encontrado',
+        message: 'El proveedor a eliminar no existe'
+      });
+    }
+
+    // Verificar si tiene compras pendientes o en borrador (quedarían sin proveedor activo)
+    const pendingPurchases = await executeQuery(
+      "SELECT COUNT(*) as count FROM compras WHERE proveedor_id = ? AND estado IN ('borrador', 'pendiente')",
+      [id]
+    );
+
+    if (pendingPurchases[0].count > 0) {
+      return res.status(400).json({
+        error: 'Proveedor en uso',
+        message: 'No se puede eliminar el proveedor porque tiene compras pendientes o en borrador'
+      });
+    }
+
+    // Soft delete - marcar como inactivo
+    await executeQuery(
+      'UPDATE proveedores SET activo = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Proveedor eliminado exitosamente',
+      data: {
+        supplier: {
+          id: parseInt(id),
+          nombre: existingSuppliers[0].nombre
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error eliminando proveedor:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error eliminando el proveedor'
+    });
+  }
+});
+
+// PUT /api/suppliers/:id/restore - Restaurar proveedor eliminado
+router.put('/:id/restore', async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.products) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para restaurar proveedores'
+      });
+    }
+
+    const { id } = req.params;
+
+    // Verificar si el proveedor existe y está eliminado
+    const existingSuppliers = await executeQuery(
+      'SELECT id, nombre, ruc, email FROM proveedores WHERE id = ? AND activo = 0',
+      [id]
+    );
+
+    if (existingSuppliers.length === 0) {
+      return res.status(404).json({
+        error: 'Proveedor no encontrado',
+        message: 'El proveedor a restaurar no existe o ya está activo'
+      });
+    }
+
+    // Un proveedor activo pudo haber tomado el RUC o email mientras estaba eliminado
+    const duplicate = await findDuplicateSupplier(existingSuppliers[0], id);
+    if (duplicate) {
+      return res.status(400).json(duplicate);
+    }
+
+    await executeQuery(
+      'UPDATE proveedores SET activo = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Proveedor restaurado exitosamente',
+      data: {
+        supplier: {
+          id: parseInt(id),
+          nombre: existingSuppliers[0].nombre
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error restaurando proveedor:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error restaurando el proveedor'
+    });
+  }
+});
+
+// GET /api/suppliers/:id/purchases - Obtener compras de un proveedor
+router.get('/:id/purchases', [
+  query('page').optional().isInt({ min: 1 }).withMessage('La página debe ser un número positivo'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('El límite debe estar entre 1 y 100'),
+  query('estado').optional().isIn(['borrador', 'pendiente', 'pagada', 'cancelada']).withMessage('Estado inválido')
+], async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.products) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver compras'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { page = 1, limit = 10, estado } = req.query;
+    const offset = (page - 1) * limit;
+
+    // Verificar si el proveedor existe
+    const suppliers = await executeQuery(
+      'SELECT id, nombre, ruc FROM proveedores WHERE id = ?',
+      [id]
+    );
+
+    if (suppliers.length === 0) {
+      return res.status(404).json({
+        error: 'Proveedor no encontrado',
+        message: 'El proveedor solicitado no existe'
+      });
+    }
+
+    let whereClause = 'WHERE c.proveedor_id = ?';
+    let params = [id];
+
+    if (estado) {
+      whereClause += ' AND c.estado = ?';
+      params.push(estado);
+    }
+
+    // Contar compras del proveedor
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as total, COALESCE(SUM(c.total), 0) as monto_total,
+              COALESCE(SUM(c.monto_devuelto), 0) as monto_devuelto,
+              COALESCE(SUM(c.monto_pagado), 0) as monto_pagado
+       FROM compras c
+       ${whereClause}`,
+      params
+    );
+
+    const { total, monto_total, monto_devuelto, monto_pagado } = countResult[0];
+
+    // Obtener compras del proveedor
+    const purchases = await executeQuery(
+      `SELECT c.*, (c.total - c.monto_devuelto - c.monto_pagado) as saldo,
+              u.nombre as usuario_nombre, u.apellido as usuario_apellido,
+              (SELECT COUNT(*) FROM detalles_compra d WHERE d.compra_id = c.id) as total_items
+       FROM compras c
+       JOIN usuarios u ON c.usuario_id = u.id
+       ${whereClause}
+       ORDER BY c.fecha_compra DESC, c.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, parseInt(limit), offset]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        supplier: suppliers[0],
+        purchases,
+        monto_total,
+        monto_devuelto,
+        monto_pagado,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo compras del proveedor:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo las compras del proveedor'
+    });
+  }
+});
+
+// GET /api/suppliers/:id/returns - Obtener devoluciones hechas al proveedor
+router.get('/:id/returns', [
+  query('page').optional().isInt({ min: 1 }).withMessage('La página debe ser un número positivo'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('El límite debe estar entre 1 y 100')
+], async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.products) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver devoluciones'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { page = 1, limit = 10 } = req.query;
+    const offset = (page - 1) * limit;
+
+    // Verificar si el proveedor existe
+    const suppliers = await executeQuery(
+      'SELECT id, nombre, ruc FROM proveedores WHERE id = ?',
+      [id]
+    );
+
+    if (suppliers.length === 0) {
+      return res.status(404).json({
+        error: 'Proveedor no encontrado',
+        message: 'El proveedor solicitado no existe'
+      });
+    }
+
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as total, COALESCE(SUM(total), 0) as monto_total
+       FROM devoluciones_compra
+       WHERE proveedor_id = ?`,
+      [id]
+    );
+
+    const { total, monto_total } = countResult[0];
+
+    const returns = await executeQuery(
+      `SELECT dc.*, c.numero_factura, c.fecha_compra,
+              u.nombre as usuario_nombre, u.apellido as usuario_apellido
+       FROM devoluciones_compra dc
+       JOIN compras c ON dc.compra_id = c.id
+       JOIN usuarios u ON dc.usuario_id = u.id
+       WHERE dc.proveedor_id = ?
+       ORDER BY dc.fecha_devolucion DESC, dc.id DESC
+       LIMIT ? OFFSET ?`,
+      [id, parseInt(limit), offset]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        supplier: suppliers[0],
+        returns,
+        monto_total,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo devoluciones del proveedor:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo las devoluciones del proveedor'
+    });
+  }
+});
+
+// GET /api/suppliers/:id/products - Obtener productos que vende el proveedor
+router.get('/:id/products', async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.products) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver productos'
+      });
+    }
+
+    const { id } = req.params;
+
+    const suppliers = await executeQuery(
+      'SELECT id, nombre, ruc FROM proveedores WHERE id = ?',
+      [id]
+    );
+
+    if (suppliers.length === 0) {
+      return res.status(404).json({
+        error: 'Proveedor no encontrado',
+        message: 'El proveedor solicitado no existe'
+      });
+    }
+
+    const products = await executeQuery(
+      `SELECT pp.*, p.codigo as producto_codigo, p.nombre as producto_nombre,
+              p.stock_actual, p.stock_minimo
+       FROM productos_proveedores pp
+       JOIN productos p ON pp.producto_id = p.id
+       WHERE pp.proveedor_id = ? AND p.activo = 1
+       ORDER BY p.nombre`,
+      [id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        supplier: suppliers[0],
+        products
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo productos del proveedor:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo los productos del proveedor'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,828 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const { executeQuery, executeTransaction } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { resolveWarehouse, registerMovement } = require('../utils/stock');
+const { lotsFromMovement } = require('../utils/lots');
+const { serialsFromMovement } = require('../utils/serials');
+const { documentUnitCost } = require('../utils/costing');
+const { HttpError } = require('../utils/errors');
+const { roundMoney } = require('../utils/money');
+const { roundQuantity } = require('../utils/units');
+
+const router = express.Router();
+
+// Aplicar autenticación a todas las rutas
+router.use(authenticateToken);
+
+// Validaciones para transferencias
+const transferValidation = [
+  body('almacen_origen_id')
+    .isInt({ min: 1 })
+    .withMessage('El almacén de origen es requerido'),
+  body('almacen_destino_id')
+    .isInt({ min: 1 })
+    .withMessage('El almacén de destino es requerido'),
+  body('notas')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Las notas no pueden exceder 1000 caracteres'),
+  body('detalles')
+    .isArray({ min: 1 })
+    .withMessage('La transferencia debe tener al menos un detalle'),
+  body('detalles.*.producto_id')
+    .isInt({ min: 1 })
+    .withMessage('El ID del producto es requerido'),
+  body('detalles.*.cantidad')
+    .isFloat({ gt: 0 })
+    .withMessage('La cantidad debe ser un número positivo')
+];
+
+// Validaciones para despacho y recepción: las líneas son opcionales (por
+// defecto se despacha lo solicitado y se recibe lo enviado)
+const stepValidation = (campo) => [
+  body('detalles')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Los detalles deben ser una lista'),
+  body('detalles.*.detalle_transferencia_id')
+    .isInt({ min: 1 })
+    .withMessage('El ID del detalle de transferencia es requerido'),
+  body(`detalles.*.${campo}`)
+    .isFloat({ min: 0 })
+    .withMessage('La cantidad debe ser un número no negativo'),
+  body('detalles.*.observacion')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('La observación no puede exceder 500 caracteres'),
+  body('detalles.*.series')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Las series deben ser una lista'),
+  body('detalles.*.series.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Cada número de serie debe tener entre 1 y 100 caracteres')
+];
+
+// Obtiene la cabecera de la transferencia con sus almacenes
+const findTransfer = async (id) => {
+  const transfers = await executeQuery(
+    `SELECT t.*, ao.nombre as almacen_origen_nombre, ad.nombre as almacen_destino_nombre,
+            u.nombre as usuario_nombre, u.apellido as usuario_apellido
+     FROM transferencias t
+     JOIN almacenes ao ON t.almacen_origen_id = ao.id
+     JOIN almacenes ad ON t.almacen_destino_id = ad.id
+     JOIN usuarios u ON t.usuario_id = u.id
+     WHERE t.id = ?`,
+    [id]
+  );
+
+  return transfers[0];
+};
+
+// Bloquea la transferencia y sus detalles verificando que esté en el estado esperado
+const lockTransfer = async (connection, id, estadoEsperado) => {
+  const [transfers] = await connection.execute(
+    'SELECT * FROM transferencias WHERE id = ? FOR UPDATE',
+    [id]
+  );
+
+  if (transfers.length === 0) {
+    throw new HttpError(404, 'Transferencia no encontrada', 'La transferencia solicitada no existe');
+  }
+
+  const transfer = transfers[0];
+
+  if (transfer.estado !== estadoEsperado) {
+    throw new HttpError(400, 'Estado inválido', `La transferencia está ${transfer.estado}`);
+  }
+
+  const [details] = await connection.execute(
+    'SELECT * FROM detalles_transferencia WHERE transferencia_id = ? ORDER BY id FOR UPDATE',
+    [id]
+  );
+
+  return { transfer, details };
+};
+
+// Cruza las líneas enviadas con los detalles de la transferencia; las líneas
+// que no se envían toman la cantidad por defecto
+const resolveLines = (details, lineas, campo, porDefecto) => {
+  const byId = new Map();
+
+  for (const linea of lineas || []) {
+    const detalleId = parseInt(linea.detalle_transferencia_id);
+    const detail = details.find(d => d.id === detalleId);
+
+    if (!detail) {
+      throw new HttpError(400, 'Detalle inválido', `El detalle ${detalleId} no pertenece a la transferencia`);
+    }
+
+    if (byId.has(detalleId)) {
+      throw new HttpError(400, 'Detalle duplicado', `El detalle ${detalleId} aparece más de una vez`);
+    }
+
+    byId.set(detalleId, { cantidad: Number(linea[campo]), observacion: linea.observacion || null, series: linea.series });
+  }
+
+  return details.map(detail => ({
+    detail,
+    ...(byId.get(detail.id) || { cantidad: porDefecto(detail), observacion: null, series: undefined })
+  }));
+};
+
+// GET /api/transfers - Obtener transferencias con paginación y filtros
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).withMessage('La página debe ser un número positivo'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('El límite debe estar entre 1 y 100'),
+  query('estado').optional().isIn(['pendiente', 'en_transito', 'recibida', 'cancelada']).withMessage('Estado inválido'),
+  query('almacen_origen_id').optional().isInt({ min: 1 }).withMessage('ID de almacén de origen inválido'),
+  query('almacen_destino_id').optional().isInt({ min: 1 }).withMessage('ID de almacén de destino inválido'),
+  query('con_diferencias').optional().isBoolean().withMessage('El filtro con_diferencias debe ser booleano'),
+  query('fecha_inicio').optional().isISO8601().withMessage('Fecha de inicio inválida'),
+  query('fecha_fin').optional().isISO8601().withMessage('Fecha de fin inválida')
+], async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver transferencias'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const {
+      page = 1, limit = 10, estado, almacen_origen_id, almacen_destino_id,
+      con_diferencias, fecha_inicio, fecha_fin
+    } = req.query;
+    const offset = (page - 1) * limit;
+
+    // Construir query base
+    let whereClause = 'WHERE 1=1';
+    let params = [];
+
+    if (estado) {
+      whereClause += ' AND t.estado = ?';
+      params.push(estado);
+    }
+
+    if (almacen_origen_id) {
+      whereClause += ' AND t.almacen_origen_id = ?';
+      params.push(almacen_origen_id);
+    }
+
+    if (almacen_destino_id) {
+      whereClause += ' AND t.almacen_destino_id = ?';
+      params.push(almacen_destino_id);
+    }
+
+    if (con_diferencias !== undefined) {
+      whereClause += ' AND t.con_diferencias = ?';
+      params.push(con_diferencias === 'true' || con_diferencias === '1' ? 1 : 0);
+    }
+
+    if (fecha_inicio) {
+      whereClause += ' AND DATE(t.created_at) >= ?';
+      params.push(fecha_inicio);
+    }
+
+    if (fecha_fin) {
+      whereClause += ' AND DATE(t.created_at) <= ?';
+      params.push(fecha_fin);
+    }
+
+    // Query para contar total
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as total FROM transferencias t ${whereClause}`,
+      params
+    );
+
+    const total = countResult[0].total;
+
+    // Query para obtener transferencias
+    const transfers = await executeQuery(
+      `SELECT t.*, ao.nombre as almacen_origen_nombre, ad.nombre as almacen_destino_nombre,
+              u.nombre as usuario_nombre, u.apellido as usuario_apellido,
+              (SELECT COUNT(*) FROM detalles_transferencia d WHERE d.transferencia_id = t.id) as total_items
+       FROM transferencias t
+       JOIN almacenes ao ON t.almacen_origen_id = ao.id
+       JOIN almacenes ad ON t.almacen_destino_id = ad.id
+       JOIN usuarios u ON t.usuario_id = u.id
+       ${whereClause}
+       ORDER BY t.created_at DESC, t.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, parseInt(limit), offset]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        transfers,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo transferencias:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo la lista de transferencias'
+    });
+  }
+});
+
+// GET /api/transfers/en-transito - Cantidades en tránsito por producto y destino
+router.get('/en-transito', [
+  query('producto_id').optional().isInt({ min: 1 }).withMessage('ID de producto inválido'),
+  query('almacen_destino_id').optional().isInt({ min: 1 }).withMessage('ID de almacén de destino inválido')
+], async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver transferencias'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { producto_id, almacen_destino_id } = req.query;
+
+    let whereClause = "WHERE t.estado = 'en_transito'";
+    let params = [];
+
+    if (producto_id) {
+      whereClause += ' AND d.producto_id = ?';
+      params.push(producto_id);
+    }
+
+    if (almacen_destino_id) {
+      whereClause += ' AND t.almacen_destino_id = ?';
+      params.push(almacen_destino_id);
+    }
+
+    const items = await executeQuery(
+      `SELECT d.producto_id, p.codigo, p.nombre as producto_nombre,
+              t.almacen_destino_id, a.nombre as almacen_destino_nombre,
+              SUM(d.cantidad_enviada) as cantidad_en_transito,
+              COUNT(DISTINCT t.id) as transferencias
+       FROM detalles_transferencia d
+       JOIN transferencias t ON d.transferencia_id = t.id
+       JOIN productos p ON d.producto_id = p.id
+       JOIN almacenes a ON t.almacen_destino_id = a.id
+       ${whereClause}
+       GROUP BY d.producto_id, p.codigo, p.nombre, t.almacen_destino_id, a.nombre
+       ORDER BY p.nombre, a.nombre`,
+      params
+    );
+
+    res.json({
+      success: true,
+      data: {
+        items,
+        total_unidades: items.reduce((sum, item) => sum + Number(item.cantidad_en_transito), 0)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo mercadería en tránsito:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo la mercadería en tránsito'
+    });
+  }
+});
+
+// GET /api/transfers/discrepancias - Reporte de diferencias entre lo enviado y lo recibido
+router.get('/discrepancias', [
+  query('almacen_origen_id').optional().isInt({ min: 1 }).withMessage('ID de almacén de origen inválido'),
+  query('almacen_destino_id').optional().isInt({ min: 1 }).withMessage('ID de almacén de destino inválido'),
+  query('fecha_inicio').optional().isISO8601().withMessage('Fecha de inicio inválida'),
+  query('fecha_fin').optional().isISO8601().withMessage('Fecha de fin inválida')
+], async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory && !req.user.permisos.reports) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver reportes de transferencias'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { almacen_origen_id, almacen_destino_id, fecha_inicio, fecha_fin } = req.query;
+
+    let whereClause = "WHERE t.estado = 'recibida' AND d.cantidad_recibida <> d.cantidad_enviada";
+    let params = [];
+
+    if (almacen_origen_id) {
+      whereClause += ' AND t.almacen_origen_id = ?';
+      params.push(almacen_origen_id);
+    }
+
+    if (almacen_destino_id) {
+      whereClause += ' AND t.almacen_destino_id = ?';
+      params.push(almacen_destino_id);
+    }
+
+    if (fecha_inicio) {
+      whereClause += ' AND DATE(t.fecha_recepcion) >= ?';
+      params.push(fecha_inicio);
+    }
+
+    if (fecha_fin) {
+      whereClause += ' AND DATE(t.fecha_recepcion) <= ?';
+      params.push(fecha_fin);
+    }
+
+    // Diferencia negativa: faltante; positiva: sobrante
+    const items = await executeQuery(
+      `SELECT t.id as transferencia_id, t.fecha_despacho, t.fecha_recepcion,
+              ao.nombre as almacen_origen_nombre, ad.nombre as almacen_destino_nombre,
+              d.id as detalle_transferencia_id, d.producto_id, p.codigo, p.nombre as producto_nombre,
+              d.cantidad_enviada, d.cantidad_recibida,
+              (d.cantidad_recibida - d.cantidad_enviada) as diferencia,
+              (d.cantidad_recibida - d.cantidad_enviada) * p.costo_promedio as valor_diferencia,
+              d.observacion
+       FROM detalles_transferencia d
+       JOIN transferencias t ON d.transferencia_id = t.id
+       JOIN productos p ON d.producto_id = p.id
+       JOIN almacenes ao ON t.almacen_origen_id = ao.id
+       JOIN almacenes ad ON t.almacen_destino_id = ad.id
+       ${whereClause}
+       ORDER BY t.fecha_recepcion DESC, t.id DESC, d.id`,
+      params
+    );
+
+    const resumen = items.reduce((acc, item) => {
+      const diferencia = Number(item.diferencia);
+      if (diferencia < 0) {
+        acc.unidades_faltantes += -diferencia;
+      } else {
+        acc.unidades_sobrantes += diferencia;
+      }
+      acc.valor_neto += Number(item.valor_diferencia);
+      return acc;
+    }, { unidades_faltantes: 0, unidades_sobrantes: 0, valor_neto: 0 });
+
+    res.json({
+      success: true,
+      data: {
+        items,
+        resumen: {
+          ...resumen,
+          valor_neto: roundMoney(resumen.valor_neto),
+          transferencias: new Set(items.map(item => item.transferencia_id)).size
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo discrepancias de transferencias:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo el reporte de discrepancias'
+    });
+  }
+});
+
+// GET /api/transfers/:id - Obtener transferencia con sus detalles
+router.get('/:id', async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver transferencias'
+      });
+    }
+
+    const { id } = req.params;
+    const transfer = await findTransfer(id);
+
+    if (!transfer) {
+      return res.status(404).json({
+        error: 'Transferencia no encontrada',
+        message: 'La transferencia solicitada no existe'
+      });
+    }
+
+    const details = await executeQuery(
+      `SELECT d.*, p.codigo as producto_codigo, p.nombre as producto_nombre,
+              (d.cantidad_recibida - d.cantidad_enviada) as diferencia
+       FROM detalles_transferencia d
+       JOIN productos p ON d.producto_id = p.id
+       WHERE d.transferencia_id = ?
+       ORDER BY d.id`,
+      [id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        transfer: {
+          ...transfer,
+          detalles: details
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo transferencia:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo la transferencia'
+    });
+  }
+});
+
+// POST /api/transfers - Crear transferencia pendiente de despacho
+router.post('/', transferValidation, async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para registrar transferencias'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { almacen_origen_id, almacen_destino_id, notas, detalles } = req.body;
+    const usuario_id = req.user.id;
+
+    if (parseInt(almacen_origen_id) === parseInt(almacen_destino_id)) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        message: 'El almacén de origen y el de destino deben ser distintos'
+      });
+    }
+
+    // Agrupar líneas repetidas del mismo producto
+    const requested = new Map();
+    for (const d of detalles) {
+      const productoId = parseInt(d.producto_id);
+      requested.set(productoId, roundQuantity((requested.get(productoId) || 0) + Number(d.cantidad)));
+    }
+
+    const productIds = [...requested.keys()];
+    const products = await executeQuery(
+      `SELECT id FROM productos WHERE activo = 1 AND id IN (${productIds.map(() => '?').join(', ')})`,
+      productIds
+    );
+
+    if (products.length !== productIds.length) {
+      const found = products.map(p => p.id);
+      const missing = productIds.filter(id => !found.includes(id));
+      return res.status(404).json({
+        error: 'Producto no encontrado',
+        message: `Los productos ${missing.join(', ')} no existen o están inactivos`
+      });
+    }
+
+    const transferId = await executeTransaction(async (connection) => {
+      await resolveWarehouse(connection, almacen_origen_id);
+      await resolveWarehouse(connection, almacen_destino_id);
+
+      const [result] = await connection.execute(
+        'INSERT INTO transferencias (almacen_origen_id, almacen_destino_id, notas, usuario_id) VALUES (?, ?, ?, ?)',
+        [almacen_origen_id, almacen_destino_id, notas || null, usuario_id]
+      );
+
+      for (const [productoId, cantidad] of requested) {
+        await connection.execute(
+          'INSERT INTO detalles_transferencia (transferencia_id, producto_id, cantidad) VALUES (?, ?, ?)',
+          [result.insertId, productoId, cantidad]
+        );
+      }
+
+      return result.insertId;
+    });
+
+    const transfer = await findTransfer(transferId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Transferencia registrada exitosamente',
+      data: {
+        transfer
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Error registrando transferencia:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error registrando la transferencia'
+    });
+  }
+});
+
+// POST /api/transfers/:id/despachar - Despachar la mercadería (salidas en el origen)
+router.post('/:id/despachar', stepValidation('cantidad_enviada'), async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para despachar transferencias'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const usuario_id = req.user.id;
+
+    const movimientos = await executeTransaction(async (connection) => {
+      const { transfer, details } = await lockTransfer(connection, id, 'pendiente');
+      const lines = resolveLines(details, req.body.detalles, 'cantidad_enviada', d => d.cantidad);
+
+      for (const { detail, cantidad } of lines) {
+        if (cantidad > detail.cantidad) {
+          throw new HttpError(400, 'Cantidad excedida',
+            `Del detalle ${detail.id} se solicitaron ${detail.cantidad} unidades, se intentó despachar ${cantidad}`);
+        }
+      }
+
+      if (lines.every(line => line.cantidad === 0)) {
+        throw new HttpError(400, 'Sin mercadería', 'Debe despachar al menos una unidad');
+      }
+
+      const results = [];
+
+      for (const { detail, cantidad, observacion, series } of lines) {
+        let movimiento = null;
+
+        if (cantidad > 0) {
+          movimiento = await registerMovement(connection, {
+            producto_id: detail.producto_id,
+            almacen_id: transfer.almacen_origen_id,
+            tipo: 'salida',
+            cantidad,
+            motivo: `Despacho de transferencia #${transfer.id}`,
+            usuario_id,
+            referencia_tipo: 'transferencia',
+            referencia_id: transfer.id,
+            series
+          });
+          results.push(movimiento);
+        }
+
+        await connection.execute(
+          'UPDATE detalles_transferencia SET cantidad_enviada = ?, movimiento_salida_id = ?, observacion = COALESCE(?, observacion) WHERE id = ?',
+          [cantidad, movimiento ? movimiento.id : null, observacion, detail.id]
+        );
+      }
+
+      await connection.execute(
+        `UPDATE transferencias SET estado = 'en_transito', usuario_despacho_id = ?, fecha_despacho = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [usuario_id, id]
+      );
+
+      return results;
+    });
+
+    const transfer = await findTransfer(id);
+
+    res.json({
+      success: true,
+      message: 'Transferencia despachada exitosamente',
+      data: {
+        transfer,
+        movimientos
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Error despachando transferencia:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error despachando la transferencia'
+    });
+  }
+});
+
+// POST /api/transfers/:id/recibir - Recibir la mercadería (entradas en el destino)
+router.post('/:id/recibir', stepValidation('cantidad_recibida'), async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para recibir transferencias'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const usuario_id = req.user.id;
+
+    const { movimientos, diferencias } = await executeTransaction(async (connection) => {
+      const { transfer, details } = await lockTransfer(connection, id, 'en_transito');
+      const lines = resolveLines(details, req.body.detalles, 'cantidad_recibida', d => d.cantidad_enviada);
+
+      const results = [];
+      const mismatches = [];
+
+      for (const { detail, cantidad, observacion, series } of lines) {
+        let movimiento = null;
+
+        if (cantidad > 0) {
+          movimiento = await registerMovement(connection, {
+            producto_id: detail.producto_id,
+            almacen_id: transfer.almacen_destino_id,
+            tipo: 'entrada',
+            cantidad,
+            motivo: `Recepción de transferencia #${transfer.id}`,
+            usuario_id,
+            referencia_tipo: 'transferencia',
+            referencia_id: transfer.id,
+            // Los lotes despachados ingresan en destino con el mismo número y vencimiento
+            lotes: await lotsFromMovement(connection, {
+              producto_id: detail.producto_id,
+              movimiento_id: detail.movimiento_salida_id,
+              cantidad
+            }),
+            // Si llega solo parte de las unidades se indican las series recibidas
+            series: await serialsFromMovement(connection, {
+              producto_id: detail.producto_id,
+              movimiento_id: detail.movimiento_salida_id,
+              cantidad,
+              series
+            }),
+            // Ingresa al costo con que salió del origen
+            costo_unitario: await documentUnitCost(connection, {
+              producto_id: detail.producto_id,
+              referencia_tipo: 'transferencia',
+              referencia_id: transfer.id
+            })
+          });
+          results.push(movimiento);
+        }
+
+        if (cantidad !== detail.cantidad_enviada) {
+          mismatches.push({
+            detalle_transferencia_id: detail.id,
+            producto_id: detail.producto_id,
+            cantidad_enviada: detail.cantidad_enviada,
+            cantidad_recibida: cantidad,
+            diferencia: roundQuantity(cantidad - detail.cantidad_enviada)
+          });
+        }
+
+        await connection.execute(
+          'UPDATE detalles_transferencia SET cantidad_recibida = ?, movimiento_entrada_id = ?, observacion = COALESCE(?, observacion) WHERE id = ?',
+          [cantidad, movimiento ? movimiento.id : null, observacion, detail.id]
+        );
+      }
+
+      await connection.execute(
+        `UPDATE transferencias SET estado = 'recibida', con_diferencias = ?, usuario_recepcion_id = ?,
+                fecha_recepcion = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [mismatches.length > 0, usuario_id, id]
+      );
+
+      return { movimientos: results, diferencias: mismatches };
+    });
+
+    const transfer = await findTransfer(id);
+
+    res.json({
+      success: true,
+      message: diferencias.length > 0
+        ? 'Transferencia recibida con diferencias'
+        : 'Transferencia recibida exitosamente',
+      data: {
+        transfer,
+        movimientos,
+        diferencias
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Error recibiendo transferencia:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error recibiendo la transferencia'
+    });
+  }
+});
+
+// POST /api/transfers/:id/cancelar - Cancelar una transferencia aún no despachada
+router.post('/:id/cancelar', async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para cancelar transferencias'
+      });
+    }
+
+    const { id } = req.params;
+
+    await executeTransaction(async (connection) => {
+      await lockTransfer(connection, id, 'pendiente');
+
+      await connection.execute(
+        "UPDATE transferencias SET estado = 'cancelada', updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [id]
+      );
+    });
+
+    res.json({
+      success: true,
+      message: 'Transferencia cancelada exitosamente',
+      data: {
+        transfer: {
+          id: parseInt(id),
+          estado: 'cancelada'
+        }
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Error cancelando transferencia:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error cancelando la transferencia'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,197 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const { executeQuery } = require('../config/database');
+const { authenticateToken, checkRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Aplicar autenticación a todas las rutas
+router.use(authenticateToken);
+
+// Validaciones para unidades de medida
+const unitValidation = [
+  body('codigo')
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('El código debe tener entre 1 y 20 caracteres')
+    .matches(/^[A-Za-z0-9_-]+$/)
+    .withMessage('El código solo puede contener letras, números, guiones y guiones bajos'),
+  body('nombre')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('El nombre debe tener entre 1 y 50 caracteres'),
+  body('fraccionable')
+    .optional()
+    .isBoolean()
+    .withMessage('El campo fraccionable debe ser verdadero o falso'),
+  body('activo')
+    .optional()
+    .isBoolean()
+    .withMessage('El campo activo debe ser verdadero o falso')
+];
+
+const toBoolean = (value, defaultValue) =>
+  value === undefined ? defaultValue : [true, 'true', 1, '1'].includes(value);
+
+// GET /api/units - Obtener el catálogo de unidades de medida
+router.get('/', [
+  query('incluir_inactivas').optional().isBoolean().withMessage('incluir_inactivas debe ser verdadero o falso')
+], async (req, res) => {
+  try {
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const incluirInactivas = ['true', '1'].includes(req.query.incluir_inactivas);
+
+    const units = await executeQuery(
+      `SELECT * FROM unidades_medida${incluirInactivas ? '' : ' WHERE activo = 1'} ORDER BY codigo`
+    );
+
+    res.json({
+      success: true,
+      data: units
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo unidades de medida:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo las unidades de medida'
+    });
+  }
+});
+
+// POST /api/units - Crear unidad de medida
+router.post('/', unitValidation, checkRole(['admin']), async (req, res) => {
+  try {
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const codigo = req.body.codigo.toUpperCase();
+    const { nombre } = req.body;
+    const fraccionable = toBoolean(req.body.fraccionable, false);
+
+    const existing = await executeQuery(
+      'SELECT id FROM unidades_medida WHERE codigo = ?',
+      [codigo]
+    );
+
+    if (existing.length > 0) {
+      return res.status(409).json({
+        error: 'Unidad duplicada',
+        message: `Ya existe una unidad de medida con el código ${codigo}`
+      });
+    }
+
+    const result = await executeQuery(
+      'INSERT INTO unidades_medida (codigo, nombre, fraccionable) VALUES (?, ?, ?)',
+      [codigo, nombre, fraccionable]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Unidad de medida creada exitosamente',
+      data: {
+        id: result.insertId,
+        codigo,
+        nombre,
+        fraccionable,
+        activo: true
+      }
+    });
+
+  } catch (error) {
+    console.error('Error creando unidad de medida:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error creando la unidad de medida'
+    });
+  }
+});
+
+// PUT /api/units/:id - Actualizar unidad de medida. Una unidad en uso no se
+// elimina: se desactiva para que no se indique en nuevos documentos.
+router.put('/:id', unitValidation, checkRole(['admin']), async (req, res) => {
+  try {
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const codigo = req.body.codigo.toUpperCase();
+    const { nombre } = req.body;
+    const fraccionable = toBoolean(req.body.fraccionable, false);
+    const activo = toBoolean(req.body.activo, true);
+
+    const existing = await executeQuery(
+      'SELECT id FROM unidades_medida WHERE codigo = ? AND id <> ?',
+      [codigo, id]
+    );
+
+    if (existing.length > 0) {
+      return res.status(409).json({
+        error: 'Unidad duplicada',
+        message: `Ya existe una unidad de medida con el código ${codigo}`
+      });
+    }
+
+    // No se puede dejar de fraccionar una unidad de stock con existencias fraccionarias
+    if (!fraccionable) {
+      const [fractional] = await executeQuery(
+        'SELECT COUNT(*) as total FROM productos WHERE unidad_id = ? AND stock_actual <> FLOOR(stock_actual)',
+        [id]
+      );
+
+      if (fractional.total > 0) {
+        return res.status(400).json({
+          error: 'Operación no permitida',
+          message: `Hay ${fractional.total} productos con existencias fraccionarias en esta unidad`
+        });
+      }
+    }
+
+    const result = await executeQuery(
+      'UPDATE unidades_medida SET codigo = ?, nombre = ?, fraccionable = ?, activo = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [codigo, nombre, fraccionable, activo, id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        error: 'Unidad no encontrada',
+        message: 'La unidad de medida no existe'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Unidad de medida actualizada exitosamente',
+      data: { id: parseInt(id), codigo, nombre, fraccionable, activo }
+    });
+
+  } catch (error) {
+    console.error('Error actualizando unidad de medida:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error actualizando la unidad de medida'
+    });
+  }
+});
+
+module.exports = router;
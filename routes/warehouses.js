@@ -0,0 +1,525 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const { executeQuery, executeTransaction } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Aplicar autenticación a todas las rutas
+router.use(authenticateToken);
+
+// Validaciones para almacenes
+const warehouseValidation = [
+  body('codigo')
+    .notEmpty()
+    .withMessage('El código del almacén es requerido')
+    .isLength({ max: 20 })
+    .withMessage('El código no puede exceder 20 caracteres'),
+  body('nombre')
+    .notEmpty()
+    .withMessage('El nombre del almacén es requerido')
+    .isLength({ max: 100 })
+    .withMessage('El nombre no puede exceder 100 caracteres'),
+  body('tipo')
+    .optional()
+    .isIn(['almacen', 'tienda'])
+    .withMessage('El tipo debe ser almacen o tienda'),
+  body('direccion')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('La dirección no puede exceder 500 caracteres'),
+  body('telefono')
+    .optional({ values: 'falsy' })
+    .isLength({ max: 20 })
+    .withMessage('El teléfono no puede exceder 20 caracteres'),
+  body('principal')
+    .optional()
+    .isBoolean()
+    .withMessage('El campo principal debe ser booleano')
+];
+
+// Guarda un almacén (alta o edición). Si se marca como principal, los demás
+// dejan de serlo.
+const saveWarehouse = (id, { codigo, nombre, tipo, direccion, telefono, principal }) => executeTransaction(async (connection) => {
+  const esPrincipal = principal === true || principal === 'true';
+
+  if (esPrincipal) {
+    await connection.execute(
+      'UPDATE almacenes SET principal = 0 WHERE principal = 1 AND id <> ?',
+      [id || 0]
+    );
+  }
+
+  if (id) {
+    const [result] = await connection.execute(
+      `UPDATE almacenes SET codigo = ?, nombre = ?, tipo = ?, direccion = ?, telefono = ?,
+              principal = IF(?, 1, principal), updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND activo = 1`,
+      [codigo, nombre, tipo || 'almacen', direccion || null, telefono || null, esPrincipal, id]
+    );
+    return result.affectedRows > 0 ? parseInt(id) : null;
+  }
+
+  const [result] = await connection.execute(
+    'INSERT INTO almacenes (codigo, nombre, tipo, direccion, telefono, principal) VALUES (?, ?, ?, ?, ?, ?)',
+    [codigo, nombre, tipo || 'almacen', direccion || null, telefono || null, esPrincipal]
+  );
+  return result.insertId;
+});
+
+// GET /api/warehouses - Obtener almacenes con sus existencias totales
+router.get('/', [
+  query('tipo').optional().isIn(['almacen', 'tienda']).withMessage('Tipo inválido'),
+  query('activo').optional().isBoolean().withMessage('El filtro activo debe ser booleano')
+], async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver almacenes'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { tipo, activo = 'true' } = req.query;
+
+    let whereClause = 'WHERE a.activo = ?';
+    let params = [activo === 'true' || activo === '1' ? 1 : 0];
+
+    if (tipo) {
+      whereClause += ' AND a.tipo = ?';
+      params.push(tipo);
+    }
+
+    const warehouses = await executeQuery(
+      `SELECT a.*,
+              COUNT(CASE WHEN sa.cantidad > 0 THEN 1 END) as total_productos,
+              COALESCE(SUM(sa.cantidad), 0) as stock_total
+       FROM almacenes a
+       LEFT JOIN stock_almacen sa ON sa.almacen_id = a.id
+       ${whereClause}
+       GROUP BY a.id
+       ORDER BY a.principal DESC, a.nombre`,
+      params
+    );
+
+    res.json({
+      success: true,
+      data: {
+        warehouses
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo almacenes:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo la lista de almacenes'
+    });
+  }
+});
+
+// GET /api/warehouses/:id - Obtener almacén por ID
+router.get('/:id', async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver almacenes'
+      });
+    }
+
+    const warehouses = await executeQuery(
+      `SELECT a.*,
+              COUNT(CASE WHEN sa.cantidad > 0 THEN 1 END) as total_productos,
+              COALESCE(SUM(sa.cantidad), 0) as stock_total
+       FROM almacenes a
+       LEFT JOIN stock_almacen sa ON sa.almacen_id = a.id
+       WHERE a.id = ?
+       GROUP BY a.id`,
+      [req.params.id]
+    );
+
+    if (warehouses.length === 0) {
+      return res.status(404).json({
+        error: 'Almacén no encontrado',
+        message: 'El almacén solicitado no existe'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        warehouse: warehouses[0]
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo almacén:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo el almacén'
+    });
+  }
+});
+
+// GET /api/warehouses/:id/stock - Existencias de los productos en el almacén
+router.get('/:id/stock', [
+  query('page').optional().isInt({ min: 1 }).withMessage('La página debe ser un número positivo'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('El límite debe estar entre 1 y 100'),
+  query('search').optional().isLength({ max: 100 }).withMessage('La búsqueda no puede exceder 100 caracteres'),
+  query('categoria_id').optional().isInt({ min: 1 }).withMessage('ID de categoría inválido'),
+  query('stock_bajo').optional().isBoolean().withMessage('El filtro stock_bajo debe ser booleano')
+], async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para ver existencias'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { page = 1, limit = 20, search, categoria_id, stock_bajo } = req.query;
+    const offset = (page - 1) * limit;
+
+    const warehouses = await executeQuery(
+      'SELECT id, codigo, nombre, tipo FROM almacenes WHERE id = ?',
+      [id]
+    );
+
+    if (warehouses.length === 0) {
+      return res.status(404).json({
+        error: 'Almacén no encontrado',
+        message: 'El almacén solicitado no existe'
+      });
+    }
+
+    let whereClause = 'WHERE sa.almacen_id = ? AND p.activo = 1';
+    let params = [id];
+
+    if (search) {
+      whereClause += ' AND (p.nombre LIKE ? OR p.codigo LIKE ?)';
+      params.push(`%${search}%`, `%${search}%`);
+    }
+
+    if (categoria_id) {
+      whereClause += ' AND p.categoria_id = ?';
+      params.push(categoria_id);
+    }
+
+    if (stock_bajo === 'true' || stock_bajo === '1') {
+      whereClause += ' AND sa.cantidad <= COALESCE(sa.stock_minimo, p.stock_minimo)';
+    }
+
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as total, COALESCE(SUM(sa.cantidad), 0) as stock_total
+       FROM stock_almacen sa
+       JOIN productos p ON sa.producto_id = p.id
+       ${whereClause}`,
+      params
+    );
+
+    const { total, stock_total } = countResult[0];
+
+    const stock = await executeQuery(
+      `SELECT p.id as producto_id, p.codigo, p.nombre, c.nombre as categoria_nombre,
+              sa.cantidad, COALESCE(sa.stock_minimo, p.stock_minimo) as stock_minimo,
+              p.stock_actual as stock_total_producto
+       FROM stock_almacen sa
+       JOIN productos p ON sa.producto_id = p.id
+       JOIN categorias c ON p.categoria_id = c.id
+       ${whereClause}
+       ORDER BY p.nombre
+       LIMIT ? OFFSET ?`,
+      [...params, parseInt(limit), offset]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        warehouse: warehouses[0],
+        stock,
+        stock_total,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo existencias del almacén:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error obteniendo las existencias del almacén'
+    });
+  }
+});
+
+// PUT /api/warehouses/:id/stock/:productoId - Definir el stock mínimo del producto en el almacén
+router.put('/:id/stock/:productoId', [
+  body('stock_minimo')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('El stock mínimo debe ser un número no negativo')
+], async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para actualizar existencias'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id, productoId } = req.params;
+    const stock_minimo = req.body.stock_minimo ?? null;
+
+    const warehouses = await executeQuery('SELECT id FROM almacenes WHERE id = ? AND activo = 1', [id]);
+    const products = await executeQuery('SELECT id FROM productos WHERE id = ? AND activo = 1', [productoId]);
+
+    if (warehouses.length === 0 || products.length === 0) {
+      return res.status(404).json({
+        error: 'No encontrado',
+        message: 'El almacén o el producto no existen o están inactivos'
+      });
+    }
+
+    // Sin stock_minimo el almacén usa el mínimo general del producto
+    await executeQuery(
+      `INSERT INTO stock_almacen (producto_id, almacen_id, cantidad, stock_minimo) VALUES (?, ?, 0, ?)
+       ON DUPLICATE KEY UPDATE stock_minimo = VALUES(stock_minimo)`,
+      [productoId, id, stock_minimo]
+    );
+
+    res.json({
+      success: true,
+      message: 'Stock mínimo actualizado exitosamente',
+      data: {
+        almacen_id: parseInt(id),
+        producto_id: parseInt(productoId),
+        stock_minimo
+      }
+    });
+
+  } catch (error) {
+    console.error('Error actualizando stock mínimo del almacén:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error actualizando el stock mínimo del almacén'
+    });
+  }
+});
+
+// POST /api/warehouses - Crear almacén
+router.post('/', warehouseValidation, async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para crear almacenes'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const existing = await executeQuery(
+      'SELECT id FROM almacenes WHERE codigo = ?',
+      [req.body.codigo]
+    );
+
+    if (existing.length > 0) {
+      return res.status(400).json({
+        error: 'Almacén duplicado',
+        message: 'Ya existe un almacén con ese código'
+      });
+    }
+
+    const almacenId = await saveWarehouse(null, req.body);
+
+    const warehouses = await executeQuery('SELECT * FROM almacenes WHERE id = ?', [almacenId]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Almacén creado exitosamente',
+      data: {
+        warehouse: warehouses[0]
+      }
+    });
+
+  } catch (error) {
+    console.error('Error creando almacén:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error creando el almacén'
+    });
+  }
+});
+
+// PUT /api/warehouses/:id - Actualizar almacén
+router.put('/:id', warehouseValidation, async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para actualizar almacenes'
+      });
+    }
+
+    // Verificar validaciones
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    const existing = await executeQuery(
+      'SELECT id FROM almacenes WHERE codigo = ? AND id <> ?',
+      [req.body.codigo, id]
+    );
+
+    if (existing.length > 0) {
+      return res.status(400).json({
+        error: 'Almacén duplicado',
+        message: 'Ya existe otro almacén con ese código'
+      });
+    }
+
+    const almacenId = await saveWarehouse(id, req.body);
+
+    if (!almacenId) {
+      return res.status(404).json({
+        error: 'Almacén no encontrado',
+        message: 'El almacén no existe o está inactivo'
+      });
+    }
+
+    const warehouses = await executeQuery('SELECT * FROM almacenes WHERE id = ?', [almacenId]);
+
+    res.json({
+      success: true,
+      message: 'Almacén actualizado exitosamente',
+      data: {
+        warehouse: warehouses[0]
+      }
+    });
+
+  } catch (error) {
+    console.error('Error actualizando almacén:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error actualizando el almacén'
+    });
+  }
+});
+
+// DELETE /api/warehouses/:id - Desactivar almacén (soft delete)
+router.delete('/:id', async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!req.user.permisos.all && !req.user.permisos.inventory) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tiene permisos para eliminar almacenes'
+      });
+    }
+
+    const { id } = req.params;
+
+    const warehouses = await executeQuery(
+      'SELECT id, principal FROM almacenes WHERE id = ? AND activo = 1',
+      [id]
+    );
+
+    if (warehouses.length === 0) {
+      return res.status(404).json({
+        error: 'Almacén no encontrado',
+        message: 'El almacén no existe o ya fue desactivado'
+      });
+    }
+
+    if (warehouses[0].principal) {
+      return res.status(400).json({
+        error: 'Operación no permitida',
+        message: 'No se puede desactivar el almacén principal; marque otro como principal primero'
+      });
+    }
+
+    // Un almacén con mercadería no puede desactivarse
+    const stock = await executeQuery(
+      'SELECT COALESCE(SUM(cantidad), 0) as stock_total FROM stock_almacen WHERE almacen_id = ?',
+      [id]
+    );
+
+    if (Number(stock[0].stock_total) > 0) {
+      return res.status(400).json({
+        error: 'Almacén con stock',
+        message: `El almacén tiene ${stock[0].stock_total} unidades en existencia`
+      });
+    }
+
+    await executeQuery(
+      'UPDATE almacenes SET activo = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Almacén desactivado exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error desactivando almacén:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error desactivando el almacén'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,113 @@
+// Verifica el libro de movimientos de inventario contra las existencias.
+//
+// Informa los cortes de la cadena (movimientos cuya cantidad_anterior no es la
+// cantidad_nueva del anterior) y los descuadres entre el último saldo del libro
+// y productos.stock_actual / stock_almacen. Con --corregir registra los ajustes
+// de conciliación de los descuadres a nombre del usuario indicado (por defecto,
+// el primer administrador activo).
+//
+// Uso:
+//   npm run ledger:check
+//   npm run ledger:check -- --producto 12
+//   npm run ledger:check -- --corregir --usuario 1
+//
+// Termina con código 1 si queda alguna inconsistencia.
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', 'config.env') });
+
+const { pool, executeQuery } = require('../config/database');
+const { checkLedger, correctLedger } = require('../utils/ledger');
+
+const parseArgs = () => {
+  const args = process.argv.slice(2);
+  const options = { producto: null, usuario: null, corregir: false };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--corregir':
+        options.corregir = true;
+        break;
+      case '--producto':
+      case '--usuario':
+        options[args[i].slice(2)] = parseInt(args[++i]);
+        break;
+      default:
+        throw new Error(`Opción desconocida: ${args[i]}`);
+    }
+  }
+
+  return options;
+};
+
+const findAdmin = async () => {
+  const users = await executeQuery(
+    `SELECT u.id FROM usuarios u
+     JOIN roles r ON u.rol_id = r.id
+     WHERE r.nombre = 'admin' AND u.activo = 1
+     ORDER BY u.id
+     LIMIT 1`
+  );
+
+  if (users.length === 0) {
+    throw new Error('No hay un administrador activo; indique el usuario con --usuario <id>');
+  }
+
+  return users[0].id;
+};
+
+const printResult = ({ productos_revisados, cortes, descuadres }) => {
+  console.log(`Productos revisados: ${productos_revisados}`);
+
+  if (cortes.length > 0) {
+    console.log(`\nCortes en la cadena (${cortes.length}):`);
+    cortes.forEach(c => console.log(
+      `   - ${c.producto_codigo} ${c.producto_nombre}${c.almacen_id ? ` (almacén ${c.almacen_id})` : ''}: ` +
+      `movimiento #${c.movimiento_id} parte de ${c.cantidad_anterior}, ` +
+      `el #${c.movimiento_previo_id} terminó en ${c.cantidad_nueva_previa}`
+    ));
+  }
+
+  if (descuadres.length > 0) {
+    console.log(`\nDescuadres con las existencias (${descuadres.length}):`);
+    descuadres.forEach(d => console.log(
+      `   - ${d.producto_codigo} ${d.producto_nombre}${d.almacen_id ? ` (almacén ${d.almacen_id})` : ''}: ` +
+      `libro ${d.cantidad_libro}, existencia ${d.cantidad_actual} (diferencia ${d.diferencia})`
+    ));
+  }
+};
+
+const main = async () => {
+  const options = parseArgs();
+  let resultado = await checkLedger({ producto_id: options.producto });
+
+  printResult(resultado);
+
+  if (options.corregir && resultado.descuadres.length > 0) {
+    const usuario_id = options.usuario || await findAdmin();
+    const { correcciones, verificacion } = await correctLedger({ producto_id: options.producto, usuario_id });
+
+    console.log(`\nAjustes de conciliación registrados en ${correcciones.length} productos:`);
+    correcciones.forEach(c => console.log(
+      `   - ${c.producto_nombre}: ${c.movimientos.length} movimientos` +
+      `${c.stock_actual !== c.stock_actual_anterior ? `, stock_actual ${c.stock_actual_anterior} → ${c.stock_actual}` : ''}`
+    ));
+
+    console.log('\nVerificación posterior:');
+    printResult(verificacion);
+    resultado = verificacion;
+  }
+
+  if (resultado.consistente) {
+    console.log('\n✅ El libro de movimientos cuadra con las existencias');
+  } else {
+    console.error('\n❌ El libro de movimientos tiene inconsistencias');
+    process.exitCode = 1;
+  }
+};
+
+main()
+  .catch(error => {
+    console.error('❌ Error verificando el libro de movimientos:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
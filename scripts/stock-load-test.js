@@ -0,0 +1,218 @@
+// Prueba de carga de movimientos concurrentes sobre un mismo producto.
+//
+// Lanza a la vez muchas salidas y entradas contra la API y luego verifica en la
+// base de datos que no se perdió ninguna actualización:
+//   - stock final = stock inicial + entradas aceptadas - salidas aceptadas
+//   - el stock nunca quedó negativo (se aceptan como máximo tantas salidas
+//     como unidades había más las que entraron)
+//   - cada movimiento parte de la cantidad en que terminó el anterior
+//   - productos.stock_actual coincide con la suma de stock_almacen
+//
+// Uso (con el servidor en marcha):
+//   LOADTEST_USER=admin LOADTEST_PASSWORD=... npm run loadtest:stock -- --producto 1 --salidas 60 --entradas 20
+//
+// API_URL toma por defecto http://localhost:PORT/api. El servidor limita las
+// requests por IP (RATE_LIMIT_MAX); súbalo si la prueba supera ese límite.
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', 'config.env') });
+
+const { pool, executeQuery } = require('../config/database');
+
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 3000}/api`;
+
+const parseArgs = () => {
+  const args = process.argv.slice(2);
+  const options = { producto: null, almacen: null, salidas: 60, entradas: 20 };
+
+  for (let i = 0; i < args.length; i += 2) {
+    const key = args[i].replace(/^--/, '');
+    if (!(key in options)) {
+      throw new Error(`Opción desconocida: ${args[i]}`);
+    }
+    options[key] = parseInt(args[i + 1]);
+  }
+
+  if (!options.producto) {
+    throw new Error('Indique el producto con --producto <id>');
+  }
+
+  return options;
+};
+
+const login = async () => {
+  const response = await fetch(`${API_URL}/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      username: process.env.LOADTEST_USER,
+      password: process.env.LOADTEST_PASSWORD
+    })
+  });
+
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(`No se pudo iniciar sesión: ${body.message || response.status}`);
+  }
+
+  return body.data.token;
+};
+
+const postMovement = async (token, tipo, payload) => {
+  const response = await fetch(`${API_URL}/inventory/${tipo}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`
+    },
+    body: JSON.stringify(payload)
+  });
+
+  const body = await response.json().catch(() => ({}));
+  return { tipo, status: response.status, body };
+};
+
+// Mezcla las requests para que entradas y salidas compitan entre sí
+const shuffle = (items) => {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+};
+
+const main = async () => {
+  const options = parseArgs();
+
+  const products = await executeQuery(
+    'SELECT id, nombre, stock_actual, maneja_lotes, maneja_series FROM productos WHERE id = ? AND activo = 1',
+    [options.producto]
+  );
+
+  if (products.length === 0) {
+    throw new Error(`El producto ${options.producto} no existe o está inactivo`);
+  }
+
+  const producto = products[0];
+  if (producto.maneja_series) {
+    throw new Error('La prueba no admite productos serializados');
+  }
+
+  const almacenes = options.almacen
+    ? await executeQuery('SELECT id, nombre FROM almacenes WHERE id = ? AND activo = 1', [options.almacen])
+    : await executeQuery('SELECT id, nombre FROM almacenes WHERE principal = 1 AND activo = 1 LIMIT 1');
+
+  if (almacenes.length === 0) {
+    throw new Error('Almacén no encontrado');
+  }
+
+  const almacen = almacenes[0];
+  const lastMovement = await executeQuery('SELECT COALESCE(MAX(id), 0) as id FROM movimientos_inventario');
+  const initialStock = await executeQuery(
+    'SELECT COALESCE(SUM(cantidad), 0) as cantidad FROM stock_almacen WHERE producto_id = ? AND almacen_id = ?',
+    [producto.id, almacen.id]
+  );
+  const stockInicial = Number(initialStock[0].cantidad);
+
+  console.log(`Producto: ${producto.nombre} (#${producto.id}) en ${almacen.nombre}`);
+  console.log(`Stock inicial en el almacén: ${stockInicial}`);
+  console.log(`Lanzando ${options.salidas} salidas y ${options.entradas} entradas concurrentes de 1 unidad...`);
+
+  const token = await login();
+  const base = { producto_id: producto.id, almacen_id: almacen.id, cantidad: 1, motivo: 'Prueba de carga' };
+  const entrada = producto.maneja_lotes ? { ...base, numero_lote: 'PRUEBA-CARGA' } : base;
+
+  const requests = shuffle([
+    ...Array.from({ length: options.salidas }, () => ['salida', base]),
+    ...Array.from({ length: options.entradas }, () => ['entrada', entrada])
+  ]);
+
+  const started = Date.now();
+  const results = await Promise.all(requests.map(([tipo, payload]) => postMovement(token, tipo, payload)));
+  const elapsed = Date.now() - started;
+
+  const ok = tipo => results.filter(r => r.tipo === tipo && r.status === 201).length;
+  const salidasOk = ok('salida');
+  const entradasOk = ok('entrada');
+  const rechazadas = results.filter(r => r.status === 400 && r.body.error === 'Stock insuficiente').length;
+  const errores = results.filter(r => r.status !== 201 && !(r.status === 400 && r.body.error === 'Stock insuficiente'));
+
+  console.log(`Completado en ${elapsed} ms: ${salidasOk} salidas y ${entradasOk} entradas aceptadas, ` +
+    `${rechazadas} salidas rechazadas por stock insuficiente, ${errores.length} errores`);
+
+  const failures = [];
+
+  if (errores.length > 0) {
+    const detalle = [...new Set(errores.map(r => `${r.status} ${r.body.error || ''}`.trim()))].join(', ');
+    failures.push(`${errores.length} requests fallaron por otro motivo (${detalle})`);
+  }
+
+  const finalStock = await executeQuery(
+    'SELECT COALESCE(SUM(cantidad), 0) as cantidad FROM stock_almacen WHERE producto_id = ? AND almacen_id = ?',
+    [producto.id, almacen.id]
+  );
+  const stockFinal = Number(finalStock[0].cantidad);
+  const esperado = stockInicial + entradasOk - salidasOk;
+
+  if (stockFinal !== esperado) {
+    failures.push(`Stock final ${stockFinal}, esperado ${esperado}: se perdieron actualizaciones`);
+  }
+
+  if (salidasOk > stockInicial + entradasOk) {
+    failures.push(`Se aceptaron ${salidasOk} salidas con solo ${stockInicial + entradasOk} unidades disponibles`);
+  }
+
+  const movements = await executeQuery(
+    `SELECT id, tipo, cantidad, cantidad_anterior, cantidad_nueva, cantidad_anterior_almacen, cantidad_nueva_almacen
+     FROM movimientos_inventario
+     WHERE producto_id = ? AND almacen_id = ? AND id > ?
+     ORDER BY id`,
+    [producto.id, almacen.id, lastMovement[0].id]
+  );
+
+  if (movements.length !== salidasOk + entradasOk) {
+    failures.push(`Se registraron ${movements.length} movimientos para ${salidasOk + entradasOk} requests aceptadas`);
+  }
+
+  // Los movimientos del almacén deben encadenarse: cada uno parte de donde terminó el anterior
+  for (let i = 1; i < movements.length; i++) {
+    if (movements[i].cantidad_anterior_almacen !== movements[i - 1].cantidad_nueva_almacen) {
+      failures.push(`El movimiento #${movements[i].id} parte de ${movements[i].cantidad_anterior_almacen} ` +
+        `pero el anterior (#${movements[i - 1].id}) terminó en ${movements[i - 1].cantidad_nueva_almacen}`);
+      break;
+    }
+  }
+
+  if (movements.some(m => m.cantidad_nueva < 0 || m.cantidad_nueva_almacen < 0)) {
+    failures.push('Algún movimiento dejó el stock en negativo');
+  }
+
+  const totals = await executeQuery(
+    `SELECT p.stock_actual, COALESCE(SUM(sa.cantidad), 0) as suma_almacenes
+     FROM productos p
+     LEFT JOIN stock_almacen sa ON sa.producto_id = p.id
+     WHERE p.id = ?
+     GROUP BY p.id, p.stock_actual`,
+    [producto.id]
+  );
+
+  if (Number(totals[0].stock_actual) !== Number(totals[0].suma_almacenes)) {
+    failures.push(`productos.stock_actual (${totals[0].stock_actual}) no coincide con la suma por almacén (${totals[0].suma_almacenes})`);
+  }
+
+  console.log(`Stock final en el almacén: ${stockFinal} (esperado ${esperado})`);
+
+  if (failures.length > 0) {
+    console.error('❌ La prueba detectó inconsistencias:');
+    failures.forEach(failure => console.error(`   - ${failure}`));
+    process.exitCode = 1;
+  } else {
+    console.log('✅ Sin actualizaciones perdidas: stock y movimientos consistentes');
+  }
+};
+
+main()
+  .catch(error => {
+    console.error('❌ Error en la prueba de carga:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
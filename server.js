@@ -22,7 +22,7 @@ app.use(cors({
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutos
-  max: 100, // máximo 100 requests por ventana
+  max: parseInt(process.env.RATE_LIMIT_MAX) || 100, // máximo de requests por ventana
   message: 'Demasiadas solicitudes desde esta IP, intenta más tarde.'
 });
 app.use('/api/', limiter);
@@ -42,7 +42,19 @@ app.use('/api/auth', require('./routes/auth'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/products', require('./routes/products'));
 app.use('/api/categories', require('./routes/categories'));
+app.use('/api/units', require('./routes/units'));
+app.use('/api/suppliers', require('./routes/suppliers'));
+app.use('/api/warehouses', require('./routes/warehouses'));
+app.use('/api/transfers', require('./routes/transfers'));
+app.use('/api/serials', require('./routes/serials'));
 app.use('/api/inventory', require('./routes/inventory'));
+app.use('/api/adjustments', require('./routes/adjustments'));
+app.use('/api/reservations', require('./routes/reservations'));
+app.use('/api/counts', require('./routes/counts'));
+app.use('/api/purchases', require('./routes/purchases'));
+app.use('/api/sales', require('./routes/sales'));
+app.use('/api/customers', require('./routes/customers'));
+app.use('/api/payments', require('./routes/payments'));
 app.use('/api/reports', require('./routes/reports'));
 
 // Ruta de prueba
@@ -0,0 +1,187 @@
+const { HttpError } = require('./errors');
+const { resolveWarehouse, registerMovement } = require('./stock');
+const { findLot } = require('./lots');
+const { defaultUnitCost, roundCost } = require('./costing');
+const { roundMoney } = require('./money');
+const { roundQuantity, toStockQuantity } = require('./units');
+
+// Umbrales a partir de los cuales un ajuste requiere aprobación
+// (AJUSTE_UMBRAL_CANTIDAD en unidades, AJUSTE_UMBRAL_VALOR a costo; 0 lo desactiva)
+const getApprovalThresholds = () => ({
+  cantidad: Math.max(parseInt(process.env.AJUSTE_UMBRAL_CANTIDAD) || 0, 0),
+  valor: Math.max(parseFloat(process.env.AJUSTE_UMBRAL_VALOR) || 0, 0)
+});
+
+// Un ajuste requiere aprobación si mueve más unidades o más valor que los umbrales
+const requiresApproval = ({ diferencia, valor_estimado }) => {
+  const umbral = getApprovalThresholds();
+  return (umbral.cantidad > 0 && Math.abs(diferencia) > umbral.cantidad) ||
+    (umbral.valor > 0 && valor_estimado > umbral.valor);
+};
+
+// Devuelve el motivo de ajuste indicado si existe y está activo
+const resolveAdjustmentReason = async (connection, motivoAjusteId) => {
+  if (!motivoAjusteId) {
+    throw new HttpError(400, 'Motivo requerido', 'Indique el motivo del ajuste (motivo_ajuste_id)');
+  }
+
+  const [reasons] = await connection.execute(
+    'SELECT id, codigo, nombre FROM motivos_ajuste WHERE id = ? AND activo = 1',
+    [motivoAjusteId]
+  );
+
+  if (reasons.length === 0) {
+    throw new HttpError(404, 'Motivo no encontrado', `El motivo de ajuste ${motivoAjusteId} no existe o está inactivo`);
+  }
+
+  return reasons[0];
+};
+
+// Calcula, sin modificar existencias, cuánto varía el almacén (o el lote) con el
+// ajuste y su valor estimado: lo que ingresa al costo indicado o al costo por
+// defecto, lo que sale al costo por defecto. Bloquea el producto como registerMovement.
+// La cantidad y el costo se indican en unidad_id (por defecto la de stock); los
+// devueltos están en unidad de stock.
+const previewAdjustment = async (connection, { producto_id, almacen_id, cantidad, unidad_id, lotes, costo_unitario }) => {
+  const almacen = await resolveWarehouse(connection, almacen_id);
+
+  const [products] = await connection.execute(
+    `SELECT id, nombre, stock_actual, precio_compra, costo_promedio, maneja_lotes, maneja_series
+     FROM productos WHERE id = ? AND activo = 1 FOR UPDATE`,
+    [producto_id]
+  );
+
+  if (products.length === 0) {
+    throw new HttpError(404, 'Producto no encontrado', `El producto ${producto_id} no existe o está inactivo`);
+  }
+
+  const producto = products[0];
+  const unidad = await toStockQuantity(connection, producto_id, { cantidad, unidad_id });
+
+  if (producto.maneja_series) {
+    throw new HttpError(400, 'Operación no permitida',
+      `${producto.nombre} es un producto serializado: registre entradas o salidas indicando las series`);
+  }
+
+  let cantidad_anterior;
+
+  if (producto.maneja_lotes) {
+    if (!lotes || lotes.length !== 1) {
+      throw new HttpError(400, 'Lote requerido', `Indique el lote a ajustar de ${producto.nombre}`);
+    }
+
+    const lot = await findLot(connection, producto.id, almacen.id, lotes[0]);
+    cantidad_anterior = lot ? lot.cantidad : 0;
+  } else {
+    if (lotes && lotes.length > 0) {
+      throw new HttpError(400, 'Operación no permitida', `${producto.nombre} no se controla por lotes`);
+    }
+
+    const [stocks] = await connection.execute(
+      'SELECT cantidad FROM stock_almacen WHERE producto_id = ? AND almacen_id = ? FOR UPDATE',
+      [producto.id, almacen.id]
+    );
+    cantidad_anterior = stocks.length > 0 ? stocks[0].cantidad : 0;
+  }
+
+  const diferencia = roundQuantity(unidad.cantidad - cantidad_anterior);
+  const costoIndicado = costo_unitario !== null && costo_unitario !== undefined
+    ? roundCost(Number(costo_unitario) / unidad.factor)
+    : null;
+  const unitario = diferencia > 0 && costoIndicado !== null ? costoIndicado : defaultUnitCost(producto);
+
+  return {
+    producto,
+    almacen,
+    cantidad: unidad.cantidad,
+    costo_unitario: costoIndicado,
+    cantidad_anterior,
+    diferencia,
+    valor_estimado: roundMoney(Math.abs(diferencia) * unitario)
+  };
+};
+
+// Registra un ajuste con su motivo o, si supera los umbrales, lo deja como
+// solicitud pendiente de aprobación sin tocar el stock.
+// Devuelve { movimiento } o { solicitud }.
+// Debe ejecutarse dentro de executeTransaction.
+const submitAdjustment = async (connection, {
+  producto_id,
+  almacen_id = null,
+  cantidad,
+  unidad_id = null,
+  motivo_ajuste_id,
+  motivo = null,
+  usuario_id,
+  lotes = null,
+  costo_unitario = null
+}) => {
+  const reason = await resolveAdjustmentReason(connection, motivo_ajuste_id);
+  const preview = await previewAdjustment(connection, {
+    producto_id, almacen_id, cantidad, unidad_id, lotes, costo_unitario
+  });
+
+  if (!requiresApproval(preview)) {
+    const movimiento = await registerMovement(connection, {
+      producto_id,
+      almacen_id: preview.almacen.id,
+      tipo: 'ajuste',
+      cantidad,
+      unidad_id,
+      motivo,
+      motivo_ajuste_id: reason.id,
+      usuario_id,
+      lotes,
+      costo_unitario
+    });
+
+    return { movimiento };
+  }
+
+  const lote = lotes ? lotes[0] : {};
+  const [result] = await connection.execute(
+    `INSERT INTO solicitudes_ajuste (producto_id, almacen_id, lote_id, numero_lote, fecha_vencimiento, cantidad,
+       cantidad_anterior, diferencia, costo_unitario, valor_estimado, motivo_ajuste_id, motivo, usuario_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      producto_id,
+      preview.almacen.id,
+      lote.lote_id || null,
+      lote.numero_lote ? String(lote.numero_lote).trim() : null,
+      lote.fecha_vencimiento || null,
+      preview.cantidad,
+      preview.cantidad_anterior,
+      preview.diferencia,
+      preview.costo_unitario,
+      preview.valor_estimado,
+      reason.id,
+      motivo,
+      usuario_id
+    ]
+  );
+
+  return {
+    solicitud: {
+      id: result.insertId,
+      producto_id: parseInt(producto_id),
+      producto_nombre: preview.producto.nombre,
+      almacen_id: preview.almacen.id,
+      almacen_nombre: preview.almacen.nombre,
+      cantidad: preview.cantidad,
+      cantidad_anterior: preview.cantidad_anterior,
+      diferencia: preview.diferencia,
+      valor_estimado: preview.valor_estimado,
+      motivo_ajuste: reason,
+      motivo,
+      estado: 'pendiente'
+    }
+  };
+};
+
+module.exports = {
+  getApprovalThresholds,
+  resolveAdjustmentReason,
+  previewAdjustment,
+  requiresApproval,
+  submitAdjustment
+};
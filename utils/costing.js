@@ -0,0 +1,153 @@
+const { roundMoney } = require('./money');
+const { roundQuantity } = require('./units');
+
+const COSTING_METHODS = ['promedio', 'fifo'];
+
+// Método de costeo configurado (METODO_COSTEO): 'promedio' ponderado móvil o 'fifo'
+const getCostingMethod = () => {
+  const metodo = String(process.env.METODO_COSTEO || 'promedio').trim().toLowerCase();
+  return COSTING_METHODS.includes(metodo) ? metodo : 'promedio';
+};
+
+// Redondea costos unitarios a 4 decimales (precisión de las columnas DECIMAL(12,4))
+const roundCost = (value) => Math.round((Number(value) + Number.EPSILON) * 10000) / 10000;
+
+// Costo de un ingreso que no lo indica: el promedio vigente o, si el producto
+// todavía no tiene costo, su precio de compra
+const defaultUnitCost = (producto) =>
+  Number(producto.costo_promedio) > 0 ? Number(producto.costo_promedio) : Number(producto.precio_compra || 0);
+
+// Consume en orden FIFO las capas del producto en el almacén y devuelve su costo.
+// Las unidades sin capa (existencias sin costo registrado) se valúan al costo por defecto.
+const consumeLayers = async (connection, { producto, almacen, cantidad }) => {
+  const [layers] = await connection.execute(
+    `SELECT id, costo_unitario, cantidad_restante FROM capas_costo
+     WHERE producto_id = ? AND almacen_id = ? AND cantidad_restante > 0
+     ORDER BY id
+     FOR UPDATE`,
+    [producto.id, almacen.id]
+  );
+
+  let restante = cantidad;
+  let costo = 0;
+
+  for (const layer of layers) {
+    if (restante === 0) break;
+    const consumido = Math.min(layer.cantidad_restante, restante);
+
+    await connection.execute(
+      'UPDATE capas_costo SET cantidad_restante = cantidad_restante - ? WHERE id = ?',
+      [consumido, layer.id]
+    );
+
+    costo += consumido * Number(layer.costo_unitario);
+    restante = roundQuantity(restante - consumido);
+  }
+
+  return costo + restante * defaultUnitCost(producto);
+};
+
+// Costea un movimiento según la variación que produce en el almacén
+// (diferencia > 0 es un ingreso) y actualiza el costo promedio y las capas.
+// - Ingreso: al costo_unitario indicado o al costo por defecto; recalcula el
+//   promedio ponderado sobre el stock total del producto. La capa se crea con
+//   addCostLayer una vez insertado el movimiento.
+// - Egreso: consume capas FIFO (para mantenerlas al día con cualquier método) y
+//   se valúa con las capas o con el costo promedio según METODO_COSTEO.
+// Devuelve { costo_unitario, costo_total }, nulos si no hay variación.
+// Debe ejecutarse dentro de executeTransaction con el producto bloqueado.
+const costMovement = async (connection, { producto, almacen, diferencia, costo_unitario = null }) => {
+  if (diferencia === 0) {
+    return { costo_unitario: null, costo_total: null };
+  }
+
+  if (diferencia > 0) {
+    const unitario = roundCost(costo_unitario !== null && costo_unitario !== undefined
+      ? costo_unitario
+      : defaultUnitCost(producto));
+    const stock = Math.max(producto.stock_actual, 0);
+    const promedio = stock > 0
+      ? (stock * Number(producto.costo_promedio) + diferencia * unitario) / roundQuantity(stock + diferencia)
+      : unitario;
+
+    await connection.execute(
+      'UPDATE productos SET costo_promedio = ? WHERE id = ?',
+      [roundCost(promedio), producto.id]
+    );
+
+    return { costo_unitario: unitario, costo_total: roundMoney(diferencia * unitario) };
+  }
+
+  const cantidad = -diferencia;
+  const costoCapas = await consumeLayers(connection, { producto, almacen, cantidad });
+  const costo = getCostingMethod() === 'fifo' ? costoCapas : cantidad * defaultUnitCost(producto);
+
+  return { costo_unitario: roundCost(costo / cantidad), costo_total: roundMoney(costo) };
+};
+
+// Crea la capa de costo de un ingreso
+const addCostLayer = async (connection, { producto_id, almacen_id, movimiento_id, cantidad, costo_unitario }) => {
+  await connection.execute(
+    `INSERT INTO capas_costo (producto_id, almacen_id, movimiento_id, costo_unitario, cantidad_inicial, cantidad_restante)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [producto_id, almacen_id, movimiento_id, costo_unitario, cantidad, cantidad]
+  );
+};
+
+// Costo unitario con que salió un producto por un documento, para reingresarlo al
+// mismo costo (anulaciones, devoluciones, recepción de transferencias). Devuelve
+// null si no hay salidas costeadas del documento.
+const documentUnitCost = async (connection, { producto_id, referencia_tipo, referencia_id }) => {
+  const [rows] = await connection.execute(
+    `SELECT SUM(costo_total) as costo_total, SUM(cantidad) as cantidad
+     FROM movimientos_inventario
+     WHERE producto_id = ? AND referencia_tipo = ? AND referencia_id = ? AND tipo = 'salida'
+       AND costo_total IS NOT NULL`,
+    [producto_id, referencia_tipo, referencia_id]
+  );
+
+  return Number(rows[0].cantidad) > 0 ? roundCost(Number(rows[0].costo_total) / Number(rows[0].cantidad)) : null;
+};
+
+// Valor a costo del stock total de un producto (todos los almacenes) según METODO_COSTEO
+const productStockValue = async (connection, productoId) => {
+  const [rows] = getCostingMethod() === 'fifo'
+    ? await connection.execute(
+      'SELECT COALESCE(SUM(cantidad_restante * costo_unitario), 0) as valor FROM capas_costo WHERE producto_id = ? AND cantidad_restante > 0',
+      [productoId]
+    )
+    : await connection.execute(
+      'SELECT stock_actual * costo_promedio as valor FROM productos WHERE id = ?',
+      [productoId]
+    );
+
+  return roundMoney(rows[0].valor);
+};
+
+// Subconsulta con el valor de las existencias por producto y almacén según el
+// método de costeo, para unir a las consultas de stock (LEFT JOIN (...) v)
+const stockValueQuery = () => getCostingMethod() === 'fifo'
+  ? `SELECT producto_id, almacen_id, SUM(cantidad_restante * costo_unitario) as valor
+     FROM capas_costo
+     WHERE cantidad_restante > 0
+     GROUP BY producto_id, almacen_id`
+  : `SELECT sa.producto_id, sa.almacen_id, sa.cantidad * p.costo_promedio as valor
+     FROM stock_almacen sa
+     JOIN productos p ON sa.producto_id = p.id`;
+
+// Subconsulta con el valor de las existencias de cada producto en todos los almacenes
+const productValueQuery = () => `SELECT producto_id, SUM(valor) as valor
+  FROM (${stockValueQuery()}) sv
+  GROUP BY producto_id`;
+
+module.exports = {
+  getCostingMethod,
+  roundCost,
+  defaultUnitCost,
+  costMovement,
+  addCostLayer,
+  documentUnitCost,
+  productStockValue,
+  stockValueQuery,
+  productValueQuery
+};
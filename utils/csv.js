@@ -0,0 +1,16 @@
+// Escapa un valor para CSV: entre comillas si contiene separador, comillas o saltos de línea
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Genera un CSV con encabezado a partir de filas. columns: [{ key, header }]
+const toCsv = (columns, rows) => [
+  columns.map(column => escapeCsv(column.header)).join(','),
+  ...rows.map(row => columns.map(column => escapeCsv(row[column.key])).join(','))
+].join('\r\n');
+
+module.exports = {
+  toCsv
+};
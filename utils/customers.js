@@ -0,0 +1,17 @@
+// Crédito consumido por un cliente: saldo de sus ventas pendientes de pago,
+// descontando devoluciones y pagos parciales. Recibe una conexión de
+// transacción o el pool.
+const getCreditUsed = async (connection, clienteId) => {
+  const [rows] = await connection.execute(
+    `SELECT COALESCE(SUM(total - monto_devuelto - monto_pagado), 0) as credito_utilizado
+     FROM ventas
+     WHERE cliente_id = ? AND estado = 'pendiente'`,
+    [clienteId]
+  );
+
+  return Number(rows[0].credito_utilizado);
+};
+
+module.exports = {
+  getCreditUsed
+};
@@ -0,0 +1,29 @@
+// Error con estado HTTP para abortar operaciones (por ejemplo dentro de una
+// transacción) y responder con el mismo formato { error, message } de las rutas.
+// `details` opcional se incluye en la respuesta (por ejemplo, errores por línea).
+class HttpError extends Error {
+  constructor(status, error, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.error = error;
+    this.details = details;
+  }
+
+  toJSON() {
+    const json = {
+      error: this.error,
+      message: this.message
+    };
+
+    if (this.details !== undefined) {
+      json.details = this.details;
+    }
+
+    return json;
+  }
+}
+
+module.exports = {
+  HttpError
+};
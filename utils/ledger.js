@@ -0,0 +1,263 @@
+const { executeQuery, executeTransaction } = require('../config/database');
+const { costMovement, addCostLayer, productStockValue } = require('./costing');
+const { resolveWarehouse } = require('./stock');
+const { roundQuantity } = require('./units');
+
+// Código del motivo de ajuste con que se registran las conciliaciones
+const RECONCILIATION_REASON = 'CONCILIACION';
+
+// Movimientos cuya cantidad anterior no coincide con la cantidad nueva del
+// movimiento previo: del mismo producto (stock total) o, con porAlmacen, del
+// mismo producto en el mismo almacén
+const findChainBreaks = async ({ producto_id, porAlmacen }) => {
+  const anterior = porAlmacen ? 'cantidad_anterior_almacen' : 'cantidad_anterior';
+  const nueva = porAlmacen ? 'cantidad_nueva_almacen' : 'cantidad_nueva';
+
+  return executeQuery(
+    `SELECT m.producto_id, p.codigo as producto_codigo, p.nombre as producto_nombre,
+            ${porAlmacen ? 'm.almacen_id' : 'NULL'} as almacen_id,
+            m.id as movimiento_id, prev.id as movimiento_previo_id,
+            m.${anterior} as cantidad_anterior, prev.${nueva} as cantidad_nueva_previa
+     FROM movimientos_inventario m
+     JOIN productos p ON m.producto_id = p.id
+     JOIN movimientos_inventario prev ON prev.id = (
+       SELECT MAX(x.id) FROM movimientos_inventario x
+       WHERE x.producto_id = m.producto_id AND x.id < m.id${porAlmacen ? ' AND x.almacen_id = m.almacen_id' : ''}
+     )
+     WHERE m.${anterior} <> prev.${nueva}${producto_id ? ' AND m.producto_id = ?' : ''}
+     ORDER BY m.producto_id, m.id`,
+    producto_id ? [producto_id] : []
+  );
+};
+
+// Productos y existencias por almacén que no coinciden con la cantidad nueva del
+// último movimiento (sin movimientos, el libro está en cero)
+const findMismatches = async ({ producto_id }) => {
+  const filtro = producto_id ? ' AND p.id = ?' : '';
+  const params = producto_id ? [producto_id] : [];
+
+  const products = await executeQuery(
+    `SELECT p.id as producto_id, p.codigo as producto_codigo, p.nombre as producto_nombre, NULL as almacen_id,
+            COALESCE(ult.cantidad_nueva, 0) as cantidad_libro, p.stock_actual as cantidad_actual,
+            ult.id as ultimo_movimiento_id
+     FROM productos p
+     LEFT JOIN movimientos_inventario ult ON ult.id = (
+       SELECT MAX(x.id) FROM movimientos_inventario x WHERE x.producto_id = p.id
+     )
+     WHERE COALESCE(ult.cantidad_nueva, 0) <> p.stock_actual${filtro}
+     ORDER BY p.id`,
+    params
+  );
+
+  const warehouses = await executeQuery(
+    `SELECT p.id as producto_id, p.codigo as producto_codigo, p.nombre as producto_nombre, sa.almacen_id,
+            COALESCE(ult.cantidad_nueva_almacen, 0) as cantidad_libro, sa.cantidad as cantidad_actual,
+            ult.id as ultimo_movimiento_id
+     FROM stock_almacen sa
+     JOIN productos p ON sa.producto_id = p.id
+     LEFT JOIN movimientos_inventario ult ON ult.id = (
+       SELECT MAX(x.id) FROM movimientos_inventario x WHERE x.producto_id = sa.producto_id AND x.almacen_id = sa.almacen_id
+     )
+     WHERE COALESCE(ult.cantidad_nueva_almacen, 0) <> sa.cantidad${filtro}
+     ORDER BY p.id, sa.almacen_id`,
+    params
+  );
+
+  return [...products, ...warehouses].map(row => ({
+    ...row,
+    diferencia: roundQuantity(row.cantidad_actual - row.cantidad_libro)
+  }));
+};
+
+// Verifica el libro de movimientos contra las existencias:
+// - cortes: movimientos cuya cantidad_anterior no es la cantidad_nueva del
+//   anterior (del producto o del producto en el almacén)
+// - descuadres: stock_actual o stock_almacen distintos de la cantidad nueva del
+//   último movimiento, típicamente por cambios de stock hechos fuera del libro
+const checkLedger = async ({ producto_id = null } = {}) => {
+  const [revisados] = await executeQuery(
+    `SELECT COUNT(*) as productos FROM productos${producto_id ? ' WHERE id = ?' : ''}`,
+    producto_id ? [producto_id] : []
+  );
+
+  const cortes = [
+    ...await findChainBreaks({ producto_id, porAlmacen: false }),
+    ...await findChainBreaks({ producto_id, porAlmacen: true })
+  ];
+  const descuadres = await findMismatches({ producto_id });
+
+  return {
+    productos_revisados: revisados.productos,
+    consistente: cortes.length === 0 && descuadres.length === 0,
+    cortes,
+    descuadres
+  };
+};
+
+// Registra los ajustes que cuadran el libro de un producto con sus existencias:
+// uno por almacén descuadrado, desde la cantidad del libro hasta la existencia
+// actual. Las existencias por almacén no se modifican (ya cambiaron fuera del
+// libro), pero sí las capas de costo para que vuelvan a cubrirlas. El stock total
+// del producto (productos.stock_actual) se restablece a la suma de los almacenes;
+// si difería, o si el libro del producto quedó en otra cantidad, se registra un
+// ajuste más en el almacén principal que lleva el libro del producto hasta esa
+// suma (sin mover el del almacén). Los cortes intermedios de la cadena no se
+// corrigen: los movimientos no se editan.
+// Debe ejecutarse dentro de executeTransaction.
+const reconcileProduct = async (connection, { producto_id, usuario_id, motivo, motivo_ajuste_id }) => {
+  const [products] = await connection.execute(
+    'SELECT id, nombre, stock_actual, precio_compra, costo_promedio FROM productos WHERE id = ? FOR UPDATE',
+    [producto_id]
+  );
+  const producto = products[0];
+
+  const [stocks] = await connection.execute(
+    'SELECT almacen_id, cantidad FROM stock_almacen WHERE producto_id = ? ORDER BY almacen_id FOR UPDATE',
+    [producto_id]
+  );
+
+  const [last] = await connection.execute(
+    'SELECT cantidad_nueva FROM movimientos_inventario WHERE producto_id = ? ORDER BY id DESC LIMIT 1',
+    [producto_id]
+  );
+  let libroProducto = last.length > 0 ? last[0].cantidad_nueva : 0;
+
+  const movimientos = [];
+
+  for (const stock of stocks) {
+    const [lastInWarehouse] = await connection.execute(
+      'SELECT cantidad_nueva_almacen FROM movimientos_inventario WHERE producto_id = ? AND almacen_id = ? ORDER BY id DESC LIMIT 1',
+      [producto_id, stock.almacen_id]
+    );
+    const libroAlmacen = lastInWarehouse.length > 0 ? lastInWarehouse[0].cantidad_nueva_almacen : 0;
+    const diferencia = roundQuantity(stock.cantidad - libroAlmacen);
+
+    if (diferencia === 0) continue;
+
+    const costo = await costMovement(connection, {
+      producto: { ...producto, stock_actual: libroProducto },
+      almacen: { id: stock.almacen_id },
+      diferencia
+    });
+
+    const [result] = await connection.execute(
+      `INSERT INTO movimientos_inventario (producto_id, almacen_id, tipo, cantidad, cantidad_anterior, cantidad_nueva,
+         cantidad_anterior_almacen, cantidad_nueva_almacen, costo_unitario, costo_total, motivo, motivo_ajuste_id, usuario_id,
+         referencia_tipo, referencia_id)
+       VALUES (?, ?, 'ajuste', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'conciliacion', NULL)`,
+      [
+        producto_id, stock.almacen_id, Math.abs(diferencia), libroProducto, roundQuantity(libroProducto + diferencia),
+        libroAlmacen, stock.cantidad, costo.costo_unitario, costo.costo_total, motivo, motivo_ajuste_id, usuario_id
+      ]
+    );
+
+    if (diferencia > 0) {
+      await addCostLayer(connection, {
+        producto_id,
+        almacen_id: stock.almacen_id,
+        movimiento_id: result.insertId,
+        cantidad: diferencia,
+        costo_unitario: costo.costo_unitario
+      });
+    }
+
+    movimientos.push({
+      id: result.insertId,
+      producto_id: parseInt(producto_id),
+      almacen_id: stock.almacen_id,
+      cantidad_anterior: libroProducto,
+      cantidad_nueva: roundQuantity(libroProducto + diferencia),
+      cantidad_anterior_almacen: libroAlmacen,
+      cantidad_nueva_almacen: stock.cantidad,
+      diferencia
+    });
+
+    libroProducto = roundQuantity(libroProducto + diferencia);
+  }
+
+  // productos.stock_actual es la suma de las existencias por almacén. Si no
+  // coincide, o si el libro del producto quedó en otra cantidad, la corrección
+  // queda registrada en el libro
+  const suma = roundQuantity(stocks.reduce((sum, stock) => sum + stock.cantidad, 0));
+  if (producto.stock_actual !== suma || libroProducto !== suma) {
+    const almacen = await resolveWarehouse(connection);
+    const [lastInWarehouse] = await connection.execute(
+      'SELECT cantidad_nueva_almacen FROM movimientos_inventario WHERE producto_id = ? AND almacen_id = ? ORDER BY id DESC LIMIT 1',
+      [producto_id, almacen.id]
+    );
+    const libroAlmacen = lastInWarehouse.length > 0 ? lastInWarehouse[0].cantidad_nueva_almacen : 0;
+
+    const [result] = await connection.execute(
+      `INSERT INTO movimientos_inventario (producto_id, almacen_id, tipo, cantidad, cantidad_anterior, cantidad_nueva,
+         cantidad_anterior_almacen, cantidad_nueva_almacen, costo_unitario, costo_total, motivo, motivo_ajuste_id, usuario_id,
+         referencia_tipo, referencia_id)
+       VALUES (?, ?, 'ajuste', ?, ?, ?, ?, ?, NULL, 0, ?, ?, ?, 'conciliacion', NULL)`,
+      [
+        producto_id, almacen.id, Math.abs(roundQuantity(suma - libroProducto)), libroProducto, suma,
+        libroAlmacen, libroAlmacen, `${motivo}: stock total ${producto.stock_actual} → ${suma}`, motivo_ajuste_id, usuario_id
+      ]
+    );
+
+    movimientos.push({
+      id: result.insertId,
+      producto_id: parseInt(producto_id),
+      almacen_id: almacen.id,
+      cantidad_anterior: libroProducto,
+      cantidad_nueva: suma,
+      cantidad_anterior_almacen: libroAlmacen,
+      cantidad_nueva_almacen: libroAlmacen,
+      diferencia: roundQuantity(suma - libroProducto)
+    });
+
+    await connection.execute(
+      'UPDATE productos SET stock_actual = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [suma, producto_id]
+    );
+  }
+
+  if (movimientos.length > 0) {
+    const valor = await productStockValue(connection, producto_id);
+    await connection.execute(
+      'UPDATE movimientos_inventario SET valor_nuevo = ? WHERE id = ?',
+      [valor, movimientos[movimientos.length - 1].id]
+    );
+  }
+
+  return {
+    producto_id: parseInt(producto_id),
+    producto_nombre: producto.nombre,
+    stock_actual_anterior: producto.stock_actual,
+    stock_actual: suma,
+    movimientos
+  };
+};
+
+// Corrige los descuadres encontrados por checkLedger (un producto por
+// transacción) y devuelve las correcciones junto con la verificación posterior
+const correctLedger = async ({ producto_id = null, usuario_id, motivo = 'Conciliación del libro de movimientos' }) => {
+  const { descuadres } = await checkLedger({ producto_id });
+
+  const [reason] = await executeQuery('SELECT id FROM motivos_ajuste WHERE codigo = ?', [RECONCILIATION_REASON]);
+  if (!reason) {
+    throw new Error(`No existe el motivo de ajuste ${RECONCILIATION_REASON}; aplique las migraciones pendientes`);
+  }
+
+  const productIds = [...new Set(descuadres.map(d => d.producto_id))];
+  const correcciones = [];
+
+  for (const id of productIds) {
+    correcciones.push(await executeTransaction(connection =>
+      reconcileProduct(connection, { producto_id: id, usuario_id, motivo, motivo_ajuste_id: reason.id })
+    ));
+  }
+
+  return {
+    correcciones,
+    verificacion: await checkLedger({ producto_id })
+  };
+};
+
+module.exports = {
+  checkLedger,
+  correctLedger
+};
@@ -0,0 +1,342 @@
+const { HttpError } = require('./errors');
+const { roundQuantity } = require('./units');
+
+// Lote al que se asignan las existencias cuyo lote se desconoce (stock previo a
+// activar el control por lotes o reingresos de movimientos sin asignación)
+const DEFAULT_LOT = 'SIN-LOTE';
+
+// Fecha en formato YYYY-MM-DD (mysql2 devuelve las columnas DATE como Date local)
+const formatDate = (value) => {
+  if (!(value instanceof Date)) return String(value).slice(0, 10);
+  const pad = n => String(n).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+};
+
+// Busca y bloquea un lote del producto en el almacén, por ID o por número
+const findLot = async (connection, productoId, almacenId, { lote_id, numero_lote }) => {
+  const [lots] = lote_id
+    ? await connection.execute(
+      'SELECT * FROM lotes WHERE id = ? AND producto_id = ? AND almacen_id = ? FOR UPDATE',
+      [lote_id, productoId, almacenId]
+    )
+    : await connection.execute(
+      'SELECT * FROM lotes WHERE numero_lote = ? AND producto_id = ? AND almacen_id = ? FOR UPDATE',
+      [numero_lote, productoId, almacenId]
+    );
+
+  return lots[0];
+};
+
+// Busca el lote o, si se identifica por número y no existe en el almacén, lo crea.
+// Un lote conserva su fecha de vencimiento; solo se completa si no la tenía.
+const findOrCreateLot = async (connection, productoId, almacenId, ref) => {
+  if (ref.lote_id) {
+    const lot = await findLot(connection, productoId, almacenId, ref);
+    if (!lot) {
+      throw new HttpError(404, 'Lote no encontrado', `El lote ${ref.lote_id} no existe para el producto en este almacén`);
+    }
+    return lot;
+  }
+
+  const numero_lote = String(ref.numero_lote).trim();
+  const fecha_vencimiento = ref.fecha_vencimiento || null;
+
+  await connection.execute(
+    `INSERT INTO lotes (producto_id, almacen_id, numero_lote, fecha_vencimiento, cantidad) VALUES (?, ?, ?, ?, 0)
+     ON DUPLICATE KEY UPDATE fecha_vencimiento = COALESCE(fecha_vencimiento, VALUES(fecha_vencimiento))`,
+    [productoId, almacenId, numero_lote, fecha_vencimiento]
+  );
+
+  const lot = await findLot(connection, productoId, almacenId, { numero_lote });
+
+  if (fecha_vencimiento && lot.fecha_vencimiento && formatDate(lot.fecha_vencimiento) !== formatDate(fecha_vencimiento)) {
+    throw new HttpError(400, 'Vencimiento inconsistente',
+      `El lote ${numero_lote} ya está registrado con vencimiento ${formatDate(lot.fecha_vencimiento)}`);
+  }
+
+  return lot;
+};
+
+// Acumula la cantidad asignada a un lote (un mismo lote puede aparecer varias veces)
+const addAllocation = (allocations, lot, cantidad) => {
+  const existing = allocations.find(a => a.lote.id === lot.id);
+  if (existing) {
+    existing.cantidad = roundQuantity(existing.cantidad + cantidad);
+  } else {
+    allocations.push({ lote: lot, cantidad });
+  }
+};
+
+// Reparte las cantidades indicadas por lote; si hay un único lote sin cantidad
+// se le asigna el total del movimiento
+const explicitQuantities = (lotes, cantidad) => {
+  if (lotes.length === 1 && (lotes[0].cantidad === undefined || lotes[0].cantidad === null)) {
+    return [{ ...lotes[0], cantidad }];
+  }
+
+  const total = roundQuantity(lotes.reduce((sum, lote) => sum + (Number(lote.cantidad) || 0), 0));
+  if (total !== cantidad) {
+    throw new HttpError(400, 'Lotes inválidos',
+      `La suma de las cantidades por lote (${total}) no coincide con la cantidad del movimiento (${cantidad})`);
+  }
+
+  return lotes.map(lote => ({ ...lote, cantidad: Number(lote.cantidad) }));
+};
+
+// Determina cómo afecta un movimiento a los lotes de un producto que maneja lotes.
+// - entrada: a los lotes indicados (se crean si no existen); el lote es obligatorio.
+// - salida: a los lotes indicados o, por defecto, FEFO: primero los que vencen
+//   antes, sin tocar lotes vencidos.
+// - ajuste: a un único lote; cantidad es su nueva existencia.
+// Devuelve [{lote, cantidad_anterior, cantidad_nueva}]. Debe ejecutarse dentro
+// de executeTransaction.
+const allocateLots = async (connection, { producto, almacen, tipo, cantidad, lotes }) => {
+  const productoId = producto.id;
+  const almacenId = almacen.id;
+  const allocations = [];
+
+  if (tipo === 'ajuste') {
+    if (!lotes || lotes.length !== 1) {
+      throw new HttpError(400, 'Lote requerido', `Indique el lote a ajustar de ${producto.nombre}`);
+    }
+
+    const lot = await findOrCreateLot(connection, productoId, almacenId, lotes[0]);
+    return [{ lote: lot, cantidad_anterior: lot.cantidad, cantidad_nueva: cantidad }];
+  }
+
+  if (tipo === 'entrada') {
+    if (!lotes || lotes.length === 0) {
+      throw new HttpError(400, 'Lote requerido', `${producto.nombre} se controla por lotes; indique el número de lote`);
+    }
+
+    for (const ref of explicitQuantities(lotes, cantidad)) {
+      const lot = await findOrCreateLot(connection, productoId, almacenId, ref);
+      addAllocation(allocations, lot, ref.cantidad);
+    }
+  } else if (lotes && lotes.length > 0) {
+    for (const ref of explicitQuantities(lotes, cantidad)) {
+      const lot = await findLot(connection, productoId, almacenId, ref);
+      if (!lot) {
+        throw new HttpError(404, 'Lote no encontrado',
+          `El lote ${ref.lote_id || ref.numero_lote} no existe para ${producto.nombre} en ${almacen.nombre}`);
+      }
+      addAllocation(allocations, lot, ref.cantidad);
+    }
+
+    for (const { lote, cantidad: solicitado } of allocations) {
+      if (lote.cantidad < solicitado) {
+        throw new HttpError(400, 'Stock insuficiente',
+          `No hay suficiente stock del lote ${lote.numero_lote} de ${producto.nombre}. Disponible: ${lote.cantidad}, Solicitado: ${solicitado}`);
+      }
+    }
+  } else {
+    const [lots] = await connection.execute(
+      `SELECT * FROM lotes
+       WHERE producto_id = ? AND almacen_id = ? AND cantidad > 0
+         AND (fecha_vencimiento IS NULL OR fecha_vencimiento >= CURDATE())
+       ORDER BY fecha_vencimiento IS NULL, fecha_vencimiento, id
+       FOR UPDATE`,
+      [productoId, almacenId]
+    );
+
+    let pendiente = cantidad;
+    for (const lot of lots) {
+      if (pendiente === 0) break;
+      const tomado = Math.min(lot.cantidad, pendiente);
+      addAllocation(allocations, lot, tomado);
+      pendiente = roundQuantity(pendiente - tomado);
+    }
+
+    if (pendiente > 0) {
+      throw new HttpError(400, 'Stock insuficiente',
+        `No hay suficiente stock en lotes vigentes de ${producto.nombre} en ${almacen.nombre}. Faltan: ${pendiente}`);
+    }
+  }
+
+  const signo = tipo === 'entrada' ? 1 : -1;
+  return allocations.map(({ lote, cantidad: asignado }) => ({
+    lote,
+    cantidad_anterior: lote.cantidad,
+    cantidad_nueva: roundQuantity(lote.cantidad + signo * asignado)
+  }));
+};
+
+// Actualiza las existencias de los lotes y deja la asignación del movimiento
+const applyLots = async (connection, movimientoId, allocations) => {
+  for (const allocation of allocations) {
+    await connection.execute(
+      'UPDATE lotes SET cantidad = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [allocation.cantidad_nueva, allocation.lote.id]
+    );
+
+    await connection.execute(
+      `INSERT INTO movimientos_lotes (movimiento_id, lote_id, cantidad, cantidad_anterior, cantidad_nueva)
+       VALUES (?, ?, ?, ?, ?)`,
+      [
+        movimientoId, allocation.lote.id, roundQuantity(Math.abs(allocation.cantidad_nueva - allocation.cantidad_anterior)),
+        allocation.cantidad_anterior, allocation.cantidad_nueva
+      ]
+    );
+  }
+};
+
+// Indica si el producto se controla por lotes
+const managesLots = async (connection, productoId) => {
+  const [products] = await connection.execute(
+    'SELECT maneja_lotes FROM productos WHERE id = ?',
+    [productoId]
+  );
+
+  return products.length > 0 && Boolean(products[0].maneja_lotes);
+};
+
+// Lotes a los que debe reingresar mercadería que salió por un documento (anulación
+// o devolución de una venta): lo que salió de cada lote menos lo ya reingresado.
+// Lo que no tenga lote asignado vuelve a DEFAULT_LOT. Devuelve undefined si el
+// producto no maneja lotes.
+const lotsToRestore = async (connection, { producto_id, referencia_tipo, referencia_id, cantidad }) => {
+  if (!(await managesLots(connection, producto_id))) return undefined;
+
+  const [rows] = await connection.execute(
+    `SELECT ml.lote_id,
+            SUM(CASE WHEN m.tipo = 'salida' THEN ml.cantidad ELSE -ml.cantidad END) as pendiente
+     FROM movimientos_lotes ml
+     JOIN movimientos_inventario m ON ml.movimiento_id = m.id
+     WHERE m.producto_id = ? AND m.referencia_tipo = ? AND m.referencia_id = ? AND m.tipo IN ('entrada', 'salida')
+     GROUP BY ml.lote_id
+     HAVING pendiente > 0
+     ORDER BY MIN(ml.id)`,
+    [producto_id, referencia_tipo, referencia_id]
+  );
+
+  const lotes = [];
+  let restante = cantidad;
+
+  for (const row of rows) {
+    if (restante === 0) break;
+    const reingreso = Math.min(Number(row.pendiente), restante);
+    lotes.push({ lote_id: row.lote_id, cantidad: reingreso });
+    restante = roundQuantity(restante - reingreso);
+  }
+
+  if (restante > 0) {
+    lotes.push({ numero_lote: DEFAULT_LOT, cantidad: restante });
+  }
+
+  return lotes;
+};
+
+// Lotes de los que debe salir mercadería que se devuelve al origen de un documento
+// (devolución a proveedor): lo que ingresó a cada lote por el documento menos lo ya
+// devuelto, hasta la existencia actual del lote. Si lo que ingresó no tiene lotes
+// asignados (el producto empezó a manejar lotes después) la salida se despacha
+// FEFO. Devuelve undefined si el producto no maneja lotes.
+const lotsToReturn = async (connection, { producto_id, almacen_id, referencia_tipo, referencia_id, cantidad }) => {
+  if (!(await managesLots(connection, producto_id))) return undefined;
+
+  const [rows] = await connection.execute(
+    `SELECT ml.lote_id, l.numero_lote, l.cantidad as existencia,
+            SUM(CASE WHEN m.tipo = 'entrada' THEN ml.cantidad ELSE -ml.cantidad END) as pendiente
+     FROM movimientos_lotes ml
+     JOIN movimientos_inventario m ON ml.movimiento_id = m.id
+     JOIN lotes l ON ml.lote_id = l.id
+     WHERE m.producto_id = ? AND m.almacen_id = ? AND m.referencia_tipo = ? AND m.referencia_id = ?
+       AND m.tipo IN ('entrada', 'salida')
+     GROUP BY ml.lote_id, l.numero_lote, l.cantidad
+     HAVING pendiente > 0
+     ORDER BY MIN(ml.id)`,
+    [producto_id, almacen_id, referencia_tipo, referencia_id]
+  );
+
+  if (rows.length === 0) return null;
+
+  const lotes = [];
+  let restante = cantidad;
+
+  for (const row of rows) {
+    if (restante === 0) break;
+    const salida = Math.min(Number(row.pendiente), row.existencia, restante);
+    if (salida <= 0) continue;
+    lotes.push({ lote_id: row.lote_id, cantidad: salida });
+    restante = roundQuantity(restante - salida);
+  }
+
+  if (restante > 0) {
+    throw new HttpError(400, 'Stock insuficiente',
+      `Los lotes ingresados por el documento (${rows.map(row => row.numero_lote).join(', ')}) ya no tienen ` +
+      `existencias suficientes para devolver ${cantidad}. Faltan: ${restante}`);
+  }
+
+  return lotes;
+};
+
+// Lotes con los que ingresa en destino la mercadería despachada por un movimiento
+// de salida (transferencias). Si se recibe menos de lo enviado se descuenta de los
+// últimos lotes; si se recibe más, el excedente va al último lote. Devuelve
+// undefined si el producto no maneja lotes.
+const lotsFromMovement = async (connection, { producto_id, movimiento_id, cantidad }) => {
+  if (!(await managesLots(connection, producto_id))) return undefined;
+
+  const [rows] = await connection.execute(
+    `SELECT l.numero_lote, l.fecha_vencimiento, ml.cantidad
+     FROM movimientos_lotes ml
+     JOIN lotes l ON ml.lote_id = l.id
+     WHERE ml.movimiento_id = ?
+     ORDER BY ml.id`,
+    [movimiento_id || 0]
+  );
+
+  if (rows.length === 0) {
+    return [{ numero_lote: DEFAULT_LOT, cantidad }];
+  }
+
+  const lotes = [];
+  let restante = cantidad;
+
+  for (const row of rows) {
+    if (restante === 0) break;
+    const ingreso = Math.min(row.cantidad, restante);
+    lotes.push({
+      numero_lote: row.numero_lote,
+      fecha_vencimiento: row.fecha_vencimiento ? formatDate(row.fecha_vencimiento) : null,
+      cantidad: ingreso
+    });
+    restante = roundQuantity(restante - ingreso);
+  }
+
+  if (restante > 0) {
+    lotes[lotes.length - 1].cantidad = roundQuantity(lotes[lotes.length - 1].cantidad + restante);
+  }
+
+  return lotes;
+};
+
+// Lotes para revertir un movimiento: los mismos lotes y cantidades que afectó.
+// Si no tiene lotes asignados (el producto empezó a manejar lotes después), la
+// entrada compensatoria va a DEFAULT_LOT y la salida se despacha FEFO.
+// Devuelve undefined si el producto no maneja lotes.
+const lotsToReverse = async (connection, { producto_id, movimiento_id, tipo }) => {
+  if (!(await managesLots(connection, producto_id))) return undefined;
+
+  const [rows] = await connection.execute(
+    'SELECT lote_id, cantidad FROM movimientos_lotes WHERE movimiento_id = ? ORDER BY id',
+    [movimiento_id]
+  );
+
+  if (rows.length > 0) {
+    return rows.map(row => ({ lote_id: row.lote_id, cantidad: row.cantidad }));
+  }
+
+  return tipo === 'entrada' ? [{ numero_lote: DEFAULT_LOT }] : null;
+};
+
+module.exports = {
+  DEFAULT_LOT,
+  findLot,
+  allocateLots,
+  applyLots,
+  lotsToRestore,
+  lotsToReturn,
+  lotsFromMovement,
+  lotsToReverse
+};
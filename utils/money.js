@@ -0,0 +1,6 @@
+// Redondea montos a 2 decimales (precisión de las columnas DECIMAL(10,2))
+const roundMoney = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+module.exports = {
+  roundMoney
+};
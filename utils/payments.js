@@ -0,0 +1,113 @@
+const { HttpError } = require('./errors');
+const { roundMoney } = require('./money');
+
+const PAYMENT_METHODS = ['efectivo', 'transferencia', 'tarjeta', 'cheque', 'deposito', 'otro'];
+
+// Documentos que admiten pagos: tabla y columna de pagos que los referencia
+const DOCUMENTS = {
+  compra: { table: 'compras', column: 'compra_id', label: 'Compra', notFound: 'Compra no encontrada' },
+  venta: { table: 'ventas', column: 'venta_id', label: 'Venta', notFound: 'Venta no encontrada' }
+};
+
+// Saldo de un documento: total menos devoluciones y pagos
+const getBalance = (document) => roundMoney(
+  Number(document.total) - Number(document.monto_devuelto) - Number(document.monto_pagado)
+);
+
+// Recalcula monto_pagado desde los pagos vigentes y deriva el estado del
+// documento a partir del saldo. Las compras en borrador y los documentos
+// cancelados conservan su estado. Debe ejecutarse dentro de executeTransaction.
+const syncPaymentStatus = async (connection, tipo, documentoId) => {
+  const { table, column } = DOCUMENTS[tipo];
+
+  const [totals] = await connection.execute(
+    `SELECT COALESCE(SUM(monto), 0) as monto_pagado FROM pagos WHERE ${column} = ? AND anulado = 0`,
+    [documentoId]
+  );
+  const monto_pagado = roundMoney(totals[0].monto_pagado);
+
+  const [rows] = await connection.execute(
+    `SELECT id, total, monto_devuelto, estado FROM ${table} WHERE id = ? FOR UPDATE`,
+    [documentoId]
+  );
+  const document = { ...rows[0], monto_pagado };
+  const saldo = getBalance(document);
+
+  let estado = document.estado;
+  if (estado === 'pendiente' || estado === 'pagada') {
+    estado = saldo <= 0 ? 'pagada' : 'pendiente';
+  }
+
+  await connection.execute(
+    `UPDATE ${table} SET monto_pagado = ?, estado = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [monto_pagado, estado, documentoId]
+  );
+
+  return { monto_pagado, saldo, estado };
+};
+
+// Registra un pago contra una compra o venta y actualiza su saldo y estado.
+// Si no se indica monto se paga el saldo completo. Debe ejecutarse dentro de
+// executeTransaction.
+const registerPayment = async (connection, { tipo, documento_id, monto, metodo, fecha_pago, referencia, notas, usuario_id }) => {
+  const { table, column, label, notFound } = DOCUMENTS[tipo];
+
+  // Bloquear el documento para que dos pagos simultáneos no excedan el saldo
+  const [rows] = await connection.execute(
+    `SELECT id, total, monto_devuelto, monto_pagado, estado FROM ${table} WHERE id = ? FOR UPDATE`,
+    [documento_id]
+  );
+
+  if (rows.length === 0) {
+    throw new HttpError(404, notFound, `La ${label.toLowerCase()} ${documento_id} no existe`);
+  }
+
+  const document = rows[0];
+
+  if (document.estado === 'cancelada' || document.estado === 'borrador') {
+    throw new HttpError(400, 'Operación no permitida', `No se pueden registrar pagos de una ${label.toLowerCase()} ${document.estado}`);
+  }
+
+  const saldo = getBalance(document);
+  const importe = monto !== undefined && monto !== null ? roundMoney(monto) : saldo;
+
+  if (saldo <= 0) {
+    throw new HttpError(400, 'Sin saldo pendiente', `La ${label.toLowerCase()} ${documento_id} no tiene saldo pendiente`);
+  }
+
+  if (importe <= 0) {
+    throw new HttpError(400, 'Monto inválido', 'El monto del pago debe ser mayor a cero');
+  }
+
+  if (importe > saldo) {
+    throw new HttpError(400, 'Monto excedido', `El saldo pendiente de la ${label.toLowerCase()} es ${saldo.toFixed(2)}, se intentó pagar ${importe.toFixed(2)}`);
+  }
+
+  const fecha = fecha_pago || new Date().toISOString().slice(0, 10);
+
+  const [result] = await connection.execute(
+    `INSERT INTO pagos (${column}, monto, metodo, fecha_pago, referencia, notas, usuario_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [documento_id, importe, metodo, fecha, referencia || null, notas || null, usuario_id]
+  );
+
+  const status = await syncPaymentStatus(connection, tipo, documento_id);
+
+  return {
+    id: result.insertId,
+    tipo,
+    documento_id: parseInt(documento_id),
+    monto: importe,
+    metodo,
+    fecha_pago: fecha,
+    referencia: referencia || null,
+    ...status
+  };
+};
+
+module.exports = {
+  PAYMENT_METHODS,
+  getBalance,
+  syncPaymentStatus,
+  registerPayment
+};
@@ -0,0 +1,121 @@
+const { executeQuery } = require('../config/database');
+const { roundMoney } = require('./money');
+const { roundQuantity } = require('./units');
+
+// Calcula la cantidad a pedir de un producto a partir de su posición de
+// inventario (stock actual + lo ya pedido y no recibido):
+// - con stock_maximo se repone hasta ese tope
+// - si no, se pide cantidad_reorden
+// - si tampoco está configurada, se repone hasta el doble del punto de reorden
+// El resultado respeta la cantidad mínima de pedido del proveedor (por defecto 1).
+const suggestQuantity = (product) => {
+  const posicion = product.stock_actual + product.en_camino;
+  let cantidad;
+
+  if (product.stock_maximo !== null) {
+    cantidad = product.stock_maximo - posicion;
+  } else if (product.cantidad_reorden !== null) {
+    cantidad = product.cantidad_reorden;
+  } else {
+    cantidad = product.punto_reorden * 2 - posicion;
+  }
+
+  return roundQuantity(Math.max(cantidad, product.cantidad_minima || 1));
+};
+
+// Productos cuya posición de inventario está en o por debajo del punto de
+// reorden (punto_reorden o, si no está definido, stock_minimo), agrupados por
+// proveedor preferido (o el de menor costo si ninguno está marcado)
+const getReorderSuggestions = async ({ categoria_id, proveedor_id } = {}) => {
+  let whereClause = 'WHERE p.activo = 1';
+  let params = [];
+
+  if (categoria_id) {
+    whereClause += ' AND p.categoria_id = ?';
+    params.push(categoria_id);
+  }
+
+  const products = await executeQuery(
+    `SELECT p.id, p.codigo, p.nombre, p.stock_actual, p.stock_minimo, p.precio_compra,
+            COALESCE(p.punto_reorden, p.stock_minimo) as punto_reorden,
+            p.cantidad_reorden, p.stock_maximo, c.nombre as categoria_nombre,
+            COALESCE((
+              SELECT SUM(GREATEST(d.cantidad - d.cantidad_recibida, 0))
+              FROM detalles_compra d
+              JOIN compras co ON d.compra_id = co.id
+              WHERE d.producto_id = p.id
+                AND co.estado IN ('borrador', 'pendiente')
+                AND co.estado_recepcion != 'completa'
+            ), 0) as en_camino
+     FROM productos p
+     JOIN categorias c ON p.categoria_id = c.id
+     ${whereClause}
+     HAVING p.stock_actual + en_camino <= punto_reorden
+     ORDER BY p.nombre`,
+    params
+  );
+
+  if (products.length === 0) {
+    return [];
+  }
+
+  const catalog = await executeQuery(
+    `SELECT pp.producto_id, pp.proveedor_id, pp.sku_proveedor, pp.costo_ultimo, pp.cantidad_minima,
+            pp.tiempo_entrega_dias, pp.preferido, pr.nombre as proveedor_nombre
+     FROM productos_proveedores pp
+     JOIN proveedores pr ON pp.proveedor_id = pr.id
+     WHERE pr.activo = 1 AND pp.producto_id IN (${products.map(() => '?').join(', ')})
+     ORDER BY pp.preferido DESC, pp.costo_ultimo ASC`,
+    products.map(p => p.id)
+  );
+
+  const groups = new Map();
+
+  for (const product of products) {
+    product.en_camino = Number(product.en_camino);
+    const supplier = catalog.find(c => c.producto_id === product.id) || null;
+    const key = supplier ? supplier.proveedor_id : 0;
+
+    if (proveedor_id && key !== parseInt(proveedor_id)) {
+      continue;
+    }
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        proveedor_id: supplier ? supplier.proveedor_id : null,
+        proveedor_nombre: supplier ? supplier.proveedor_nombre : null,
+        productos: [],
+        total_estimado: 0
+      });
+    }
+
+    const cantidad_sugerida = suggestQuantity({
+      ...product,
+      cantidad_minima: supplier ? supplier.cantidad_minima : 1
+    });
+    const costo_unitario = Number(supplier ? supplier.costo_ultimo : product.precio_compra);
+
+    const group = groups.get(key);
+    group.productos.push({
+      producto_id: product.id,
+      codigo: product.codigo,
+      nombre: product.nombre,
+      categoria_nombre: product.categoria_nombre,
+      stock_actual: product.stock_actual,
+      en_camino: product.en_camino,
+      punto_reorden: product.punto_reorden,
+      stock_maximo: product.stock_maximo,
+      cantidad_sugerida,
+      costo_unitario,
+      sku_proveedor: supplier ? supplier.sku_proveedor : null,
+      tiempo_entrega_dias: supplier ? supplier.tiempo_entrega_dias : null
+    });
+    group.total_estimado = roundMoney(group.total_estimado + cantidad_sugerida * costo_unitario);
+  }
+
+  return [...groups.values()];
+};
+
+module.exports = {
+  getReorderSuggestions
+};
@@ -0,0 +1,35 @@
+// Una reserva retiene stock mientras está activa y no venció. Las reservas
+// vencidas siguen en estado 'activa' hasta que se liberan, pero ya no cuentan.
+const ACTIVE_RESERVATION = "r.estado = 'activa' AND (r.fecha_vencimiento IS NULL OR r.fecha_vencimiento > NOW())";
+
+// Subconsulta con la cantidad reservada por producto y almacén, para unir a las
+// consultas de existencias (LEFT JOIN (${RESERVED_STOCK}) rs ...)
+const RESERVED_STOCK = `SELECT r.producto_id, r.almacen_id, SUM(r.cantidad - r.cantidad_consumida) as reservado
+  FROM reservas r
+  WHERE ${ACTIVE_RESERVATION}
+  GROUP BY r.producto_id, r.almacen_id`;
+
+// Cantidad reservada de un producto en un almacén. Si se indica el documento
+// (referencia_tipo/referencia_id), no se cuentan sus propias reservas: un
+// movimiento de ese documento puede tomar el stock que tiene reservado.
+// Acepta una conexión de transacción o el pool.
+const getReservedQuantity = async (connection, { producto_id, almacen_id, referencia_tipo = null, referencia_id = null }) => {
+  let sql = `SELECT COALESCE(SUM(r.cantidad - r.cantidad_consumida), 0) as reservado
+             FROM reservas r
+             WHERE r.producto_id = ? AND r.almacen_id = ? AND ${ACTIVE_RESERVATION}`;
+  const params = [producto_id, almacen_id];
+
+  if (referencia_tipo && referencia_id) {
+    sql += ' AND NOT (r.referencia_tipo = ? AND r.referencia_id = ?)';
+    params.push(referencia_tipo, referencia_id);
+  }
+
+  const [rows] = await connection.execute(sql, params);
+  return Number(rows[0].reservado);
+};
+
+module.exports = {
+  ACTIVE_RESERVATION,
+  RESERVED_STOCK,
+  getReservedQuantity
+};
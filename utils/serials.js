@@ -0,0 +1,170 @@
+const { HttpError } = require('./errors');
+
+// Normaliza la lista de series del movimiento: deben ser exactamente `cantidad`
+// y sin repetir
+const normalizeSerials = (producto, series, cantidad) => {
+  const numeros = (series || []).map(serie => String(serie).trim()).filter(Boolean);
+
+  if (numeros.length !== cantidad) {
+    throw new HttpError(400, 'Series requeridas',
+      `${producto.nombre} es un producto serializado: indique ${cantidad} número(s) de serie (recibidos: ${numeros.length})`);
+  }
+
+  const duplicadas = numeros.filter((numero, index) => numeros.indexOf(numero) !== index);
+  if (duplicadas.length > 0) {
+    throw new HttpError(400, 'Series duplicadas', `Series repetidas en el movimiento: ${[...new Set(duplicadas)].join(', ')}`);
+  }
+
+  return numeros;
+};
+
+// Valida y bloquea las unidades de un producto serializado que afecta un movimiento.
+// - entrada: cada serie se crea si no existe y no puede estar ya en stock.
+// - salida: cada serie debe estar disponible en el almacén del movimiento.
+// Los ajustes no se admiten: las unidades entran y salen con su número de serie.
+// Debe ejecutarse dentro de executeTransaction.
+const resolveSerials = async (connection, { producto, almacen, tipo, cantidad, series }) => {
+  if (tipo === 'ajuste') {
+    throw new HttpError(400, 'Operación no permitida',
+      `${producto.nombre} es un producto serializado: registre entradas o salidas indicando las series`);
+  }
+
+  const numeros = normalizeSerials(producto, series, cantidad);
+
+  if (tipo === 'entrada') {
+    for (const numero of numeros) {
+      await connection.execute(
+        `INSERT INTO series (producto_id, numero_serie, estado) VALUES (?, ?, 'fuera')
+         ON DUPLICATE KEY UPDATE id = id`,
+        [producto.id, numero]
+      );
+    }
+  }
+
+  const [rows] = await connection.execute(
+    `SELECT s.*, a.nombre as almacen_nombre
+     FROM series s
+     LEFT JOIN almacenes a ON s.almacen_id = a.id
+     WHERE s.producto_id = ? AND s.numero_serie IN (${numeros.map(() => '?').join(', ')})
+     FOR UPDATE`,
+    [producto.id, ...numeros]
+  );
+
+  if (tipo === 'entrada') {
+    const enStock = rows.filter(row => row.estado === 'disponible');
+    if (enStock.length > 0) {
+      throw new HttpError(400, 'Serie en stock',
+        `Las series ${enStock.map(row => `${row.numero_serie} (${row.almacen_nombre})`).join(', ')} ya están en stock`);
+    }
+  } else {
+    const faltantes = numeros.filter(numero => !rows.some(row => row.numero_serie === numero));
+    if (faltantes.length > 0) {
+      throw new HttpError(404, 'Serie no encontrada', `Las series ${faltantes.join(', ')} no existen para ${producto.nombre}`);
+    }
+
+    const noDisponibles = rows.filter(row => row.estado !== 'disponible' || row.almacen_id !== almacen.id);
+    if (noDisponibles.length > 0) {
+      throw new HttpError(400, 'Serie no disponible',
+        `Las series ${noDisponibles.map(row => row.numero_serie).join(', ')} no están disponibles en ${almacen.nombre}`);
+    }
+  }
+
+  return rows;
+};
+
+// Actualiza la ubicación de las unidades y las vincula al movimiento
+const applySerials = async (connection, movimientoId, { tipo, almacen }, serials) => {
+  for (const serial of serials) {
+    if (tipo === 'entrada') {
+      await connection.execute(
+        "UPDATE series SET estado = 'disponible', almacen_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [almacen.id, serial.id]
+      );
+    } else {
+      await connection.execute(
+        "UPDATE series SET estado = 'fuera', almacen_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [serial.id]
+      );
+    }
+
+    await connection.execute(
+      'INSERT INTO movimientos_series (movimiento_id, serie_id) VALUES (?, ?)',
+      [movimientoId, serial.id]
+    );
+  }
+};
+
+// Indica si el producto es serializado
+const managesSerials = async (connection, productoId) => {
+  const [products] = await connection.execute(
+    'SELECT maneja_series FROM productos WHERE id = ?',
+    [productoId]
+  );
+
+  return products.length > 0 && Boolean(products[0].maneja_series);
+};
+
+// Elige entre las series candidatas las que reingresan: las indicadas (que deben
+// estar entre las candidatas) o todas si su número coincide con la cantidad
+const pickSerials = (candidatas, cantidad, series, origen) => {
+  if (series && series.length > 0) {
+    const numeros = series.map(serie => String(serie).trim());
+    const ajenas = numeros.filter(numero => !candidatas.includes(numero));
+    if (ajenas.length > 0) {
+      throw new HttpError(400, 'Serie inválida', `Las series ${ajenas.join(', ')} no corresponden a ${origen}`);
+    }
+    return numeros;
+  }
+
+  if (candidatas.length !== cantidad) {
+    throw new HttpError(400, 'Series requeridas',
+      `Indique cuáles de las ${candidatas.length} series de ${origen} reingresan (${cantidad})`);
+  }
+
+  return candidatas;
+};
+
+// Series que reingresan por la anulación o devolución de un documento: deben
+// haber salido por ese documento y no haber vuelto. Devuelve undefined si el
+// producto no es serializado.
+const serialsToRestore = async (connection, { producto_id, referencia_tipo, referencia_id, cantidad, series }) => {
+  if (!(await managesSerials(connection, producto_id))) return undefined;
+
+  const [rows] = await connection.execute(
+    `SELECT s.numero_serie
+     FROM movimientos_series ms
+     JOIN movimientos_inventario m ON ms.movimiento_id = m.id
+     JOIN series s ON ms.serie_id = s.id
+     WHERE m.producto_id = ? AND m.referencia_tipo = ? AND m.referencia_id = ? AND m.tipo IN ('entrada', 'salida')
+     GROUP BY s.id, s.numero_serie
+     HAVING SUM(CASE WHEN m.tipo = 'salida' THEN 1 ELSE -1 END) > 0
+     ORDER BY s.numero_serie`,
+    [producto_id, referencia_tipo, referencia_id]
+  );
+
+  return pickSerials(rows.map(row => row.numero_serie), cantidad, series, `${referencia_tipo} #${referencia_id}`);
+};
+
+// Series que ingresan en destino de las despachadas por un movimiento de salida
+// (transferencias). Devuelve undefined si el producto no es serializado.
+const serialsFromMovement = async (connection, { producto_id, movimiento_id, cantidad, series }) => {
+  if (!(await managesSerials(connection, producto_id))) return undefined;
+
+  const [rows] = await connection.execute(
+    `SELECT s.numero_serie
+     FROM movimientos_series ms
+     JOIN series s ON ms.serie_id = s.id
+     WHERE ms.movimiento_id = ?
+     ORDER BY s.numero_serie`,
+    [movimiento_id || 0]
+  );
+
+  return pickSerials(rows.map(row => row.numero_serie), cantidad, series, `el movimiento #${movimiento_id}`);
+};
+
+module.exports = {
+  resolveSerials,
+  applySerials,
+  serialsToRestore,
+  serialsFromMovement
+};
@@ -0,0 +1,246 @@
+const { HttpError } = require('./errors');
+const { allocateLots, applyLots } = require('./lots');
+const { resolveSerials, applySerials } = require('./serials');
+const { getReservedQuantity } = require('./reservations');
+const { costMovement, addCostLayer, productStockValue } = require('./costing');
+const { roundQuantity, toStockQuantity } = require('./units');
+
+// Devuelve el almacén indicado (si está activo) o, si no se indica, el almacén
+// principal. Acepta una conexión de transacción o el pool.
+const resolveWarehouse = async (connection, almacenId = null) => {
+  const [warehouses] = almacenId
+    ? await connection.execute(
+      'SELECT id, codigo, nombre FROM almacenes WHERE id = ? AND activo = 1',
+      [almacenId]
+    )
+    : await connection.execute(
+      'SELECT id, codigo, nombre FROM almacenes WHERE principal = 1 AND activo = 1 LIMIT 1'
+    );
+
+  if (warehouses.length === 0) {
+    if (almacenId) {
+      throw new HttpError(404, 'Almacén no encontrado', `El almacén ${almacenId} no existe o está inactivo`);
+    }
+    throw new HttpError(400, 'Almacén no configurado', 'No hay un almacén principal activo');
+  }
+
+  return warehouses[0];
+};
+
+// Registra un movimiento de inventario en un almacén y actualiza tanto las
+// existencias del almacén como el stock total del producto.
+// Debe ejecutarse dentro de executeTransaction: la fila del producto y la de
+// stock_almacen se bloquean (FOR UPDATE) para que las cantidades anteriores y
+// nuevas no se pisen entre transacciones concurrentes.
+// cantidad_anterior/cantidad_nueva del movimiento son el stock total del
+// producto; cantidad_anterior_almacen/cantidad_nueva_almacen, las del almacén.
+// En un ajuste, cantidad es la nueva existencia del almacén; si el producto
+// maneja lotes, es la nueva existencia del lote indicado.
+// lotes: [{lote_id | numero_lote, fecha_vencimiento, cantidad}] solo para productos
+// que manejan lotes (ver allocateLots); en una salida sin lotes se aplica FEFO.
+// series: números de serie de las unidades, obligatorios (uno por unidad) en los
+// productos serializados (ver resolveSerials).
+// Una salida no puede tomar stock reservado para otro documento: solo dispone de
+// lo no reservado más lo reservado para su propia referencia (ver reservations).
+// costo_unitario: costo de lo que ingresa (entradas y ajustes que suben el stock);
+// sin él se usa el costo promedio vigente. Lo que sale se costea según METODO_COSTEO
+// (ver costing) y queda en costo_unitario/costo_total del movimiento.
+// motivo_ajuste_id: código del catálogo motivos_ajuste (ver adjustments).
+// unidad_id: unidad en que se indican cantidad, las cantidades por lote y
+// costo_unitario; se convierten a la unidad de stock del producto (ver units).
+// Sin ella, ya están en unidad de stock.
+const registerMovement = async (connection, {
+  producto_id,
+  almacen_id = null,
+  tipo,
+  cantidad: cantidadIndicada,
+  unidad_id = null,
+  motivo = null,
+  motivo_ajuste_id = null,
+  usuario_id,
+  referencia_tipo = null,
+  referencia_id = null,
+  lotes = null,
+  series = null,
+  costo_unitario = null
+}) => {
+  const almacen = await resolveWarehouse(connection, almacen_id);
+
+  const [products] = await connection.execute(
+    `SELECT id, nombre, stock_actual, precio_compra, costo_promedio, maneja_lotes, maneja_series
+     FROM productos WHERE id = ? AND activo = 1 FOR UPDATE`,
+    [producto_id]
+  );
+
+  if (products.length === 0) {
+    throw new HttpError(404, 'Producto no encontrado', `El producto ${producto_id} no existe o está inactivo`);
+  }
+
+  const producto = products[0];
+  const unidad = await toStockQuantity(connection, producto_id, { cantidad: cantidadIndicada, unidad_id });
+  const cantidad = unidad.cantidad;
+
+  if (unidad.factor !== 1 && costo_unitario !== null && costo_unitario !== undefined) {
+    costo_unitario = Number(costo_unitario) / unidad.factor;
+  }
+
+  if (unidad.factor !== 1 && lotes) {
+    lotes = lotes.map(lote => (lote.cantidad === undefined || lote.cantidad === null
+      ? lote
+      : { ...lote, cantidad: roundQuantity(lote.cantidad * unidad.factor) }));
+  }
+
+  if (!producto.maneja_lotes && lotes && lotes.length > 0) {
+    throw new HttpError(400, 'Operación no permitida', `${producto.nombre} no se controla por lotes`);
+  }
+
+  if (!producto.maneja_series && series && series.length > 0) {
+    throw new HttpError(400, 'Operación no permitida', `${producto.nombre} no es un producto serializado`);
+  }
+
+  // Crear la fila de existencias si el producto nunca estuvo en este almacén
+  await connection.execute(
+    `INSERT INTO stock_almacen (producto_id, almacen_id, cantidad) VALUES (?, ?, 0)
+     ON DUPLICATE KEY UPDATE cantidad = cantidad`,
+    [producto_id, almacen.id]
+  );
+
+  const [stocks] = await connection.execute(
+    'SELECT cantidad FROM stock_almacen WHERE producto_id = ? AND almacen_id = ? FOR UPDATE',
+    [producto_id, almacen.id]
+  );
+
+  const cantidad_anterior_almacen = stocks[0].cantidad;
+  let cantidad_nueva_almacen;
+
+  switch (tipo) {
+    case 'entrada':
+      cantidad_nueva_almacen = roundQuantity(cantidad_anterior_almacen + cantidad);
+      break;
+    case 'salida': {
+      const reservado = await getReservedQuantity(connection, {
+        producto_id,
+        almacen_id: almacen.id,
+        referencia_tipo,
+        referencia_id
+      });
+      const disponible = Math.max(roundQuantity(cantidad_anterior_almacen - reservado), 0);
+
+      if (disponible < cantidad) {
+        throw new HttpError(400, 'Stock insuficiente',
+          `No hay suficiente stock de ${producto.nombre} en ${almacen.nombre}. Disponible: ${disponible}` +
+          `${reservado > 0 ? ` (reservado: ${reservado})` : ''}, Solicitado: ${cantidad}`);
+      }
+      cantidad_nueva_almacen = roundQuantity(cantidad_anterior_almacen - cantidad);
+      break;
+    }
+    case 'ajuste':
+      cantidad_nueva_almacen = cantidad;
+      break;
+    default:
+      throw new HttpError(400, 'Tipo inválido', 'El tipo debe ser entrada, salida o ajuste');
+  }
+
+  // Las existencias del almacén son la suma de sus lotes: en un ajuste por lote
+  // el almacén varía lo mismo que el lote
+  const asignaciones = producto.maneja_lotes
+    ? await allocateLots(connection, { producto, almacen, tipo, cantidad, lotes })
+    : [];
+
+  if (producto.maneja_lotes && tipo === 'ajuste') {
+    cantidad_nueva_almacen = roundQuantity(
+      cantidad_anterior_almacen + asignaciones[0].cantidad_nueva - asignaciones[0].cantidad_anterior
+    );
+  }
+
+  const unidades = producto.maneja_series
+    ? await resolveSerials(connection, { producto, almacen, tipo, cantidad, series })
+    : [];
+
+  const diferencia = roundQuantity(cantidad_nueva_almacen - cantidad_anterior_almacen);
+  const cantidad_anterior = producto.stock_actual;
+  const cantidad_nueva = roundQuantity(cantidad_anterior + diferencia);
+  const cantidadMovimiento = tipo === 'ajuste' ? Math.abs(diferencia) : cantidad;
+  const costo = await costMovement(connection, { producto, almacen, diferencia, costo_unitario });
+
+  const [result] = await connection.execute(
+    `INSERT INTO movimientos_inventario (producto_id, almacen_id, tipo, cantidad, unidad_id, cantidad_unidad,
+       cantidad_anterior, cantidad_nueva, cantidad_anterior_almacen, cantidad_nueva_almacen, costo_unitario,
+       costo_total, motivo, motivo_ajuste_id, usuario_id, referencia_tipo, referencia_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      producto_id, almacen.id, tipo, cantidadMovimiento, unidad.unidad_id, unidad.cantidad_unidad,
+      cantidad_anterior, cantidad_nueva,
+      cantidad_anterior_almacen, cantidad_nueva_almacen, costo.costo_unitario, costo.costo_total, motivo,
+      motivo_ajuste_id, usuario_id, referencia_tipo, referencia_id
+    ]
+  );
+
+  if (diferencia > 0) {
+    await addCostLayer(connection, {
+      producto_id,
+      almacen_id: almacen.id,
+      movimiento_id: result.insertId,
+      cantidad: diferencia,
+      costo_unitario: costo.costo_unitario
+    });
+  }
+
+  await applyLots(connection, result.insertId, asignaciones);
+  await applySerials(connection, result.insertId, { tipo, almacen }, unidades);
+
+  await connection.execute(
+    'UPDATE stock_almacen SET cantidad = ? WHERE producto_id = ? AND almacen_id = ?',
+    [cantidad_nueva_almacen, producto_id, almacen.id]
+  );
+
+  await connection.execute(
+    'UPDATE productos SET stock_actual = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [cantidad_nueva, producto_id]
+  );
+
+  // Valor del stock tras el movimiento, para valuar el inventario a una fecha
+  const valor_nuevo = await productStockValue(connection, producto_id);
+  await connection.execute(
+    'UPDATE movimientos_inventario SET valor_nuevo = ? WHERE id = ?',
+    [valor_nuevo, result.insertId]
+  );
+
+  return {
+    id: result.insertId,
+    producto_id: parseInt(producto_id),
+    producto_nombre: producto.nombre,
+    almacen_id: almacen.id,
+    almacen_nombre: almacen.nombre,
+    tipo,
+    cantidad: cantidadMovimiento,
+    unidad_id: unidad.unidad_id,
+    cantidad_unidad: unidad.cantidad_unidad,
+    cantidad_anterior,
+    cantidad_nueva,
+    cantidad_anterior_almacen,
+    cantidad_nueva_almacen,
+    costo_unitario: costo.costo_unitario,
+    costo_total: costo.costo_total,
+    valor_nuevo,
+    motivo,
+    motivo_ajuste_id: motivo_ajuste_id ? parseInt(motivo_ajuste_id) : null,
+    usuario_id: parseInt(usuario_id),
+    referencia_tipo,
+    referencia_id,
+    lotes: asignaciones.map(a => ({
+      lote_id: a.lote.id,
+      numero_lote: a.lote.numero_lote,
+      fecha_vencimiento: a.lote.fecha_vencimiento,
+      cantidad: roundQuantity(Math.abs(a.cantidad_nueva - a.cantidad_anterior)),
+      cantidad_anterior: a.cantidad_anterior,
+      cantidad_nueva: a.cantidad_nueva
+    })),
+    series: unidades.map(unidad => unidad.numero_serie)
+  };
+};
+
+module.exports = {
+  resolveWarehouse,
+  registerMovement
+};
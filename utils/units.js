@@ -0,0 +1,82 @@
+const { HttpError } = require('./errors');
+
+// Redondea cantidades a 3 decimales (precisión de las columnas DECIMAL(14,3)),
+// para que las sumas y restas de fracciones no arrastren errores de punto flotante
+const roundQuantity = (value) => Math.round((Number(value) + Number.EPSILON) * 1000) / 1000;
+
+// Unidad de stock del producto y unidades por defecto de compra y venta
+const getProductUnits = async (connection, productoId) => {
+  const [products] = await connection.execute(
+    `SELECT p.id, p.nombre, p.unidad_id, p.unidad_compra_id, p.unidad_venta_id,
+            um.codigo as unidad_codigo, um.fraccionable
+     FROM productos p
+     JOIN unidades_medida um ON p.unidad_id = um.id
+     WHERE p.id = ? AND p.activo = 1`,
+    [productoId]
+  );
+
+  if (products.length === 0) {
+    throw new HttpError(404, 'Producto no encontrado', `El producto ${productoId} no existe o está inactivo`);
+  }
+
+  return products[0];
+};
+
+// Convierte una cantidad indicada en una unidad del producto a su unidad de stock.
+// Sin unidad_id se usa la unidad por defecto del uso ('compra' o 'venta') o, si
+// no tiene, la de stock. La cantidad resultante debe ser entera salvo que la
+// unidad de stock sea fraccionable.
+// Devuelve { cantidad, factor, unidad_id, unidad_codigo, cantidad_unidad }: cantidad
+// en unidad de stock; unidad_id y cantidad_unidad son null si se indicó en la de stock.
+// Acepta una conexión de transacción o el pool.
+const toStockQuantity = async (connection, productoId, { cantidad, unidad_id = null, uso = null }) => {
+  const producto = await getProductUnits(connection, productoId);
+  const porDefecto = (uso === 'compra' && producto.unidad_compra_id) ||
+    (uso === 'venta' && producto.unidad_venta_id) ||
+    producto.unidad_id;
+  const unidadId = parseInt(unidad_id) || porDefecto;
+
+  let factor = 1;
+  let codigo = producto.unidad_codigo;
+
+  if (unidadId !== producto.unidad_id) {
+    const [conversions] = await connection.execute(
+      `SELECT up.factor, um.codigo
+       FROM unidades_producto up
+       JOIN unidades_medida um ON up.unidad_id = um.id
+       WHERE up.producto_id = ? AND up.unidad_id = ? AND um.activo = 1`,
+      [productoId, unidadId]
+    );
+
+    if (conversions.length === 0) {
+      throw new HttpError(400, 'Unidad inválida',
+        `La unidad ${unidadId} no está configurada para ${producto.nombre}`);
+    }
+
+    factor = Number(conversions[0].factor);
+    codigo = conversions[0].codigo;
+  }
+
+  const enStock = roundQuantity(Number(cantidad) * factor);
+
+  if (!producto.fraccionable && !Number.isInteger(enStock)) {
+    throw new HttpError(400, 'Cantidad inválida',
+      `${producto.nombre} se maneja en ${producto.unidad_codigo} enteras: ${cantidad} ${codigo} equivale a ${enStock} ${producto.unidad_codigo}`);
+  }
+
+  const enOtraUnidad = unidadId !== producto.unidad_id;
+
+  return {
+    cantidad: enStock,
+    factor,
+    unidad_id: enOtraUnidad ? unidadId : null,
+    unidad_codigo: codigo,
+    cantidad_unidad: enOtraUnidad ? Number(cantidad) : null
+  };
+};
+
+module.exports = {
+  roundQuantity,
+  getProductUnits,
+  toStockQuantity
+};
@@ -0,0 +1,47 @@
+// Validadores reutilizables para documentos tributarios
+
+// Pesos usados por SUNAT para calcular el dígito verificador del RUC
+const RUC_WEIGHTS = [5, 4, 3, 2, 7, 6, 5, 4, 3, 2];
+
+// Verifica formato (11 dígitos, prefijo 10/15/17/20) y dígito verificador del RUC
+const isValidRuc = (value) => {
+  const ruc = String(value || '').trim();
+
+  if (!/^(10|15|17|20)\d{9}$/.test(ruc)) {
+    return false;
+  }
+
+  const sum = RUC_WEIGHTS.reduce((acc, weight, i) => acc + weight * parseInt(ruc[i]), 0);
+  let digit = 11 - (sum % 11);
+  if (digit === 10) digit = 0;
+  if (digit === 11) digit = 1;
+
+  return digit === parseInt(ruc[10]);
+};
+
+// Tipos de documento de identidad admitidos para clientes
+const DOCUMENT_TYPES = ['DNI', 'RUC', 'CE', 'PASAPORTE'];
+
+// Verifica el número de documento según su tipo
+const isValidDocument = (tipo, numero) => {
+  const value = String(numero || '').trim();
+
+  switch (tipo) {
+    case 'DNI':
+      return /^\d{8}$/.test(value);
+    case 'RUC':
+      return isValidRuc(value);
+    case 'CE':
+      return /^[A-Za-z0-9]{9,12}$/.test(value);
+    case 'PASAPORTE':
+      return /^[A-Za-z0-9]{6,12}$/.test(value);
+    default:
+      return false;
+  }
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  isValidRuc,
+  isValidDocument
+};